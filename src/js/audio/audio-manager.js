@@ -1,5 +1,7 @@
 import * as Tone from 'tone';
 import { SOUNDS } from '../utils/constants.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
 
 export class AudioManager {
     constructor() {
@@ -18,6 +20,16 @@ export class AudioManager {
         // Debug flag to control logging
         this.enableDebugLogging = false;
         
+        // Pickup jingles follow the bus, energy packs use the health jingle
+        eventBus.on(GAME_EVENTS.PICKUP_COLLECTED, ({ type }) => {
+            this.playPickup(type === 'energy' ? 'health' : type);
+        });
+        
+        // A low roar when a boss moves on to its next phase
+        eventBus.on(GAME_EVENTS.BOSS_PHASE_CHANGED, () => {
+            this.playSound('BOSS_PHASE', 'D1');
+        });
+        
         // Add multiple musical scales focused on happy/Nintendo-like sounds
         this.musicalScales = {
             // C major scale (happy, triumphant) - higher octave
@@ -43,11 +55,11 @@ export class AudioManager {
         this.deathNotes = this.musicalScales[this.currentScale];
         
         // Start at random position in scale
-        this.lastNoteIndex = Math.floor(Math.random() * this.deathNotes.length);
+        this.lastNoteIndex = Math.floor(randomManager.cosmetic.next() * this.deathNotes.length);
         
         // Change scale every 10-15 deaths for musical variety
         this.deathCount = 0;
-        this.scaleChangeThreshold = Math.floor(Math.random() * 6) + 10; // 10-15
+        this.scaleChangeThreshold = Math.floor(randomManager.cosmetic.next() * 6) + 10; // 10-15
         
         this.setupSynths();
     }
@@ -249,9 +261,12 @@ export class AudioManager {
         }
     }
     
-    playGunshot(pitchModifier = 1.0) {
-        // Use A3 for a lower, less piercing sound
-        const basePitch = 'A3';
+    // Weapons pass their own SOUNDS entry, the default is the paintball SMG
+    playGunshot(pitchModifier = 1.0, soundName = 'GUNSHOT') {
+        const sound = SOUNDS[soundName] || SOUNDS.GUNSHOT;
+        
+        // A3 by default for a lower, less piercing sound
+        const basePitch = sound.options.pitch || 'A3';
         
         if (!this.isInitialized || Tone.context.state !== 'running') {
             console.warn('Audio not initialized or context not running');
@@ -284,13 +299,13 @@ export class AudioManager {
             const modifiedFreq = baseFreq * pitchModifier;
             
             // Use extremely short duration for more precise control
-            const duration = 0.05; // 50ms duration
+            const duration = sound.options.duration || 0.05; // 50ms by default
             
             // Make sure any previous sound on this synth is stopped
             synthInfo.synth.triggerRelease();
             
             // Set volume from sound options
-            synthInfo.synth.volume.value = SOUNDS.GUNSHOT.options.volume;
+            synthInfo.synth.volume.value = sound.options.volume;
             
             // Play the sound with a specific duration
             synthInfo.synth.triggerAttackRelease(modifiedFreq, duration, now);
@@ -396,7 +411,7 @@ export class AudioManager {
     playGrenadeBounce() {
         // Use a higher pitch for bounce sound with random variation
         const pitches = ['C3', 'D3', 'E3', 'F3'];
-        const randomPitch = pitches[Math.floor(Math.random() * pitches.length)];
+        const randomPitch = pitches[Math.floor(randomManager.cosmetic.next() * pitches.length)];
         this.playSound('GRENADE_BOUNCE', randomPitch);
     }
     
@@ -457,7 +472,7 @@ export class AudioManager {
             
             // Random notes for debris
             const randomNotes = ['C2', 'D2', 'E2', 'G2'];
-            const getRandomNote = () => randomNotes[Math.floor(Math.random() * randomNotes.length)];
+            const getRandomNote = () => randomNotes[Math.floor(randomManager.cosmetic.next() * randomNotes.length)];
             
             // Play initial explosion sounds
             baseBoom.triggerAttackRelease('A0', '16n');
@@ -520,11 +535,11 @@ export class AudioManager {
                 this.deathCount = 0;
                 
                 // Set new change threshold (higher to reduce frequency of changes)
-                this.scaleChangeThreshold = Math.floor(Math.random() * 6) + 12; // 12-17
+                this.scaleChangeThreshold = Math.floor(randomManager.cosmetic.next() * 6) + 12; // 12-17
                 
                 // Pick a new random scale
                 const scales = Object.keys(this.musicalScales);
-                const newScale = scales[Math.floor(Math.random() * scales.length)];
+                const newScale = scales[Math.floor(randomManager.cosmetic.next() * scales.length)];
                 
                 // Only change if it's significantly different
                 if (newScale !== this.currentScale) {
@@ -532,7 +547,7 @@ export class AudioManager {
                     this.deathNotes = this.musicalScales[this.currentScale];
                     
                     // Reset note index
-                    this.lastNoteIndex = Math.floor(Math.random() * this.deathNotes.length);
+                    this.lastNoteIndex = Math.floor(randomManager.cosmetic.next() * this.deathNotes.length);
                 }
             }
             
@@ -609,7 +624,7 @@ export class AudioManager {
         const basePitch = this.footstepPhase === 0 ? 'C3' : 'E3';
         
         // Randomize the pitch slightly
-        const pitchVariation = 0.95 + (Math.random() * 0.1); // 0.95-1.05
+        const pitchVariation = 0.95 + (randomManager.cosmetic.next() * 0.1); // 0.95-1.05
         
         // Set volume based on movement intensity (even lower volume)
         const volume = -30 - (1.0 - movementIntensity) * 5; // Volume between -30 and -35
@@ -690,6 +705,51 @@ export class AudioManager {
         }
     }
 
+    // Descending jingle for the game over restart button
+    async playRestart() {
+        // Make sure audio context is running
+        await Tone.start();
+        
+        const synth = new Tone.Synth({
+            oscillator: { type: "square" },
+            envelope: { attack: 0.01, decay: 0.2, sustain: 0.2, release: 0.2 }
+        }).toDestination();
+        
+        synth.volume.value = -15;
+        synth.triggerAttackRelease("C4", "8n");
+        setTimeout(() => synth.triggerAttackRelease("G3", "8n"), 150);
+        setTimeout(() => synth.triggerAttackRelease("C3", "8n"), 300);
+    }
+    
+    // Suspend the audio context so nothing keeps ringing while the game is paused
+    pause() {
+        this.stopGunshot();
+        
+        try {
+            if (Tone.context.state === 'running') {
+                Tone.context.rawContext.suspend();
+            }
+        } catch (e) {
+            console.error('Error suspending audio:', e);
+        }
+    }
+    
+    // Resume the audio context where it was suspended
+    resume() {
+        try {
+            if (Tone.context.state !== 'running') {
+                Tone.context.resume();
+            }
+        } catch (e) {
+            console.error('Error resuming audio:', e);
+        }
+    }
+    
+    // Silence all output without touching the audio context, e.g. while a replay fast-forwards
+    setMuted(muted) {
+        Tone.Destination.mute = muted;
+    }
+    
     // Debug method to log synth pool status
     logSynthPoolStatus() {
         if (!this.gunshotSynthPool || !this.enableDebugLogging) return;
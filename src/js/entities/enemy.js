@@ -1,6 +1,45 @@
 import * as THREE from 'three';
 import { COLORS, SIZES, GAME } from '../utils/constants.js';
 import { Bullet, OptimizedBullet, BossBullet } from './projectiles.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { ObjectPool, POOL_OVERFLOW } from '../utils/object-pool.js';
+import { BOSS_ATTACKS, BOSS_PHASES, getBossPhaseIndex } from '../utils/boss-phases.js';
+
+// Paint splashes shown where a bullet hits, shared by all enemies. Heavy fire past the cap
+// just shows fewer splashes.
+const splashGeometry = new THREE.SphereGeometry(0.4, 8, 8);
+const hitSplashPool = new ObjectPool({
+    name: 'hitSplashes',
+    create: () => ({
+        splash: new THREE.Mesh(splashGeometry, new THREE.MeshBasicMaterial({
+            color: COLORS.BULLET,
+            transparent: true,
+            blending: THREE.AdditiveBlending // Make it glow
+        })),
+        // Add a point light for glow effect
+        light: new THREE.PointLight(COLORS.BULLET, 2, 1.5)
+    }),
+    reset: ({ splash, light }) => {
+        splash.scale.set(1, 1, 1);
+        splash.material.opacity = 1.0;
+        light.intensity = 2;
+    },
+    release: ({ splash, light }) => {
+        splash.removeFromParent();
+        light.removeFromParent();
+    },
+    initialSize: 8,
+    maxSize: 32,
+    overflow: POOL_OVERFLOW.DROP
+});
+
+// Who gets a kill: a plain hit, shockwave or boss shot is the player's without a grenade, an
+// exploder that went off on its own next to the player is no one's. Blasts blame their grenade,
+// see Grenade.getBlame().
+const PLAYER_KILL = Object.freeze({ grenade: null, killedByPlayer: true });
+const SELF_DETONATED = Object.freeze({ grenade: null, killedByPlayer: false });
 
 export class Enemy {
     constructor(scene, position, type = 'REGULAR', spawnManager = null) {
@@ -11,8 +50,12 @@ export class Enemy {
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.speed = this.getSpeedByType();
         this.health = this.getHealthByType();
-        this.jumpTime = Math.random() * 10; // Randomize jump animation phase
+        this.maxHealth = this.health; // What support enemies heal up to
+        this.jumpTime = randomManager.cosmetic.next() * 10; // Randomize jump animation phase
         this.spawnManager = spawnManager;
+        
+        // Counts resets, so anything holding on to this enemy can tell when the pool reused it
+        this.generation = 0;
         this.attachedBullets = []; // Track attached paintballs
         this.isDying = false; // Flag for dying animation
         this.deathTime = 0; // Timer for death animation
@@ -20,14 +63,37 @@ export class Enemy {
         this.audioManager = spawnManager.audioManager; // Get audio manager from spawn manager
         
         // Generate a unique ID for this enemy (for sound variety)
-        this.enemyId = Math.floor(Math.random() * 1000000);
+        this.enemyId = Math.floor(randomManager.cosmetic.next() * 1000000);
         
-        // Blown away state for grenades
+        // Blown away state for grenades, and who the kill goes to when it lands
         this.isBlownAway = false;
+        this.blownAwayBlame = null;
         this.blownAwayVelocity = new THREE.Vector3(0, 0, 0);
         this.blownAwayRotation = new THREE.Vector3(0, 0, 0);
         this.gravity = 9.8; // Gravity for physics
         
+        // Exploders: game time their fuse runs out, null until it is lit, and who the kill
+        // goes to when it does
+        this.fuseEndsAt = null;
+        this.fuseBlame = null;
+        
+        // Shielded enemies: the shield mesh until it breaks, and the paint hits it can still take
+        this.shield = null;
+        this.shieldHealth = this.type === 'SHIELDED' ? GAME.SHIELD_HITS : 0;
+        
+        // Summoned by a boss rather than spawned by the wave, see SpawnManager.addEnemy()
+        this.summoned = false;
+        
+        // Support enemies: the ally they heal and its generation, the beam drawn to it and
+        // when to look for a more injured ally
+        this.tetherTarget = null;
+        this.tetherGeneration = 0;
+        this.beam = null;
+        this.nextRetargetAt = 0;
+        
+        // Game time a support enemy's aura on this enemy wears off
+        this.auraEndsAt = 0;
+        
         // Shooting properties
         this.lastShotTime = 0;
         this.shootingCooldown = this.getShootingCooldownByType();
@@ -40,6 +106,11 @@ export class Enemy {
         switch(this.type) {
             case 'CHUBBY': return 3;
             case 'THIN': return 1;
+            case 'EXPLODER': return 1;
+            case 'SHIELDED': return 3;
+            case 'SPLITTER': return 3;
+            case 'SPLITLING': return 1;
+            case 'SUPPORT': return 2;
             default: return 2; // REGULAR
         }
     }
@@ -48,6 +119,11 @@ export class Enemy {
         switch(this.type) {
             case 'CHUBBY': return SIZES.ENEMIES.CHUBBY;
             case 'THIN': return SIZES.ENEMIES.THIN;
+            case 'EXPLODER': return SIZES.ENEMIES.EXPLODER;
+            case 'SHIELDED': return SIZES.ENEMIES.SHIELDED;
+            case 'SPLITTER': return SIZES.ENEMIES.SPLITTER;
+            case 'SPLITLING': return SIZES.ENEMIES.SPLITLING;
+            case 'SUPPORT': return SIZES.ENEMIES.SUPPORT;
             default: return SIZES.ENEMIES.REGULAR;
         }
     }
@@ -56,6 +132,11 @@ export class Enemy {
         switch(this.type) {
             case 'CHUBBY': return COLORS.ENEMY.CHUBBY;
             case 'THIN': return COLORS.ENEMY.THIN;
+            case 'EXPLODER': return COLORS.ENEMY.EXPLODER;
+            case 'SHIELDED': return COLORS.ENEMY.SHIELDED;
+            case 'SPLITTER': return COLORS.ENEMY.SPLITTER;
+            case 'SPLITLING': return COLORS.ENEMY.SPLITLING;
+            case 'SUPPORT': return COLORS.ENEMY.SUPPORT;
             default: return COLORS.ENEMY.REGULAR;
         }
     }
@@ -66,6 +147,16 @@ export class Enemy {
                 return GAME.SPEEDS.ENEMY.CHUBBY;
             case 'THIN': 
                 return GAME.SPEEDS.ENEMY.THIN;
+            case 'EXPLODER':
+                return GAME.SPEEDS.ENEMY.EXPLODER;
+            case 'SHIELDED':
+                return GAME.SPEEDS.ENEMY.SHIELDED;
+            case 'SPLITTER':
+                return GAME.SPEEDS.ENEMY.SPLITTER;
+            case 'SPLITLING':
+                return GAME.SPEEDS.ENEMY.SPLITLING;
+            case 'SUPPORT':
+                return GAME.SPEEDS.ENEMY.SUPPORT;
             default: // REGULAR
                 return GAME.SPEEDS.ENEMY.REGULAR;
         }
@@ -75,10 +166,37 @@ export class Enemy {
         switch(this.type) {
             case 'CHUBBY': return 5000; // 5 seconds between shots
             case 'THIN': return 4000; // 4 seconds between shots
+            case 'SHIELDED': return 4000; // Firing around the shield takes a while
+            case 'SPLITLING': return 5000; // Too many of them to all fire often
             default: return 3000; // 3 seconds between shots for regular enemies
         }
     }
     
+    // Exploders carry no gun, they are the weapon. Support enemies leave the shooting to others.
+    isShooter() {
+        return this.type !== 'EXPLODER' && this.type !== 'SUPPORT';
+    }
+    
+    // Enemies that go down as soon as their health runs out, without waiting for the paint to pile up
+    popsOnHit() {
+        return this.type === 'EXPLODER' || this.type === 'SPLITLING';
+    }
+    
+    // Mesh scale the animations squash and stretch around
+    getBaseScaleByType() {
+        switch(this.type) {
+            case 'BOSS': return { xz: 3, y: 3 };
+            case 'CHUBBY': return { xz: 1.5, y: 0.8 };
+            case 'THIN': return { xz: 0.6, y: 1.6 };
+            case 'EXPLODER': return { xz: 1.2, y: 0.7 };
+            case 'SHIELDED': return { xz: 1.2, y: 1.1 };
+            case 'SPLITTER': return { xz: 1.3, y: 1.2 };
+            case 'SPLITLING': return { xz: 0.6, y: 0.6 };
+            case 'SUPPORT': return { xz: 0.9, y: 1.3 };
+            default: return { xz: 1, y: 1 }; // REGULAR
+        }
+    }
+    
     createEnemyMesh() {
         const size = this.getSizeByType();
         // Create a rectangular box instead of a cube
@@ -101,13 +219,52 @@ export class Enemy {
                 // Taller, thinner enemy
                 this.mesh.scale.set(0.6, 1.6, 0.6);
                 break;
+            case 'EXPLODER':
+                // Squat and round, a walking bomb
+                this.mesh.scale.set(1.2, 0.7, 1.2);
+                break;
+            case 'SHIELDED':
+                // Broad and a little taller, built to carry the shield
+                this.mesh.scale.set(1.2, 1.1, 1.2);
+                break;
+            case 'SPLITTER':
+                // Big and bulging, full of splitlings
+                this.mesh.scale.set(1.3, 1.2, 1.3);
+                break;
+            case 'SPLITLING':
+                // A small copy of its parent
+                this.mesh.scale.set(0.6, 0.6, 0.6);
+                break;
+            case 'SUPPORT':
+                // Slender, standing back under its halo
+                this.mesh.scale.set(0.9, 1.3, 0.9);
+                break;
             default: // REGULAR
                 // Slightly random variations for regular enemies
-                const xzScale = 0.8 + Math.random() * 0.4; // 0.8 to 1.2
-                const yScale = 0.9 + Math.random() * 0.4;  // 0.9 to 1.3
+                const xzScale = 0.8 + randomManager.cosmetic.next() * 0.4; // 0.8 to 1.2
+                const yScale = 0.9 + randomManager.cosmetic.next() * 0.4;  // 0.9 to 1.3
                 this.mesh.scale.set(xzScale, yScale, xzScale);
         }
         
+        if (this.type === 'EXPLODER') {
+            this.addFuseGlow();
+        } else if (this.type === 'SUPPORT') {
+            this.addHalo();
+        } else {
+            this.addGun();
+        }
+        
+        if (this.type === 'SHIELDED') {
+            this.addShield();
+        }
+        
+        // Position half height above ground (since height is 1)
+        // Original y position is the center of the mesh, so we need to offset it
+        this.mesh.position.y = 0.5;
+        this.scene.add(this.mesh);
+    }
+    
+    addGun() {
         // Create the gun with the same style as player's - a rectangle with 2 equal sides and 1 long side
         const gunWidth = SIZES.GUN.WIDTH * 0.8;  // Make width slightly smaller
         const gunHeight = gunWidth;              // Make height equal to width for square profile
@@ -125,11 +282,38 @@ export class Enemy {
         // Center the gun at the enemy's "chest" height
         this.gun.position.set(0, 0.1, SIZES.PLAYER / 2 + gunLength / 2);
         this.mesh.add(this.gun);
-        
-        // Position half height above ground (since height is 1)
-        // Original y position is the center of the mesh, so we need to offset it
-        this.mesh.position.y = 0.5;
-        this.scene.add(this.mesh);
+    }
+    
+    // A slab held in front of the gun, facing the player like the rest of the enemy
+    addShield() {
+        const geometry = new THREE.BoxGeometry(SIZES.SHIELD.WIDTH, SIZES.SHIELD.HEIGHT, SIZES.SHIELD.DEPTH);
+        const material = new THREE.MeshBasicMaterial({ color: COLORS.SHIELD });
+        this.shield = new THREE.Mesh(geometry, material);
+        this.shield.position.set(0, 0.05, 0.85);
+        this.mesh.add(this.shield);
+    }
+    
+    // A ring floating over a support enemy's head, in the color of its beam
+    addHalo() {
+        const geometry = new THREE.TorusGeometry(0.3, 0.05, 6, 16);
+        const material = new THREE.MeshBasicMaterial({ color: COLORS.SUPPORT_BEAM });
+        const halo = new THREE.Mesh(geometry, material);
+        halo.rotation.x = Math.PI / 2;
+        halo.position.set(0, 0.75, 0);
+        this.mesh.add(halo);
+    }
+    
+    // The glow an exploder pulses with, blinking faster and faster once its fuse is lit
+    addFuseGlow() {
+        const glowGeometry = new THREE.SphereGeometry(0.45, 8, 8);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: COLORS.ENEMY.EXPLODER,
+            transparent: true,
+            opacity: 0.25,
+            blending: THREE.AdditiveBlending
+        });
+        this.fuseGlow = new THREE.Mesh(glowGeometry, glowMaterial);
+        this.mesh.add(this.fuseGlow);
     }
     
     update(dt, playerPosition) {
@@ -160,11 +344,19 @@ export class Enemy {
         // Calculate distance to player
         const distanceToPlayer = this.position.distanceTo(playerPosition);
         
+        if (this.type === 'EXPLODER' && this.updateFuse(distanceToPlayer)) {
+            return; // Blew up
+        }
+        
         // Try to shoot if within range
-        if (distanceToPlayer <= this.shootingRange) {
+        if (this.isShooter() && distanceToPlayer <= this.shootingRange) {
             this.tryShoot(directionToPlayer);
         }
         
+        if (this.type === 'SUPPORT') {
+            this.updateTether(dt);
+        }
+        
         // Define the optimal shooting distance based on enemy type
         const optimalShootingDistance = this.getOptimalShootingDistance();
         
@@ -173,7 +365,8 @@ export class Enemy {
         
         // Apply movement with type-specific speed from GAME.SPEEDS.ENEMY values
         // Use pure delta time for consistent movement across hardware
-        this.velocity.copy(finalDirection).multiplyScalar(this.speed * dt);
+        const speed = this.hasAura() ? this.speed * GAME.SUPPORT_AURA_SPEED : this.speed;
+        this.velocity.copy(finalDirection).multiplyScalar(speed * dt);
         this.mesh.position.add(this.velocity);
         
         // Update position for collision detection, but keep proper y value for rendering
@@ -197,6 +390,242 @@ export class Enemy {
         this.updateAttachedBullets();
     }
     
+    // Light the fuse once close to the player and blow up when it runs out.
+    // Returns true if the exploder went off.
+    updateFuse(distanceToPlayer) {
+        const now = timeManager.now();
+        
+        if (this.fuseEndsAt === null && distanceToPlayer < GAME.EXPLODER_TRIGGER_DISTANCE) {
+            this.lightFuse(GAME.EXPLODER_FUSE, SELF_DETONATED);
+        }
+        
+        if (this.fuseEndsAt !== null && now >= this.fuseEndsAt) {
+            this.die({ blame: this.fuseBlame });
+            return true;
+        }
+        
+        // A slow pulse while hunting, a blink that speeds up as the fuse burns down
+        if (this.fuseGlow) {
+            let glow;
+            if (this.fuseEndsAt === null) {
+                glow = 0.5 + Math.sin(this.jumpTime * 2) * 0.5;
+            } else {
+                const burnt = 1 - (this.fuseEndsAt - now) / GAME.EXPLODER_FUSE;
+                glow = Math.sin(now / 1000 * Math.PI * (4 + burnt * 16)) > 0 ? 1 : 0;
+            }
+            this.fuseGlow.material.opacity = 0.15 + glow * 0.6;
+            const scale = 1 + glow * 0.5;
+            this.fuseGlow.scale.set(scale, scale, scale);
+        }
+        
+        return false;
+    }
+    
+    // A fuse already burning only gets shorter, and whatever shortened it gets the kill
+    lightFuse(duration, blame) {
+        const endsAt = timeManager.now() + duration;
+        if (this.fuseEndsAt === null || endsAt < this.fuseEndsAt) {
+            this.fuseEndsAt = endsAt;
+            this.fuseBlame = blame;
+        }
+    }
+    
+    /**
+     * Whether a shot travelling in this direction ends on the shield instead of the body
+     * @param {THREE.Vector3} direction - The shot's direction of travel
+     * @returns {boolean}
+     */
+    shieldBlocks(direction) {
+        if (!this.shield) return false;
+        
+        const length = Math.hypot(direction.x, direction.z);
+        if (length === 0) return false;
+        
+        // The shield faces where the enemy faces, a blocked shot comes straight at it
+        const facingX = Math.sin(this.mesh.rotation.y);
+        const facingZ = Math.cos(this.mesh.rotation.y);
+        const incoming = -(direction.x * facingX + direction.z * facingZ) / length;
+        return incoming > Math.cos(GAME.SHIELD_BLOCK_ANGLE);
+    }
+    
+    // Paint a shot on the shield, which breaks once it has taken SHIELD_HITS
+    hitShield(direction, color, damage = 1) {
+        if (!this.shield) return;
+        
+        const decalManager = this.spawnManager && this.spawnManager.decalManager;
+        if (decalManager) {
+            // Somewhere on the front face, facing back along the shot
+            const normal = new THREE.Vector3(-direction.x, 0, -direction.z).normalize();
+            const position = this.shield.getWorldPosition(new THREE.Vector3());
+            position.add(normal.clone().multiplyScalar(SIZES.SHIELD.DEPTH));
+            position.x += (randomManager.cosmetic.next() - 0.5) * SIZES.SHIELD.WIDTH * 0.7 * normal.z;
+            position.z -= (randomManager.cosmetic.next() - 0.5) * SIZES.SHIELD.WIDTH * 0.7 * normal.x;
+            position.y += (randomManager.cosmetic.next() - 0.5) * SIZES.SHIELD.HEIGHT * 0.7;
+            
+            // The decal rides along with the shield
+            const decal = decalManager.createSurfaceDecal(position, normal, this.shield, color);
+            if (decal) {
+                this.shield.attach(decal);
+            }
+        }
+        
+        // Flash like the body does when hit
+        const shield = this.shield;
+        shield.material.color.setHex(0xffffff);
+        timeManager.setTimeout(() => {
+            shield.material.color.setHex(COLORS.SHIELD);
+        }, 80);
+        
+        this.shieldHealth -= damage;
+        if (this.shieldHealth <= 0) {
+            this.breakShield();
+        }
+    }
+    
+    breakShield() {
+        const shield = this.shield;
+        this.shield = null;
+        this.shieldHealth = 0;
+        
+        // Knock the shield off, tumbling to the ground, and leave it there for a moment
+        shield.getWorldPosition(shield.position);
+        shield.getWorldQuaternion(shield.quaternion);
+        shield.scale.set(1, 1, 1);
+        this.scene.add(shield);
+        
+        const fallStart = timeManager.now();
+        const startY = shield.position.y;
+        const spin = (randomManager.cosmetic.next() - 0.5) * 4;
+        
+        const animateFall = () => {
+            const elapsed = (timeManager.now() - fallStart) / 1000;
+            if (elapsed > 1.5) {
+                shield.removeFromParent();
+                shield.geometry.dispose();
+                shield.material.dispose();
+                return;
+            }
+            
+            const fall = Math.min(1, elapsed / 0.4);
+            shield.position.y = startY - (startY - SIZES.SHIELD.DEPTH) * fall;
+            shield.rotation.x = -Math.PI / 2 * fall;
+            shield.rotation.z += spin * 0.016 * (1 - fall);
+            
+            timeManager.requestAnimationFrame(animateFall);
+        };
+        
+        animateFall();
+    }
+    
+    // Whether a support enemy's aura is speeding this enemy up
+    hasAura() {
+        return timeManager.now() < this.auraEndsAt;
+    }
+    
+    // Support enemies: hold a tether to the most injured ally in range, healing it and keeping
+    // its aura up. The tether lets go when either end dies, is reused by the pool or drifts apart.
+    updateTether(dt) {
+        const now = timeManager.now();
+        
+        if (this.tetherTarget && !this.isTetherValid()) {
+            this.releaseTether();
+        }
+        
+        if (!this.tetherTarget || now >= this.nextRetargetAt) {
+            this.nextRetargetAt = now + GAME.SUPPORT_RETARGET_INTERVAL;
+            
+            const patient = this.findMostInjuredAlly();
+            if (patient !== this.tetherTarget) {
+                this.releaseTether();
+                if (patient) {
+                    this.tetherTo(patient);
+                }
+            }
+        }
+        
+        const target = this.tetherTarget;
+        if (!target) return;
+        
+        target.health = Math.min(target.maxHealth, target.health + GAME.SUPPORT_HEAL_RATE * dt);
+        target.auraEndsAt = now + GAME.SUPPORT_AURA_DURATION;
+        
+        this.updateBeam();
+    }
+    
+    // Lowest share of health left among the allies in range, the boss and other supports aside
+    findMostInjuredAlly() {
+        const collisionSystem = this.spawnManager && this.spawnManager.collisionSystem;
+        if (!collisionSystem) return null;
+        
+        let patient = null;
+        let lowestShare = 1;
+        
+        collisionSystem.getEnemiesNear(this.position, GAME.SUPPORT_RANGE).forEach(ally => {
+            if (ally === this || !ally.isActive || ally.isDying || ally.isBlownAway) return;
+            if (ally.type === 'BOSS' || ally.type === 'SUPPORT') return;
+            if (ally.position.distanceTo(this.position) > GAME.SUPPORT_RANGE) return;
+            
+            const share = ally.health / ally.maxHealth;
+            if (share < lowestShare) {
+                lowestShare = share;
+                patient = ally;
+            }
+        });
+        
+        return patient;
+    }
+    
+    isTetherValid() {
+        const target = this.tetherTarget;
+        
+        return target.isActive &&
+            !target.isDying &&
+            !target.isBlownAway &&
+            target.generation === this.tetherGeneration &&
+            target.health < target.maxHealth &&
+            target.position.distanceTo(this.position) <= GAME.SUPPORT_RANGE;
+    }
+    
+    tetherTo(target) {
+        this.tetherTarget = target;
+        this.tetherGeneration = target.generation;
+        
+        // One beam per support enemy, kept across tethers and pool reuse
+        if (!this.beam) {
+            const geometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]);
+            const material = new THREE.LineBasicMaterial({
+                color: COLORS.SUPPORT_BEAM,
+                transparent: true,
+                opacity: 0.8
+            });
+            this.beam = new THREE.Line(geometry, material);
+            this.beam.frustumCulled = false; // Its bounding sphere is never recomputed
+            this.scene.add(this.beam);
+        }
+        this.beam.visible = true;
+    }
+    
+    releaseTether() {
+        this.tetherTarget = null;
+        
+        if (this.beam) {
+            this.beam.visible = false;
+        }
+    }
+    
+    // Stretch the beam from this enemy's chest to the target's, flickering a little
+    updateBeam() {
+        const from = this.mesh.position;
+        const to = this.tetherTarget.mesh.position;
+        const positions = this.beam.geometry.attributes.position;
+        
+        positions.setXYZ(0, from.x, from.y + 0.2, from.z);
+        positions.setXYZ(1, to.x, to.y + 0.2, to.z);
+        positions.needsUpdate = true;
+        
+        this.beam.material.opacity = 0.6 + randomManager.cosmetic.next() * 0.4;
+    }
+    
     // Method to get optimal shooting distance based on enemy type
     getOptimalShootingDistance() {
         switch(this.type) {
@@ -205,12 +634,26 @@ export class Enemy {
                 ; // Chubby enemies prefer to be closer (was 8)
             case 'THIN':
                 return 3; // Thin enemies prefer to stay further away (was 12)
+            case 'EXPLODER':
+                return 0; // Exploders want to be right on top of the player
+            case 'SUPPORT':
+                // Support enemies hang back behind the ones they heal, and drift closer while looking for one
+                return this.tetherTarget ? 8 : 5;
             default: // REGULAR
                 return 3; // Regular enemies maintain a medium distance (was 10)
         }
     }
     
     getMovementBehavior(directionToPlayer, playerPosition, distanceToPlayer, optimalDistance) {
+        // Exploders don't keep their distance, they rush straight in with a little wobble
+        if (this.type === 'EXPLODER') {
+            return directionToPlayer.clone().add(new THREE.Vector3(
+                (randomManager.gameplay.next() - 0.5) * 0.1,
+                0,
+                (randomManager.gameplay.next() - 0.5) * 0.1
+            )).normalize();
+        }
+        
         // Calculate movement direction based on the distance to player
         let finalDirection;
         
@@ -233,7 +676,7 @@ export class Enemy {
             );
             
             // Randomly change strafe direction sometimes
-            if (Math.random() < 0.01) { // 1% chance per frame to change strafe direction
+            if (randomManager.gameplay.next() < 0.01) { // 1% chance per frame to change strafe direction
                 finalDirection.negate();
             }
         }
@@ -243,18 +686,18 @@ export class Enemy {
             case 'CHUBBY':
                 // Chubby enemies are more direct with minimal randomness
                 finalDirection.add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.05,
+                    (randomManager.gameplay.next() - 0.5) * 0.05,
                     0,
-                    (Math.random() - 0.5) * 0.05
+                    (randomManager.gameplay.next() - 0.5) * 0.05
                 ));
                 break;
                 
             case 'THIN':
                 // Thin enemies are more erratic but still maintain distance
                 finalDirection.add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.15,
+                    (randomManager.gameplay.next() - 0.5) * 0.15,
                     0,
-                    (Math.random() - 0.5) * 0.15
+                    (randomManager.gameplay.next() - 0.5) * 0.15
                 ));
                 
                 // Thin enemies have more pronounced strafing behavior
@@ -269,12 +712,22 @@ export class Enemy {
                 }
                 break;
                 
+            case 'SUPPORT':
+                // Follow the ally being healed closely enough to keep the tether
+                if (this.tetherTarget && this.tetherTarget.position.distanceTo(this.position) > GAME.SUPPORT_RANGE * 0.5) {
+                    finalDirection.add(new THREE.Vector3()
+                        .subVectors(this.tetherTarget.position, this.position)
+                        .normalize()
+                        .multiplyScalar(2));
+                }
+                break;
+                
             default: // REGULAR
                 // Regular enemies have moderate randomness
                 finalDirection.add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.1,
+                    (randomManager.gameplay.next() - 0.5) * 0.1,
                     0,
-                    (Math.random() - 0.5) * 0.1
+                    (randomManager.gameplay.next() - 0.5) * 0.1
                 ));
         }
         
@@ -303,9 +756,10 @@ export class Enemy {
         // Exaggerated squash and stretch - scale with movement intensity
         const baseSquashFactor = 0.5;
         const squashFactor = baseSquashFactor * movementIntensity;
-        this.mesh.scale.y = (this.type === 'THIN' ? 1.6 : (this.type === 'CHUBBY' ? 0.8 : (this.type === 'BOSS' ? 3 : 1))) * (1 - jumpHeight * squashFactor);
-        this.mesh.scale.x = (this.type === 'THIN' ? 0.6 : (this.type === 'CHUBBY' ? 1.5 : (this.type === 'BOSS' ? 3 : 1))) * (1 + jumpHeight * squashFactor * 0.5);
-        this.mesh.scale.z = (this.type === 'THIN' ? 0.6 : (this.type === 'CHUBBY' ? 1.5 : (this.type === 'BOSS' ? 3 : 1))) * (1 + jumpHeight * squashFactor * 0.5);
+        const baseScale = this.getBaseScaleByType();
+        this.mesh.scale.y = baseScale.y * (1 - jumpHeight * squashFactor);
+        this.mesh.scale.x = baseScale.xz * (1 + jumpHeight * squashFactor * 0.5);
+        this.mesh.scale.z = baseScale.xz * (1 + jumpHeight * squashFactor * 0.5);
         
         // Add a slight lean in the direction of movement
         if (this.velocity.x !== 0 || this.velocity.z !== 0) {
@@ -331,7 +785,14 @@ export class Enemy {
         });
     }
     
+    // Paint on the enemy, counted in hits: a heavier pellet counts for several paintballs
+    getPaintLoad() {
+        return this.attachedBullets.reduce((load, bulletInfo) => load + bulletInfo.damage, 0);
+    }
+    
     attachBullet(bullet) {
+        const damage = bullet.damage || 1;
+        
         // Generate random offset on enemy's body that takes into account the enemy's shape
         const size = this.getSizeByType();
         const scaleX = this.mesh.scale.x;
@@ -340,9 +801,9 @@ export class Enemy {
         
         // Scale the offsets by the enemy's dimensions
         const randomOffset = new THREE.Vector3(
-            (Math.random() - 0.5) * size * scaleX * 0.8,  // Scale X offset by enemy width
-            (Math.random() - 0.5) * size * scaleY * 0.8 + size * scaleY * 0.5,  // Scale Y offset by enemy height
-            (Math.random() - 0.5) * size * scaleZ * 0.8   // Scale Z offset by enemy depth
+            (randomManager.cosmetic.next() - 0.5) * size * scaleX * 0.8,  // Scale X offset by enemy width
+            (randomManager.cosmetic.next() - 0.5) * size * scaleY * 0.8 + size * scaleY * 0.5,  // Scale Y offset by enemy height
+            (randomManager.cosmetic.next() - 0.5) * size * scaleZ * 0.8   // Scale Z offset by enemy depth
         );
         
         // For OptimizedBullet, we don't need the bullet mesh to be visible
@@ -354,20 +815,22 @@ export class Enemy {
             // Create a local normal (pointing away from the center of the enemy)
             const normal = randomOffset.clone().normalize();
             
-            // Create the impact decal at the hit position
-            bullet.createImpactDecal(hitPosition, normal, this);
+            // Create the impact decal at the hit position, a piercing bullet flies on
+            bullet.createImpactDecal(hitPosition, normal, this, bullet.pierceThrough(this));
             
             // We still need to count this as an attached bullet for the enemy logic
             // even though visually it's a decal
             this.attachedBullets.push({
                 isDecal: true,
-                offset: randomOffset
+                offset: randomOffset,
+                damage
             });
         } else {
             // Regular bullet - store the bullet and its relative position
             this.attachedBullets.push({
                 bullet: bullet,
-                offset: randomOffset
+                offset: randomOffset,
+                damage
             });
             
             // Make bullet look like it's embedded in the enemy - more cube-like but still visible
@@ -377,9 +840,9 @@ export class Enemy {
             if (bullet.mesh) {
                 // Add a slight random rotation for variety
                 bullet.mesh.rotation.set(
-                    Math.random() * Math.PI * 0.5,
-                    Math.random() * Math.PI * 2,
-                    Math.random() * Math.PI * 0.5
+                    randomManager.cosmetic.next() * Math.PI * 0.5,
+                    randomManager.cosmetic.next() * Math.PI * 2,
+                    randomManager.cosmetic.next() * Math.PI * 0.5
                 );
                 bullet.mesh.scale.copy(bulletScale);
                 
@@ -394,54 +857,47 @@ export class Enemy {
         // Create impact effect
         this.createBulletImpactEffect(randomOffset);
         
-        // Reduce health
-        this.takeDamage(1, false); // Don't die yet, just track damage
+        // Reduce health. Only exploders and splitlings can die before the paint piles up, they pop on one hit.
+        this.takeDamage(damage, this.popsOnHit());
         
-        return this.attachedBullets.length;
+        return this.getPaintLoad();
+    }
+    
+    static getHitSplashStats() {
+        return hitSplashPool.getStats();
     }
     
     createBulletImpactEffect(hitOffset) {
-        // Create splash effect geometry
-        const splashGeometry = new THREE.SphereGeometry(0.4, 8, 8);
-        const splashMaterial = new THREE.MeshBasicMaterial({
-            color: COLORS.BULLET,
-            transparent: true,
-            opacity: 1.0,
-            blending: THREE.AdditiveBlending // Make it glow
-        });
+        const effect = hitSplashPool.acquire();
+        if (!effect) return;
         
-        const splash = new THREE.Mesh(splashGeometry, splashMaterial);
+        const { splash, light } = effect;
         splash.position.copy(this.mesh.position).add(hitOffset);
         this.scene.add(splash);
         
-        // Add a point light for glow effect
-        const light = new THREE.PointLight(COLORS.BULLET, 2, 1.5);
         light.position.copy(splash.position);
         this.scene.add(light);
         
         // Store for animation
-        const startTime = Date.now();
+        const startTime = timeManager.now();
         this.hitEffects.push({ splash, light, startTime });
         
         // Animate and remove
         const animateSplash = () => {
-            const elapsed = (Date.now() - startTime) / 1000;
+            const elapsed = (timeManager.now() - startTime) / 1000;
             if (elapsed > 0.4 || !this.isActive) {
-                this.scene.remove(splash);
-                this.scene.remove(light);
-                splashGeometry.dispose();
-                splashMaterial.dispose();
-                this.hitEffects = this.hitEffects.filter(effect => effect.splash !== splash);
+                hitSplashPool.release(effect);
+                this.hitEffects = this.hitEffects.filter(hitEffect => hitEffect.splash !== splash);
                 return;
             }
             
             // Expand and fade
             const scale = 1.0 + elapsed * 4;
             splash.scale.set(scale, scale * 0.3, scale);
-            splashMaterial.opacity = 1.0 - (elapsed / 0.4);
+            splash.material.opacity = 1.0 - (elapsed / 0.4);
             light.intensity = (1.0 - (elapsed / 0.4)) * 2;
             
-            requestAnimationFrame(animateSplash);
+            timeManager.requestAnimationFrame(animateSplash);
         };
         
         animateSplash();
@@ -458,26 +914,25 @@ export class Enemy {
             const originalColor = this.getColorByType();
             this.mesh.material.color.setHex(0xffffff);
             
-            setTimeout(() => {
+            timeManager.setTimeout(() => {
                 if (this.isActive && this.mesh.material) {
                     this.mesh.material.color.setHex(originalColor);
                 }
             }, 120);
         }
         
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             if (this.isActive && !this.isDying) {
                 // Reset to type-specific scaling
-                const baseScale = this.type === 'THIN' ? 0.6 : (this.type === 'CHUBBY' ? 1.5 : 1);
-                const baseYScale = this.type === 'THIN' ? 1.6 : (this.type === 'CHUBBY' ? 0.8 : 1);
-                this.mesh.scale.set(baseScale, baseYScale, baseScale);
+                const baseScale = this.getBaseScaleByType();
+                this.mesh.scale.set(baseScale.xz, baseScale.y, baseScale.xz);
             }
         }, 100);
         
         // Check if enemy should die
         if (canDie && this.health <= 0) {
-            if (this.attachedBullets.length >= 3) {
-                // Start dying animation if we have 3+ paintballs
+            if (this.getPaintLoad() >= 3 || this.type === 'SPLITLING') {
+                // Start dying animation if we have 3+ paintballs, splitlings burst on their one
                 this.startDyingAnimation();
             } else {
                 // Otherwise die immediately
@@ -497,6 +952,7 @@ export class Enemy {
         
         // Stop current movement
         this.velocity.set(0, 0, 0);
+        this.releaseTether();
         
         // Flash enemy white
         if (this.mesh.material) {
@@ -529,7 +985,7 @@ export class Enemy {
         this.scene.add(light);
         
         // Quickly dispose of the enemy after a short delay
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             this.die();
             
             // Animate explosion
@@ -552,7 +1008,7 @@ export class Enemy {
                 explosion.scale.set(scale, scale, scale);
                 light.intensity = opacity * 5;
                 
-                requestAnimationFrame(animateExplosion);
+                timeManager.requestAnimationFrame(animateExplosion);
             };
             
             // Start animation
@@ -560,8 +1016,18 @@ export class Enemy {
         }, 100); // Remove after a very short delay for the white flash
     }
     
+    // How much paint an enemy bursts into when it dies, relative to a regular one
+    getPaintExplosionScale() {
+        switch(this.type) {
+            case 'SPLITTER': return 1.5;
+            case 'SPLITLING': return 0.5;
+            default: return 1;
+        }
+    }
+    
     createPaintExplosion() {
-        const particleCount = 20;
+        const explosionScale = this.getPaintExplosionScale();
+        const particleCount = Math.round(20 * explosionScale);
         const particles = [];
         const size = this.getSizeByType() * 0.3;
         const arenaHalfSize = GAME.ARENA_SIZE / 2;
@@ -581,9 +1047,9 @@ export class Enemy {
             particle.position.copy(this.mesh.position);
             
             // Random direction
-            const angle = Math.random() * Math.PI * 2;
-            const height = Math.random() * 1.0;
-            const speed = 0.05 + Math.random() * 0.1;
+            const angle = randomManager.cosmetic.next() * Math.PI * 2;
+            const height = randomManager.cosmetic.next() * 1.0;
+            const speed = (0.05 + randomManager.cosmetic.next() * 0.1) * explosionScale;
             
             // Store velocity and other properties for animation
             particle.userData = {
@@ -596,8 +1062,8 @@ export class Enemy {
                 lifetime: 1.0,
                 age: 0,
                 bounceCount: 0,
-                elasticity: 0.7 + Math.random() * 0.2,
-                maxBounces: Math.floor(Math.random() * 3) + 1
+                elasticity: 0.7 + randomManager.cosmetic.next() * 0.2,
+                maxBounces: Math.floor(randomManager.cosmetic.next() * 3) + 1
             };
             
             this.scene.add(particle);
@@ -650,7 +1116,7 @@ export class Enemy {
                     }
                     
                     // Add some random variation after bounce
-                    particle.userData.velocity.z += (Math.random() - 0.5) * 0.02;
+                    particle.userData.velocity.z += (randomManager.cosmetic.next() - 0.5) * 0.02;
                 }
                 
                 // Z-axis walls
@@ -667,7 +1133,7 @@ export class Enemy {
                     }
                     
                     // Add some random variation after bounce
-                    particle.userData.velocity.x += (Math.random() - 0.5) * 0.02;
+                    particle.userData.velocity.x += (randomManager.cosmetic.next() - 0.5) * 0.02;
                 }
                 
                 // Floor collision
@@ -697,7 +1163,7 @@ export class Enemy {
             });
             
             if (particles.length > 0) {
-                requestAnimationFrame(animateParticles);
+                timeManager.requestAnimationFrame(animateParticles);
             }
         };
         
@@ -710,14 +1176,44 @@ export class Enemy {
         this.deathTime += dt;
     }
     
-    die() {
+    // Pass the blame for an exploder whose fuse ran out, which the player only gets if they lit it
+    die({ blame = this.isBlownAway ? this.blownAwayBlame : PLAYER_KILL } = {}) {
         if (!this.isActive) return;
         
         this.isActive = false;
         
+        // However an exploder dies, shot, caught in a blast or at the end of its fuse, it goes off
+        if (this.type === 'EXPLODER' && this.spawnManager) {
+            this.spawnManager.spawnBlast(
+                this.position.clone(),
+                GAME.EXPLODER_BLAST_RADIUS,
+                GAME.EXPLODER_BLAST_DAMAGE,
+                this,
+                blame
+            );
+        }
+        
+        // A splitter's children burst out where it died
+        if (this.type === 'SPLITTER' && this.spawnManager) {
+            this.spawnManager.spawnSplitlings(this.position.clone());
+        }
+        
+        this.releaseTether();
+        
+        eventBus.emit(GAME_EVENTS.ENEMY_KILLED, {
+            enemy: this,
+            type: this.type,
+            isBoss: this.type === 'BOSS',
+            position: this.position.clone(),
+            wave: this.spawnManager ? this.spawnManager.waveNumber : 1,
+            grenade: blame.grenade,
+            killedByPlayer: blame.killedByPlayer,
+            summoned: this.summoned
+        });
+        
         // Notify spawn manager that enemy is defeated
         if (this.spawnManager) {
-            this.spawnManager.enemyDefeated();
+            this.spawnManager.enemyDefeated(this);
             
             // Create a ground splat where the enemy died
             if (this.spawnManager.decalManager) {
@@ -774,6 +1270,24 @@ export class Enemy {
                 // Increase collision radius for thin enemies to make them easier to hit
                 scaleFactor = 1.5;
                 break;
+            case 'EXPLODER':
+                // Round and wide
+                scaleFactor = 1.2;
+                break;
+            case 'SHIELDED':
+                scaleFactor = 1.2;
+                break;
+            case 'SPLITTER':
+                scaleFactor = 1.3;
+                break;
+            case 'SPLITLING':
+                // Small and quick, give them some slack
+                scaleFactor = 1.5;
+                break;
+            case 'SUPPORT':
+                // Hangs back, hard to hit from that far without some slack
+                scaleFactor = 1.5;
+                break;
             default: // REGULAR
                 // Use average dimension for regular enemies
                 scaleFactor = 1.0;
@@ -785,10 +1299,11 @@ export class Enemy {
     }
     
     tryShoot(direction) {
-        const now = Date.now();
+        const now = timeManager.now();
         
-        // Check if cooldown has passed
-        if (now - this.lastShotTime < this.shootingCooldown) {
+        // Check if cooldown has passed, a support enemy's aura shortens it
+        const cooldown = this.hasAura() ? this.shootingCooldown / GAME.SUPPORT_AURA_FIRE_RATE : this.shootingCooldown;
+        if (now - this.lastShotTime < cooldown) {
             return;
         }
         
@@ -807,7 +1322,7 @@ export class Enemy {
         }
         
         // 50% chance to shoot when cooldown is ready - adds unpredictability
-        if (Math.random() < 0.5) {
+        if (randomManager.gameplay.next() < 0.5) {
             this.shoot(direction);
             this.lastShotTime = now;
         }
@@ -861,8 +1376,8 @@ export class Enemy {
             }
             
             // Apply randomness to direction
-            adjustedDirection.x += (Math.random() - 0.5) * inaccuracy;
-            adjustedDirection.z += (Math.random() - 0.5) * inaccuracy;
+            adjustedDirection.x += (randomManager.gameplay.next() - 0.5) * inaccuracy;
+            adjustedDirection.z += (randomManager.gameplay.next() - 0.5) * inaccuracy;
             adjustedDirection.normalize();
         }
         
@@ -943,17 +1458,28 @@ export class Enemy {
             flash.scale.set(scale, scale, scale);
             light.intensity = opacity * 3;
             
-            requestAnimationFrame(animateFlash);
+            timeManager.requestAnimationFrame(animateFlash);
         };
         
         animateFlash();
     }
     
     // Add a new method to handle being blown away by grenade
-    blowAway(direction, strength) {
+    blowAway(direction, strength, grenade = null) {
         if (!this.isActive || this.isDying || this.isBlownAway) return;
         
+        // An exploder caught in a blast goes off right after it, setting off the next one
+        if (this.type === 'EXPLODER') {
+            this.lightFuse(GAME.EXPLODER_CHAIN_DELAY, grenade ? grenade.getBlame() : PLAYER_KILL);
+            return;
+        }
+        
         this.isBlownAway = true;
+        this.releaseTether();
+        
+        // Landing kills, the kill goes to this grenade (the player's for shockwaves and boss shots).
+        // Taken now, the pooled grenade may be thrown again before this lands.
+        this.blownAwayBlame = grenade ? grenade.getBlame() : PLAYER_KILL;
         
         // Calculate initial velocity based on direction and strength
         this.blownAwayVelocity = direction.clone().multiplyScalar(strength);
@@ -963,9 +1489,9 @@ export class Enemy {
         
         // Random rotation speed
         this.blownAwayRotation.set(
-            (Math.random() - 0.5) * 10, 
-            (Math.random() - 0.5) * 10,
-            (Math.random() - 0.5) * 10
+            (randomManager.cosmetic.next() - 0.5) * 10, 
+            (randomManager.cosmetic.next() - 0.5) * 10,
+            (randomManager.cosmetic.next() - 0.5) * 10
         );
         
         // Remove death scream - don't play sound for grenade deaths
@@ -1011,19 +1537,31 @@ export class Enemy {
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.speed = this.getSpeedByType();
         this.health = this.getHealthByType();
-        this.jumpTime = Math.random() * 10;
+        this.maxHealth = this.health;
+        this.generation++;
+        this.jumpTime = randomManager.cosmetic.next() * 10;
         this.attachedBullets = [];
         this.isDying = false;
         this.deathTime = 0;
         this.hitEffects = [];
         
         // Generate a new unique ID
-        this.enemyId = Math.floor(Math.random() * 1000000);
+        this.enemyId = Math.floor(randomManager.cosmetic.next() * 1000000);
         
         // Reset blown away state
         this.isBlownAway = false;
+        this.blownAwayBlame = null;
         this.blownAwayVelocity = new THREE.Vector3(0, 0, 0);
         this.blownAwayRotation = new THREE.Vector3(0, 0, 0);
+        this.fuseEndsAt = null;
+        this.fuseBlame = null;
+        this.fuseGlow = null;
+        this.shield = null;
+        this.shieldHealth = type === 'SHIELDED' ? GAME.SHIELD_HITS : 0;
+        this.summoned = false;
+        this.releaseTether();
+        this.nextRetargetAt = 0;
+        this.auraEndsAt = 0;
         
         // Reset shooting properties
         this.lastShotTime = 0;
@@ -1045,6 +1583,7 @@ export class Enemy {
         if (!this.isActive) return;
         
         this.isActive = false;
+        this.releaseTether();
         
         // Remove all attached bullets
         this.attachedBullets.forEach(bulletInfo => {
@@ -1065,13 +1604,17 @@ export class Boss extends Enemy {
         // Call the Enemy constructor with the BOSS type
         super(scene, position, 'BOSS', spawnManager);
         
-        // Override properties specific to the boss
-        this.health = GAME.BOSS_HEALTH;
-        this.shootingCooldown = GAME.BOSS_SHOOTING_COOLDOWN;
+        // Override properties specific to the boss, its health depends on the difficulty
+        this.health = this.getBossHealth();
+        this.maxHealth = this.health;
+        this.name = GAME.BOSS_NAME;
         this.shootingRange = 25; // Larger shooting range
         
-        // Boss-specific properties - only use single attack
-        this.attackPattern = 'SINGLE';
+        // Phase from BOSS_PHASES (boss-phases.js), which sets speed, cooldown and attacks
+        this.enterPhase(0);
+        
+        // The charge in progress, see startCharge()
+        this.charge = null;
         
         // Track shared resources for explosion effects
         this.sharedGeometries = null;
@@ -1106,8 +1649,20 @@ export class Boss extends Enemy {
     update(dt, playerPosition) {
         if (!this.isActive) return;
         
-        // Call the parent update method
-        super.update(dt, playerPosition);
+        // Phases only move forward as health drops
+        const phaseIndex = getBossPhaseIndex(this.health / this.maxHealth);
+        if (phaseIndex > this.phaseIndex && !this.isDying) {
+            this.enterPhase(phaseIndex);
+            this.playPhaseCue();
+        }
+        
+        if (this.charge && !this.isDying && !this.isBlownAway) {
+            this.updateCharge(dt);
+            this.updateAnimation(dt);
+        } else {
+            // Call the parent update method
+            super.update(dt, playerPosition);
+        }
         
         // Update glow effect
         if (this.glow) {
@@ -1121,19 +1676,224 @@ export class Boss extends Enemy {
         }
     }
     
+    // Take on a phase's speed and cooldown. The attacks are picked from it as they come.
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.phase = BOSS_PHASES[index];
+        this.speed = this.getSpeedByType() * this.phase.speed;
+        this.shootingCooldown = GAME.BOSS_SHOOTING_COOLDOWN * this.phase.cooldown;
+    }
+    
+    // Flash, burst and a message when the boss moves on to its next phase, then a beat
+    // before its first attack in it
+    playPhaseCue() {
+        this.lastShotTime = timeManager.now();
+        
+        if (this.mesh.material) {
+            this.mesh.material.color.setHex(0xffffff);
+            timeManager.setTimeout(() => {
+                if (this.isActive && this.mesh.material) {
+                    this.mesh.material.color.setHex(COLORS.ENEMY.BOSS);
+                }
+            }, 200);
+        }
+        this.createEnhancedMuzzleFlash(this.mesh.position.clone(), 2, COLORS.ENEMY.BOSS);
+        this.showBossMessage(this.phase.name, '#ff0000');
+        
+        eventBus.emit(GAME_EVENTS.BOSS_PHASE_CHANGED, {
+            boss: this,
+            phase: this.phaseIndex + 1,
+            name: this.phase.name
+        });
+    }
+    
     tryShoot(direction) {
-        const now = Date.now();
+        const now = timeManager.now();
         
         // Check if enough time has passed since last shot
         if (now - this.lastShotTime < this.shootingCooldown) return;
         
-        // Only use single bullet attack
-        this.shootSingleBullet(direction);
+        this.attack(this.spawnManager.pickWeighted(this.phase.attacks), direction);
         
         this.lastShotTime = now;
     }
     
+    // Carry out one of BOSS_ATTACKS, direction points at the player
+    attack(key, direction) {
+        const attack = BOSS_ATTACKS[key];
+        
+        switch(key) {
+            case 'RING':
+                this.shootRing(direction, attack);
+                break;
+            case 'FAN':
+                this.shootFan(direction, attack);
+                break;
+            case 'BARRAGE':
+                this.shootBarrage(attack);
+                break;
+            case 'CHARGE':
+                this.startCharge(direction, attack);
+                break;
+            case 'SUMMON':
+                this.summonMinions(direction, attack);
+                break;
+            default: // SINGLE
+                this.shootSingleBullet(direction);
+        }
+    }
+    
+    // Bullets evenly around the boss, starting with one at the player
+    shootRing(direction, { bullets }) {
+        const baseAngle = Math.atan2(direction.x, direction.z);
+        
+        for (let i = 0; i < bullets; i++) {
+            const angle = baseAngle + (i / bullets) * Math.PI * 2;
+            this.fireBullet(new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle)), false);
+        }
+        
+        this.createEnhancedMuzzleFlash(this.mesh.position.clone(), 1.2, COLORS.BOSS_BULLET);
+    }
+    
+    shootFan(direction, { bullets, spread }) {
+        const baseAngle = Math.atan2(direction.x, direction.z);
+        
+        for (let i = 0; i < bullets; i++) {
+            const angle = baseAngle - spread / 2 + (bullets > 1 ? spread * i / (bullets - 1) : spread / 2);
+            this.fireBullet(new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle)), i === Math.floor(bullets / 2));
+        }
+    }
+    
+    // Aimed anew before every bullet, so moving keeps the player out of most of it
+    shootBarrage({ bullets, interval, inaccuracy }) {
+        for (let i = 0; i < bullets; i++) {
+            timeManager.setTimeout(() => {
+                if (!this.isActive || this.isDying || this.charge || !this.spawnManager.player) return;
+                
+                const direction = new THREE.Vector3()
+                    .subVectors(this.spawnManager.player.getPosition(), this.position);
+                direction.y = 0;
+                direction.normalize();
+                direction.x += (randomManager.gameplay.next() - 0.5) * inaccuracy;
+                direction.z += (randomManager.gameplay.next() - 0.5) * inaccuracy;
+                
+                this.fireBullet(direction.normalize(), true);
+            }, i * interval);
+        }
+    }
+    
+    // Stand still and mark the lane on the ground, updateCharge() takes it from there
+    startCharge(direction, attack) {
+        const chargeDirection = new THREE.Vector3(direction.x, 0, direction.z).normalize();
+        const length = attack.speed * attack.duration / 1000;
+        
+        const geometry = new THREE.PlaneGeometry(attack.width, length);
+        const material = new THREE.MeshBasicMaterial({
+            color: COLORS.BOSS_CHARGE_WARNING,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide
+        });
+        const marker = new THREE.Mesh(geometry, material);
+        marker.rotation.x = -Math.PI / 2;
+        marker.rotation.z = Math.atan2(chargeDirection.x, chargeDirection.z) + Math.PI;
+        marker.position.set(
+            this.position.x + chargeDirection.x * length / 2,
+            0.03,
+            this.position.z + chargeDirection.z * length / 2
+        );
+        this.scene.add(marker);
+        
+        this.charge = {
+            attack,
+            direction: chargeDirection,
+            marker,
+            isDashing: false,
+            endsAt: timeManager.now() + attack.telegraph,
+            hasHit: false
+        };
+        
+        this.mesh.rotation.y = Math.atan2(chargeDirection.x, chargeDirection.z);
+        this.audioManager.playSound('BOSS_CHARGE', 'C3');
+    }
+    
+    updateCharge(dt) {
+        const charge = this.charge;
+        const now = timeManager.now();
+        
+        if (!charge.isDashing) {
+            // The warning blinks faster as the charge gets closer
+            const left = Math.max(0, charge.endsAt - now) / charge.attack.telegraph;
+            charge.marker.material.opacity = 0.25 + 0.25 * Math.abs(Math.sin((1 - left) * (1 - left) * 20));
+            
+            if (now >= charge.endsAt) {
+                charge.isDashing = true;
+                charge.endsAt = now + charge.attack.duration;
+                charge.marker.material.opacity = 0.6;
+            }
+            this.velocity.set(0, 0, 0);
+            return;
+        }
+        
+        // Charge down the lane, stopping at the arena's edge
+        const halfSize = GAME.ARENA_SIZE / 2 - 1;
+        this.velocity.copy(charge.direction).multiplyScalar(charge.attack.speed * dt);
+        this.mesh.position.x = THREE.MathUtils.clamp(this.mesh.position.x + this.velocity.x, -halfSize, halfSize);
+        this.mesh.position.z = THREE.MathUtils.clamp(this.mesh.position.z + this.velocity.z, -halfSize, halfSize);
+        this.position.x = this.mesh.position.x;
+        this.position.z = this.mesh.position.z;
+        
+        const player = this.spawnManager.player;
+        if (!charge.hasHit && player && player.getPosition().distanceTo(this.position) < charge.attack.hitRadius + player.getBoundingRadius()) {
+            charge.hasHit = true;
+            player.takeDamage(charge.attack.damage);
+        }
+        
+        if (now >= charge.endsAt) {
+            this.endCharge();
+        }
+    }
+    
+    endCharge() {
+        if (!this.charge) return;
+        
+        this.scene.remove(this.charge.marker);
+        this.charge.marker.geometry.dispose();
+        this.charge.marker.material.dispose();
+        this.charge = null;
+    }
+    
+    // Minions from the enemy pool around the boss, in the direction of the player first
+    summonMinions(direction, { count, type, distance, maxEnemies }) {
+        const room = maxEnemies - this.spawnManager.activeEnemies.filter(enemy => enemy !== this).length;
+        if (room <= 0) {
+            this.shootSingleBullet(direction);
+            return;
+        }
+        
+        const halfSize = GAME.ARENA_SIZE / 2 - 1;
+        const baseAngle = Math.atan2(direction.x, direction.z);
+        const summoned = Math.min(count, room);
+        
+        for (let i = 0; i < summoned; i++) {
+            const angle = baseAngle + (i / summoned) * Math.PI * 2;
+            const position = new THREE.Vector3(
+                THREE.MathUtils.clamp(this.position.x + Math.sin(angle) * distance, -halfSize, halfSize),
+                0,
+                THREE.MathUtils.clamp(this.position.z + Math.cos(angle) * distance, -halfSize, halfSize)
+            );
+            if (!this.spawnManager.enemyPool.hasFreeSlot()) break;
+            this.spawnManager.addEnemy(position, type, true);
+            this.createEnhancedMuzzleFlash(position.setY(0.5), 0.8, COLORS.ENEMY.BOSS);
+        }
+    }
+    
     shootSingleBullet(direction) {
+        this.fireBullet(direction, true);
+    }
+    
+    // One BossBullet from the boss's edge in the given direction
+    fireBullet(direction, withFlash) {
         // Create bullet position
         const bulletPosition = this.position.clone();
         bulletPosition.y = SIZES.PLAYER / 2;
@@ -1162,7 +1922,9 @@ export class Boss extends Enemy {
         }
         
         // Play a muzzle flash effect
-        this.createEnhancedMuzzleFlash(bulletPosition);
+        if (withFlash) {
+            this.createEnhancedMuzzleFlash(bulletPosition);
+        }
     }
     
     createEnhancedMuzzleFlash(position, size = 0.4, color = 0xffff00) {
@@ -1204,7 +1966,7 @@ export class Boss extends Enemy {
             flash.scale.set(scale, scale, scale);
             light.intensity = opacity * 5;
             
-            requestAnimationFrame(animateFlash);
+            timeManager.requestAnimationFrame(animateFlash);
         };
         
         animateFlash();
@@ -1213,6 +1975,8 @@ export class Boss extends Enemy {
     die() {
         if (!this.isActive) return;
         
+        this.endCharge();
+        
         // Create a single dramatic expanding sphere blast
         this.createBossDeathBlast();
         
@@ -1257,7 +2021,7 @@ export class Boss extends Enemy {
         
         for (let i = 0; i < debrisCount; i++) {
             // Use shared geometries if available, otherwise create a new one
-            const geometry = geometryOptions[Math.floor(Math.random() * geometryOptions.length)];
+            const geometry = geometryOptions[Math.floor(randomManager.cosmetic.next() * geometryOptions.length)];
             
             const debrisMaterial = new THREE.MeshBasicMaterial({
                 color: COLORS.ENEMY.BOSS,
@@ -1270,22 +2034,22 @@ export class Boss extends Enemy {
             
             // Random initial rotation
             debris.rotation.set(
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2
+                randomManager.cosmetic.next() * Math.PI * 2,
+                randomManager.cosmetic.next() * Math.PI * 2,
+                randomManager.cosmetic.next() * Math.PI * 2
             );
             
             // Random velocity and rotation speed
             debris.userData = {
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.2, // Less spread
-                    Math.random() * 0.3 + 0.2,   // Less upward velocity
-                    (Math.random() - 0.5) * 0.2
+                    (randomManager.cosmetic.next() - 0.5) * 0.2, // Less spread
+                    randomManager.cosmetic.next() * 0.3 + 0.2,   // Less upward velocity
+                    (randomManager.cosmetic.next() - 0.5) * 0.2
                 ),
                 rotationSpeed: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.1, // Slower rotation
-                    (Math.random() - 0.5) * 0.1,
-                    (Math.random() - 0.5) * 0.1
+                    (randomManager.cosmetic.next() - 0.5) * 0.1, // Slower rotation
+                    (randomManager.cosmetic.next() - 0.5) * 0.1,
+                    (randomManager.cosmetic.next() - 0.5) * 0.1
                 ),
                 gravity: 0.01,
                 bounceCount: 0,
@@ -1299,11 +2063,11 @@ export class Boss extends Enemy {
         // Animate the blast and debris
         let time = 0;
         const blastDuration = 1000; // ms
-        let lastTime = performance.now();
+        let lastTime = timeManager.now();
         let animationId;
         
         const animateBlast = () => {
-            const now = performance.now();
+            const now = timeManager.now();
             const deltaTime = Math.min(now - lastTime, 33); // Cap at ~30fps for performance
             lastTime = now;
             
@@ -1355,7 +2119,7 @@ export class Boss extends Enemy {
                     debris.material.opacity = 0.9 * (1 - fadeProgress);
                 });
                 
-                animationId = requestAnimationFrame(animateBlast);
+                animationId = timeManager.requestAnimationFrame(animateBlast);
             } else {
                 // Clean up
                 this.scene.remove(blast);
@@ -1376,23 +2140,27 @@ export class Boss extends Enemy {
                 
                 // Cancel animation frame if needed
                 if (animationId) {
-                    cancelAnimationFrame(animationId);
+                    timeManager.cancelAnimationFrame(animationId);
                 }
             }
         };
         
-        animationId = requestAnimationFrame(animateBlast);
+        animationId = timeManager.requestAnimationFrame(animateBlast);
     }
     
     showBossDefeatedMessage() {
+        this.showBossMessage('BOSS DEFEATED!', '#ffaa00');
+    }
+    
+    showBossMessage(text, color) {
         // Create a message element
         const message = document.createElement('div');
-        message.textContent = 'BOSS DEFEATED!';
+        message.textContent = text;
         message.style.position = 'fixed';
         message.style.top = '50%';
         message.style.left = '50%';
         message.style.transform = 'translate(-50%, -50%)';
-        message.style.color = '#ffaa00';
+        message.style.color = color;
         message.style.fontSize = '48px';
         message.style.fontFamily = '"Press Start 2P", cursive';
         message.style.textShadow = '0 0 10px #880088, 0 0 20px #880088';
@@ -1403,28 +2171,38 @@ export class Boss extends Enemy {
         document.body.appendChild(message);
         
         // Fade in
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             message.style.opacity = '1';
         }, 100);
         
         // Remove after a few seconds
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             message.style.opacity = '0';
-            setTimeout(() => {
+            timeManager.setTimeout(() => {
                 document.body.removeChild(message);
             }, 500);
         }, 3000);
     }
     
+    deactivate() {
+        this.endCharge();
+        super.deactivate();
+    }
+    
+    getBossHealth() {
+        return this.spawnManager ? this.spawnManager.difficulty.bossHealth : GAME.BOSS_HEALTH;
+    }
+    
     // Override reset method to properly handle boss-specific properties
     reset(position) {
         // Call parent reset method with BOSS type
         super.reset(position, 'BOSS');
         
         // Reset boss-specific properties
-        this.health = GAME.BOSS_HEALTH;
-        this.shootingCooldown = GAME.BOSS_SHOOTING_COOLDOWN;
-        this.attackPattern = 'SINGLE';
+        this.health = this.getBossHealth();
+        this.maxHealth = this.health;
+        this.endCharge();
+        this.enterPhase(0);
         
         // Add back the boss emblem
         this.addBossEmblem();
@@ -1437,68 +2215,70 @@ export class EnemyPool {
     constructor(scene, spawnManager) {
         this.scene = scene;
         this.spawnManager = spawnManager;
-        this.pool = [];
         this.poolSize = 20; // Initial pool size
-        this.activeEnemies = [];
+        this.maxSize = 50; // Cap at 50 total enemies
+        
+        // When the cap is hit there's no new enemy: taking over one on the field would remove it
+        // without a kill, so spawners check hasFreeSlot() and wait or skip instead
+        this.pool = new ObjectPool({
+            name: 'enemies',
+            create: () => this.createEnemy(),
+            reset: (enemy, position, type) => enemy.reset(position, type),
+            release: enemy => enemy.deactivate(),
+            dispose: enemy => this.disposeEnemy(enemy),
+            initialSize: this.poolSize,
+            maxSize: this.maxSize,
+            overflow: POOL_OVERFLOW.DROP
+        });
         
-        // Initialize the pool
-        this.initPool();
+        // Shared with the spawn manager, which also adds bosses here. Bosses aren't pooled,
+        // they just ride along in the active list until they are released.
+        this.activeEnemies = this.pool.active;
     }
     
-    initPool() {
-        for (let i = 0; i < this.poolSize; i++) {
-            // Create an enemy at a default position
-            const enemy = new Enemy(
-                this.scene, 
-                new THREE.Vector3(0, -100, 0), // Hidden position
-                'REGULAR', 
-                this.spawnManager
-            );
-            
-            // Deactivate immediately
-            enemy.deactivate();
-            
-            // Add to pool
-            this.pool.push(enemy);
+    createEnemy() {
+        // Create an enemy at a default position
+        const enemy = new Enemy(
+            this.scene, 
+            new THREE.Vector3(0, -100, 0), // Hidden position
+            'REGULAR', 
+            this.spawnManager
+        );
+        
+        // Deactivate immediately
+        enemy.deactivate();
+        
+        return enemy;
+    }
+    
+    disposeEnemy(enemy) {
+        if (enemy.mesh) {
+            this.scene.remove(enemy.mesh);
+            enemy.mesh.geometry.dispose();
+            enemy.mesh.material.dispose();
+        }
+        if (enemy.beam) {
+            this.scene.remove(enemy.beam);
+            enemy.beam.geometry.dispose();
+            enemy.beam.material.dispose();
         }
     }
     
     getEnemy(position, type = 'REGULAR') {
-        // Try to get an enemy from the pool
-        let enemy = this.pool.find(e => !e.isActive);
-        
-        // If no enemy is available, create a new one or grow the pool
-        if (!enemy) {
-            if (this.pool.length + this.activeEnemies.length < 50) { // Cap at 50 total enemies
-
-                enemy = new Enemy(this.scene, position, type, this.spawnManager);
-            } else {
-                // Take the oldest enemy from active enemies
-                enemy = this.activeEnemies.shift();
-            }
-        } else {
-            // Remove from pool
-            this.pool.splice(this.pool.indexOf(enemy), 1);
-        }
-        
-        // Reset and reposition the enemy
-        enemy.reset(position, type);
-        
-        // Add to active enemies
-        this.activeEnemies.push(enemy);
-        
-        return enemy;
+        return this.pool.acquire(position, type);
+    }
+    
+    // Whether getEnemy() would hand out an enemy rather than null
+    hasFreeSlot() {
+        return this.pool.hasRoom();
     }
     
     recycleEnemy(enemy) {
-        // Remove from active enemies
-        const index = this.activeEnemies.indexOf(enemy);
-        if (index !== -1) {
-            this.activeEnemies.splice(index, 1);
-        }
-        
-        // Add back to pool
-        this.pool.push(enemy);
+        this.pool.release(enemy);
+    }
+    
+    getStats() {
+        return this.pool.getStats();
     }
     
     update(dt, playerPosition) {
@@ -1516,17 +2296,25 @@ export class EnemyPool {
         return this.activeEnemies;
     }
     
-    cleanup() {
-        // Properly dispose of all enemies
-        [...this.pool, ...this.activeEnemies].forEach(enemy => {
-            if (enemy.mesh) {
-                this.scene.remove(enemy.mesh);
-                enemy.mesh.geometry.dispose();
-                enemy.mesh.material.dispose();
+    // Return every active enemy to the pool. Bosses aren't pooled, so they are removed instead.
+    reset() {
+        const bosses = this.activeEnemies.filter(enemy => enemy instanceof Boss);
+        
+        this.pool.releaseAll();
+        
+        bosses.forEach(boss => {
+            if (boss.mesh) {
+                this.scene.remove(boss.mesh);
             }
         });
+    }
+    
+    cleanup() {
+        // Properly dispose of all enemies
+        this.activeEnemies
+            .filter(enemy => enemy instanceof Boss)
+            .forEach(boss => this.disposeEnemy(boss));
         
-        this.pool = [];
-        this.activeEnemies = [];
+        this.pool.dispose();
     }
-} 
\ No newline at end of file
+}
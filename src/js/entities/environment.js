@@ -1,4 +1,5 @@
 import * as THREE from 'three';import { COLORS, SIZES, GAME } from '../utils/constants.js';import { TextLabel } from '../utils/text-label.js';
+import { randomManager } from '../utils/random-manager.js';
 
 export class Ground {
     constructor(scene) {
@@ -41,11 +42,11 @@ export class Obstacle {
         
         for (let i = 0; i < numBlades; i++) {
             // Random position within the obstacle's area
-            const xOffset = (Math.random() - 0.5) * this.width * 0.9;
-            const zOffset = (Math.random() - 0.5) * this.depth * 0.9;
+            const xOffset = (randomManager.cosmetic.next() - 0.5) * this.width * 0.9;
+            const zOffset = (randomManager.cosmetic.next() - 0.5) * this.depth * 0.9;
             
             // Random height variation (70% to 110% of base height)
-            const bladeHeight = this.height * (0.7 + Math.random() * 0.4);
+            const bladeHeight = this.height * (0.7 + randomManager.cosmetic.next() * 0.4);
             
             // Create a thin, tall pyramid for each blade
             const geometry = new THREE.ConeGeometry(
@@ -56,7 +57,7 @@ export class Obstacle {
             
             // Random color from our green palette
             const material = new THREE.MeshBasicMaterial({ 
-                color: colors[Math.floor(Math.random() * colors.length)]
+                color: colors[Math.floor(randomManager.cosmetic.next() * colors.length)]
             });
             
             const blade = new THREE.Mesh(geometry, material);
@@ -65,8 +66,8 @@ export class Obstacle {
             blade.position.set(xOffset, bladeHeight / 2, zOffset);
             
             // Rotate to point upward with slight variations
-            blade.rotation.y = Math.random() * Math.PI * 2; // Random rotation around y
-            blade.rotation.z = (Math.random() - 0.5) * 0.3; // More pronounced tilt
+            blade.rotation.y = randomManager.cosmetic.next() * Math.PI * 2; // Random rotation around y
+            blade.rotation.z = (randomManager.cosmetic.next() - 0.5) * 0.3; // More pronounced tilt
             
             this.group.add(blade);
         }
@@ -141,7 +142,7 @@ export class AmmoPack {
         this.rotationSpeed = 0.05; // Faster rotation
         this.bounceSpeed = 3; // Faster bounce
         this.bounceHeight = 0.4; // Higher bounce
-        this.bounceTime = Math.random() * Math.PI * 2; // Random starting phase
+        this.bounceTime = randomManager.cosmetic.next() * Math.PI * 2; // Random starting phase
         this.ammoAmount = ammoAmount; // Use the passed value (default 60)
         this.baseHeight = 0.5; // Base floating height above ground (increased from 0)
         
@@ -231,7 +232,7 @@ export class AmmoPack {
         this.scene.add(this.arrow);
         
         // Add text label with fixed position in screen space
-        this.label = new TextLabel(
+        this.label = TextLabel.acquire(
             this.scene, 
             `AMMO ×${this.ammoAmount}`, // Show ammo amount in label
             this.position, 
@@ -279,6 +280,15 @@ export class AmmoPack {
     pickup() {
         if (!this.isActive) return 0;
         
+        this.remove();
+        
+        return this.ammoAmount;
+    }
+    
+    // Take the pack out of the scene without collecting it
+    remove() {
+        if (!this.isActive) return;
+        
         this.isActive = false;
         this.scene.remove(this.group);
         this.scene.remove(this.light);
@@ -287,7 +297,8 @@ export class AmmoPack {
         
         // Remove the label
         if (this.label) {
-            this.label.remove();
+            this.label.release();
+            this.label = null;
         }
         
         // Clean up materials and geometries
@@ -297,10 +308,6 @@ export class AmmoPack {
         });
         this.arrow.geometry.dispose();
         this.arrow.material.dispose();
-        
-        this.audioManager.playPickup('ammo');
-        
-        return this.ammoAmount;
     }
     
     getPosition() {
@@ -321,7 +328,7 @@ export class EnergyPack {
         this.rotationSpeed = 0.04; // Slightly faster rotation
         this.bounceSpeed = 2.5;    // Slightly faster bounce
         this.bounceHeight = 0.25;  // Higher bounce
-        this.bounceTime = Math.random() * Math.PI * 2; // Random starting phase
+        this.bounceTime = randomManager.cosmetic.next() * Math.PI * 2; // Random starting phase
         this.energyAmount = GAME.ENERGY_AMOUNT;
         this.baseHeight = 0.5; // Base floating height above ground (new)
         
@@ -360,7 +367,7 @@ export class EnergyPack {
         this.scene.add(this.arrow);
         
         // Add text label with fixed position in screen space
-        this.label = new TextLabel(
+        this.label = TextLabel.acquire(
             this.scene, 
             'LIFE', 
             this.position, 
@@ -406,6 +413,15 @@ export class EnergyPack {
     pickup() {
         if (!this.isActive) return 0;
         
+        this.remove();
+        
+        return this.energyAmount;
+    }
+    
+    // Take the pack out of the scene without collecting it
+    remove() {
+        if (!this.isActive) return;
+        
         this.isActive = false;
         
         // Remove mesh and light
@@ -415,7 +431,8 @@ export class EnergyPack {
         
         // Remove the label
         if (this.label) {
-            this.label.remove();
+            this.label.release();
+            this.label = null;
         }
         
         // Clean up materials and geometries
@@ -425,11 +442,6 @@ export class EnergyPack {
             this.arrow.geometry.dispose();
             this.arrow.material.dispose();
         }
-        
-        // Play pickup sound
-        this.audioManager.playPickup('energy');
-        
-        return this.energyAmount;
     }
     
     getPosition() {
@@ -466,15 +478,15 @@ export class Rock {
         mainRock.position.y = this.size * 0.25;
         
         // Randomly rotate for variety
-        mainRock.rotation.x = Math.random() * Math.PI;
-        mainRock.rotation.y = Math.random() * Math.PI;
-        mainRock.rotation.z = Math.random() * Math.PI;
+        mainRock.rotation.x = randomManager.gameplay.next() * Math.PI;
+        mainRock.rotation.y = randomManager.gameplay.next() * Math.PI;
+        mainRock.rotation.z = randomManager.gameplay.next() * Math.PI;
         
         this.group.add(mainRock);
         
         // Add some smaller rocks around the main one
         for (let i = 0; i < 3; i++) {
-            const smallRockSize = this.size * (0.2 + Math.random() * 0.3);
+            const smallRockSize = this.size * (0.2 + randomManager.gameplay.next() * 0.3);
             const smallRockGeometry = new THREE.DodecahedronGeometry(smallRockSize, 0);
             const smallRockMaterial = new THREE.MeshBasicMaterial({ 
                 color: 0x6A6A6A // Slightly darker gray
@@ -483,7 +495,7 @@ export class Rock {
             const smallRock = new THREE.Mesh(smallRockGeometry, smallRockMaterial);
             
             // Position around the main rock
-            const angle = Math.random() * Math.PI * 2;
+            const angle = randomManager.gameplay.next() * Math.PI * 2;
             const distance = this.size * 0.4;
             smallRock.position.set(
                 Math.cos(angle) * distance,
@@ -492,9 +504,9 @@ export class Rock {
             );
             
             // Random rotation
-            smallRock.rotation.x = Math.random() * Math.PI;
-            smallRock.rotation.y = Math.random() * Math.PI;
-            smallRock.rotation.z = Math.random() * Math.PI;
+            smallRock.rotation.x = randomManager.gameplay.next() * Math.PI;
+            smallRock.rotation.y = randomManager.gameplay.next() * Math.PI;
+            smallRock.rotation.z = randomManager.gameplay.next() * Math.PI;
             
             this.group.add(smallRock);
         }
@@ -554,18 +566,18 @@ export class FlowerPatch {
         
         // Add several flowers
         const flowerColors = [0xFFB6C1, 0xFF69B4, 0xFFA500, 0xFFFF00, 0xFFFFFF];
-        const numFlowers = 8 + Math.floor(Math.random() * 7); // 8-14 flowers
+        const numFlowers = 8 + Math.floor(randomManager.cosmetic.next() * 7); // 8-14 flowers
         
         for (let i = 0; i < numFlowers; i++) {
             // Create flower stem
-            const stemHeight = 0.3 + Math.random() * 0.3;
+            const stemHeight = 0.3 + randomManager.cosmetic.next() * 0.3;
             const stemGeometry = new THREE.CylinderGeometry(0.02, 0.02, stemHeight, 5);
             const stemMaterial = new THREE.MeshBasicMaterial({ color: 0x3a6b39 });
             const stem = new THREE.Mesh(stemGeometry, stemMaterial);
             
             // Position stem
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * (this.size * 0.5);
+            const angle = randomManager.cosmetic.next() * Math.PI * 2;
+            const distance = randomManager.cosmetic.next() * (this.size * 0.5);
             stem.position.set(
                 Math.cos(angle) * distance,
                 stemHeight / 2,
@@ -573,7 +585,7 @@ export class FlowerPatch {
             );
             
             // Create flower head
-            const flowerColor = flowerColors[Math.floor(Math.random() * flowerColors.length)];
+            const flowerColor = flowerColors[Math.floor(randomManager.cosmetic.next() * flowerColors.length)];
             const flowerGeometry = new THREE.ConeGeometry(0.15, 0.1, 6, 1, true);
             const flowerMaterial = new THREE.MeshBasicMaterial({ color: flowerColor });
             const flower = new THREE.Mesh(flowerGeometry, flowerMaterial);
@@ -591,8 +603,8 @@ export class FlowerPatch {
             stem.add(flower);
             
             // Add slight random tilt
-            stem.rotation.x = (Math.random() - 0.5) * 0.2;
-            stem.rotation.z = (Math.random() - 0.5) * 0.2;
+            stem.rotation.x = (randomManager.cosmetic.next() - 0.5) * 0.2;
+            stem.rotation.z = (randomManager.cosmetic.next() - 0.5) * 0.2;
             
             this.group.add(stem);
         }
@@ -650,8 +662,8 @@ export class Stump {
             const moss = new THREE.Mesh(mossGeometry, mossMaterial);
             
             // Position moss on the side of the stump
-            const angle = Math.random() * Math.PI * 2;
-            const height = Math.random() * this.size * 0.5;
+            const angle = randomManager.cosmetic.next() * Math.PI * 2;
+            const height = randomManager.cosmetic.next() * this.size * 0.5;
             moss.position.set(
                 Math.cos(angle) * this.size * 0.45,
                 height,
@@ -699,16 +711,16 @@ export class SmallRocks {
         this.group.position.copy(this.position);
         
         // Create multiple small rocks of different sizes
-        const numRocks = 8 + Math.floor(Math.random() * 6); // 8-13 rocks
+        const numRocks = 8 + Math.floor(randomManager.gameplay.next() * 6); // 8-13 rocks
         const rockColors = [0x7D7D7D, 0x6A6A6A, 0x555555, 0x8B8B8B, 0x999999]; // Various gray tones
         
         for (let i = 0; i < numRocks; i++) {
             // Scale for this rock
-            const scale = 0.3 + Math.random() * 0.4; // Smaller than mushrooms
+            const scale = 0.3 + randomManager.gameplay.next() * 0.4; // Smaller than mushrooms
             
             // Choose a random geometry for variety
             let geometry;
-            const geomType = Math.floor(Math.random() * 4);
+            const geomType = Math.floor(randomManager.gameplay.next() * 4);
             
             if (geomType === 0) {
                 // Dodecahedron for angular rocks
@@ -728,13 +740,13 @@ export class SmallRocks {
             }
             
             // Pick a random rock color
-            const rockColor = rockColors[Math.floor(Math.random() * rockColors.length)];
+            const rockColor = rockColors[Math.floor(randomManager.gameplay.next() * rockColors.length)];
             const material = new THREE.MeshBasicMaterial({ color: rockColor });
             const rock = new THREE.Mesh(geometry, material);
                     
             // Position rock within cluster area
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * (this.size * 0.5);
+            const angle = randomManager.gameplay.next() * Math.PI * 2;
+            const distance = randomManager.gameplay.next() * (this.size * 0.5);
             rock.position.set(
                 Math.cos(angle) * distance,
                 scale * 0.08, // Just slightly above ground
@@ -742,9 +754,9 @@ export class SmallRocks {
             );
             
             // Random rotation for natural look
-            rock.rotation.x = Math.random() * Math.PI * 2;
-            rock.rotation.y = Math.random() * Math.PI * 2;
-            rock.rotation.z = Math.random() * Math.PI * 2;
+            rock.rotation.x = randomManager.gameplay.next() * Math.PI * 2;
+            rock.rotation.y = randomManager.gameplay.next() * Math.PI * 2;
+            rock.rotation.z = randomManager.gameplay.next() * Math.PI * 2;
             
             this.group.add(rock);
         }
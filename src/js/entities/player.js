@@ -1,6 +1,10 @@
 import * as THREE from 'three';
-import * as Tone from 'tone';
 import { COLORS, SIZES, GAME } from '../utils/constants.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { ObjectPool, POOL_OVERFLOW } from '../utils/object-pool.js';
+import { WEAPONS, AMMO_TYPES, STARTING_WEAPONS, createStartingAmmo } from '../utils/weapons.js';
 
 export class Player {
     constructor(scene, audioManager) {
@@ -14,11 +18,26 @@ export class Player {
         this.stepTime = 0;
         this.stepDirection = 1; // 1 for right foot, -1 for left foot
         this.movementIntensity = 0; // How fast player is moving (0-1)
-        this.ammo = GAME.AMMO_COUNT;
-        this.maxAmmo = GAME.MAX_AMMO;
         this.isReloading = false;
         this.lastShotTime = 0;
-        this.fireRate = 100; // milliseconds between shots
+        
+        // Seconds the player has been updated for, counted with the unscaled delta. Bullet time
+        // slows the world, not the player: dashes, fire cadence and reloads are timed on this
+        // clock (see the clock getter) instead of the game clock.
+        this.elapsedTime = 0;
+        
+        // Weapon slots, picked with the number keys or cycled with the mouse wheel.
+        // Each weapon has its own magazine (this.ammo for the one in hand), loaded from
+        // a reserve kept per ammo type (this.reserveAmmo).
+        this.weapons = STARTING_WEAPONS.map(id => WEAPONS[id]);
+        this.weaponIndex = 0;
+        this.ammoByType = createStartingAmmo();
+        this.magazines = {};
+        this.weapons.forEach(weapon => this.loadMagazine(weapon));
+        
+        // Player clock times of the reload in progress
+        this.reloadStartTime = 0;
+        this.reloadEndTime = 0;
         this.grenades = 3; // Start with 3 grenades
         this.maxGrenades = 3; // Maximum grenades player can hold
         this.lastGrenadeTime = 0; // Initialize to 0 to ensure first grenade can be thrown
@@ -35,25 +54,41 @@ export class Player {
         this.gunHolsterSpeed = 0.1; // Speed of holstering animation
         
         // FORCE INITIALIZE lastGrenadeTime to avoid any cooldown issues
-        this.lastGrenadeTime = Date.now() - 3000; // Set to 3 seconds ago so first grenade can be thrown immediately
+        this.lastGrenadeTime = timeManager.now() - 3000; // Set to 3 seconds ago so first grenade can be thrown immediately
         
         this.debugMode = true; // Enable debug visuals
         
         // Health system
         this.maxHealth = 100;
         this.currentHealth = this.maxHealth;
+        this.damageTakenMultiplier = 1; // Set by the simulation from the run's difficulty
         this.isInvulnerable = false;
         this.invulnerabilityTime = 1000; // 1 second of invulnerability after being hit
         this.lastHitTime = 0;
         
+        // Energy, spent on abilities (see AbilitySystem) and slowly regained
+        this.maxEnergy = GAME.MAX_ENERGY;
+        this.energy = this.maxEnergy;
+        
+        // Dash in progress, times are on the player clock
+        this.dashDirection = new THREE.Vector3();
+        this.dashSpeed = 0;
+        this.dashEndTime = 0;
+        this.dashInvulnerableUntil = 0;
+        this.isDashFlashing = false;
+        
         // For debugging rotation
         this.debugArrow = null;
         this.lastMouseIntersection = new THREE.Vector3(); // Store the last mouse intersection point
         
         this.movementPenalty = 1.0; // Default to full speed
         
+        // Multipliers bought in the upgrade shop, they last until the run ends
+        this.modifiers = this.createModifiers();
+        
         // Create player mesh first
         this.createPlayerMesh();
+        this.createMuzzleFlashPool();
         
         // Now create health bar after body exists
         this.createHealthBar();
@@ -94,7 +129,7 @@ export class Player {
         this.position.copy(this.group.position);
         
         // Initialize animation variables
-        this.jumpTime = Math.random() * 10; // Randomize jump animation phase
+        this.jumpTime = randomManager.cosmetic.next() * 10; // Randomize jump animation phase
     }
     
     createHealthBar() {
@@ -156,17 +191,30 @@ export class Player {
     }
     
     takeDamage(amount) {
-        const now = Date.now();
+        // Nothing left to hit once dead, and die() must only run once
+        if (this.isDead) return;
+        
+        const now = timeManager.now();
         if (this.isInvulnerable && now - this.lastHitTime < this.invulnerabilityTime) {
             return; // Still invulnerable
         }
+        if (this.clock < this.dashInvulnerableUntil) {
+            return; // Dashing through it
+        }
         
-        this.currentHealth = Math.max(0, this.currentHealth - amount);
+        const healthBefore = this.currentHealth;
+        this.currentHealth = Math.max(0, this.currentHealth - amount * this.damageTakenMultiplier);
         this.updateHealthBar();
         
+        eventBus.emit(GAME_EVENTS.PLAYER_DAMAGED, {
+            amount: healthBefore - this.currentHealth,
+            health: this.currentHealth,
+            maxHealth: this.maxHealth
+        });
+        
         // Visual feedback
         this.body.material.color.setHex(0xff0000);
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             this.body.material.color.setHex(COLORS.PLAYER);
         }, 100);
         
@@ -183,6 +231,8 @@ export class Player {
     die() {
         this.isDead = true; // Set isDead flag when player dies
         
+        eventBus.emit(GAME_EVENTS.PLAYER_DIED, { position: this.position.clone() });
+        
         // Create a game over message
         const gameOverMsg = document.createElement('div');
         gameOverMsg.style.position = 'fixed';
@@ -197,6 +247,20 @@ export class Player {
         gameOverMsg.textContent = 'GAME OVER';
         document.body.appendChild(gameOverMsg);
         
+        // Show the run seed so the run can be replayed with ?seed=
+        const seedMsg = document.createElement('div');
+        seedMsg.style.position = 'fixed';
+        seedMsg.style.top = '55.5%';
+        seedMsg.style.left = '50%';
+        seedMsg.style.transform = 'translate(-50%, -50%)';
+        seedMsg.style.color = '#ffffff';
+        seedMsg.style.fontSize = '12px';
+        seedMsg.style.fontFamily = '"Press Start 2P", cursive';
+        seedMsg.style.textShadow = '2px 2px 0 #000';
+        seedMsg.style.zIndex = '1000';
+        seedMsg.textContent = `SEED ${randomManager.seed}`;
+        document.body.appendChild(seedMsg);
+        
         // Create pixel art style restart button
         const restartBtn = document.createElement('button');
         restartBtn.textContent = 'RESTART GAME';
@@ -274,35 +338,36 @@ export class Player {
         buttonShadow.style.zIndex = '999';  // Below the button
         document.body.appendChild(buttonShadow);
         
+        // Keep track of the game over UI so a restart can remove it
+        this.gameOverElements = [gameOverMsg, seedMsg, restartBtn, buttonShadow];
+        
         // Add click handler
         restartBtn.onclick = async () => {
+            // Prevent multiple clicks
+            restartBtn.onclick = null;
+            
             try {
-                // Make sure audio context is running
-                await Tone.start();
-                
-                // Play descending notes before reload
-                const synth = new Tone.Synth({
-                    oscillator: { type: "square" },
-                    envelope: { attack: 0.01, decay: 0.2, sustain: 0.2, release: 0.2 }
-                }).toDestination();
+                // Play descending notes before restarting
+                await this.audioManager.playRestart();
                 
-                synth.volume.value = -15;
-                synth.triggerAttackRelease("C4", "8n");
-                setTimeout(() => synth.triggerAttackRelease("G3", "8n"), 150);
-                setTimeout(() => synth.triggerAttackRelease("C3", "8n"), 300);
-                
-                // Fade out and reload
+                // Fade out and restart
                 gameOverMsg.style.transition = 'opacity 0.5s';
+                seedMsg.style.transition = 'opacity 0.5s';
                 restartBtn.style.transition = 'opacity 0.5s';
                 buttonShadow.style.transition = 'opacity 0.5s';
                 
                 gameOverMsg.style.opacity = '0';
+                seedMsg.style.opacity = '0';
                 restartBtn.style.opacity = '0';
                 buttonShadow.style.opacity = '0';
                 
-                // Make sure to reload after the sound and animation finish
+                // Restart in place after the sound and animation finish
                 setTimeout(() => {
-                    window.location.href = window.location.href;
+                    if (this.restartCallback) {
+                        this.restartCallback();
+                    } else {
+                        window.location.reload();
+                    }
                 }, 800);
             } catch (error) {
                 console.error("Error during restart:", error);
@@ -314,15 +379,89 @@ export class Player {
         document.body.appendChild(restartBtn);
     }
     
-    update(dt, inputHandler, raycaster, camera) {
+    setRestartCallback(callback) {
+        this.restartCallback = callback;
+    }
+    
+    // Bring the player back to a fresh start without recreating the mesh
+    reset() {
+        // Remove the game over UI
+        if (this.gameOverElements) {
+            this.gameOverElements.forEach(element => element.remove());
+            this.gameOverElements = null;
+        }
+        
+        this.isDead = false;
+        this.controlsEnabled = true;
+        
+        // Movement
+        this.rotation = 0;
+        this.velocity.set(0, 0, 0);
+        this.recoilVelocity.set(0, 0, 0);
+        this.isMoving = false;
+        this.stepTime = 0;
+        this.movementIntensity = 0;
+        this.movementPenalty = 1.0;
+        
+        // Weapons
+        this.weapons = STARTING_WEAPONS.map(id => WEAPONS[id]);
+        this.weaponIndex = 0;
+        this.ammoByType = createStartingAmmo();
+        this.magazines = {};
+        this.weapons.forEach(weapon => this.loadMagazine(weapon));
+        this.isReloading = false;
+        this.lastShotTime = 0;
+        this.elapsedTime = 0;
+        this.grenades = 3;
+        this.maxGrenades = 3;
+        this.lastGrenadeTime = timeManager.now() - 3000;
+        this.isGunHolstered = true;
+        this.gunDrawProgress = 0;
+        
+        // Health
+        this.maxHealth = 100;
+        this.currentHealth = this.maxHealth;
+        this.isInvulnerable = false;
+        this.lastHitTime = 0;
+        this.updateHealthBar();
+        
+        // Energy and abilities
+        this.energy = this.maxEnergy;
+        this.dashEndTime = 0;
+        this.dashInvulnerableUntil = 0;
+        this.isDashFlashing = false;
+        
+        // Upgrades
+        this.modifiers = this.createModifiers();
+        
+        // Mesh back to the starting spot
+        this.body.material.color.setHex(COLORS.PLAYER);
+        this.body.scale.set(1, 1, 1);
+        this.group.scale.set(1, 1, 1);
+        this.group.rotation.set(0, 0, 0);
+        this.group.position.set(0, 0, 5);
+        this.position.copy(this.group.position);
+    }
+    
+    update(dt, inputHandler) {
         // If player is dead, don't process any updates
         if (this.isDead) return;
+        
+        this.elapsedTime += dt;
+        
+        // Back to the normal color once hits land again
+        if (this.isDashFlashing && this.clock >= this.dashInvulnerableUntil) {
+            this.isDashFlashing = false;
+            this.body.material.color.setHex(COLORS.PLAYER);
+        }
 
         // First handle rotation (so movement follows the current rotation)
-        this.handleRotation(inputHandler, camera);
+        this.handleRotation(inputHandler);
         // Then handle movement
         this.handleMovement(inputHandler, dt);
-        this.handleShooting(inputHandler, raycaster, camera);
+        this.handleShooting(inputHandler);
+        this.updateReload();
+        this.addEnergy(GAME.ENERGY_REGEN * dt);
         this.updateAnimation(dt);
         this.updateGunAnimation(dt); // Add gun animation update
     }
@@ -341,6 +480,43 @@ export class Player {
         // Reset movement velocity (but keep recoil velocity)
         this.velocity.set(0, 0, 0);
         
+        if (this.isDashing()) {
+            // A dash overrides the movement keys until it ends
+            this.velocity.copy(this.dashDirection).multiplyScalar(this.dashSpeed * dt);
+            this.isMoving = true;
+            this.movementIntensity = 1;
+        } else {
+            this.applyMovementKeys(inputHandler, dt);
+        }
+
+        // Apply both movement and recoil velocities
+        const totalVelocity = this.velocity.clone().add(this.recoilVelocity);
+        this.group.position.add(totalVelocity);
+        
+        // Decay recoil velocit3
+        this.recoilVelocity.multiplyScalar(0.05); // Reduce recoil by 10% each frame
+        
+        // Constrain to arena
+        const halfSize = GAME.ARENA_SIZE / 2;
+        this.group.position.x = Math.max(-halfSize, Math.min(halfSize, this.group.position.x));
+        this.group.position.z = Math.max(-halfSize, Math.min(halfSize, this.group.position.z));
+        
+        // Update position for collision detection
+        this.position.copy(this.group.position);
+    }
+    
+    // Walking velocity for this tick from the movement keys
+    // Upgrade multipliers at their starting values, see UPGRADES in upgrade-shop.js
+    createModifiers() {
+        return {
+            moveSpeed: 1,
+            fireRate: 1,
+            damage: 1,
+            explosionRadius: 1
+        };
+    }
+    
+    applyMovementKeys(inputHandler, dt) {
         // Fixed movement directions in world space (regardless of rotation)
         const up = new THREE.Vector3(0, 0, -1); // W key - always up (north)
         const down = new THREE.Vector3(0, 0, 1); // S key - always down (south)
@@ -362,73 +538,38 @@ export class Player {
             this.velocity.normalize();
             
             // Apply consistent speed using units-per-second (multiplied by delta time)
-            this.velocity.multiplyScalar(GAME.SPEEDS.PLAYER * dt * this.movementPenalty);
+            this.velocity.multiplyScalar(GAME.SPEEDS.PLAYER * dt * this.movementPenalty * this.modifiers.moveSpeed);
             this.isMoving = true;
         } else {
             this.isMoving = false;
             this.movementIntensity = 0;
         }
-
-        // Apply both movement and recoil velocities
-        const totalVelocity = this.velocity.clone().add(this.recoilVelocity);
-        this.group.position.add(totalVelocity);
-        
-        // Decay recoil velocit3
-        this.recoilVelocity.multiplyScalar(0.05); // Reduce recoil by 10% each frame
-        
-        // Constrain to arena
-        const halfSize = GAME.ARENA_SIZE / 2;
-        this.group.position.x = Math.max(-halfSize, Math.min(halfSize, this.group.position.x));
-        this.group.position.z = Math.max(-halfSize, Math.min(halfSize, this.group.position.z));
-        
-        // Update position for collision detection
-        this.position.copy(this.group.position);
     }
     
-    handleRotation(inputHandler, camera) {
+    handleRotation(inputHandler) {
         // If player is dead or controls disabled, don't process rotation
         if (this.isDead || !this.controlsEnabled) return;
 
-        try {
-            // Get the mouse position in normalized device coordinates (-1 to +1)
-            const mouse = new THREE.Vector2(
-                inputHandler.mouse.x,
-                inputHandler.mouse.y
-            );
-            
-            // Create a raycaster from the camera position and mouse position
-            const raycaster = new THREE.Raycaster();
-            raycaster.setFromCamera(mouse, camera);
-            
-            // Create a horizontal plane at the player's height
-            const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-            
-            // Find where the ray intersects the ground plane
-            const intersectionPoint = new THREE.Vector3();
-            raycaster.ray.intersectPlane(groundPlane, intersectionPoint);
-            
-            // If intersection found, calculate direction to look at
-            if (intersectionPoint) {
-                // Calculate direction from player to intersection point
-                const direction = new THREE.Vector3().subVectors(intersectionPoint, this.group.position).normalize();
-                this.lastMouseIntersection.copy(intersectionPoint); // Update the last intersection point
-                
-                // Calculate angle to face the target
-                this.rotation = Math.atan2(direction.x, direction.z);
-                
-                // Apply rotation to the group - this rotates the entire player including feet
-                this.group.rotation.y = this.rotation;
-            }
-        } catch (e) {
-            console.error("Error in player rotation:", e);
-        }
+        // Aim at the ground point under the mouse, sampled once per tick by the input handler
+        // (or fed from a recording during replay playback)
+        const intersectionPoint = inputHandler.mouseWorld;
+        
+        // Calculate direction from player to intersection point
+        const direction = new THREE.Vector3().subVectors(intersectionPoint, this.group.position).normalize();
+        this.lastMouseIntersection.copy(intersectionPoint); // Update the last intersection point
+        
+        // Calculate angle to face the target
+        this.rotation = Math.atan2(direction.x, direction.z);
+        
+        // Apply rotation to the group - this rotates the entire player including feet
+        this.group.rotation.y = this.rotation;
     }
     
-    handleShooting(inputHandler, raycaster, camera) {
+    handleShooting(inputHandler) {
         // If player is dead or controls disabled, don't process shooting
         if (this.isDead || !this.controlsEnabled) return;
 
-        const now = Date.now();
+        const now = timeManager.now();
         
         // Check if player is shooting
         if (inputHandler.keys.shoot) {
@@ -437,16 +578,13 @@ export class Player {
                 this.isGunHolstered = false;
             }
             
-            // Check if enough time has passed since last shot
-            if (now - this.lastShotTime > this.fireRate) {
-                if (!this.isReloading && this.ammo > 0) {
-                    this.shoot();
-                    this.lastShotTime = now;
-                } else if (!this.isReloading) {
-                    // Play dry fire sound when out of ammo - higher pitch for distinctive click
-                    this.audioManager.playSound('DRY_FIRE', 'F6');
-                    this.lastShotTime = now;
-                }
+            // The simulation fires the weapon. With an empty magazine the trigger reloads,
+            // or clicks when there's nothing left to reload with.
+            if (!this.isReloading && this.ammo < this.weapon.ammoPerShot && !this.reload() &&
+                this.clock - this.lastShotTime > this.weapon.fireRate) {
+                // Play dry fire sound when out of ammo - higher pitch for distinctive click
+                this.audioManager.playSound('DRY_FIRE', 'F6');
+                this.lastShotTime = this.clock;
             }
         } else if (!inputHandler.keys.shoot && !this.isGunHolstered && this.gunDrawProgress >= 1) {
             // Holster the gun when not shooting and gun is fully drawn
@@ -464,46 +602,119 @@ export class Player {
         }
     }
     
-    shoot() {
-        // Decrease ammo
-        this.ammo--;
-        
-        // Play gunshot sound
-        this.audioManager.playGunshot();
-        
-        // Apply recoil animation and movement
-        this.body.scale.z = 0.8;
+    // Player clock in milliseconds, kept in seconds like the game clock so the two tick alike
+    get clock() {
+        return this.elapsedTime * 1000;
+    }
+    
+    get weapon() {
+        return this.weapons[this.weaponIndex];
+    }
+    
+    // Rounds in the magazine of the weapon in hand
+    get ammo() {
+        return this.magazines[this.weapon.id];
+    }
+    
+    set ammo(value) {
+        this.magazines[this.weapon.id] = value;
+    }
+    
+    // Rounds left to reload the weapon in hand with
+    get reserveAmmo() {
+        return this.ammoByType[this.weapon.ammoType];
+    }
+    
+    set reserveAmmo(value) {
+        this.ammoByType[this.weapon.ammoType] = value;
+    }
+    
+    // Reserve capacity for the weapon in hand
+    get maxAmmo() {
+        return AMMO_TYPES[this.weapon.ammoType].max;
+    }
+    
+    getTotalAmmo() {
+        return this.ammo + this.reserveAmmo;
+    }
+    
+    /**
+     * Fill a weapon's magazine from the reserve of its ammo type
+     * @param {WeaponDefinition} weapon
+     * @returns {number} - Rounds loaded
+     */
+    loadMagazine(weapon) {
+        const loaded = this.magazines[weapon.id] || 0;
+        const rounds = Math.min(weapon.magazineSize - loaded, this.ammoByType[weapon.ammoType]);
+        
+        this.magazines[weapon.id] = loaded + rounds;
+        this.ammoByType[weapon.ammoType] -= rounds;
+        
+        return rounds;
+    }
+    
+    /**
+     * Switch to a weapon slot
+     * @param {number} index - 0-based slot
+     * @returns {boolean} - Whether the weapon in hand changed
+     */
+    selectWeapon(index) {
+        if (index < 0 || index >= this.weapons.length || index === this.weaponIndex) {
+            return false;
+        }
         
-        // Add backward recoil force
-        const recoilForce = 0.3; // Increased recoil force
-        const backwardDirection = this.getDirection().clone().negate();
-        this.recoilVelocity.add(backwardDirection.multiplyScalar(recoilForce));
+        // Switching away drops the reload, the magazine keeps what it had
+        this.cancelReload();
+        this.weaponIndex = index;
         
-        // Reset scale after recoil
-        setTimeout(() => {
-            this.body.scale.z = 1;
-        }, 50);
+        // Quick dip of the gun so the switch reads on screen
+        this.gunDrawProgress = 0;
         
-        // Add dramatic muzzle flash
-        this.createMuzzleFlash();
+        return true;
+    }
+    
+    /**
+     * Step through the weapon slots, wrapping around at either end
+     * @param {number} step - 1 for the next slot, -1 for the previous one
+     * @returns {boolean}
+     */
+    cycleWeapon(step) {
+        const count = this.weapons.length;
+        return this.selectWeapon((this.weaponIndex + step + count) % count);
     }
     
-    // Methods for machine gun fire
+    /**
+     * Add a weapon to the next free slot, unless it's already carried
+     * @param {string} id - Key in WEAPONS
+     * @returns {boolean}
+     */
+    giveWeapon(id) {
+        const weapon = WEAPONS[id];
+        if (!weapon || this.weapons.includes(weapon)) return false;
+        
+        this.weapons.push(weapon);
+        this.loadMagazine(weapon);
+        return true;
+    }
+    
+    // Sound and recoil of a shot from the weapon in hand
     playShootSound() {
+        const weapon = this.weapon;
+        
         // Add slight pitch variation for each shot to make it sound more natural
-        const pitchVariation = 1.0 + (Math.random() - 0.5) * 0.2; // Random pitch between 0.9 and 1.1
-        this.audioManager.playGunshot(pitchVariation);
+        const pitchVariation = 1.0 + (randomManager.cosmetic.next() - 0.5) * 0.2; // Random pitch between 0.9 and 1.1
+        this.audioManager.playGunshot(pitchVariation, weapon.sound);
         
         // Apply recoil animation and movement
         this.body.scale.z = 0.85;
         
-        // Add backward recoil force (slightly weaker for machine gun)
-        const recoilForce = 0.2; // Increased recoil force for machine gun
+        // Add backward recoil force
+        const recoilForce = weapon.recoil;
         const backwardDirection = this.getDirection().clone().negate();
         this.recoilVelocity.add(backwardDirection.multiplyScalar(recoilForce));
         
         // Reset scale after recoil
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             this.body.scale.z = 1;
         }, 30); // Faster recoil recovery for machine gun
     }
@@ -512,7 +723,41 @@ export class Player {
         this.createMuzzleFlash();
     }
     
+    createMuzzleFlashPool() {
+        // Every flash is the same cube, only the material fades per flash
+        this.muzzleFlashGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
+        
+        // A flash lasts five frames, so only a handful are ever on screen. Extra ones are skipped.
+        this.muzzleFlashPool = new ObjectPool({
+            name: 'muzzleFlashes',
+            create: () => {
+                const material = new THREE.MeshBasicMaterial({
+                    color: 0xffff00,
+                    transparent: true,
+                    opacity: 1.0,
+                    blending: THREE.AdditiveBlending
+                });
+                
+                return {
+                    mesh: new THREE.Mesh(this.muzzleFlashGeometry, material),
+                    light: new THREE.PointLight(0xffff00, 5, 3)
+                };
+            },
+            release: flash => {
+                this.scene.remove(flash.mesh);
+                this.scene.remove(flash.light);
+            },
+            dispose: flash => flash.mesh.material.dispose(),
+            initialSize: 4,
+            maxSize: 8,
+            overflow: POOL_OVERFLOW.DROP
+        });
+    }
+    
     createMuzzleFlash() {
+        const flash = this.muzzleFlashPool.acquire();
+        if (!flash) return;
+        
         // Get the position for the muzzle flash (in front of the player)
         const flashPosition = this.getPosition().clone();
         flashPosition.y = SIZES.PLAYER; // Set to player height
@@ -522,27 +767,21 @@ export class Player {
         const offset = direction.clone().multiplyScalar(SIZES.PLAYER + 0.3);
         flashPosition.add(offset);
         
-        // Create a bright flash cube instead of sphere
-        const flashGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-        const flashMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffff00,
-            transparent: true,
-            opacity: 1.0,
-            blending: THREE.AdditiveBlending
-        });
-        
-        const flash = new THREE.Mesh(flashGeometry, flashMaterial);
-        flash.position.copy(flashPosition);
+        // A bright flash cube instead of sphere
+        const { mesh, light } = flash;
+        mesh.position.copy(flashPosition);
+        mesh.scale.set(1, 1, 1);
+        mesh.material.opacity = 1.0;
         // Rotate the cube to match player's rotation
-        flash.rotation.y = this.rotation;
-        this.scene.add(flash);
+        mesh.rotation.y = this.rotation;
+        this.scene.add(mesh);
         
         // Add intense point light
-        const light = new THREE.PointLight(0xffff00, 5, 3);
+        light.intensity = 5;
         light.position.copy(flashPosition);
         this.scene.add(light);
         
-        // Animate and remove the flash
+        // Animate and release the flash
         let opacity = 1.0;
         let scale = 1.0;
         
@@ -551,53 +790,116 @@ export class Player {
             scale += 0.2;
             
             if (opacity <= 0) {
-                this.scene.remove(flash);
-                this.scene.remove(light);
-                flashMaterial.dispose();
-                flashGeometry.dispose();
+                this.muzzleFlashPool.release(flash);
                 return;
             }
             
-            flashMaterial.opacity = opacity;
-            flash.scale.set(scale, scale, scale);
+            mesh.material.opacity = opacity;
+            mesh.scale.set(scale, scale, scale);
             light.intensity = opacity * 5;
             
-            requestAnimationFrame(animateFlash);
+            timeManager.requestAnimationFrame(animateFlash);
         };
         
         // Start animation
         animateFlash();
     }
     
+    /**
+     * Start reloading the weapon in hand, unless its magazine is full or there's nothing to load
+     * @returns {boolean} - Whether a reload started
+     */
     reload() {
+        const weapon = this.weapon;
+        if (this.isReloading || this.ammo >= weapon.magazineSize || this.reserveAmmo <= 0) {
+            return false;
+        }
+        
         this.isReloading = true;
+        this.reloadStartTime = this.clock;
+        this.reloadEndTime = this.reloadStartTime + weapon.reloadTime;
         this.audioManager.playReload();
         
-        // Reload animation - scale y down
-        this.body.scale.y = 0.7;
+        eventBus.emit(GAME_EVENTS.RELOAD_STARTED, {
+            weapon: weapon.id,
+            ammo: this.ammo,
+            reserveAmmo: this.reserveAmmo
+        });
+        
+        return true;
+    }
+    
+    // Load the magazine once the reload time has passed
+    updateReload() {
+        if (!this.isReloading || this.clock < this.reloadEndTime) return;
+        
+        this.isReloading = false;
+        this.loadMagazine(this.weapon);
+    }
+    
+    cancelReload() {
+        this.isReloading = false;
+    }
+    
+    // 0 to 1 through the reload in progress
+    getReloadProgress() {
+        if (!this.isReloading) return 0;
         
-        // Reload timer
-        setTimeout(() => {
-            this.ammo = GAME.AMMO_COUNT;
-            this.isReloading = false;
-            this.body.scale.y = 1;
-        }, GAME.RELOAD_TIME);
+        const duration = this.reloadEndTime - this.reloadStartTime;
+        return Math.min(1, (this.clock - this.reloadStartTime) / duration);
     }
     
+    // Ammo packs refill the reserve of every ammo type, each by its share of the pack
     addAmmo(amount) {
-        this.ammo = Math.min(this.maxAmmo, this.ammo + amount);
-        this.audioManager.playPickup('ammo');
+        for (const type in AMMO_TYPES) {
+            const { max, pickupShare } = AMMO_TYPES[type];
+            this.ammoByType[type] = Math.min(max, this.ammoByType[type] + Math.ceil(amount * pickupShare));
+        }
     }
     
-    addEnergy(amount) {
+    heal(amount) {
         this.currentHealth = Math.min(this.maxHealth, this.currentHealth + amount);
         this.updateHealthBar();
-        this.audioManager.playPickup('health');
+    }
+    
+    addEnergy(amount) {
+        this.energy = Math.min(this.maxEnergy, this.energy + amount);
+    }
+    
+    /**
+     * Take energy for an ability
+     * @param {number} amount
+     * @returns {boolean} - false, and nothing spent, when there isn't enough
+     */
+    spendEnergy(amount) {
+        if (this.energy < amount) return false;
+        
+        this.energy -= amount;
+        return true;
+    }
+    
+    /**
+     * Start a dash, movement input is ignored until it ends
+     * @param {THREE.Vector3} direction - Normalized, on the ground plane
+     * @param {Object} ability - ABILITIES.DASH
+     */
+    dash(direction, ability) {
+        this.dashDirection.copy(direction);
+        this.dashSpeed = ability.speed;
+        this.dashEndTime = this.clock + ability.duration;
+        this.dashInvulnerableUntil = this.clock + ability.invulnerability;
+        
+        // Flash the body in the energy color for as long as hits are ignored, see update()
+        this.body.material.color.setHex(COLORS.ENERGY);
+        this.isDashFlashing = true;
+    }
+    
+    isDashing() {
+        return this.clock < this.dashEndTime;
     }
     
     addGrenades(amount) {
         this.grenades = Math.min(this.maxGrenades, this.grenades + amount);
-        this.audioManager.playPickup('grenade');
     }
     
     throwGrenade() {
@@ -611,11 +913,11 @@ export class Player {
         
         
         // Set the last grenade time to current time
-        this.lastGrenadeTime = Date.now();
+        this.lastGrenadeTime = timeManager.now();
         
         // Apply throw animation
         this.body.scale.x = 1.2;
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             this.body.scale.x = 1;
         }, 100);
         
@@ -717,11 +1019,21 @@ export class Player {
         this.gun.rotation.x = THREE.MathUtils.lerp(holsteredRot.x, drawnRot.x, this.gunDrawProgress);
         this.gun.rotation.y = THREE.MathUtils.lerp(holsteredRot.y, drawnRot.y, this.gunDrawProgress);
         this.gun.rotation.z = THREE.MathUtils.lerp(holsteredRot.z, drawnRot.z, this.gunDrawProgress);
+        
+        // Reload: tip the gun down and roll it over while the magazine is swapped, then bring it back up
+        if (this.isReloading) {
+            const progress = this.getReloadProgress();
+            const dip = Math.sin(progress * Math.PI);
+            
+            this.gun.position.y -= dip * 0.15;
+            this.gun.rotation.x += dip * 0.9;
+            this.gun.rotation.z += Math.sin(progress * Math.PI * 2) * 0.4;
+        }
     }
     
     // New method to check if player is out of ammo (for spawn manager)
     isOutOfAmmo() {
-        return this.ammo <= 0;
+        return this.getTotalAmmo() <= 0;
     }
     
     // Add footstep sound method
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 import { COLORS, SIZES, GAME } from '../utils/constants.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { ObjectPool, POOL_OVERFLOW } from '../utils/object-pool.js';
 
 export class Bullet {
     constructor(scene, position, direction, speedMultiplier = 1.0, color = COLORS.BULLET) {
@@ -119,12 +123,30 @@ export class Bullet {
 
 // Raycast bullet - instant hit, no travel
 export class InstantBullet {
-    constructor(scene, position, direction, enemies) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {THREE.Vector3} position - Muzzle position
+     * @param {THREE.Vector3} direction
+     * @param {Array} enemies - Enemies the trace can hit, the nearest one along it takes the damage
+     * @param {Object} [options]
+     * @param {number} [options.damage] - Damage dealt to the enemy hit
+     * @param {number} [options.range] - Length of the trace
+     * @param {number} [options.color] - Color of the trace line
+     * @param {Array} [options.obstacles] - Objects that stop the trace, checked by bounding box
+     * @param {number} [options.pierce] - Enemies the trace passes through before it stops
+     */
+    constructor(scene, position, direction, enemies, options = {}) {
         this.scene = scene;
         this.position = position.clone();
         this.direction = direction.clone().normalize();
         this.isActive = true;
         
+        this.damage = options.damage !== undefined ? options.damage : 1;
+        this.range = options.range !== undefined ? options.range : 100;
+        this.color = options.color !== undefined ? options.color : 0xff0000;
+        this.obstacles = options.obstacles || [];
+        this.pierce = options.pierce || 0;
+        
         // Immediately trace the path and check for hits
         this.traceBullet(enemies);
     }
@@ -133,59 +155,84 @@ export class InstantBullet {
         // Create a visible line for the shot
         const lineGeometry = new THREE.BufferGeometry();
         const startPoint = this.position.clone();
-        let endPoint = this.position.clone().add(this.direction.clone().multiplyScalar(100));
+        const ray = new THREE.Ray(this.position, this.direction);
+        
+        // The trace ends at its range or the first obstacle in the way
+        let maxDistance = this.range;
+        const obstacleHit = new THREE.Vector3();
+        for (const obstacle of this.obstacles) {
+            if (!obstacle.getBoundingBox) continue;
+            
+            if (ray.intersectBox(obstacle.getBoundingBox(), obstacleHit)) {
+                maxDistance = Math.min(maxDistance, obstacleHit.distanceTo(this.position));
+            }
+        }
+        
+        let endPoint = this.position.clone().add(this.direction.clone().multiplyScalar(maxDistance));
         
-        // Check if we hit any enemies
-        let hitEnemy = null;
-        let closestDistance = Infinity;
+        // Every enemy along the trace, nearest first
+        const hits = [];
         
         if (enemies && enemies.length > 0) {
             for (const enemy of enemies) {
+                if (!enemy.isActive || enemy.isDying) continue;
+                
                 const enemyPos = enemy.getPosition();
                 const enemyRadius = enemy.getBoundingRadius();
                 
-                // Create a ray from bullet position in bullet direction
-                const ray = new THREE.Ray(this.position, this.direction);
-                
-                // Check if ray intersects enemy sphere
-                const sphere = new THREE.Sphere(enemyPos, enemyRadius);
+                // Enemies are tested on the ground plane at muzzle height, the way bullets collide
+                const sphere = new THREE.Sphere(
+                    new THREE.Vector3(enemyPos.x, this.position.y, enemyPos.z),
+                    enemyRadius
+                );
                 const intersection = ray.intersectSphere(sphere, new THREE.Vector3());
                 
                 if (intersection) {
-                    // Calculate distance to hit
                     const distance = intersection.distanceTo(this.position);
-                    
-                    // If this is the closest hit, store it
-                    if (distance < closestDistance) {
-                        closestDistance = distance;
-                        hitEnemy = enemy;
-                        endPoint = intersection.clone();
+                    if (distance < maxDistance) {
+                        hits.push({ enemy, distance, point: intersection });
                     }
                 }
             }
         }
         
+        // The first enemy stops the trace, unless it can pierce more. A shield always stops it.
+        hits.sort((a, b) => a.distance - b.distance);
+        const hitEnemies = hits.slice(0, this.pierce + 1);
+        const shieldIndex = hitEnemies.findIndex(hit => hit.enemy.shieldBlocks(this.direction));
+        const shieldHit = shieldIndex !== -1 ? hitEnemies.splice(shieldIndex)[0] : null;
+        if (shieldHit) {
+            endPoint = shieldHit.point.clone();
+        } else if (hitEnemies.length > 0) {
+            endPoint = hitEnemies[hitEnemies.length - 1].point.clone();
+        }
+        
         // Create the line from start to end point
         const linePoints = [startPoint, endPoint];
         lineGeometry.setFromPoints(linePoints);
         
         // Create a bright material for the line
         const lineMaterial = new THREE.LineBasicMaterial({
-            color: 0xff0000,
+            color: this.color,
             linewidth: 10,
         });
         
         this.line = new THREE.Line(lineGeometry, lineMaterial);
         this.scene.add(this.line);
         
-        // If we hit an enemy, damage it
-        if (hitEnemy) {
-            hitEnemy.takeDamage(1);
-            this.createHitEffect(endPoint);
+        // Damage every enemy the trace went through
+        hitEnemies.forEach(hit => {
+            hit.enemy.takeDamage(this.damage);
+            this.createHitEffect(hit.point);
+        });
+        
+        if (shieldHit) {
+            shieldHit.enemy.hitShield(this.direction, this.color, this.damage);
+            this.createHitEffect(shieldHit.point);
         }
         
         // Remove the line after a short delay
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             this.deactivate();
         }, 100);
     }
@@ -221,7 +268,7 @@ export class InstantBullet {
             light.intensity = opacity * 5;
             
             if (opacity > 0) {
-                requestAnimationFrame(fadeOut);
+                timeManager.requestAnimationFrame(fadeOut);
             } else {
                 this.scene.remove(flash);
                 this.scene.remove(light);
@@ -268,26 +315,39 @@ export class Grenade {
         this.isActive = true;
         this.hasExploded = false;
         this.explosionActive = false; // Flag to track if explosion is in active damage phase
-        this.throwTime = performance.now(); // Use performance.now for more precise timing
+        this.throwTime = timeManager.now(); // Fuse runs on the game clock
         this.explosionRadius = GAME.GRENADE_EXPLOSION_RADIUS;
         this.throwStrength = GAME.GRENADE_THROW_STRENGTH;
         this.explodeAfter = GAME.GRENADE_EXPLOSION_DELAY; // Cache this value
         
+        // Perk effects, set by the thrower: bomblets scattered by the blast (see PerkSystem)
+        // and whether the blast can hurt the player
+        this.clusterBomblets = 0;
+        this.hurtsPlayer = true;
+        
+        // Player damage at the blast center, and the exploder enemy when this is its blast
+        // rather than a thrown grenade (see SpawnManager.spawnBlast). An exploder's blast also
+        // carries who set the exploder off, so kills down a chain go to whoever started it.
+        this.blastDamage = GAME.GRENADE_BLAST_DAMAGE;
+        this.detonatedBy = null;
+        this.blame = null;
+        
         // Performance mode flag
         this.lowPerformanceMode = false;
         this.skipDebrisUpdate = false; // Flag to skip debris updates on some frames
         
-        // Physics parameters for proper arc trajectory
-        this.gravityEffect = 0.02; 
+        // Physics parameters for proper arc trajectory, per fixed tick at normal speed
+        // (update() scales them to the tick's delta)
+        this.gravityEffect = 0.08; 
         
         // Initial vertical velocity for higher arc
-        this.verticalVelocity = this.throwStrength * 0.7; 
+        this.verticalVelocity = this.throwStrength * 1.4; 
         
         // Start position slightly higher
         this.position.y += 0.5; // Start above the player's hand
         
-        // Use smaller step size for finer motion
-        this.stepSize = 0.15;
+        // Horizontal distance per tick is speed times this
+        this.stepSize = 0.3;
         
         // Track the last bounce time to avoid playing the sound too frequently
         this.lastBounceTime = 0;
@@ -323,17 +383,25 @@ export class Grenade {
         this.isActive = true;
         this.hasExploded = false;
         this.explosionActive = false;
-        this.throwTime = performance.now();
+        this.throwTime = timeManager.now();
         
         // Reset physics
         this.speed = GAME.SPEEDS.GRENADE;
-        this.verticalVelocity = this.throwStrength * 0.7;
-        this.gravityEffect = 0.02; // Ensure gravity effect is reset
+        this.verticalVelocity = this.throwStrength * 1.4;
+        this.gravityEffect = 0.08; // Ensure gravity effect is reset
         this.lastBounceTime = 0;
         
         // Ensure explosion timer is reset
         this.explodeAfter = GAME.GRENADE_EXPLOSION_DELAY;
         
+        // The thrower scales this after acquiring, upgrades differ per throw
+        this.explosionRadius = GAME.GRENADE_EXPLOSION_RADIUS;
+        this.clusterBomblets = 0;
+        this.hurtsPlayer = true;
+        this.blastDamage = GAME.GRENADE_BLAST_DAMAGE;
+        this.detonatedBy = null;
+        this.blame = null;
+        
         // Clean up any existing objects and animations
         this.cleanupObjects(false);
         
@@ -406,7 +474,7 @@ export class Grenade {
         this.trailParticles = [];
         this.maxTrailParticles = 4; // Reduced from 12 for less memory impact
         this.trailUpdateRate = 100; // Slower updates (was 50)
-        this.lastTrailUpdate = performance.now();
+        this.lastTrailUpdate = timeManager.now();
         
         // Only create a few particles for the trail
         const particleGeometry = this.sharedGeometries ? 
@@ -447,7 +515,7 @@ export class Grenade {
     updateTrailEffect() {
         if (!this.isActive || this.hasExploded) return;
 
-        const now = performance.now();
+        const now = timeManager.now();
         
         // Only update trail occasionally to avoid performance issues
         if (now - this.lastTrailUpdate > this.trailUpdateRate) {
@@ -520,18 +588,23 @@ export class Grenade {
     update(dt) {
         if (!this.isActive || this.hasExploded) return;
         
-        // Use elapsed time in seconds for more precise physics
-        const now = performance.now();
+        // Use elapsed game time in seconds for more precise physics
+        const now = timeManager.now();
         const elapsedTime = (now - this.throwTime) / 1000;
         
+        // Share of a normal-speed tick this update covers, so time scale slows the flight
+        // along with the fuse
+        const step = dt / timeManager.fixedDeltaTime;
+        
         // Apply horizontal movement using consistent step size
-        const horizontalMovement = this.direction.clone().multiplyScalar(this.speed * this.stepSize);
+        const horizontalMovement = this.direction.clone().multiplyScalar(this.speed * this.stepSize * step);
         this.mesh.position.x += horizontalMovement.x;
         this.mesh.position.z += horizontalMovement.z;
         
-        // Update vertical position using physics
-        this.verticalVelocity -= this.gravityEffect; // Apply gravity
-        this.mesh.position.y += this.verticalVelocity;
+        // Update vertical position using physics, exact for any step so the arc doesn't
+        // depend on the time scale
+        this.mesh.position.y += (this.verticalVelocity - this.gravityEffect * step / 2) * step;
+        this.verticalVelocity -= this.gravityEffect * step; // Apply gravity
         
         // If grenade hits ground, make it bounce slightly and roll
         if (this.mesh.position.y < 0.3) {
@@ -539,7 +612,7 @@ export class Grenade {
             
             // Check if the bounce is significant enough to play sound
             // and if enough time has passed since the last bounce
-            if (Math.abs(this.verticalVelocity) > 0.01 && now - this.lastBounceTime > this.bounceThreshold) {
+            if (Math.abs(this.verticalVelocity) > 0.02 && now - this.lastBounceTime > this.bounceThreshold) {
                 // Play bounce sound with volume proportional to impact velocity
                 this.audioManager.playGrenadeBounce();
                 this.lastBounceTime = now;
@@ -547,8 +620,8 @@ export class Grenade {
             
             this.verticalVelocity = Math.abs(this.verticalVelocity) * 0.3; // Small bounce
             
-            // Reduce horizontal speed to simulate friction
-            this.speed *= 0.9;
+            // Reduce horizontal speed to simulate friction, by the tick so time scale slows it too
+            this.speed *= Math.pow(0.81, step);
         }
         
         // Blink effect for countdown to explosion
@@ -573,7 +646,7 @@ export class Grenade {
         
         // Update trail effect less frequently based on frame rate and performance mode
         // In low performance mode, update trail even less frequently
-        if (!this.lowPerformanceMode || Math.random() > 0.5) {
+        if (!this.lowPerformanceMode || randomManager.cosmetic.next() > 0.5) {
             this.updateTrailEffect();
         }
         
@@ -606,6 +679,12 @@ export class Grenade {
         this.hasExploded = true;
         this.explosionActive = true;
         
+        eventBus.emit(GAME_EVENTS.GRENADE_EXPLODED, {
+            grenade: this,
+            position: this.position.clone(),
+            radius: this.explosionRadius
+        });
+        
         // Play explosion sound
         if (this.audioManager) {
             this.audioManager.playGrenadeExplosion();
@@ -650,11 +729,11 @@ export class Grenade {
         // Animate the flash quickly - use more efficient animation technique
         let flashTime = 0;
         const flashDuration = 200;
-        let lastFlashTime = performance.now();
+        let lastFlashTime = timeManager.now();
         let flashAnimationId;
         
         const animateFlash = () => {
-            const now = performance.now();
+            const now = timeManager.now();
             flashTime += now - lastFlashTime;
             lastFlashTime = now;
             
@@ -666,12 +745,12 @@ export class Grenade {
                 flashMaterial.opacity = 1.0 * (1 - progress);
                 flashLight.intensity = 15 * (1 - progress);
                 
-                flashAnimationId = requestAnimationFrame(animateFlash);
+                flashAnimationId = timeManager.requestAnimationFrame(animateFlash);
                 this.animationIds.push(flashAnimationId);
             } else {
                 // Cancel any pending animation frames
                 if (flashAnimationId) {
-                    cancelAnimationFrame(flashAnimationId);
+                    timeManager.cancelAnimationFrame(flashAnimationId);
                     const index = this.animationIds.indexOf(flashAnimationId);
                     if (index !== -1) this.animationIds.splice(index, 1);
                 }
@@ -695,10 +774,10 @@ export class Grenade {
         this.createDebrisEffect();
         
         // Disable explosion damage after a short delay
-        this.explosionTimer = setTimeout(() => {
+        this.explosionTimer = timeManager.setTimeout(() => {
             this.explosionActive = false;
             // Don't deactivate yet - we want to keep the debris around for a bit
-            setTimeout(() => {
+            timeManager.setTimeout(() => {
                 this.deactivate();
             }, 2000); // Keep debris for 2 seconds
         }, 400);
@@ -728,9 +807,9 @@ export class Grenade {
             
             // Set positions and colors
             for (let i = 0; i < particleCount; i++) {
-                const phi = Math.random() * Math.PI * 2;
-                const theta = Math.random() * Math.PI;
-                const radius = Math.random() * this.explosionRadius * 1.3;
+                const phi = randomManager.cosmetic.next() * Math.PI * 2;
+                const theta = randomManager.cosmetic.next() * Math.PI;
+                const radius = randomManager.cosmetic.next() * this.explosionRadius * 1.3;
                 
                 positions[i * 3] = this.position.x + radius * Math.sin(phi) * Math.cos(theta);
                 positions[i * 3 + 1] = this.position.y + radius * Math.sin(phi) * Math.sin(theta);
@@ -757,9 +836,9 @@ export class Grenade {
             
             // Set positions and colors
             for (let i = 0; i < particleCount; i++) {
-                const phi = Math.random() * Math.PI * 2;
-                const theta = Math.random() * Math.PI;
-                const radius = Math.random() * this.explosionRadius * 1.3;
+                const phi = randomManager.cosmetic.next() * Math.PI * 2;
+                const theta = randomManager.cosmetic.next() * Math.PI;
+                const radius = randomManager.cosmetic.next() * this.explosionRadius * 1.3;
                 
                 positions[i * 3] = this.position.x + radius * Math.sin(phi) * Math.cos(theta);
                 positions[i * 3 + 1] = this.position.y + radius * Math.sin(phi) * Math.sin(theta);
@@ -809,11 +888,11 @@ export class Grenade {
         // Animate explosion (optimized)
         let explosionTime = 0;
         const explosionDuration = 600; // Reduced from 800ms
-        let lastTime = performance.now();
+        let lastTime = timeManager.now();
         let explosionAnimId;
         
         const animateExplosion = () => {
-            const now = performance.now();
+            const now = timeManager.now();
             const deltaTime = Math.min(now - lastTime, 33); // Cap at ~30fps for better performance
             lastTime = now;
             
@@ -833,12 +912,12 @@ export class Grenade {
                 // Fade particles 
                 particleMaterial.opacity = 1 - (progress * 0.8);
                 
-                explosionAnimId = requestAnimationFrame(animateExplosion);
+                explosionAnimId = timeManager.requestAnimationFrame(animateExplosion);
                 this.animationIds.push(explosionAnimId);
             } else {
                 // Cancel any pending animation
                 if (explosionAnimId) {
-                    cancelAnimationFrame(explosionAnimId);
+                    timeManager.cancelAnimationFrame(explosionAnimId);
                     const index = this.animationIds.indexOf(explosionAnimId);
                     if (index !== -1) this.animationIds.splice(index, 1);
                 }
@@ -859,7 +938,7 @@ export class Grenade {
             }
         };
         
-        explosionAnimId = requestAnimationFrame(animateExplosion);
+        explosionAnimId = timeManager.requestAnimationFrame(animateExplosion);
         this.animationIds.push(explosionAnimId);
     }
     
@@ -897,38 +976,38 @@ export class Grenade {
         
         for (let i = 0; i < debrisCount; i++) {
             // Direction calculation with more upward momentum
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI / 2; // More upward bias
+            const theta = randomManager.cosmetic.next() * Math.PI * 2;
+            const phi = randomManager.cosmetic.next() * Math.PI / 2; // More upward bias
             
             const direction = new THREE.Vector3(
                 Math.sin(phi) * Math.cos(theta) * 0.35,
-                Math.random() * 0.8 + 0.4, // Much higher upward velocity
+                randomManager.cosmetic.next() * 0.8 + 0.4, // Much higher upward velocity
                 Math.sin(phi) * Math.sin(theta) * 0.35
             );
             
             // Select random geometry - better selection
             const geometryTypes = Object.keys(debrisGeometries);
-            const geometry = debrisGeometries[geometryTypes[Math.floor(Math.random() * geometryTypes.length)]];
+            const geometry = debrisGeometries[geometryTypes[Math.floor(randomManager.cosmetic.next() * geometryTypes.length)]];
             
             // Alternate materials for variety
             const material = i % 2 === 0 ? debrisMaterial : debrisMaterial2;
             const debris = new THREE.Mesh(geometry, material);
             
             // Randomized scale
-            const baseScale = 0.6 + Math.random() * 0.6;
+            const baseScale = 0.6 + randomManager.cosmetic.next() * 0.6;
             debris.scale.setScalar(baseScale);
             
             debris.rotation.set(
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2
+                randomManager.cosmetic.next() * Math.PI * 2,
+                randomManager.cosmetic.next() * Math.PI * 2,
+                randomManager.cosmetic.next() * Math.PI * 2
             );
             
             // Add slight offset for better initial spread
             const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.3,
-                (Math.random() - 0.5) * 0.3,
-                (Math.random() - 0.5) * 0.3
+                (randomManager.cosmetic.next() - 0.5) * 0.3,
+                (randomManager.cosmetic.next() - 0.5) * 0.3,
+                (randomManager.cosmetic.next() - 0.5) * 0.3
             );
             debris.position.copy(this.position).add(offset);
             this.scene.add(debris);
@@ -937,33 +1016,33 @@ export class Grenade {
             this.debrisParticles.push({
                 mesh: debris,
                 direction: direction,
-                speed: Math.random() * 0.5 + 0.3, // Higher speed range
+                speed: randomManager.cosmetic.next() * 0.5 + 0.3, // Higher speed range
                 rotationAxis: new THREE.Vector3(
-                    Math.random() - 0.5,
-                    Math.random() - 0.5,
-                    Math.random() - 0.5
+                    randomManager.cosmetic.next() - 0.5,
+                    randomManager.cosmetic.next() - 0.5,
+                    randomManager.cosmetic.next() - 0.5
                 ).normalize(),
-                rotationSpeed: Math.random() * 0.2 + 0.1,
-                bounceAmount: 0.4 + Math.random() * 0.3,
-                elasticity: 0.7 + Math.random() * 0.2, // Initial elasticity
-                spinDecay: 0.97 + Math.random() * 0.02, // Spin slowdown factor
-                gravity: 0.015 + Math.random() * 0.01,
+                rotationSpeed: randomManager.cosmetic.next() * 0.2 + 0.1,
+                bounceAmount: 0.4 + randomManager.cosmetic.next() * 0.3,
+                elasticity: 0.7 + randomManager.cosmetic.next() * 0.2, // Initial elasticity
+                spinDecay: 0.97 + randomManager.cosmetic.next() * 0.02, // Spin slowdown factor
+                gravity: 0.015 + randomManager.cosmetic.next() * 0.01,
                 bounceCount: 0,
-                maxBounces: Math.floor(Math.random() * 3) + 2, // 2-4 bounces before settling
+                maxBounces: Math.floor(randomManager.cosmetic.next() * 3) + 2, // 2-4 bounces before settling
                 playedBounceSound: false,
-                bounceSoundDelay: Math.random() * 200, // Randomize sound delay
+                bounceSoundDelay: randomManager.cosmetic.next() * 200, // Randomize sound delay
                 settled: false
             });
         }
         
         // Animate debris with bouncing
-        let lastFrameTime = performance.now();
+        let lastFrameTime = timeManager.now();
         const targetFrameTime = 1000 / 60; // Target 60 FPS
         
         const animateDebris = () => {
             if (!this.isActive || !this.debrisParticles || this.debrisParticles.length === 0) return;
             
-            const currentTime = performance.now();
+            const currentTime = timeManager.now();
             const deltaTime = Math.min((currentTime - lastFrameTime) / 1000, targetFrameTime / 1000);
             lastFrameTime = currentTime;
             
@@ -1003,14 +1082,14 @@ export class Grenade {
                     }
                     
                     // Add some random variation to direction after bounce
-                    debris.direction.z += (Math.random() - 0.5) * 0.3;
+                    debris.direction.z += (randomManager.cosmetic.next() - 0.5) * 0.3;
                     
                     // Play bounce sound occasionally for wall hits
-                    if (this.audioManager && Math.random() < 0.3 && !debris.wallBounceSound) {
+                    if (this.audioManager && randomManager.cosmetic.next() < 0.3 && !debris.wallBounceSound) {
                         debris.wallBounceSound = true;
-                        setTimeout(() => {
+                        timeManager.setTimeout(() => {
                             this.audioManager.playGrenadeBounce();
-                        }, Math.random() * 100);
+                        }, randomManager.cosmetic.next() * 100);
                     }
                 }
                 
@@ -1027,14 +1106,14 @@ export class Grenade {
                     }
                     
                     // Add some random variation to direction after bounce
-                    debris.direction.x += (Math.random() - 0.5) * 0.3;
+                    debris.direction.x += (randomManager.cosmetic.next() - 0.5) * 0.3;
                     
                     // Play bounce sound occasionally for wall hits
-                    if (this.audioManager && Math.random() < 0.3 && !debris.wallBounceSound) {
+                    if (this.audioManager && randomManager.cosmetic.next() < 0.3 && !debris.wallBounceSound) {
                         debris.wallBounceSound = true;
-                        setTimeout(() => {
+                        timeManager.setTimeout(() => {
                             this.audioManager.playGrenadeBounce();
-                        }, Math.random() * 100);
+                        }, randomManager.cosmetic.next() * 100);
                     }
                 }
                 
@@ -1048,7 +1127,7 @@ export class Grenade {
                         debris.mesh.scale.x > 0.8 && 
                         debris.bounceCount === 1) {
                         debris.playedBounceSound = true;
-                        setTimeout(() => {
+                        timeManager.setTimeout(() => {
                             this.audioManager.playGrenadeBounce();
                         }, debris.bounceSoundDelay);
                     }
@@ -1059,9 +1138,9 @@ export class Grenade {
                         
                         // Set final rotation once and stop updating
                         debris.mesh.rotation.set(
-                            Math.random() < 0.5 ? 0 : Math.PI/2,
-                            Math.random() * Math.PI * 2,
-                            Math.random() < 0.5 ? 0 : Math.PI/4
+                            randomManager.cosmetic.next() < 0.5 ? 0 : Math.PI/2,
+                            randomManager.cosmetic.next() * Math.PI * 2,
+                            randomManager.cosmetic.next() < 0.5 ? 0 : Math.PI/4
                         );
                     } else {
                         // Energetic bounce
@@ -1075,26 +1154,26 @@ export class Grenade {
                         debris.rotationSpeed *= debris.spinDecay;
                         
                         // Add random horizontal variation for more organic movement
-                        debris.direction.x += (Math.random() - 0.5) * 0.2;
-                        debris.direction.z += (Math.random() - 0.5) * 0.2;
+                        debris.direction.x += (randomManager.cosmetic.next() - 0.5) * 0.2;
+                        debris.direction.z += (randomManager.cosmetic.next() - 0.5) * 0.2;
                     }
                 }
             }
             
             // Continue animation if any active debris remains
             if (activeCount > 0) {
-                const animId = requestAnimationFrame(animateDebris);
+                const animId = timeManager.requestAnimationFrame(animateDebris);
                 this.animationIds.push(animId);
             } else {
                 // All debris has settled, fade them out after a delay
-                setTimeout(() => {
+                timeManager.setTimeout(() => {
                     this.fadeOutDebris();
                 }, 2000);
             }
         };
         
         // Start the animation
-        const animId = requestAnimationFrame(animateDebris);
+        const animId = timeManager.requestAnimationFrame(animateDebris);
         this.animationIds.push(animId);
     }
     
@@ -1128,7 +1207,7 @@ export class Grenade {
             }
             
             if (stillVisible) {
-                const animId = requestAnimationFrame(fadeAnimation);
+                const animId = timeManager.requestAnimationFrame(fadeAnimation);
                 this.animationIds.push(animId);
             } else {
                 // All debris faded out, now we can deactivate
@@ -1137,14 +1216,14 @@ export class Grenade {
         };
         
         // Start the fade animation
-        const animId = requestAnimationFrame(fadeAnimation);
+        const animId = timeManager.requestAnimationFrame(fadeAnimation);
         this.animationIds.push(animId);
     }
     
     // Helper method to clean up objects without deactivating
     cleanupObjects(forceCleanup = false) {
         // Clean up all created objects
-        this.animationIds.forEach(id => cancelAnimationFrame(id));
+        this.animationIds.forEach(id => timeManager.cancelAnimationFrame(id));
         this.animationIds = [];
         
         // Remove and dispose meshes
@@ -1209,7 +1288,7 @@ export class Grenade {
         
         // Cancel any pending timers
         if (this.explosionTimer) {
-            clearTimeout(this.explosionTimer);
+            timeManager.clearTimeout(this.explosionTimer);
             this.explosionTimer = null;
         }
     }
@@ -1222,6 +1301,12 @@ export class Grenade {
         return this.explosionRadius;
     }
     
+    // Who gets a kill by this blast: the thrown grenade that started it, directly or through
+    // a chain of exploders, and whether the player started it at all
+    getBlame() {
+        return this.blame || { grenade: this, killedByPlayer: true };
+    }
+    
     hasExploded() {
         return this.hasExploded;
     }
@@ -1236,13 +1321,35 @@ export class BulletManager {
     constructor(scene) {
         this.scene = scene;
         this.maxBullets = 100; // Maximum number of bullets to render
-        this.activeBullets = [];
         this.decalManager = null;
         
+        // One pooled bullet per instance slot. With every slot taken, new shots aren't fired.
+        this.pool = new ObjectPool({
+            name: 'bullets',
+            create: () => this.createPooledBullet(),
+            reset: (bullet, position, direction, speedMultiplier) => {
+                bullet.decalManager = this.decalManager;
+                bullet.reset(position, direction, speedMultiplier);
+            },
+            release: bullet => bullet.deactivate(),
+            initialSize: 20,
+            maxSize: this.maxBullets,
+            overflow: POOL_OVERFLOW.DROP
+        });
+        
+        // In instance order, bullet.instanceId is the index in here
+        this.activeBullets = this.pool.active;
+        
         // Create instanced geometry and material
         this.createInstancedMesh();
     }
     
+    createPooledBullet() {
+        const bullet = new OptimizedBullet(this.scene, new THREE.Vector3(), new THREE.Vector3(0, 0, 1), 1.0, null, true);
+        bullet.deactivate();
+        return bullet;
+    }
+    
     setDecalManager(decalManager) {
         this.decalManager = decalManager;
     }
@@ -1266,23 +1373,19 @@ export class BulletManager {
         this.matrix = new THREE.Matrix4();
     }
     
-    // Create a new bullet and return it
+    // Take a bullet from the pool and return it, or null when every instance slot is in use
     createBullet(position, direction, speedMultiplier = 1.0) {
-        // Create a bullet object but don't create a mesh for it
-        const bullet = new OptimizedBullet(this.scene, position, direction, speedMultiplier, this.decalManager, true);
+        const bullet = this.pool.acquire(position, direction, speedMultiplier);
+        if (!bullet) return null;
         
         // Instead of adding a mesh to the scene, add it to our instances
-        if (this.activeBullets.length < this.maxBullets) {
-            // Assign an instance index
-            bullet.instanceId = this.activeBullets.length;
-            this.activeBullets.push(bullet);
-            
-            // Increase the count of visible instances
-            this.instancedMesh.count = this.activeBullets.length;
-            
-            // Update the instance matrix for this bullet
-            this.updateBulletInstance(bullet);
-        }
+        bullet.instanceId = this.activeBullets.length - 1;
+        
+        // Increase the count of visible instances
+        this.instancedMesh.count = this.activeBullets.length;
+        
+        // Update the instance matrix for this bullet
+        this.updateBulletInstance(bullet);
         
         return bullet;
     }
@@ -1326,8 +1429,8 @@ export class BulletManager {
         const index = this.activeBullets.indexOf(bullet);
         if (index === -1) return;
         
-        // Remove the bullet
-        this.activeBullets.splice(index, 1);
+        // Return the bullet to the pool
+        this.pool.release(bullet);
         
         // Update the count
         this.instancedMesh.count = this.activeBullets.length;
@@ -1363,12 +1466,22 @@ export class BulletManager {
         }
     }
     
+    // Drop all bullets but keep the instanced mesh
+    reset() {
+        this.pool.releaseAll();
+        this.instancedMesh.count = 0;
+    }
+    
+    getStats() {
+        return this.pool.getStats();
+    }
+    
     // Clean up resources
     cleanUp() {
         this.scene.remove(this.instancedMesh);
         this.instancedMesh.geometry.dispose();
         this.instancedMesh.material.dispose();
-        this.activeBullets = [];
+        this.pool.dispose();
     }
 }
 
@@ -1388,6 +1501,13 @@ export class OptimizedBullet {
         this.maxTravelDistance = GAME.BULLET_MAX_DISTANCE;
         this.distanceTraveled = 0; // Initialize distance traveled
         
+        // Paint hits dealt on impact, set per weapon
+        this.damage = 1;
+        
+        // Enemies left to fly through (PIERCING perk) and those already painted on the way
+        this.pierce = 0;
+        this.piercedEnemies = [];
+        
         this.attachedToEnemy = false;
         this.attachedEnemy = null;
         this.decalManager = decalManager;
@@ -1416,6 +1536,29 @@ export class OptimizedBullet {
         }
     }
 
+    // Ready a pooled instanced bullet for another shot
+    reset(position, direction, speedMultiplier = 1.0) {
+        this.position.copy(position);
+        this.direction.copy(direction).normalize();
+        this.initialPosition.copy(position);
+        this.speed = GAME.SPEEDS.BULLET * speedMultiplier;
+        this.distanceTraveled = 0;
+        
+        // Weapon stats are set by the caller after acquiring the bullet
+        this.maxTravelDistance = GAME.BULLET_MAX_DISTANCE;
+        this.damage = 1;
+        this.color = COLORS.BULLET;
+        this.pierce = 0;
+        this.piercedEnemies = [];
+        
+        this.attachedToEnemy = false;
+        this.attachedEnemy = null;
+        this.instanceId = undefined;
+        this.isActive = true;
+        
+        return this;
+    }
+    
     update(dt) {
         if (!this.isActive) return;
         
@@ -1455,8 +1598,23 @@ export class OptimizedBullet {
         this.speed = 0;
     }
     
-    // Create a decal instead of staying as a 3D object
-    createImpactDecal(position, normal, object) {
+    // Paint an enemy on the way without stopping, while pierce is left
+    // Returns whether the bullet flies on
+    pierceThrough(enemy) {
+        if (this.pierce <= 0) return false;
+        
+        this.pierce--;
+        this.piercedEnemies.push(enemy);
+        return true;
+    }
+    
+    // Whether this bullet already went through an enemy
+    hasPierced(enemy) {
+        return this.piercedEnemies.includes(enemy);
+    }
+    
+    // Create a decal instead of staying as a 3D object, a piercing bullet keeps flying
+    createImpactDecal(position, normal, object, keepFlying = false) {
 
         // If we have a decal manager, create a decal
         if (this.decalManager) {
@@ -1471,7 +1629,9 @@ export class OptimizedBullet {
         }
         
         // Deactivate the bullet
-        this.deactivate();
+        if (!keepFlying) {
+            this.deactivate();
+        }
     }
 
     deactivate() {
@@ -1482,7 +1642,7 @@ export class OptimizedBullet {
         // Cancel all pending animations
         if (this.animationIds && Array.isArray(this.animationIds)) {
             this.animationIds.forEach(id => {
-                cancelAnimationFrame(id);
+                timeManager.cancelAnimationFrame(id);
             });
             this.animationIds = [];
         }
@@ -1552,9 +1712,8 @@ export class GrenadePool {
         this.scene = scene;
         this.audioManager = audioManager;
         this.decalManager = decalManager;
-        this.pool = [];
         this.poolSize = 5; // Adjust based on expected max simultaneous grenades
-        this.activeGrenades = [];
+        this.maxSize = 20; // Grenades kept at most
         
         // Light optimization settings
         this.useLightsForEffects = false; // Set to false to use emissive materials instead of lights
@@ -1616,77 +1775,62 @@ export class GrenadePool {
             })
         };
         
-        // Initialize the pool
-        this.initPool();
+        // Past the cap, a new throw takes over the grenade that has been out the longest
+        this.pool = new ObjectPool({
+            name: 'grenades',
+            create: () => this.createGrenade(),
+            reset: (grenade, position, direction) => grenade.reset(position, direction),
+            release: grenade => grenade.deactivate(),
+            dispose: grenade => grenade.deactivate(true),
+            initialSize: this.poolSize,
+            maxSize: this.maxSize,
+            overflow: POOL_OVERFLOW.RECYCLE_OLDEST
+        });
+        this.activeGrenades = this.pool.active;
     }
     
-    initPool() {
-        for (let i = 0; i < this.poolSize; i++) {
-            const grenade = new Grenade(
-                this.scene, 
-                new THREE.Vector3(), 
-                new THREE.Vector3(),
-                this.audioManager,
-                this.decalManager
-            );
-            
-            // Assign shared resources
-            grenade.sharedGeometries = this.sharedGeometries;
-            grenade.sharedMaterials = this.sharedMaterials;
-            
-            // Configure light optimization settings
-            grenade.useLights = this.useLightsForEffects;
-            
-            // Deactivate immediately
-            grenade.deactivate(true);
-            
-            this.pool.push(grenade);
-        }
+    createGrenade() {
+        const grenade = new Grenade(
+            this.scene, 
+            new THREE.Vector3(), 
+            new THREE.Vector3(),
+            this.audioManager,
+            this.decalManager
+        );
+        
+        // Assign shared resources
+        grenade.sharedGeometries = this.sharedGeometries;
+        grenade.sharedMaterials = this.sharedMaterials;
+        
+        // Configure light optimization settings
+        grenade.useLights = this.useLightsForEffects;
+        
+        // Deactivate immediately. Not forced, that would dispose the shared geometry.
+        grenade.deactivate();
+        
+        return grenade;
+    }
+    
+    // Grow the pool ahead of time, e.g. before a boss fight
+    warmUp(count) {
+        this.pool.warmUp(count);
     }
     
     getGrenade(position, direction) {
-        // Try to get a grenade from the pool
-        let grenade = this.pool.find(g => !g.isActive);
-        
-        // If no grenade is available, create a new one or reuse oldest one
-        if (!grenade) {
-
-            grenade = new Grenade(
-                this.scene, 
-                position, 
-                direction,
-                this.audioManager,
-                this.decalManager
-            );
-            grenade.sharedGeometries = this.sharedGeometries;
-            grenade.sharedMaterials = this.sharedMaterials;
-            grenade.useLights = this.useLightsForEffects; // Set lighting optimization
-        } else {
-            // Remove from pool
-            this.pool.splice(this.pool.indexOf(grenade), 1);
-            
-            // Reset the grenade
-            grenade.reset(position, direction);
-        }
+        const grenade = this.pool.acquire(position, direction);
         
         // Apply performance mode settings
         grenade.lowPerformanceMode = this.lowPerformanceMode;
         
-        // Add to active grenades
-        this.activeGrenades.push(grenade);
-        
         return grenade;
     }
     
     recycleGrenade(grenade) {
-        // Remove from active grenades
-        const index = this.activeGrenades.indexOf(grenade);
-        if (index !== -1) {
-            this.activeGrenades.splice(index, 1);
-        }
-        
-        // Add back to pool
-        this.pool.push(grenade);
+        this.pool.release(grenade);
+    }
+    
+    getStats() {
+        return this.pool.getStats();
     }
     
     update(dt) {
@@ -1702,6 +1846,12 @@ export class GrenadePool {
         }
     }
     
+    // Return every grenade to the pool, keeping the shared resources
+    reset() {
+        // No forced cleanup here, that would dispose the shared geometries and materials
+        this.pool.releaseAll();
+    }
+    
     cleanup() {
         // Dispose of all shared resources
         Object.values(this.sharedGeometries).forEach(geometry => {
@@ -1726,14 +1876,7 @@ export class GrenadePool {
         });
         
         // Clean up all grenades
-        [...this.pool, ...this.activeGrenades].forEach(grenade => {
-            if (grenade && grenade.deactivate) {
-                grenade.deactivate(true);
-            }
-        });
-        
-        this.pool = [];
-        this.activeGrenades = [];
+        this.pool.dispose();
     }
 }
 
@@ -1888,11 +2031,11 @@ export class BossBullet extends OptimizedBullet {
         // Animate the flash quickly - use more efficient animation technique
         let flashTime = 0;
         const flashDuration = 200;
-        let lastFlashTime = performance.now();
+        let lastFlashTime = timeManager.now();
         let flashAnimationId;
         
         const animateFlash = () => {
-            const now = performance.now();
+            const now = timeManager.now();
             flashTime += now - lastFlashTime;
             lastFlashTime = now;
             
@@ -1904,12 +2047,12 @@ export class BossBullet extends OptimizedBullet {
                 flashMaterial.opacity = 1.0 * (1 - progress);
                 flashLight.intensity = 15 * (1 - progress);
                 
-                flashAnimationId = requestAnimationFrame(animateFlash);
+                flashAnimationId = timeManager.requestAnimationFrame(animateFlash);
                 this.animationIds.push(flashAnimationId);
             } else {
                 // Cancel any pending animation frames
                 if (flashAnimationId) {
-                    cancelAnimationFrame(flashAnimationId);
+                    timeManager.cancelAnimationFrame(flashAnimationId);
                     const index = this.animationIds.indexOf(flashAnimationId);
                     if (index !== -1) this.animationIds.splice(index, 1);
                 }
@@ -1933,10 +2076,10 @@ export class BossBullet extends OptimizedBullet {
         this.createDebrisEffect();
         
         // Disable explosion damage after a short delay
-        this.explosionTimer = setTimeout(() => {
+        this.explosionTimer = timeManager.setTimeout(() => {
             this.explosionActive = false;
             // Don't deactivate yet - we want to keep the debris around for a bit
-            setTimeout(() => {
+            timeManager.setTimeout(() => {
                 this.deactivate();
             }, 2000); // Keep debris for 2 seconds
         }, 400);
@@ -1966,9 +2109,9 @@ export class BossBullet extends OptimizedBullet {
             
             // Set positions and colors
             for (let i = 0; i < particleCount; i++) {
-                const phi = Math.random() * Math.PI * 2;
-                const theta = Math.random() * Math.PI;
-                const radius = Math.random() * this.explosionRadius * 1.3;
+                const phi = randomManager.cosmetic.next() * Math.PI * 2;
+                const theta = randomManager.cosmetic.next() * Math.PI;
+                const radius = randomManager.cosmetic.next() * this.explosionRadius * 1.3;
                 
                 positions[i * 3] = this.position.x + radius * Math.sin(phi) * Math.cos(theta);
                 positions[i * 3 + 1] = this.position.y + radius * Math.sin(phi) * Math.sin(theta);
@@ -1995,9 +2138,9 @@ export class BossBullet extends OptimizedBullet {
             
             // Set positions and colors
             for (let i = 0; i < particleCount; i++) {
-                const phi = Math.random() * Math.PI * 2;
-                const theta = Math.random() * Math.PI;
-                const radius = Math.random() * this.explosionRadius * 1.3;
+                const phi = randomManager.cosmetic.next() * Math.PI * 2;
+                const theta = randomManager.cosmetic.next() * Math.PI;
+                const radius = randomManager.cosmetic.next() * this.explosionRadius * 1.3;
                 
                 positions[i * 3] = this.position.x + radius * Math.sin(phi) * Math.cos(theta);
                 positions[i * 3 + 1] = this.position.y + radius * Math.sin(phi) * Math.sin(theta);
@@ -2047,11 +2190,11 @@ export class BossBullet extends OptimizedBullet {
         // Animate explosion (optimized)
         let explosionTime = 0;
         const explosionDuration = 600; // Reduced from 800ms
-        let lastTime = performance.now();
+        let lastTime = timeManager.now();
         let explosionAnimId;
         
         const animateExplosion = () => {
-            const now = performance.now();
+            const now = timeManager.now();
             const deltaTime = Math.min(now - lastTime, 33); // Cap at ~30fps for better performance
             lastTime = now;
             
@@ -2071,12 +2214,12 @@ export class BossBullet extends OptimizedBullet {
                 // Fade particles 
                 particleMaterial.opacity = 1 - (progress * 0.8);
                 
-                explosionAnimId = requestAnimationFrame(animateExplosion);
+                explosionAnimId = timeManager.requestAnimationFrame(animateExplosion);
                 this.animationIds.push(explosionAnimId);
             } else {
                 // Cancel any pending animation
                 if (explosionAnimId) {
-                    cancelAnimationFrame(explosionAnimId);
+                    timeManager.cancelAnimationFrame(explosionAnimId);
                     const index = this.animationIds.indexOf(explosionAnimId);
                     if (index !== -1) this.animationIds.splice(index, 1);
                 }
@@ -2097,7 +2240,7 @@ export class BossBullet extends OptimizedBullet {
             }
         };
         
-        explosionAnimId = requestAnimationFrame(animateExplosion);
+        explosionAnimId = timeManager.requestAnimationFrame(animateExplosion);
         this.animationIds.push(explosionAnimId);
     }
     
@@ -2135,38 +2278,38 @@ export class BossBullet extends OptimizedBullet {
         
         for (let i = 0; i < debrisCount; i++) {
             // Direction calculation with reduced spread and height
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI / 3; // Reduced from PI/2 for less upward spread
+            const theta = randomManager.cosmetic.next() * Math.PI * 2;
+            const phi = randomManager.cosmetic.next() * Math.PI / 3; // Reduced from PI/2 for less upward spread
             
             const direction = new THREE.Vector3(
                 Math.sin(phi) * Math.cos(theta) * 0.5, // Reduced from 1.5
-                Math.random() * 0.4 + 0.2, // Reduced from 0.8 + 0.4
+                randomManager.cosmetic.next() * 0.4 + 0.2, // Reduced from 0.8 + 0.4
                 Math.sin(phi) * Math.sin(theta) * 0.5  // Reduced from 1.5
             );
             
             // Select random geometry
             const geometryTypes = Object.keys(debrisGeometries);
-            const geometry = debrisGeometries[geometryTypes[Math.floor(Math.random() * geometryTypes.length)]];
+            const geometry = debrisGeometries[geometryTypes[Math.floor(randomManager.cosmetic.next() * geometryTypes.length)]];
             
             // Alternate materials for variety
             const material = i % 2 === 0 ? debrisMaterial : debrisMaterial2;
             const debris = new THREE.Mesh(geometry, material);
             
             // Reduced scale range
-            const baseScale = 0.4 + Math.random() * 0.4; // Reduced from 0.6 + 0.6
+            const baseScale = 0.4 + randomManager.cosmetic.next() * 0.4; // Reduced from 0.6 + 0.6
             debris.scale.setScalar(baseScale);
             
             debris.rotation.set(
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2,
-                Math.random() * Math.PI * 2
+                randomManager.cosmetic.next() * Math.PI * 2,
+                randomManager.cosmetic.next() * Math.PI * 2,
+                randomManager.cosmetic.next() * Math.PI * 2
             );
             
             // Reduced initial spread
             const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * 0.2, // Reduced from 0.3
-                (Math.random() - 0.5) * 0.2, // Reduced from 0.3
-                (Math.random() - 0.5) * 0.2  // Reduced from 0.3
+                (randomManager.cosmetic.next() - 0.5) * 0.2, // Reduced from 0.3
+                (randomManager.cosmetic.next() - 0.5) * 0.2, // Reduced from 0.3
+                (randomManager.cosmetic.next() - 0.5) * 0.2  // Reduced from 0.3
             );
             debris.position.copy(this.position).add(offset);
             this.scene.add(debris);
@@ -2175,33 +2318,33 @@ export class BossBullet extends OptimizedBullet {
             this.debrisParticles.push({
                 mesh: debris,
                 direction: direction,
-                speed: Math.random() * 0.3 + 0.2, // Reduced from 0.5 + 0.3
+                speed: randomManager.cosmetic.next() * 0.3 + 0.2, // Reduced from 0.5 + 0.3
                 rotationAxis: new THREE.Vector3(
-                    Math.random() - 0.5,
-                    Math.random() - 0.5,
-                    Math.random() - 0.5
+                    randomManager.cosmetic.next() - 0.5,
+                    randomManager.cosmetic.next() - 0.5,
+                    randomManager.cosmetic.next() - 0.5
                 ).normalize(),
-                rotationSpeed: Math.random() * 0.1 + 0.05, // Reduced from 0.2 + 0.1
-                bounceAmount: 0.3 + Math.random() * 0.2, // Reduced from 0.4 + 0.3
-                elasticity: 0.5 + Math.random() * 0.2, // Reduced from 0.7 + 0.2
-                spinDecay: 0.95 + Math.random() * 0.02, // Increased decay (was 0.97)
-                gravity: 0.02 + Math.random() * 0.01, // Increased gravity (was 0.015)
+                rotationSpeed: randomManager.cosmetic.next() * 0.1 + 0.05, // Reduced from 0.2 + 0.1
+                bounceAmount: 0.3 + randomManager.cosmetic.next() * 0.2, // Reduced from 0.4 + 0.3
+                elasticity: 0.5 + randomManager.cosmetic.next() * 0.2, // Reduced from 0.7 + 0.2
+                spinDecay: 0.95 + randomManager.cosmetic.next() * 0.02, // Increased decay (was 0.97)
+                gravity: 0.02 + randomManager.cosmetic.next() * 0.01, // Increased gravity (was 0.015)
                 bounceCount: 0,
-                maxBounces: Math.floor(Math.random() * 2) + 1, // Reduced from 3
+                maxBounces: Math.floor(randomManager.cosmetic.next() * 2) + 1, // Reduced from 3
                 playedBounceSound: false,
-                bounceSoundDelay: Math.random() * 200,
+                bounceSoundDelay: randomManager.cosmetic.next() * 200,
                 settled: false
             });
         }
         
         // Animate debris with bouncing
-        let lastFrameTime = performance.now();
+        let lastFrameTime = timeManager.now();
         const targetFrameTime = 1000 / 60; // Target 60 FPS
         
         const animateDebris = () => {
             if (!this.isActive || !this.debrisParticles || this.debrisParticles.length === 0) return;
             
-            const currentTime = performance.now();
+            const currentTime = timeManager.now();
             const deltaTime = Math.min((currentTime - lastFrameTime) / 1000, targetFrameTime / 1000);
             lastFrameTime = currentTime;
             
@@ -2241,14 +2384,14 @@ export class BossBullet extends OptimizedBullet {
                     }
                     
                     // Add some random variation to direction after bounce
-                    debris.direction.z += (Math.random() - 0.5) * 0.3;
+                    debris.direction.z += (randomManager.cosmetic.next() - 0.5) * 0.3;
                     
                     // Play bounce sound occasionally for wall hits
-                    if (this.audioManager && Math.random() < 0.3 && !debris.wallBounceSound) {
+                    if (this.audioManager && randomManager.cosmetic.next() < 0.3 && !debris.wallBounceSound) {
                         debris.wallBounceSound = true;
-                        setTimeout(() => {
+                        timeManager.setTimeout(() => {
                             this.audioManager.playGrenadeBounce();
-                        }, Math.random() * 100);
+                        }, randomManager.cosmetic.next() * 100);
                     }
                 }
                 
@@ -2265,14 +2408,14 @@ export class BossBullet extends OptimizedBullet {
                     }
                     
                     // Add some random variation to direction after bounce
-                    debris.direction.x += (Math.random() - 0.5) * 0.3;
+                    debris.direction.x += (randomManager.cosmetic.next() - 0.5) * 0.3;
                     
                     // Play bounce sound occasionally for wall hits
-                    if (this.audioManager && Math.random() < 0.3 && !debris.wallBounceSound) {
+                    if (this.audioManager && randomManager.cosmetic.next() < 0.3 && !debris.wallBounceSound) {
                         debris.wallBounceSound = true;
-                        setTimeout(() => {
+                        timeManager.setTimeout(() => {
                             this.audioManager.playGrenadeBounce();
-                        }, Math.random() * 100);
+                        }, randomManager.cosmetic.next() * 100);
                     }
                 }
                 
@@ -2286,7 +2429,7 @@ export class BossBullet extends OptimizedBullet {
                         debris.mesh.scale.x > 0.8 && 
                         debris.bounceCount === 1) {
                         debris.playedBounceSound = true;
-                        setTimeout(() => {
+                        timeManager.setTimeout(() => {
                             this.audioManager.playGrenadeBounce();
                         }, debris.bounceSoundDelay);
                     }
@@ -2297,9 +2440,9 @@ export class BossBullet extends OptimizedBullet {
                         
                         // Set final rotation once and stop updating
                         debris.mesh.rotation.set(
-                            Math.random() < 0.5 ? 0 : Math.PI/2,
-                            Math.random() * Math.PI * 2,
-                            Math.random() < 0.5 ? 0 : Math.PI/4
+                            randomManager.cosmetic.next() < 0.5 ? 0 : Math.PI/2,
+                            randomManager.cosmetic.next() * Math.PI * 2,
+                            randomManager.cosmetic.next() < 0.5 ? 0 : Math.PI/4
                         );
                     } else {
                         // Energetic bounce
@@ -2313,26 +2456,26 @@ export class BossBullet extends OptimizedBullet {
                         debris.rotationSpeed *= debris.spinDecay;
                         
                         // Add random horizontal variation for more organic movement
-                        debris.direction.x += (Math.random() - 0.5) * 0.2;
-                        debris.direction.z += (Math.random() - 0.5) * 0.2;
+                        debris.direction.x += (randomManager.cosmetic.next() - 0.5) * 0.2;
+                        debris.direction.z += (randomManager.cosmetic.next() - 0.5) * 0.2;
                     }
                 }
             }
             
             // Continue animation if any active debris remains
             if (activeCount > 0) {
-                const animId = requestAnimationFrame(animateDebris);
+                const animId = timeManager.requestAnimationFrame(animateDebris);
                 this.animationIds.push(animId);
             } else {
                 // All debris has settled, fade them out after a delay
-                setTimeout(() => {
+                timeManager.setTimeout(() => {
                     this.fadeOutDebris();
                 }, 2000);
             }
         };
         
         // Start the animation
-        const animId = requestAnimationFrame(animateDebris);
+        const animId = timeManager.requestAnimationFrame(animateDebris);
         this.animationIds.push(animId);
     }
     
@@ -2366,7 +2509,7 @@ export class BossBullet extends OptimizedBullet {
             }
             
             if (stillVisible) {
-                const animId = requestAnimationFrame(fadeAnimation);
+                const animId = timeManager.requestAnimationFrame(fadeAnimation);
                 this.animationIds.push(animId);
             } else {
                 // All debris faded out, now we can deactivate
@@ -2375,7 +2518,7 @@ export class BossBullet extends OptimizedBullet {
         };
         
         // Start the fade animation
-        const animId = requestAnimationFrame(fadeAnimation);
+        const animId = timeManager.requestAnimationFrame(fadeAnimation);
         this.animationIds.push(animId);
     }
     
@@ -2387,7 +2530,7 @@ export class BossBullet extends OptimizedBullet {
         // Cancel all pending animations
         if (this.animationIds && Array.isArray(this.animationIds)) {
             this.animationIds.forEach(id => {
-                cancelAnimationFrame(id);
+                timeManager.cancelAnimationFrame(id);
             });
             this.animationIds = [];
         }
@@ -2448,4 +2591,10 @@ export class BossBullet extends OptimizedBullet {
     getExplosionRadius() {
         return this.explosionRadius;
     }
+    
+    // Who gets a kill by this blast: the thrown grenade that started it, directly or through
+    // a chain of exploders, and whether the player started it at all
+    getBlame() {
+        return this.blame || { grenade: this, killedByPlayer: true };
+    }
 } 
\ No newline at end of file
@@ -0,0 +1,243 @@
+// Headless checks for CI: runs fixed-seed games and asserts on how they play out
+//
+//   npm test
+//
+// - The auto-aim controller gets through wave 1 on a fixed seed
+// - A player left standing still takes damage until it dies, and all of it is counted
+// - Bosses only spawn once their wave's defeat threshold is met, and before their wave completes,
+//   also when the threshold is the wave's last kill. Every other check asserts the latter too.
+// - Playing back a run's replay ends with the same summary as the run itself
+// - Kills down a chain of two exploders go to the grenade that set it off, and to no one when
+//   the first exploder blew itself up next to the player
+// - Broken wave definitions are reported with the path of every problem, and refused by WaveTable
+// - Object pools at their cap drop, recycle the oldest or allocate as their overflow policy says
+//
+// Prints one line per check and exits with code 1 if any of them failed.
+
+import * as THREE from 'three';
+import { HeadlessGame } from './headless-game.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { getWaveSettings } from '../utils/difficulty.js';
+import { waveTable, validateWaveDefinitions, WaveTable } from '../utils/wave-definitions.js';
+import { ObjectPool, POOL_OVERFLOW } from '../utils/object-pool.js';
+import wavesData from '../data/waves.json' with { type: 'json' };
+
+const SEED = 7;
+
+const checks = [];
+
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// A fresh game for every check, the clock and random streams are shared singletons. However
+// the check plays, no boss may spawn after its wave completed.
+function withGame(options, run) {
+    const game = new HeadlessGame({ seed: SEED, quiet: true, ...options });
+    try {
+        const result = run(game);
+        assertBossesBeforeCompletion(game);
+        return result;
+    } finally {
+        game.dispose();
+    }
+}
+
+// Every boss spawned while its wave was still going, not in the intermission after it
+function assertBossesBeforeCompletion(game) {
+    game.bossSpawns.forEach(({ wave, tick }) => {
+        const completion = game.waveCompletions.find(completion => completion.wave === wave);
+        assert(!completion || completion.tick > tick,
+            `boss in wave ${wave} at tick ${tick}, the wave completed at tick ${completion && completion.tick}`);
+    });
+}
+
+// Auto-aim that never runs dry or dies, so a run gets as far as the waves allow
+function sustain(game) {
+    game.autoAim();
+    game.player.reserveAmmo = game.player.weapon.magazineSize;
+    game.player.currentHealth = game.player.maxHealth;
+}
+
+check('auto-aim reaches wave 2', () => withGame({}, game => {
+    const reached = game.runUntil(game => game.spawnManager.waveNumber >= 2, 60 * 60 * 5, game => game.autoAim());
+    assert(reached, `still in wave ${game.spawnManager.waveNumber} after ${game.tickCount} ticks`);
+    assert(!game.player.isDead, `player died at tick ${game.deathTick}`);
+}));
+
+check('an idle player takes damage until it dies', () => withGame({}, game => {
+    const died = game.runUntil(game => game.player.isDead, 60 * 60 * 5);
+    assert(died, `player still alive with ${game.player.currentHealth} health after ${game.tickCount} ticks`);
+    // deathTick is the 0-based tick the player died in, the last one run
+    assert(game.deathTick === game.tickCount - 1, `death counted at tick ${game.deathTick}, happened at ${game.tickCount - 1}`);
+    assert(game.damageTaken === game.player.maxHealth, `counted ${game.damageTaken} damage, expected ${game.player.maxHealth}`);
+}));
+
+check('bosses wait for their wave\'s defeat threshold', () => withGame({}, game => {
+    const spawned = game.runUntil(game => game.bossSpawns.length >= 2, 60 * 60 * 20, sustain);
+    assert(spawned, `${game.bossSpawns.length} boss(es) by wave ${game.spawnManager.waveNumber}, expected 2`);
+
+    game.bossSpawns.forEach(({ wave, enemiesDefeated, enemiesSpawned }) => {
+        const rule = getWaveSettings(game.difficulty, waveTable.getWave(wave), waveTable.getDefaultBoss()).boss;
+        assert(rule, `a boss spawned in wave ${wave}, which has none`);
+        assert(enemiesDefeated >= rule.threshold,
+            `boss in wave ${wave} after ${enemiesDefeated} defeated, threshold ${rule.threshold}`);
+        assert(enemiesSpawned >= rule.minSpawned,
+            `boss in wave ${wave} after ${enemiesSpawned} spawned, needs ${rule.minSpawned}`);
+    });
+}));
+
+check('a boss due on the wave\'s last kill spawns before the wave completes', () => withGame({}, game => {
+    const spawnManager = game.spawnManager;
+    spawnManager.bossRule = { threshold: spawnManager.maxEnemies, minSpawned: spawnManager.maxEnemies };
+
+    const spawned = game.runUntil(game => game.bossSpawns.length > 0 || game.waveCompletions.length > 0,
+        60 * 60 * 10, sustain);
+    assert(spawned, `no boss or completed wave after ${game.tickCount} ticks`);
+    assert(game.bossSpawns.length === 1, 'wave 1 completed without its boss');
+}));
+
+check('a replay ends like the run it recorded', () => {
+    const { replay, summary } = withGame({}, game => {
+        game.run(60 * 60, game => game.autoAim());
+        return { replay: JSON.parse(JSON.stringify(game.replayManager.serialize())), summary: game.getSummary() };
+    });
+
+    const replayed = withGame({}, game => {
+        game.runReplay(replay);
+        return game.getSummary();
+    });
+
+    const expected = JSON.stringify(summary);
+    const actual = JSON.stringify(replayed);
+    assert(actual === expected, `summaries differ\n    run:    ${expected}\n    replay: ${actual}`);
+});
+
+// Two exploders in a row, the second out of reach of whatever sets off the first. Returns the
+// kill events for them in the order they died.
+function runExploderChain(game, first, setOff) {
+    const kills = [];
+    eventBus.on(GAME_EVENTS.ENEMY_KILLED, event => kills.push(event));
+
+    const exploders = [first, first.clone().add(new THREE.Vector3(3, 0, 0))]
+        .map(position => game.spawnManager.addEnemy(position, 'EXPLODER'));
+    setOff(exploders[0]);
+    game.run(60);
+
+    return kills.filter(({ enemy }) => exploders.includes(enemy))
+        .map(event => ({ ...event, index: exploders.indexOf(event.enemy) }));
+}
+
+check('a grenade gets the kills down an exploder chain', () => withGame({}, game => {
+    const player = game.player.getPosition();
+    let grenade = null;
+    const kills = runExploderChain(game, new THREE.Vector3(player.x + 12, 0, player.z + 12), exploder => {
+        grenade = game.spawnManager.getGrenade(exploder.getPosition().clone().add(new THREE.Vector3(-2, 0, 0)),
+            new THREE.Vector3(0, 0, 1));
+        game.collisionSystem.addGrenade(grenade);
+        grenade.explode();
+    });
+
+    assert(kills.map(({ index }) => index).join() === '0,1', `exploders went off in order [${kills.map(({ index }) => index)}]`);
+    kills.forEach(({ index, killedByPlayer, grenade: blamed }) => {
+        assert(killedByPlayer, `exploder ${index} not counted as the player's kill`);
+        assert(blamed === grenade, `exploder ${index} not counted for the grenade`);
+    });
+    assert(game.kills === 2, `counted ${game.kills} kills, expected 2`);
+}));
+
+check('an exploder going off next to the player starts a chain for no one', () => withGame({}, game => {
+    const player = game.player.getPosition();
+    const kills = runExploderChain(game, new THREE.Vector3(player.x + 2, 0, player.z), () => {});
+
+    assert(kills.length === 2, `${kills.length} of 2 exploders went off`);
+    kills.forEach(({ index, killedByPlayer }) => {
+        assert(!killedByPlayer, `exploder ${index} counted as the player's kill`);
+    });
+    assert(game.kills === 0, `counted ${game.kills} kills, expected 0`);
+}));
+
+check('broken wave definitions list every problem', () => {
+    assert(validateWaveDefinitions(wavesData).length === 0, 'waves.json itself is reported broken');
+
+    const broken = structuredClone(wavesData);
+    broken.waves[0].enemies.GHOST = 1;
+    broken.waves[1].spawnInterval = 0;
+    broken.defaults.boss.afterDefeated = 2;
+    const expected = ['waves[0].enemies.GHOST', 'waves[1].spawnInterval', 'defaults.boss.afterDefeated'];
+
+    const errors = validateWaveDefinitions(broken);
+    assert(errors.length === expected.length, `${errors.length} problem(s) reported, expected ${expected.length}:\n    ${errors.join('\n    ')}`);
+    expected.forEach(path => {
+        assert(errors.some(error => error.startsWith(`${path}:`)), `no problem reported at ${path}`);
+    });
+
+    let thrown = null;
+    try {
+        new WaveTable(broken);
+    } catch (error) {
+        thrown = error;
+    }
+    assert(thrown, 'WaveTable accepted broken wave definitions');
+    errors.forEach(error => {
+        assert(thrown.message.includes(error), `WaveTable error leaves out "${error}"`);
+    });
+});
+
+check('object pools at their cap follow their overflow policy', () => {
+    const fullPool = (overflow) => {
+        const released = [];
+        const pool = new ObjectPool({
+            name: overflow,
+            create: () => ({}),
+            release: object => released.push(object),
+            maxSize: 2,
+            overflow
+        });
+        const held = [pool.acquire(), pool.acquire()];
+        return { pool, held, released };
+    };
+
+    const drop = fullPool(POOL_OVERFLOW.DROP);
+    assert(drop.pool.acquire() === null, 'drop: handed out an object past the cap');
+    assert(drop.pool.getStats().dropped === 1, `drop: counted ${drop.pool.getStats().dropped} dropped`);
+    assert(drop.released.length === 0, 'drop: released an object in use');
+
+    const recycle = fullPool(POOL_OVERFLOW.RECYCLE_OLDEST);
+    const recycled = recycle.pool.acquire();
+    assert(recycled === recycle.held[0], 'recycleOldest: didn\'t take over the oldest object');
+    assert(recycle.released.length === 1 && recycle.released[0] === recycled, 'recycleOldest: oldest object not released first');
+    assert(recycle.pool.active.length === 2 && recycle.pool.active[1] === recycled,
+        'recycleOldest: taken over object isn\'t the newest in use');
+    assert(recycle.pool.getStats().recycled === 1, `recycleOldest: counted ${recycle.pool.getStats().recycled} recycled`);
+
+    const allocate = fullPool(POOL_OVERFLOW.ALLOCATE);
+    const extra = allocate.pool.acquire();
+    assert(extra && !allocate.held.includes(extra), 'allocate: didn\'t create a new object');
+    allocate.pool.release(extra);
+    assert(allocate.pool.size === 2 && allocate.pool.free.length === 0,
+        `allocate: kept the throwaway object (size ${allocate.pool.size}, ${allocate.pool.free.length} free)`);
+    assert(allocate.pool.getStats().allocated === 1, `allocate: counted ${allocate.pool.getStats().allocated} allocated`);
+});
+
+let failed = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        process.stdout.write(`ok - ${name}\n`);
+    } catch (error) {
+        failed++;
+        process.stdout.write(`not ok - ${name}\n    ${error.message}\n`);
+    }
+});
+
+process.stdout.write(`${checks.length - failed}/${checks.length} checks passed\n`);
+if (failed > 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,117 @@
+// Compares the grid broadphase against brute-force collision checks
+//
+//   npm run benchmark:collision -- [options]
+//
+//   --seed <n>          Run seed (default 1)
+//   --enemies <n>       Enemies on the field at once (default 50)
+//   --ticks <n>         Ticks to simulate per mode, 60 per second (default 1800)
+//
+// Both modes play the same seeded run: every enemy spawned at tick 0 and the player holding
+// the machine gun on the nearest one with endless ammo and health. Prints the time spent in
+// collision checks per mode and exits with code 1 if the two runs ended differently.
+
+import { HeadlessGame } from './headless-game.js';
+
+function parseArgs(argv) {
+    const options = { seed: 1, enemies: 50, ticks: 1800 };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--seed':
+                options.seed = Number(argv[++i]);
+                break;
+            case '--enemies':
+                options.enemies = Number(argv[++i]);
+                break;
+            case '--ticks':
+                options.ticks = Number(argv[++i]);
+                break;
+            default:
+                throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+// Keep the player shooting and alive so the collision load stays at its peak
+function fullFire(game) {
+    game.autoAim();
+    game.setInput({ shoot: true });
+
+    // A full magazine every tick, so no reload ever interrupts the stream
+    game.player.ammo = game.player.weapon.magazineSize;
+    game.player.currentHealth = game.player.maxHealth;
+}
+
+function runMode(collision, options) {
+    const game = new HeadlessGame({ seed: options.seed, collision, quiet: true });
+
+    const spawnManager = game.spawnManager;
+    spawnManager.maxEnemies = options.enemies;
+    for (let i = 0; i < options.enemies; i++) {
+        spawnManager.spawnEnemy();
+        spawnManager.enemiesSpawnedThisWave++;
+    }
+
+    let collisionMs = 0;
+    let peakMs = 0;
+    const start = performance.now();
+
+    for (let i = 0; i < options.ticks; i++) {
+        fullFire(game);
+        game.tick();
+
+        const updateMs = game.collisionSystem.lastUpdateMs;
+        collisionMs += updateMs;
+        peakMs = Math.max(peakMs, updateMs);
+    }
+
+    const totalMs = performance.now() - start;
+
+    // Enough of the end state to tell whether both modes played out the same
+    const fingerprint = JSON.stringify({
+        summary: game.getSummary(),
+        player: game.player.getPosition().toArray().map(value => value.toFixed(4)),
+        enemies: spawnManager.activeEnemies.map(enemy =>
+            enemy.getPosition().toArray().map(value => value.toFixed(4)))
+    });
+
+    game.dispose();
+
+    return {
+        collision,
+        collisionMsPerTick: collisionMs / options.ticks,
+        peakCollisionMs: peakMs,
+        totalMsPerTick: totalMs / options.ticks,
+        kills: game.kills,
+        enemiesLeft: spawnManager.activeEnemies.length,
+        fingerprint
+    };
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+const results = ['brute', 'grid'].map(collision => runMode(collision, options));
+const identical = results[0].fingerprint === results[1].fingerprint;
+
+const report = {
+    seed: options.seed,
+    enemies: options.enemies,
+    ticks: options.ticks,
+    identical,
+    modes: results.map(({ fingerprint, ...result }) => ({
+        ...result,
+        collisionMsPerTick: Number(result.collisionMsPerTick.toFixed(3)),
+        peakCollisionMs: Number(result.peakCollisionMs.toFixed(3)),
+        totalMsPerTick: Number(result.totalMsPerTick.toFixed(3))
+    })),
+    speedup: Number((results[0].collisionMsPerTick / results[1].collisionMsPerTick).toFixed(2))
+};
+
+process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+
+if (!identical) {
+    console.error('Grid and brute-force collision runs ended differently');
+    process.exitCode = 1;
+}
@@ -0,0 +1,145 @@
+/**
+ * Headless environment - just enough of a browser for the simulation to run under Node
+ *
+ * The entities still build their DOM messages, labels and canvas textures; here those land in
+ * inert stand-in elements that are never displayed. Nothing renders, so render-loop callbacks
+ * (window.requestAnimationFrame) never fire. Gameplay timing runs on the TimeManager game clock
+ * and is unaffected.
+ */
+
+const noop = () => {};
+
+// Minimal element: keeps a child list and style object so add/remove bookkeeping works
+class HeadlessElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.id = '';
+        this.className = '';
+        this.textContent = '';
+        this.innerHTML = '';
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.offsetWidth = 0;
+        this.offsetHeight = 0;
+
+        // Canvas size, only meaningful for <canvas>
+        this.width = 0;
+        this.height = 0;
+    }
+
+    appendChild(child) {
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        // Lenient on purpose, a browser would throw for a node that isn't a child
+        const index = this.children.indexOf(child);
+        if (index !== -1) {
+            this.children.splice(index, 1);
+            child.parentNode = null;
+        }
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+
+    getContext() {
+        return createCanvasContext();
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    setAttribute() {}
+    focus() {}
+    blur() {}
+    click() {}
+}
+
+// 2D context whose drawing calls do nothing; properties like fillStyle are stored as set
+function createCanvasContext() {
+    const gradient = { addColorStop: noop };
+    const context = {
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createPattern: () => null,
+        measureText: () => ({ width: 0 }),
+        getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) })
+    };
+
+    return new Proxy(context, {
+        get: (target, property) => (property in target ? target[property] : noop)
+    });
+}
+
+function findById(element, id) {
+    if (element.id === id) return element;
+    for (const child of element.children) {
+        const found = findById(child, id);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Install document, window and animation frame globals unless they already exist
+ */
+export function installHeadlessEnvironment() {
+    if (typeof globalThis.document === 'undefined') {
+        const documentElement = new HeadlessElement('html');
+        const head = documentElement.appendChild(new HeadlessElement('head'));
+        const body = documentElement.appendChild(new HeadlessElement('body'));
+
+        globalThis.document = {
+            documentElement,
+            head,
+            body,
+            createElement: (tagName) => new HeadlessElement(tagName),
+            getElementById: (id) => findById(documentElement, id),
+            querySelector: () => null,
+            addEventListener: noop,
+            removeEventListener: noop
+        };
+    }
+
+    if (typeof globalThis.window === 'undefined') {
+        globalThis.window = {
+            innerWidth: 1280,
+            innerHeight: 720,
+            devicePixelRatio: 1,
+            location: { search: '', reload: noop },
+            addEventListener: noop,
+            removeEventListener: noop
+        };
+    }
+
+    if (typeof globalThis.requestAnimationFrame === 'undefined') {
+        let nextFrameId = 1;
+        globalThis.requestAnimationFrame = () => nextFrameId++;
+        globalThis.cancelAnimationFrame = noop;
+    }
+}
+
+/**
+ * An audio manager that accepts every AudioManager call and plays nothing
+ * @returns {Object} - Stand-in for AudioManager
+ */
+export function createSilentAudioManager() {
+    // Any method name resolves to a no-op, so new sounds never need a matching stub
+    return new Proxy({}, {
+        get: () => noop
+    });
+}
@@ -0,0 +1,301 @@
+import { Simulation } from '../systems/simulation.js';
+import { ReplayManager } from '../systems/replay-manager.js';
+import { GAME_STATES } from '../systems/game-state-machine.js';
+import { InputHandler, SHOP_CONTINUE } from '../utils/input-handler.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { getDifficulty } from '../utils/difficulty.js';
+import { installHeadlessEnvironment, createSilentAudioManager } from './headless-environment.js';
+
+/**
+ * HeadlessGame - The full game simulation without renderer, audio or real DOM
+ *
+ * Runs the same waves, collisions and damage as the browser game, ticked by hand, so
+ * automated tests can drive thousands of ticks in Node and assert on the outcome.
+ * The game clock and random streams are singletons, so run one instance at a time.
+ *
+ * @example
+ * const game = new HeadlessGame({ seed: 1234 });
+ * game.runUntil(() => game.spawnManager.waveNumber >= 2, 60 * 60 * 5, game => game.autoAim());
+ * console.log(game.getSummary());
+ */
+export class HeadlessGame extends Simulation {
+    /**
+     * @param {Object} options
+     * @param {number} [options.seed] - Seed for every run, a random one per run when omitted
+     * @param {string} [options.collision] - 'grid' (default) or 'brute' for the collision broadphase
+     * @param {string} [options.difficulty] - Key in DIFFICULTIES, NORMAL when omitted
+     * @param {boolean} [options.quiet] - Leave out the game's console logging
+     */
+    constructor(options = {}) {
+        super();
+        
+        this.quiet = !!options.quiet;
+
+        installHeadlessEnvironment();
+
+        this.pinnedSeed = options.seed !== undefined ? options.seed : null;
+        this.useCollisionGrid = options.collision !== 'brute';
+        if (options.difficulty) {
+            this.selectedDifficulty = getDifficulty(options.difficulty).id;
+        }
+        this.inputHandler = new InputHandler();
+        this.audioManager = createSilentAudioManager();
+
+        // Start from a fresh clock and bus, an earlier instance in this process may have used them
+        timeManager.reset();
+        eventBus.clear();
+
+        this.createSimulation();
+
+        // No intro screen here, the first wave starts at tick 0
+        this.stateMachine.transition(GAME_STATES.PLAYING);
+
+        // Headless runs are recorded too, so a failing run can be saved and watched in the browser
+        this.replayManager = new ReplayManager(this);
+        this.replayManager.startRecording();
+
+        this.resetStats();
+        this.subscribeStats();
+    }
+
+    /**
+     * Start a new run, optionally with a specific seed and difficulty
+     * @param {number|null} seed
+     * @param {string|null} difficulty - Key in DIFFICULTIES, the selected one when null
+     */
+    restart(seed = null, difficulty = null) {
+        this.resetSimulation(seed, difficulty);
+        this.replayManager.startRecording();
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.tickCount = 0;
+        this.damageTaken = 0;
+        this.kills = 0;
+        this.waveStarts = [];
+        this.waveCompletions = [];
+        this.bossSpawns = [];
+        this.deathTick = null;
+    }
+
+    // Bookkeeping for assertions, ticks are counted from the start of the run
+    subscribeStats() {
+        eventBus.on(GAME_EVENTS.PLAYER_DAMAGED, ({ amount }) => {
+            this.damageTaken += amount;
+        });
+        eventBus.on(GAME_EVENTS.PLAYER_DIED, () => {
+            this.deathTick = this.tickCount;
+        });
+        eventBus.on(GAME_EVENTS.ENEMY_KILLED, ({ killedByPlayer }) => {
+            if (killedByPlayer) this.kills++;
+        });
+        eventBus.on(GAME_EVENTS.WAVE_STARTED, ({ wave }) => {
+            this.waveStarts.push({ wave, tick: this.tickCount });
+        });
+        eventBus.on(GAME_EVENTS.WAVE_COMPLETED, ({ wave }) => {
+            this.waveCompletions.push({ wave, tick: this.tickCount });
+        });
+        eventBus.on(GAME_EVENTS.BOSS_SPAWNED, ({ wave }) => {
+            this.bossSpawns.push({
+                wave,
+                tick: this.tickCount,
+                enemiesSpawned: this.spawnManager.enemiesSpawnedThisWave,
+                enemiesDefeated: this.spawnManager.getEnemiesDefeatedThisWave()
+            });
+        });
+    }
+
+    /**
+     * Set the input for the next tick. Omitted keys are released.
+     * @param {Object} input
+     * @param {boolean} [input.up]
+     * @param {boolean} [input.down]
+     * @param {boolean} [input.left]
+     * @param {boolean} [input.right]
+     * @param {boolean} [input.shoot]
+     * @param {boolean} [input.grenade] - Throw in the facing direction
+     * @param {boolean} [input.aimedGrenade] - Throw toward the aim point
+     * @param {number} [input.weapon] - Weapon slot to switch to, 0-based
+     * @param {boolean} [input.nextWeapon] - Cycle to the next weapon slot
+     * @param {boolean} [input.prevWeapon] - Cycle to the previous weapon slot
+     * @param {boolean} [input.reload] - Reload the weapon in hand
+     * @param {boolean} [input.dash] - Abilities fire on the tick their key goes down
+     * @param {boolean} [input.bulletTime]
+     * @param {boolean} [input.shockwave]
+     * @param {number|string} [input.shop] - During the intermission: perk to take while the draft is open,
+     *     then upgrade slot to buy (0-based), or 'continue' to start the next wave
+     * @param {{x: number, z: number}} [input.aim] - World point to aim at, the previous one is kept when omitted
+     */
+    setInput(input = {}) {
+        const keys = this.inputHandler.keys;
+        keys.up = !!input.up;
+        keys.down = !!input.down;
+        keys.left = !!input.left;
+        keys.right = !!input.right;
+        keys.shoot = !!input.shoot;
+        keys.grenade = !!input.grenade;
+        keys.nextWeapon = !!input.nextWeapon;
+        keys.prevWeapon = !!input.prevWeapon;
+        keys.reload = !!input.reload;
+        keys.dash = !!input.dash;
+        keys.bulletTime = !!input.bulletTime;
+        keys.shockwave = !!input.shockwave;
+        this.inputHandler.weaponSlot = input.weapon !== undefined ? input.weapon : null;
+        this.inputHandler.shopAction = input.shop !== undefined ? input.shop : null;
+        this.aimedGrenadeQueued = !!input.aimedGrenade;
+
+        if (input.aim) {
+            this.inputHandler.mouseWorld.set(input.aim.x, 0, input.aim.z);
+        }
+    }
+
+    /**
+     * Run one fixed simulation tick
+     */
+    tick() {
+        if (this.replayManager.isPlaying) {
+            this.replayManager.applyTick();
+        } else {
+            this.replayManager.recordTick();
+        }
+
+        this.updateSimulation(timeManager.step());
+        this.tickCount++;
+    }
+
+    /**
+     * Run a number of ticks
+     * @param {number} ticks
+     * @param {Function} [controller] - Called with the game before every tick to set its input
+     */
+    run(ticks, controller = null) {
+        for (let i = 0; i < ticks; i++) {
+            if (controller) controller(this);
+            this.tick();
+        }
+    }
+
+    /**
+     * Run until a condition holds
+     * @param {Function} predicate - Called with the game after every tick
+     * @param {number} maxTicks - Give up after this many ticks
+     * @param {Function} [controller] - Called with the game before every tick to set its input
+     * @returns {boolean} - Whether the condition was met
+     */
+    runUntil(predicate, maxTicks, controller = null) {
+        for (let i = 0; i < maxTicks; i++) {
+            if (controller) controller(this);
+            this.tick();
+            if (predicate(this)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Play a replay (see ReplayManager) from the start to its last tick
+     * @param {Object} replay - Parsed replay file
+     */
+    runReplay(replay) {
+        const error = this.replayManager.validate(replay);
+        if (error) {
+            throw new Error(`Invalid replay: ${error}`);
+        }
+
+        // Restarts with the replay's seed, which also resets the stats
+        this.replayManager.play(replay);
+
+        while (this.replayManager.canStep()) {
+            this.tick();
+        }
+    }
+
+    /**
+     * A simple controller: shoot the nearest enemy, walk to ammo when out of it,
+     * take the first perk offered and skip the shop between waves
+     */
+    autoAim() {
+        const position = this.player.getPosition();
+        const input = { shoot: false };
+
+        if (this.stateMachine.is(GAME_STATES.INTERMISSION)) {
+            input.shop = this.perkSystem.draft ? 0 : SHOP_CONTINUE;
+        }
+
+        let target = null;
+        let closest = Infinity;
+        this.spawnManager.activeEnemies.forEach(enemy => {
+            if (!enemy.isActive) return;
+            const distance = position.distanceTo(enemy.getPosition());
+            if (distance < closest) {
+                closest = distance;
+                target = enemy.getPosition();
+            }
+        });
+
+        if (target) {
+            input.aim = { x: target.x, z: target.z };
+            // Hold fire until the enemy is about as close as it would be on screen
+            input.shoot = !this.player.isOutOfAmmo() && closest < 15;
+        }
+
+        if (this.player.isOutOfAmmo()) {
+            const ammoPack = this.spawnManager.ammoPickups.find(pickup => pickup.isActive);
+            if (ammoPack) {
+                const offsetX = ammoPack.position.x - position.x;
+                const offsetZ = ammoPack.position.z - position.z;
+                input.left = offsetX < -0.5;
+                input.right = offsetX > 0.5;
+                input.up = offsetZ < -0.5;
+                input.down = offsetZ > 0.5;
+            }
+        }
+
+        this.setInput(input);
+    }
+
+    /**
+     * Snapshot of the run for assertions and reports
+     * @returns {Object}
+     */
+    getSummary() {
+        return {
+            seed: randomManager.seed,
+            difficulty: this.difficulty.id,
+            ticks: this.tickCount,
+            seconds: this.tickCount / timeManager.targetFPS,
+            state: this.stateMachine.state,
+            wave: this.spawnManager.waveNumber,
+            enemiesSpawnedThisWave: this.spawnManager.enemiesSpawnedThisWave,
+            activeEnemies: this.spawnManager.activeEnemies.length,
+            bossActive: !!this.spawnManager.currentBoss,
+            kills: this.kills,
+            score: this.scoreSystem.score,
+            bestCombo: this.scoreSystem.bestCombo,
+            achievements: this.achievementSystem.completed.slice(),
+            waveStarts: this.waveStarts.map(start => ({ ...start })),
+            waveCompletions: this.waveCompletions.map(completion => ({ ...completion })),
+            bossSpawns: this.bossSpawns.map(spawn => ({ ...spawn })),
+            playerHealth: this.player.currentHealth,
+            playerEnergy: Math.round(this.player.energy),
+            damageTaken: this.damageTaken,
+            playerDead: this.player.isDead,
+            deathTick: this.deathTick,
+            weapon: this.player.weapon.id,
+            ammo: this.player.ammo,
+            reserveAmmo: this.player.reserveAmmo,
+            grenades: this.player.grenades,
+            credits: this.upgradeShop.credits,
+            perks: { ...this.perkSystem.stacks }
+        };
+    }
+
+    /**
+     * Stop background timers so the Node process can exit
+     */
+    dispose() {
+        this.decalManager.cleanUp();
+    }
+}
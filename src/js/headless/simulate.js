@@ -0,0 +1,95 @@
+// Command line runner for the headless simulation
+//
+//   npm run simulate -- [options]
+//
+//   --seed <n>          Run seed (random when omitted)
+//   --ticks <n>         Ticks to simulate, 60 per second (default 18000, five minutes)
+//   --idle              Leave the player standing still instead of the auto-aim controller
+//   --replay <file>     Play a saved replay instead, --seed, --ticks, --idle and --difficulty are ignored
+//   --save <file>       Save the run as a replay file
+//   --min-wave <n>      Exit with code 1 unless this wave was reached
+//   --collision <mode>  'grid' (default) or 'brute' collision broadphase
+//   --difficulty <id>   EASY, NORMAL (default), HARD or NIGHTMARE
+//   --pool-stats        Add object pool usage to the summary
+//   --verbose           Keep the game's console logging
+//
+// Prints a JSON summary of the run (waves, boss spawns, player damage) to stdout.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { HeadlessGame } from './headless-game.js';
+
+function parseArgs(argv) {
+    const options = { ticks: 18000, idle: false, verbose: false, poolStats: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--seed':
+                options.seed = Number(argv[++i]);
+                break;
+            case '--ticks':
+                options.ticks = Number(argv[++i]);
+                break;
+            case '--idle':
+                options.idle = true;
+                break;
+            case '--replay':
+                options.replay = argv[++i];
+                break;
+            case '--save':
+                options.save = argv[++i];
+                break;
+            case '--min-wave':
+                options.minWave = Number(argv[++i]);
+                break;
+            case '--collision':
+                options.collision = argv[++i];
+                break;
+            case '--difficulty':
+                options.difficulty = argv[++i].toUpperCase();
+                break;
+            case '--pool-stats':
+                options.poolStats = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                throw new Error(`Unknown option ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// The game logs every run and throw, too much for a CI log and in the way of the JSON
+const game = new HeadlessGame({
+    seed: options.seed,
+    collision: options.collision,
+    difficulty: options.difficulty,
+    quiet: !options.verbose
+});
+
+if (options.replay) {
+    game.runReplay(JSON.parse(readFileSync(options.replay, 'utf8')));
+} else {
+    game.run(options.ticks, options.idle ? null : (game) => game.autoAim());
+}
+
+if (options.save) {
+    writeFileSync(options.save, JSON.stringify(game.replayManager.serialize()));
+}
+
+const summary = game.getSummary();
+if (options.poolStats) {
+    summary.pools = game.getPoolStats();
+}
+game.dispose();
+
+process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+
+if (options.minWave !== undefined && summary.wave < options.minWave) {
+    console.error(`Reached wave ${summary.wave}, expected at least ${options.minWave}`);
+    process.exitCode = 1;
+}
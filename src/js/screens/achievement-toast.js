@@ -0,0 +1,88 @@
+/**
+ * AchievementToast - Pixel-style "achievement unlocked" banner in the top left corner
+ *
+ * Unlocks that come in while a toast is up wait their turn. Runs on the real clock, not the
+ * game clock, so bullet time and pausing don't hold it on screen.
+ */
+
+// How long each toast stays up, in milliseconds
+const TOAST_DURATION = 3500;
+const FADE_DURATION = 300;
+
+export class AchievementToast {
+    constructor() {
+        // Achievements waiting for their toast
+        this.queue = [];
+        this.isShowing = false;
+        
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.top = '20px';
+        this.container.style.left = '20px';
+        this.container.style.display = 'flex';
+        this.container.style.flexDirection = 'column';
+        this.container.style.gap = '8px';
+        this.container.style.padding = '12px 16px';
+        this.container.style.border = '4px solid #ffcc00';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.container.style.boxShadow = 'inset -4px -4px 0px 0px #886600';
+        this.container.style.fontFamily = '"Press Start 2P", cursive';
+        this.container.style.color = '#ffffff';
+        this.container.style.textShadow = '2px 2px 0px #000000';
+        this.container.style.imageRendering = 'pixelated';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '1100';
+        this.container.style.opacity = '0';
+        this.container.style.transform = 'translateY(-20px)';
+        this.container.style.transition = `opacity ${FADE_DURATION}ms ease-out, transform ${FADE_DURATION}ms ease-out`;
+        
+        const heading = document.createElement('div');
+        heading.textContent = 'ACHIEVEMENT UNLOCKED';
+        heading.style.fontSize = '8px';
+        heading.style.color = '#ffcc00';
+        
+        this.nameText = document.createElement('div');
+        this.nameText.style.fontSize = '12px';
+        
+        this.descriptionText = document.createElement('div');
+        this.descriptionText.style.fontSize = '8px';
+        this.descriptionText.style.color = '#aaaaaa';
+        
+        this.container.appendChild(heading);
+        this.container.appendChild(this.nameText);
+        this.container.appendChild(this.descriptionText);
+        document.body.appendChild(this.container);
+    }
+    
+    /**
+     * @param {Object} achievement
+     * @param {string} achievement.name
+     * @param {string} achievement.description
+     */
+    show(achievement) {
+        this.queue.push(achievement);
+        if (!this.isShowing) {
+            this.showNext();
+        }
+    }
+    
+    showNext() {
+        const achievement = this.queue.shift();
+        if (!achievement) {
+            this.isShowing = false;
+            return;
+        }
+        
+        this.isShowing = true;
+        this.nameText.textContent = achievement.name;
+        this.descriptionText.textContent = achievement.description;
+        this.container.style.opacity = '1';
+        this.container.style.transform = 'translateY(0)';
+        
+        setTimeout(() => {
+            this.container.style.opacity = '0';
+            this.container.style.transform = 'translateY(-20px)';
+            setTimeout(() => this.showNext(), FADE_DURATION);
+        }, TOAST_DURATION);
+    }
+}
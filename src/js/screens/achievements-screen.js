@@ -0,0 +1,118 @@
+import { ACHIEVEMENTS } from '../systems/achievement-system.js';
+import { achievementStore } from '../utils/achievement-store.js';
+
+/**
+ * AchievementsScreen - Gallery of every achievement, opened from the intro screen
+ *
+ * Unlocked ones show the date they were unlocked on, locked ones the best progress
+ * any run made towards them.
+ */
+export class AchievementsScreen {
+    constructor() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.top = '0';
+        this.container.style.left = '0';
+        this.container.style.width = '100%';
+        this.container.style.height = '100%';
+        this.container.style.display = 'none';
+        this.container.style.flexDirection = 'column';
+        this.container.style.alignItems = 'center';
+        this.container.style.justifyContent = 'center';
+        this.container.style.gap = '20px';
+        this.container.style.backgroundColor = 'rgba(34, 34, 34, 0.95)';
+        this.container.style.fontFamily = '"Press Start 2P", cursive';
+        this.container.style.color = '#ffffff';
+        this.container.style.textShadow = '2px 2px 0px #000000';
+        this.container.style.imageRendering = 'pixelated';
+        this.container.style.zIndex = '1050';
+        
+        this.title = document.createElement('div');
+        this.title.style.fontSize = '24px';
+        
+        this.list = document.createElement('div');
+        this.list.style.display = 'grid';
+        this.list.style.gridTemplateColumns = 'repeat(2, 320px)';
+        this.list.style.gap = '12px';
+        
+        this.backButton = document.createElement('button');
+        this.backButton.textContent = 'BACK';
+        this.backButton.style.padding = '10px 20px';
+        this.backButton.style.fontFamily = '"Press Start 2P", cursive';
+        this.backButton.style.fontSize = '12px';
+        this.backButton.style.color = '#ffffff';
+        this.backButton.style.backgroundColor = '#0055aa';
+        this.backButton.style.cursor = 'pointer';
+        this.backButton.style.boxShadow = 'inset -4px -4px 0px 0px #003366';
+        this.backButton.style.borderStyle = 'solid';
+        this.backButton.style.borderWidth = '4px';
+        this.backButton.style.borderLeftColor = '#ffffff';
+        this.backButton.style.borderTopColor = '#ffffff';
+        this.backButton.style.borderRightColor = '#888888';
+        this.backButton.style.borderBottomColor = '#888888';
+        this.backButton.addEventListener('click', () => this.hide());
+        
+        this.container.appendChild(this.title);
+        this.container.appendChild(this.list);
+        this.container.appendChild(this.backButton);
+        document.body.appendChild(this.container);
+    }
+    
+    show() {
+        this.render();
+        this.container.style.display = 'flex';
+    }
+    
+    hide() {
+        this.container.style.display = 'none';
+    }
+    
+    render() {
+        const unlockedCount = ACHIEVEMENTS.filter(achievement => achievementStore.isUnlocked(achievement.id)).length;
+        this.title.textContent = `ACHIEVEMENTS ${unlockedCount}/${ACHIEVEMENTS.length}`;
+        
+        this.list.innerHTML = '';
+        ACHIEVEMENTS.forEach(achievement => {
+            this.list.appendChild(this.createCard(achievement));
+        });
+    }
+    
+    createCard(achievement) {
+        const date = achievementStore.getUnlockDate(achievement.id);
+        
+        const card = document.createElement('div');
+        card.style.display = 'flex';
+        card.style.flexDirection = 'column';
+        card.style.gap = '8px';
+        card.style.padding = '12px';
+        card.style.border = `4px solid ${date ? '#ffcc00' : '#555555'}`;
+        card.style.backgroundColor = date ? 'rgba(0, 0, 0, 0.8)' : 'rgba(0, 0, 0, 0.4)';
+        card.style.color = date ? '#ffffff' : '#777777';
+        
+        const name = document.createElement('div');
+        name.textContent = achievement.name;
+        name.style.fontSize = '12px';
+        
+        const description = document.createElement('div');
+        description.textContent = achievement.description;
+        description.style.fontSize = '8px';
+        description.style.lineHeight = '12px';
+        
+        // Date for unlocked achievements, progress for locked ones that count up to a goal
+        const status = document.createElement('div');
+        status.style.fontSize = '8px';
+        status.style.color = date ? '#ffcc00' : '#777777';
+        if (date) {
+            status.textContent = `UNLOCKED ${date}`;
+        } else if (achievement.goal > 1) {
+            status.textContent = `LOCKED ${achievementStore.getProgress(achievement.id)}/${achievement.goal}`;
+        } else {
+            status.textContent = 'LOCKED';
+        }
+        
+        card.appendChild(name);
+        card.appendChild(description);
+        card.appendChild(status);
+        return card;
+    }
+}
@@ -0,0 +1,198 @@
+import { BOSS_PHASES } from '../utils/boss-phases.js';
+
+/**
+ * BossHealthBar - Screen-wide health bar across the top while a boss is on the field
+ *
+ * Shows the boss's name, the phase it is in and a tick where each later phase starts. Health
+ * that was just lost stays on the bar as a lighter chunk for a moment, then drains away.
+ * Runs on the real clock like AchievementToast, so the chunk keeps draining in bullet time.
+ */
+
+// How long a lost chunk holds before it drains, and how much of the bar it drains per second
+const TRAIL_HOLD = 600;
+const TRAIL_DRAIN = 0.6;
+
+// How long the emptied bar stays up after the boss dies, then how long it takes to slide out
+const DEFEAT_HOLD = 1500;
+const SLIDE_DURATION = 400;
+
+export class BossHealthBar {
+    constructor() {
+        this.boss = null;
+        this.isVisible = false;
+        this.isDefeated = false;
+        
+        // Health and chunk as shares of the bar, 0 to 1
+        this.healthShare = 1;
+        this.trailShare = 1;
+        this.lastHitTime = 0;
+        this.lastUpdateTime = 0;
+        this.hideTimeout = null;
+        
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.top = '16px';
+        this.container.style.left = '50%';
+        this.container.style.width = 'min(640px, 60vw)';
+        this.container.style.display = 'flex';
+        this.container.style.flexDirection = 'column';
+        this.container.style.gap = '8px';
+        this.container.style.padding = '10px 12px';
+        this.container.style.border = '4px solid #aa22aa';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.container.style.boxShadow = 'inset -4px -4px 0px 0px #440044';
+        this.container.style.fontFamily = '"Press Start 2P", cursive';
+        this.container.style.color = '#ffffff';
+        this.container.style.textShadow = '2px 2px 0px #000000';
+        this.container.style.imageRendering = 'pixelated';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '900';
+        this.container.style.opacity = '0';
+        this.container.style.transform = 'translate(-50%, -20px)';
+        this.container.style.transition = `opacity ${SLIDE_DURATION}ms ease-out, transform ${SLIDE_DURATION}ms ease-out`;
+        
+        // Name on the left, phase on the right
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'baseline';
+        
+        this.nameText = document.createElement('div');
+        this.nameText.style.fontSize = '12px';
+        
+        this.phaseText = document.createElement('div');
+        this.phaseText.style.fontSize = '8px';
+        this.phaseText.style.color = '#ff4444';
+        
+        header.appendChild(this.nameText);
+        header.appendChild(this.phaseText);
+        
+        const track = document.createElement('div');
+        track.style.position = 'relative';
+        track.style.height = '14px';
+        track.style.backgroundColor = '#220022';
+        track.style.border = '2px solid #000000';
+        track.style.overflow = 'hidden';
+        
+        // The chunk sits under the health fill and only shows where it reaches past it
+        this.trailBar = document.createElement('div');
+        this.trailBar.style.position = 'absolute';
+        this.trailBar.style.left = '0';
+        this.trailBar.style.top = '0';
+        this.trailBar.style.height = '100%';
+        this.trailBar.style.backgroundColor = '#ffcc00';
+        
+        this.healthBar = document.createElement('div');
+        this.healthBar.style.position = 'absolute';
+        this.healthBar.style.left = '0';
+        this.healthBar.style.top = '0';
+        this.healthBar.style.height = '100%';
+        this.healthBar.style.backgroundColor = '#cc22cc';
+        this.healthBar.style.boxShadow = 'inset 0 -4px 0px 0px #880088';
+        
+        track.appendChild(this.trailBar);
+        track.appendChild(this.healthBar);
+        
+        // A tick where each phase after the first starts
+        this.phaseMarkers = BOSS_PHASES.slice(1).map(phase => {
+            const marker = document.createElement('div');
+            marker.style.position = 'absolute';
+            marker.style.left = `${phase.fromHealth * 100}%`;
+            marker.style.top = '0';
+            marker.style.width = '2px';
+            marker.style.height = '100%';
+            marker.style.backgroundColor = '#ffffff';
+            track.appendChild(marker);
+            return marker;
+        });
+        
+        this.container.appendChild(header);
+        this.container.appendChild(track);
+        document.body.appendChild(this.container);
+    }
+    
+    /**
+     * Slide the bar in for a boss that just spawned
+     * @param {Boss} boss
+     */
+    show(boss) {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        
+        this.boss = boss;
+        this.isVisible = true;
+        this.isDefeated = false;
+        this.healthShare = 1;
+        this.trailShare = 1;
+        this.lastUpdateTime = performance.now();
+        
+        this.nameText.textContent = boss.name;
+        this.render();
+        
+        this.container.style.opacity = '1';
+        this.container.style.transform = 'translate(-50%, 0)';
+    }
+    
+    // Empty the bar, let the last chunk drain, then slide out
+    defeat() {
+        if (!this.isVisible || this.isDefeated) return;
+        
+        this.isDefeated = true;
+        this.setHealthShare(0);
+        this.phaseText.textContent = 'DEFEATED';
+        
+        this.hideTimeout = setTimeout(() => this.hide(), DEFEAT_HOLD);
+    }
+    
+    hide() {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
+        
+        this.boss = null;
+        this.isVisible = false;
+        this.isDefeated = false;
+        
+        this.container.style.opacity = '0';
+        this.container.style.transform = 'translate(-50%, -20px)';
+    }
+    
+    // Called every frame with the HUD
+    update() {
+        if (!this.isVisible) return;
+        
+        const now = performance.now();
+        const delta = (now - this.lastUpdateTime) / 1000;
+        this.lastUpdateTime = now;
+        
+        if (!this.isDefeated) {
+            this.setHealthShare(this.boss.health / this.boss.maxHealth);
+            this.phaseText.textContent = this.boss.phase.name;
+        }
+        
+        if (this.trailShare > this.healthShare && now - this.lastHitTime > TRAIL_HOLD) {
+            this.trailShare = Math.max(this.healthShare, this.trailShare - TRAIL_DRAIN * delta);
+        }
+        
+        this.render();
+    }
+    
+    setHealthShare(share) {
+        share = Math.min(1, Math.max(0, share));
+        
+        // Every new hit holds the chunk in place again
+        if (share < this.healthShare) {
+            this.lastHitTime = performance.now();
+        }
+        this.healthShare = share;
+    }
+    
+    render() {
+        this.healthBar.style.width = `${this.healthShare * 100}%`;
+        this.trailBar.style.width = `${this.trailShare * 100}%`;
+        
+        // Ticks of phases the boss has reached fade out
+        this.phaseMarkers.forEach((marker, index) => {
+            marker.style.opacity = this.healthShare < BOSS_PHASES[index + 1].fromHealth ? '0.25' : '0.8';
+        });
+    }
+}
@@ -0,0 +1,184 @@
+import { highScoreTable, MAX_NAME_LENGTH } from '../utils/high-scores.js';
+import { DEFAULT_DIFFICULTY } from '../utils/difficulty.js';
+
+/**
+ * Build the top 10 as a pixel-font table
+ * @param {Array<Object>} entries - From highScoreTable.getEntries()
+ * @param {number} [highlightIndex] - Row to light up, e.g. the run just saved
+ * @returns {HTMLElement}
+ */
+export function createHighScoreList(entries, highlightIndex = -1) {
+    const list = document.createElement('div');
+    list.style.fontFamily = '"Press Start 2P", cursive';
+    list.style.fontSize = '10px';
+    list.style.lineHeight = '18px';
+    list.style.color = '#ffffff';
+    list.style.textShadow = '2px 2px 0 #000';
+    
+    const title = document.createElement('div');
+    title.textContent = 'HIGH SCORES';
+    title.style.textAlign = 'center';
+    title.style.color = '#ffcc00';
+    title.style.marginBottom = '10px';
+    list.appendChild(title);
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.textContent = 'NO SCORES YET';
+        empty.style.textAlign = 'center';
+        list.appendChild(empty);
+        return list;
+    }
+    
+    const table = document.createElement('table');
+    table.style.borderCollapse = 'collapse';
+    table.style.fontSize = '10px';
+    
+    const addRow = (cells, color) => {
+        const row = document.createElement('tr');
+        row.style.color = color;
+        cells.forEach((text, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            cell.style.padding = '0 8px';
+            // Name and difficulty read left to right, the numbers line up on the right
+            cell.style.textAlign = column === 1 || column === 4 ? 'left' : 'right';
+            row.appendChild(cell);
+        });
+        table.appendChild(row);
+    };
+    
+    addRow(['#', 'NAME', 'SCORE', 'WAVE', 'MODE', 'SEED', 'DATE'], '#888888');
+    entries.forEach((entry, index) => {
+        // Scores from before difficulties existed were all played on NORMAL
+        addRow(
+            [index + 1, entry.name, entry.score, entry.wave, entry.difficulty || DEFAULT_DIFFICULTY, entry.seed, entry.date],
+            index === highlightIndex ? '#ffcc00' : '#ffffff'
+        );
+    });
+    
+    list.appendChild(table);
+    return list;
+}
+
+/**
+ * HighScoreScreen - Final score, name entry and the top 10, shown over the game over screen
+ */
+export class HighScoreScreen {
+    constructor() {
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.top = '30px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.display = 'none';
+        this.container.style.flexDirection = 'column';
+        this.container.style.alignItems = 'center';
+        this.container.style.gap = '12px';
+        this.container.style.padding = '16px 20px';
+        this.container.style.border = '4px solid #ffffff';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.container.style.fontFamily = '"Press Start 2P", cursive';
+        this.container.style.color = '#ffffff';
+        this.container.style.imageRendering = 'pixelated';
+        this.container.style.zIndex = '1000';
+        
+        document.body.appendChild(this.container);
+    }
+    
+    /**
+     * @param {Object} run
+     * @param {number} run.score
+     * @param {number} run.wave - Wave reached
+     * @param {number} run.seed
+     * @param {string} run.difficulty - Key in DIFFICULTIES
+     * @param {boolean} run.canSubmit - False for replays, which aren't new runs
+     */
+    show(run) {
+        this.container.innerHTML = '';
+        this.container.style.display = 'flex';
+        
+        const scoreText = document.createElement('div');
+        scoreText.textContent = `SCORE ${run.score}`;
+        scoreText.style.fontSize = '20px';
+        scoreText.style.textShadow = '2px 2px 0 #000';
+        this.container.appendChild(scoreText);
+        
+        if (run.canSubmit && highScoreTable.qualifies(run.score)) {
+            this.showNameEntry(run);
+        } else {
+            this.container.appendChild(createHighScoreList(highScoreTable.getEntries()));
+        }
+    }
+    
+    showNameEntry(run) {
+        const prompt = document.createElement('div');
+        prompt.textContent = 'NEW HIGH SCORE! ENTER YOUR NAME';
+        prompt.style.fontSize = '10px';
+        prompt.style.color = '#ffcc00';
+        this.container.appendChild(prompt);
+        
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.gap = '8px';
+        
+        const input = document.createElement('input');
+        input.maxLength = MAX_NAME_LENGTH;
+        input.style.width = '180px';
+        input.style.padding = '8px';
+        input.style.fontFamily = '"Press Start 2P", cursive';
+        input.style.fontSize = '12px';
+        input.style.textTransform = 'uppercase';
+        input.style.color = '#ffffff';
+        input.style.backgroundColor = '#333333';
+        input.style.border = '2px solid #ffffff';
+        input.style.outline = 'none';
+        
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'SAVE';
+        saveButton.style.padding = '8px 12px';
+        saveButton.style.fontFamily = '"Press Start 2P", cursive';
+        saveButton.style.fontSize = '12px';
+        saveButton.style.color = '#ffffff';
+        saveButton.style.backgroundColor = '#00aa00';
+        saveButton.style.cursor = 'pointer';
+        saveButton.style.boxShadow = 'inset -4px -4px 0px 0px #006600';
+        saveButton.style.borderStyle = 'solid';
+        saveButton.style.borderWidth = '4px';
+        saveButton.style.borderLeftColor = '#ffffff';
+        saveButton.style.borderTopColor = '#ffffff';
+        saveButton.style.borderRightColor = '#888888';
+        saveButton.style.borderBottomColor = '#888888';
+        
+        const save = () => {
+            const rank = highScoreTable.add({ ...run, name: input.value });
+            
+            // Replace the entry form with the table, the new entry lit up
+            row.remove();
+            prompt.remove();
+            this.container.appendChild(createHighScoreList(highScoreTable.getEntries(), rank));
+        };
+        
+        // Typing a name must not reach the game's key bindings (f, b, Escape...)
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') save();
+        });
+        input.addEventListener('keyup', (e) => e.stopPropagation());
+        saveButton.addEventListener('click', save);
+        
+        row.appendChild(input);
+        row.appendChild(saveButton);
+        this.container.appendChild(row);
+        
+        // The game hides the cursor behind its crosshair, the form needs it
+        document.body.style.cursor = 'default';
+        input.focus();
+    }
+    
+    hide() {
+        this.container.style.display = 'none';
+        this.container.innerHTML = '';
+        document.body.style.cursor = 'none';
+    }
+}
@@ -1,4 +1,12 @@
 import * as Tone from 'tone';
+import { highScoreTable } from '../utils/high-scores.js';
+import { createHighScoreList } from './high-score-screen.js';
+import { AchievementsScreen } from './achievements-screen.js';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from '../utils/difficulty.js';
+import { loadJSON, saveJSON } from '../utils/local-storage.js';
+
+// Where the last difficulty picked is remembered
+const DIFFICULTY_STORAGE_KEY = 'pixelhell.difficulty';
 
 export class IntroScreen {
     constructor() {
@@ -106,8 +114,39 @@ export class IntroScreen {
         // Add elements to container
         this.container.appendChild(this.textContainer);
         this.container.appendChild(this.titleElement);
+        this.createDifficultyPicker();
         this.container.appendChild(this.startButton);
         
+        // Achievements gallery, opened from a smaller button under START
+        this.achievementsScreen = new AchievementsScreen();
+        this.achievementsButton = document.createElement('button');
+        this.achievementsButton.textContent = 'ACHIEVEMENTS';
+        this.achievementsButton.style.marginTop = '1rem';
+        this.achievementsButton.style.padding = '0.5rem 1rem';
+        this.achievementsButton.style.fontSize = '0.8rem';
+        this.achievementsButton.style.fontFamily = '"Press Start 2P", cursive';
+        this.achievementsButton.style.backgroundColor = '#0055aa';
+        this.achievementsButton.style.color = '#ffffff';
+        this.achievementsButton.style.cursor = 'pointer';
+        this.achievementsButton.style.opacity = '0';
+        this.achievementsButton.style.transition = 'opacity 0.5s ease-out';
+        this.achievementsButton.style.boxShadow = 'inset -4px -4px 0px 0px #003366';
+        this.achievementsButton.style.borderStyle = 'solid';
+        this.achievementsButton.style.borderWidth = '4px';
+        this.achievementsButton.style.borderLeftColor = '#ffffff';
+        this.achievementsButton.style.borderTopColor = '#ffffff';
+        this.achievementsButton.style.borderRightColor = '#888888';
+        this.achievementsButton.style.borderBottomColor = '#888888';
+        this.achievementsButton.onclick = () => this.achievementsScreen.show();
+        this.container.appendChild(this.achievementsButton);
+        
+        // Local top 10 under the button, fades in with it
+        this.highScoreList = createHighScoreList(highScoreTable.getEntries());
+        this.highScoreList.style.marginTop = '2rem';
+        this.highScoreList.style.opacity = '0';
+        this.highScoreList.style.transition = 'opacity 0.5s ease-out';
+        this.container.appendChild(this.highScoreList);
+        
         // Add to document
         document.body.appendChild(this.container);
         
@@ -124,6 +163,67 @@ export class IntroScreen {
         this.lineDelay = 500; // ms between lines
     }
     
+    // A row of difficulty buttons above START, starting on the last one picked
+    createDifficultyPicker() {
+        const saved = loadJSON(DIFFICULTY_STORAGE_KEY, DEFAULT_DIFFICULTY);
+        this.difficulty = DIFFICULTIES[saved] ? saved : DEFAULT_DIFFICULTY;
+        
+        this.difficultyPicker = document.createElement('div');
+        this.difficultyPicker.style.display = 'flex';
+        this.difficultyPicker.style.flexDirection = 'column';
+        this.difficultyPicker.style.alignItems = 'center';
+        this.difficultyPicker.style.gap = '0.8rem';
+        this.difficultyPicker.style.marginBottom = '2rem';
+        this.difficultyPicker.style.opacity = '0';
+        this.difficultyPicker.style.transition = 'opacity 0.5s ease-out';
+        
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.gap = '0.8rem';
+        
+        this.difficultyDescription = document.createElement('div');
+        this.difficultyDescription.style.fontSize = '0.6rem';
+        this.difficultyDescription.style.color = '#aaaaaa';
+        
+        this.difficultyButtons = Object.values(DIFFICULTIES).map(difficulty => {
+            const button = document.createElement('button');
+            button.textContent = difficulty.name;
+            button.style.padding = '0.5rem 0.8rem';
+            button.style.fontSize = '0.7rem';
+            button.style.fontFamily = '"Press Start 2P", cursive';
+            button.style.color = '#ffffff';
+            button.style.cursor = 'pointer';
+            button.style.borderStyle = 'solid';
+            button.style.borderWidth = '4px';
+            button.style.borderLeftColor = '#ffffff';
+            button.style.borderTopColor = '#ffffff';
+            button.style.borderRightColor = '#888888';
+            button.style.borderBottomColor = '#888888';
+            button.onclick = () => this.selectDifficulty(difficulty.id);
+            
+            row.appendChild(button);
+            return { id: difficulty.id, button };
+        });
+        
+        this.difficultyPicker.appendChild(row);
+        this.difficultyPicker.appendChild(this.difficultyDescription);
+        this.container.appendChild(this.difficultyPicker);
+        
+        this.selectDifficulty(this.difficulty);
+    }
+    
+    selectDifficulty(id) {
+        this.difficulty = id;
+        saveJSON(DIFFICULTY_STORAGE_KEY, id);
+        
+        this.difficultyButtons.forEach(({ id: buttonId, button }) => {
+            const selected = buttonId === id;
+            button.style.backgroundColor = selected ? '#aa0000' : '#444444';
+            button.style.boxShadow = `inset -4px -4px 0px 0px ${selected ? '#550000' : '#222222'}`;
+        });
+        this.difficultyDescription.textContent = DIFFICULTIES[id].description;
+    }
+    
     startTyping() {
         this.typeNextChar();
     }
@@ -164,6 +264,9 @@ export class IntroScreen {
         setTimeout(() => {
             this.startButton.style.opacity = '1';
             this.startButton.style.transform = 'scale(1)';
+            this.difficultyPicker.style.opacity = '1';
+            this.achievementsButton.style.opacity = '1';
+            this.highScoreList.style.opacity = '1';
         }, 500);
     }
     
@@ -206,7 +309,7 @@ export class IntroScreen {
                 
                 setTimeout(() => {
                     this.container.remove();
-                    callback();
+                    callback(this.difficulty);
                     
                     // Add character entrance animation - falling from sky
                     if (window.gameInstance.player) {
@@ -0,0 +1,220 @@
+import { UPGRADES } from '../systems/upgrade-shop.js';
+import { PERKS, DRAFT_SIZE } from '../systems/perk-system.js';
+import { SHOP_CONTINUE } from '../utils/input-handler.js';
+
+// Button colors: [face, face while hovered, inner shadow]
+const BUTTON_COLORS = {
+    buy: ['#0055aa', '#0066cc', '#003366'],
+    locked: ['#444444', '#444444', '#222222'],
+    continue: ['#00aa00', '#00cc00', '#006600'],
+    perk: ['#aa00aa', '#cc00cc', '#550055']
+};
+
+/**
+ * ShopScreen - Perk draft and upgrade shop panel shown during the intermission between waves
+ *
+ * The perk draft comes first, the shop opens once a perk was taken.
+ * Clicks don't buy anything themselves: they hand the same action a number key or Enter
+ * would to the callback, so the simulation applies it on its next tick and replays
+ * record it like any other input.
+ */
+export class ShopScreen {
+    /**
+     * @param {Function} onAction - Called with an upgrade slot (0-based) or SHOP_CONTINUE
+     */
+    constructor(onAction) {
+        this.onAction = onAction;
+        
+        this.container = document.createElement('div');
+        this.container.style.position = 'fixed';
+        this.container.style.top = '40px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.display = 'none';
+        this.container.style.flexDirection = 'column';
+        this.container.style.alignItems = 'center';
+        this.container.style.gap = '12px';
+        this.container.style.padding = '20px 25px';
+        this.container.style.border = '4px solid #ffffff';
+        this.container.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        this.container.style.fontFamily = '"Press Start 2P", cursive';
+        this.container.style.fontSize = '10px';
+        this.container.style.color = '#ffffff';
+        this.container.style.textShadow = '2px 2px 0px #000000';
+        this.container.style.imageRendering = 'pixelated';
+        this.container.style.zIndex = '900';
+        
+        // Clicks in the shop must not reach the window listeners and fire the gun. Buttons
+        // don't take focus either, or Space and Enter would click them again.
+        this.container.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+        });
+        
+        this.title = document.createElement('div');
+        this.title.style.fontSize = '18px';
+        this.container.appendChild(this.title);
+        
+        this.creditsText = document.createElement('div');
+        this.creditsText.style.color = '#ffcc00';
+        this.container.appendChild(this.creditsText);
+        
+        // Perk cards, filled in with whatever the draft offers
+        this.draftButtons = [];
+        for (let slot = 0; slot < DRAFT_SIZE; slot++) {
+            const button = this.createButton();
+            button.style.width = '100%';
+            button.style.flexDirection = 'column';
+            button.style.gap = '8px';
+            button.style.padding = '12px';
+            
+            const name = document.createElement('span');
+            const description = document.createElement('span');
+            description.style.fontSize = '8px';
+            
+            button.appendChild(name);
+            button.appendChild(description);
+            button.addEventListener('click', () => this.onAction(slot));
+            this.setButtonColors(button, BUTTON_COLORS.perk);
+            
+            this.container.appendChild(button);
+            this.draftButtons.push({ button, name, description });
+        }
+        
+        // One button per upgrade, labelled with the number key that buys it
+        this.upgradeButtons = UPGRADES.map((upgrade, slot) => {
+            const button = this.createButton();
+            button.style.width = '100%';
+            button.style.justifyContent = 'space-between';
+            button.style.gap = '20px';
+            
+            const name = document.createElement('span');
+            name.textContent = `${slot + 1} ${upgrade.name}`;
+            const description = document.createElement('span');
+            description.textContent = upgrade.description;
+            description.style.fontSize = '8px';
+            const price = document.createElement('span');
+            
+            button.appendChild(name);
+            button.appendChild(description);
+            button.appendChild(price);
+            button.addEventListener('click', () => this.onAction(slot));
+            
+            this.container.appendChild(button);
+            return { button, price };
+        });
+        
+        this.continueButton = this.createButton();
+        this.continueButton.style.marginTop = '8px';
+        this.continueButton.style.fontSize = '12px';
+        this.continueButton.addEventListener('click', () => this.onAction(SHOP_CONTINUE));
+        this.setButtonColors(this.continueButton, BUTTON_COLORS.continue);
+        this.container.appendChild(this.continueButton);
+        
+        document.body.appendChild(this.container);
+    }
+    
+    // A pixel art button like the intro screen's START button
+    createButton() {
+        const button = document.createElement('button');
+        button.style.display = 'flex';
+        button.style.alignItems = 'center';
+        button.style.justifyContent = 'center';
+        button.style.padding = '8px 12px';
+        button.style.fontFamily = '"Press Start 2P", cursive';
+        button.style.fontSize = '10px';
+        button.style.color = '#ffffff';
+        button.style.cursor = 'pointer';
+        button.style.imageRendering = 'pixelated';
+        button.style.borderStyle = 'solid';
+        button.style.borderWidth = '4px';
+        button.style.borderLeftColor = '#ffffff';
+        button.style.borderTopColor = '#ffffff';
+        button.style.borderRightColor = '#888888';
+        button.style.borderBottomColor = '#888888';
+        
+        button.onmouseover = () => {
+            button.style.backgroundColor = button.colors[1];
+        };
+        button.onmouseout = () => {
+            button.style.backgroundColor = button.colors[0];
+            button.style.transform = 'translate(0, 0)';
+        };
+        button.onmousedown = () => {
+            button.style.transform = 'translate(2px, 2px)';
+        };
+        button.onmouseup = () => {
+            button.style.transform = 'translate(0, 0)';
+        };
+        
+        return button;
+    }
+    
+    setButtonColors(button, colors) {
+        if (button.colors === colors) return;
+        
+        button.colors = colors;
+        button.style.backgroundColor = colors[0];
+        button.style.boxShadow = `inset -4px -4px 0px 0px ${colors[2]}`;
+    }
+    
+    show() {
+        this.container.style.display = 'flex';
+        
+        // The game hides the cursor behind its crosshair, buttons need it back
+        document.body.style.cursor = 'default';
+    }
+    
+    hide() {
+        this.container.style.display = 'none';
+        document.body.style.cursor = 'none';
+    }
+    
+    get isVisible() {
+        return this.container.style.display !== 'none';
+    }
+    
+    /**
+     * Refresh the draft, prices, levels and the countdown
+     * @param {UpgradeShop} shop
+     * @param {PerkSystem} perkSystem
+     * @param {number} timeLeft - Milliseconds until the next wave starts by itself
+     */
+    update(shop, perkSystem, timeLeft) {
+        const draft = perkSystem.draft;
+        const seconds = Math.max(0, Math.ceil(timeLeft / 1000));
+        
+        this.title.textContent = draft ? `PICK A PERK ${seconds}` : 'UPGRADE SHOP';
+        this.creditsText.style.display = draft ? 'none' : 'block';
+        this.continueButton.style.display = draft ? 'none' : 'flex';
+        this.upgradeButtons.forEach(({ button }) => {
+            button.style.display = draft ? 'none' : 'flex';
+        });
+        
+        this.draftButtons.forEach(({ button, name, description }, slot) => {
+            const id = draft && draft[slot];
+            button.style.display = id ? 'flex' : 'none';
+            if (!id) return;
+            
+            // Perks already taken show the stack this pick would add
+            const stacks = perkSystem.getStacks(id);
+            name.textContent = `${slot + 1} ${PERKS[id].name}${stacks > 0 ? ` x${stacks + 1}` : ''}`;
+            description.textContent = PERKS[id].description;
+        });
+        
+        if (draft) return;
+        
+        this.creditsText.textContent = `CREDITS: ${shop.credits}`;
+        
+        UPGRADES.forEach((upgrade, slot) => {
+            const { button, price } = this.upgradeButtons[slot];
+            const cost = shop.getCost(upgrade.id);
+            const level = shop.levels[upgrade.id];
+            
+            price.textContent = cost === null ? 'MAX' : `LV${level} ${cost}C`;
+            this.setButtonColors(button, shop.canBuy(upgrade.id) ? BUTTON_COLORS.buy : BUTTON_COLORS.locked);
+        });
+        
+        this.continueButton.textContent = `NEXT WAVE (ENTER) ${seconds}`;
+    }
+}
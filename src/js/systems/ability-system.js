@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+import { Boss } from '../entities/enemy.js';
+import { COLORS } from '../utils/constants.js';
+import { timeManager } from '../utils/time-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+
+/**
+ * Abilities the player spends energy on, each bound to an input key (see InputHandler).
+ * Costs are energy points out of GAME.MAX_ENERGY, times are milliseconds.
+ */
+export const ABILITIES = Object.freeze({
+    // A quick burst of speed in the movement direction, damage is ignored for a moment
+    DASH: Object.freeze({
+        id: 'DASH',
+        name: 'DASH',
+        key: 'dash',
+        cost: 25,
+        cooldown: 600,
+        duration: 180,          // Time spent dashing
+        speed: 32,              // Units per second while dashing
+        invulnerability: 350    // Damage is ignored this long from the start of the dash
+    }),
+
+    // Slows the whole world down while the player keeps moving at full speed
+    BULLET_TIME: Object.freeze({
+        id: 'BULLET_TIME',
+        name: 'SLOW',
+        key: 'bulletTime',
+        cost: 50,
+        cooldown: 1000,
+        duration: 3000,         // Measured at normal speed, so it lasts this long on screen
+        timeScale: 0.35
+    }),
+
+    // A ring of paint that throws nearby enemies off their feet
+    SHOCKWAVE: Object.freeze({
+        id: 'SHOCKWAVE',
+        name: 'WAVE',
+        key: 'shockwave',
+        cost: 40,
+        cooldown: 1500,
+        radius: 6,
+        strength: 14,           // blowAway strength at the center, falling off toward the edge
+        bossDamage: 10          // Bosses are too heavy to throw and take this instead
+    })
+});
+
+/**
+ * AbilitySystem - Turns ability key presses into dashes, bullet time and shockwaves
+ *
+ * Abilities fire on the tick their key goes down, when the player has the energy and the
+ * ability is off cooldown. Owned by the Simulation and updated with the player, so it only
+ * runs while the player can act and replays reproduce it from the recorded keys.
+ */
+export class AbilitySystem {
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Ability id -> game time it can be used again
+        this.cooldownEnds = {};
+
+        // Key states of the previous tick, to act on presses only
+        this.heldKeys = {};
+
+        // Unscaled milliseconds of bullet time left
+        this.bulletTimeLeft = 0;
+
+        this.reset();
+    }
+
+    reset() {
+        Object.keys(ABILITIES).forEach(id => {
+            this.cooldownEnds[id] = 0;
+        });
+        this.heldKeys = {};
+        this.endBulletTime();
+    }
+
+    get isBulletTimeActive() {
+        return this.bulletTimeLeft > 0;
+    }
+
+    /**
+     * Activate abilities whose key was pressed this tick and run down bullet time
+     * @param {number} realDelta - Seconds this tick takes at normal speed, whatever the time scale
+     */
+    update(realDelta) {
+        const keys = this.simulation.inputHandler.keys;
+
+        Object.values(ABILITIES).forEach(ability => {
+            const pressed = !!keys[ability.key];
+            if (pressed && !this.heldKeys[ability.key]) {
+                this.activate(ability.id);
+            }
+            this.heldKeys[ability.key] = pressed;
+        });
+
+        if (this.bulletTimeLeft > 0) {
+            this.bulletTimeLeft -= realDelta * 1000;
+            if (this.bulletTimeLeft <= 0) {
+                this.endBulletTime();
+            }
+        }
+    }
+
+    /**
+     * @param {string} id - Key in ABILITIES
+     * @returns {boolean} - Whether the ability could be used right now
+     */
+    canActivate(id) {
+        const ability = ABILITIES[id];
+        const player = this.simulation.player;
+
+        if (!ability || player.isDead || !player.controlsEnabled) return false;
+        if (player.energy < ability.cost) return false;
+        if (timeManager.now() < this.cooldownEnds[id]) return false;
+
+        // Bullet time doesn't stack
+        return !(id === 'BULLET_TIME' && this.isBulletTimeActive);
+    }
+
+    /**
+     * Spend the energy and use an ability
+     * @param {string} id - Key in ABILITIES
+     * @returns {boolean} - Whether it was used
+     */
+    activate(id) {
+        if (!this.canActivate(id)) return false;
+
+        const ability = ABILITIES[id];
+        const player = this.simulation.player;
+
+        player.spendEnergy(ability.cost);
+        this.cooldownEnds[id] = timeManager.now() + ability.cooldown;
+
+        switch (id) {
+            case 'DASH':
+                this.dash(ability);
+                break;
+            case 'BULLET_TIME':
+                this.startBulletTime(ability);
+                break;
+            case 'SHOCKWAVE':
+                this.shockwave(ability);
+                break;
+        }
+
+        eventBus.emit(GAME_EVENTS.ABILITY_USED, {
+            ability: id,
+            cost: ability.cost,
+            energy: player.energy,
+            position: player.getPosition().clone()
+        });
+
+        return true;
+    }
+
+    dash(ability) {
+        const keys = this.simulation.inputHandler.keys;
+        const player = this.simulation.player;
+
+        // Dash where the player is walking, or straight ahead when standing still
+        const direction = new THREE.Vector3(
+            (keys.right ? 1 : 0) - (keys.left ? 1 : 0),
+            0,
+            (keys.down ? 1 : 0) - (keys.up ? 1 : 0)
+        );
+        if (direction.lengthSq() === 0) {
+            direction.copy(player.getDirection());
+            direction.y = 0;
+        }
+
+        player.dash(direction.normalize(), ability);
+        this.simulation.audioManager.playSound('DASH', 'C5');
+    }
+
+    startBulletTime(ability) {
+        this.bulletTimeLeft = ability.duration;
+        timeManager.setTimeScale(ability.timeScale);
+        this.simulation.audioManager.playSound('BULLET_TIME', 'C1');
+    }
+
+    endBulletTime() {
+        this.bulletTimeLeft = 0;
+        timeManager.setTimeScale(1);
+    }
+
+    shockwave(ability) {
+        const simulation = this.simulation;
+        const center = simulation.player.getPosition();
+
+        simulation.collisionSystem.getEnemiesNear(center, ability.radius).forEach(enemy => {
+            if (!enemy.isActive || enemy.isDying) return;
+
+            const offset = new THREE.Vector3().subVectors(enemy.getPosition(), center);
+            offset.y = 0;
+            const distance = offset.length();
+            if (distance >= ability.radius) return;
+
+            if (enemy instanceof Boss) {
+                enemy.takeDamage(ability.bossDamage);
+                return;
+            }
+
+            // An enemy right on top of the player is thrown the way the player faces
+            const direction = distance > 0.001 ? offset.normalize() : simulation.player.getDirection();
+            const strength = ability.strength * (1 - distance / ability.radius * 0.5);
+            enemy.blowAway(direction, strength);
+        });
+
+        simulation.pickupEffectManager.createRingEffect(center, COLORS.ENERGY, ability.radius, 300);
+        simulation.audioManager.playSound('SHOCKWAVE', 'E1');
+    }
+}
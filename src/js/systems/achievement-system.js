@@ -0,0 +1,198 @@
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { achievementStore } from '../utils/achievement-store.js';
+
+/**
+ * An achievement, described by the events it listens to
+ *
+ * @typedef {Object} AchievementDefinition
+ * @property {string} id - Key it is stored under, never rename one that shipped
+ * @property {string} name
+ * @property {string} description
+ * @property {number} goal - Progress that unlocks it
+ * @property {Function} createState - Returns the achievement's own scratch object for a run
+ * @property {Object<string, Function>} track - GAME_EVENTS value -> handler(state, payload).
+ *     A handler returns the progress made so far this run, or nothing when it didn't change.
+ */
+
+/**
+ * Fill in defaults and check an achievement definition
+ * @param {Object} definition - See AchievementDefinition, goal and createState are optional
+ * @returns {AchievementDefinition} - Frozen
+ */
+export function defineAchievement(definition) {
+    const achievement = { goal: 1, createState: () => ({}), ...definition };
+
+    if (!achievement.id || !achievement.name || !achievement.description) {
+        throw new Error(`Achievement ${achievement.id} needs an id, a name and a description`);
+    }
+    if (!(achievement.goal > 0)) {
+        throw new Error(`Achievement ${achievement.id} needs a positive goal`);
+    }
+    if (!achievement.track || Object.keys(achievement.track).length === 0) {
+        throw new Error(`Achievement ${achievement.id} doesn't track any event`);
+    }
+
+    return Object.freeze(achievement);
+}
+
+export const ACHIEVEMENTS = Object.freeze([
+    defineAchievement({
+        id: 'GRENADE_MULTIKILL',
+        name: 'CROWD CONTROL',
+        description: 'KILL 5 ENEMIES WITH ONE GRENADE',
+        goal: 5,
+        // Grenades are pooled, so a grenade's count restarts every time it goes off
+        createState: () => ({ kills: new Map() }),
+        track: {
+            [GAME_EVENTS.GRENADE_EXPLODED]: (state, { grenade }) => {
+                state.kills.set(grenade, 0);
+            },
+            [GAME_EVENTS.ENEMY_KILLED]: (state, { grenade, killedByPlayer }) => {
+                // Kills down a chain of exploders count for the grenade that set off the first
+                if (!killedByPlayer || !grenade) return;
+
+                const kills = (state.kills.get(grenade) || 0) + 1;
+                state.kills.set(grenade, kills);
+                return kills;
+            }
+        }
+    }),
+
+    defineAchievement({
+        id: 'BOSS_UNTOUCHED',
+        name: 'FLAWLESS',
+        description: 'DEFEAT A BOSS WITHOUT TAKING DAMAGE',
+        createState: () => ({ hit: false }),
+        track: {
+            [GAME_EVENTS.BOSS_SPAWNED]: (state) => {
+                state.hit = false;
+            },
+            [GAME_EVENTS.PLAYER_DAMAGED]: (state) => {
+                state.hit = true;
+            },
+            [GAME_EVENTS.ENEMY_KILLED]: (state, { isBoss }) => {
+                if (isBoss && !state.hit) return 1;
+            }
+        }
+    }),
+
+    defineAchievement({
+        id: 'WAVE_10',
+        name: 'SURVIVOR',
+        description: 'REACH WAVE 10',
+        goal: 10,
+        track: {
+            [GAME_EVENTS.WAVE_STARTED]: (state, { wave }) => wave
+        }
+    }),
+
+    defineAchievement({
+        id: 'NO_RELOAD_WAVE',
+        name: 'TRIGGER DISCIPLINE',
+        description: 'FINISH A WAVE WITHOUT RELOADING',
+        createState: () => ({ reloaded: false }),
+        track: {
+            [GAME_EVENTS.WAVE_STARTED]: (state) => {
+                state.reloaded = false;
+            },
+            [GAME_EVENTS.RELOAD_STARTED]: (state) => {
+                state.reloaded = true;
+            },
+            [GAME_EVENTS.WAVE_COMPLETED]: (state) => (state.reloaded ? undefined : 1)
+        }
+    }),
+
+    defineAchievement({
+        id: 'UNTOUCHABLE',
+        name: 'UNTOUCHABLE',
+        description: 'FINISH A WAVE WITHOUT TAKING DAMAGE',
+        createState: () => ({ hit: false }),
+        track: {
+            [GAME_EVENTS.WAVE_STARTED]: (state) => {
+                state.hit = false;
+            },
+            [GAME_EVENTS.PLAYER_DAMAGED]: (state) => {
+                state.hit = true;
+            },
+            [GAME_EVENTS.WAVE_COMPLETED]: (state) => (state.hit ? undefined : 1)
+        }
+    }),
+
+    defineAchievement({
+        id: 'BIG_SPENDER',
+        name: 'BIG SPENDER',
+        description: 'BUY 10 UPGRADES IN ONE RUN',
+        goal: 10,
+        createState: () => ({ purchases: 0 }),
+        track: {
+            [GAME_EVENTS.UPGRADE_PURCHASED]: (state) => ++state.purchases
+        }
+    })
+]);
+
+/**
+ * AchievementSystem - Feeds gameplay events to the achievement definitions
+ *
+ * Every achievement keeps its own state for the run; when its progress reaches the goal it
+ * is unlocked for good in the achievement store and an achievementUnlocked event goes out.
+ * Replays track progress but never unlock anything. Owned by the Simulation, one run long.
+ */
+export class AchievementSystem {
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Achievement id -> its state object for this run
+        this.states = {};
+
+        // Ids that reached their goal this run, whether or not they were unlocked before
+        this.completed = [];
+
+        this.reset();
+
+        // One subscription per event that any achievement tracks
+        const events = new Set(ACHIEVEMENTS.flatMap(achievement => Object.keys(achievement.track)));
+        events.forEach(event => {
+            eventBus.on(event, (payload) => this.handleEvent(event, payload));
+        });
+    }
+
+    reset() {
+        ACHIEVEMENTS.forEach(achievement => {
+            this.states[achievement.id] = achievement.createState();
+        });
+        this.completed = [];
+    }
+
+    handleEvent(event, payload) {
+        ACHIEVEMENTS.forEach(achievement => {
+            const handler = achievement.track[event];
+            if (!handler || this.completed.includes(achievement.id)) return;
+
+            const progress = handler(this.states[achievement.id], payload);
+            if (typeof progress === 'number') {
+                this.updateProgress(achievement, progress);
+            }
+        });
+    }
+
+    updateProgress(achievement, progress) {
+        const replayManager = this.simulation.replayManager;
+        const isReplay = Boolean(replayManager && replayManager.isPlaying);
+
+        if (!isReplay) {
+            achievementStore.recordProgress(achievement.id, Math.min(progress, achievement.goal));
+        }
+
+        if (progress < achievement.goal) return;
+
+        this.completed.push(achievement.id);
+
+        if (!isReplay && achievementStore.unlock(achievement.id)) {
+            eventBus.emit(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, {
+                achievement: achievement.id,
+                name: achievement.name,
+                description: achievement.description
+            });
+        }
+    }
+}
@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { SIZES, GAME } from '../utils/constants.js';
 import { BossBullet } from '../entities/projectiles.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
 
 export class CollisionSystem {
     constructor() {
@@ -16,48 +19,27 @@ export class CollisionSystem {
         this.bulletManager = null;
         this.lastValidPlayerPosition = new THREE.Vector3();
         this.prevPlayerPosition = new THREE.Vector3();
-        
-        // Spatial partitioning system for collision optimization
-        this.spatialGrid = new Map();
-        this.gridSize = 4; // 4x4 unit grid cells
-        this.maxSearchRadius = 8; // Maximum radius to search for collisions
     }
     
-    // Spatial Grid Helper Methods
-    getGridKey(position) {
-        const gridX = Math.floor(position.x / this.gridSize);
-        const gridZ = Math.floor(position.z / this.gridSize);
-        return `${gridX},${gridZ}`;
-    }
+    // Broadphase hooks. This class answers them by testing everything against everything,
+    // OptimizedCollisionSystem (collision-system-optimized.js) answers them from a uniform grid.
+    // Candidates always come back in the order of the underlying list, so both give the same results.
     
-    addToGrid(entity, position) {
-        const key = this.getGridKey(position);
-        if (!this.spatialGrid.has(key)) {
-            this.spatialGrid.set(key, []);
-        }
-        this.spatialGrid.get(key).push(entity);
+    // Called once per update before any check runs
+    prepareBroadphase() {}
+    
+    // Obstacles that may touch a circle on the ground plane
+    getObstaclesNear(position, radius) {
+        return this.obstacles;
     }
     
-    getNearbyEntities(position, searchRadius = this.maxSearchRadius) {
-        const entities = [];
-        const minGridX = Math.floor((position.x - searchRadius) / this.gridSize);
-        const maxGridX = Math.floor((position.x + searchRadius) / this.gridSize);
-        const minGridZ = Math.floor((position.z - searchRadius) / this.gridSize);
-        const maxGridZ = Math.floor((position.z + searchRadius) / this.gridSize);
-        
-        for (let x = minGridX; x <= maxGridX; x++) {
-            for (let z = minGridZ; z <= maxGridZ; z++) {
-                const key = `${x},${z}`;
-                if (this.spatialGrid.has(key)) {
-                    entities.push(...this.spatialGrid.get(key));
-                }
-            }
-        }
-        return entities;
+    getObstacleBox(obstacle) {
+        return obstacle.getBoundingBox();
     }
     
-    clearGrid() {
-        this.spatialGrid.clear();
+    // Enemies (including dying ones) whose body may reach within radius of position
+    getEnemiesNear(position, radius) {
+        return this.enemies;
     }
     
     setPlayer(player) {
@@ -72,14 +54,14 @@ export class CollisionSystem {
         this.bulletManager = bulletManager;
     }
     
-    setPickupEffectManager(pickupEffectManager) {
-        this.pickupEffectManager = pickupEffectManager;
-    }
-    
     addObstacle(obstacle) {
         this.obstacles.push(obstacle);
     }
     
+    clearObstacles() {
+        this.obstacles = [];
+    }
+    
     addEnemy(enemy) {
         this.enemies.push(enemy);
     }
@@ -113,6 +95,8 @@ export class CollisionSystem {
             this.prevPlayerPosition.copy(this.player.getPosition());
         }
         
+        this.prepareBroadphase();
+        
         this.checkBulletCollisions();
         this.checkGrenadeCollisions();
         this.checkPlayerCollisions();
@@ -121,16 +105,7 @@ export class CollisionSystem {
         this.cleanupInactiveObjects();
     }
     
-    // OPTIMIZED: Bullet collision detection with spatial partitioning
     checkBulletCollisions() {
-        this.clearGrid();
-        
-        this.enemies.forEach(enemy => {
-            if (enemy.isActive && !enemy.isDying) {
-                this.addToGrid(enemy, enemy.getPosition());
-            }
-        });
-        
         let bulletsToCheck = [...this.bullets];
         
         if (this.bulletManager && this.bulletManager.activeBullets) {
@@ -146,10 +121,8 @@ export class CollisionSystem {
             
             if (isBossBullet && bullet.hasExploded && bullet.explosionActive) {
                 const explosionRadius = bullet.getExplosionRadius();
-                const nearbyEnemies = this.getNearbyEntities(bulletPos, explosionRadius);
-                
-                nearbyEnemies.forEach(enemy => {
-                    if (!enemy.isActive) return;
+                this.getEnemiesNear(bulletPos, explosionRadius).forEach(enemy => {
+                    if (!enemy.isActive || enemy.isDying) return;
                     
                     const enemyPos = enemy.getPosition();
                     const distance = bulletPos.distanceTo(enemyPos);
@@ -186,10 +159,10 @@ export class CollisionSystem {
             }
 
             // Check obstacles
-            for (const obstacle of this.obstacles) {
+            for (const obstacle of this.getObstaclesNear(bulletPos, bulletRadius)) {
                 if (obstacle.constructor.name === "Obstacle") continue;
                 
-                const obstacleBox = obstacle.getBoundingBox();
+                const obstacleBox = this.getObstacleBox(obstacle);
                 const bulletSphere = new THREE.Sphere(bulletPos, bulletRadius);
                 
                 if (obstacleBox.intersectsSphere(bulletSphere)) {
@@ -231,17 +204,24 @@ export class CollisionSystem {
             
             if (!bullet.isActive) return;
             
-            // Use spatial grid for enemy collision
-            const nearbyEnemies = this.getNearbyEntities(bulletPos, bulletRadius + 4);
-            
-            for (const enemy of nearbyEnemies) {
+            for (const enemy of this.getEnemiesNear(bulletPos, bulletRadius)) {
                 if (!enemy.isActive || enemy.isDying) continue;
                 
+                // A piercing bullet paints each enemy once on its way through
+                if (bullet.hasPierced && bullet.hasPierced(enemy)) continue;
+                
                 const enemyPos = enemy.getPosition();
                 const enemyRadius = enemy.getBoundingRadius();
                 const distance = bulletPos.distanceTo(enemyPos);
                 
                 if (distance < bulletRadius + enemyRadius) {
+                    // A shot from the front ends on the shield, whatever it could pierce
+                    if (enemy.shieldBlocks(bullet.direction)) {
+                        enemy.hitShield(bullet.direction, bullet.color, bullet.damage);
+                        bullet.deactivate();
+                        break;
+                    }
+                    
                     const bulletsAttached = enemy.attachBullet(bullet);
                     
                     if (bulletsAttached >= 3) {
@@ -266,14 +246,11 @@ export class CollisionSystem {
             const distance = playerPos.distanceTo(ammoPack.getPosition());
             
             if (distance < playerRadius + ammoPack.getBoundingRadius()) {
-                const pickupPosition = ammoPack.getPosition();
+                const pickupPosition = ammoPack.getPosition().clone();
                 const ammoAmount = ammoPack.pickup();
                 this.player.addAmmo(ammoAmount);
                 
-                // Create pickup effect
-                if (this.pickupEffectManager) {
-                    this.pickupEffectManager.createPickupEffect(pickupPosition, 'ammo');
-                }
+                eventBus.emit(GAME_EVENTS.PICKUP_COLLECTED, { type: 'ammo', amount: ammoAmount, position: pickupPosition });
             }
         });
         
@@ -285,14 +262,11 @@ export class CollisionSystem {
             
             if (distance < playerRadius + grenadePack.getBoundingRadius()) {
                 if (this.player.grenades < this.player.maxGrenades) {
-                    const pickupPosition = grenadePack.getPosition();
+                    const pickupPosition = grenadePack.getPosition().clone();
                     const grenadeAmount = grenadePack.pickup();
                     this.player.addGrenades(grenadeAmount);
                     
-                    // Create pickup effect
-                    if (this.pickupEffectManager) {
-                        this.pickupEffectManager.createPickupEffect(pickupPosition, 'grenade');
-                    }
+                    eventBus.emit(GAME_EVENTS.PICKUP_COLLECTED, { type: 'grenade', amount: grenadeAmount, position: pickupPosition });
                 }
             }
         });
@@ -304,14 +278,13 @@ export class CollisionSystem {
             const distance = playerPos.distanceTo(energyPack.getPosition());
             
             if (distance < playerRadius + energyPack.getBoundingRadius()) {
-                const pickupPosition = energyPack.getPosition();
+                const pickupPosition = energyPack.getPosition().clone();
                 const energyAmount = energyPack.pickup();
+                // Energy packs fill the meter and patch the player up by the same amount
                 this.player.addEnergy(energyAmount);
+                this.player.heal(energyAmount);
                 
-                // Create pickup effect
-                if (this.pickupEffectManager) {
-                    this.pickupEffectManager.createPickupEffect(pickupPosition, 'energy');
-                }
+                eventBus.emit(GAME_EVENTS.PICKUP_COLLECTED, { type: 'energy', amount: energyAmount, position: pickupPosition });
             }
         });
         
@@ -326,11 +299,11 @@ export class CollisionSystem {
         }
         
         // Check for collisions with solid obstacles
-        this.obstacles.forEach(obstacle => {
+        this.getObstaclesNear(playerPos, playerRadius).forEach(obstacle => {
             // Skip grass obstacles (decorative only)
             if (obstacle.constructor.name === "Obstacle") return;
             
-            const obstacleBox = obstacle.getBoundingBox();
+            const obstacleBox = this.getObstacleBox(obstacle);
             const playerSphere = new THREE.Sphere(playerPos, playerRadius);
             
             if (obstacleBox.intersectsSphere(playerSphere)) {
@@ -350,7 +323,7 @@ export class CollisionSystem {
         
         collidingObstacles.forEach(obstacle => {
             const obstaclePos = obstacle.getPosition();
-            const obstacleBox = obstacle.getBoundingBox();
+            const obstacleBox = this.getObstacleBox(obstacle);
             
             // Calculate obstacle effective radius
             const obstacleRadius = Math.max(
@@ -401,7 +374,7 @@ export class CollisionSystem {
             const grenadePos = grenade.getPosition();
             const explosionRadius = grenade.getExplosionRadius();
             
-            this.enemies.forEach(enemy => {
+            this.getEnemiesNear(grenadePos, explosionRadius).forEach(enemy => {
                 if (!enemy.isActive) return;
                 
                 const enemyPos = enemy.getPosition();
@@ -418,17 +391,17 @@ export class CollisionSystem {
                         .normalize();
                     
                     const blowStrength = (explosionRadius - distance) / explosionRadius * 16;
-                    enemy.blowAway(blowDirection, blowStrength);
+                    enemy.blowAway(blowDirection, blowStrength, grenade);
                 }
             });
             
-            if (this.player) {
+            if (this.player && grenade.hurtsPlayer !== false) {
                 const playerPos = this.player.getPosition();
                 const distance = grenadePos.distanceTo(playerPos);
                 
                 if (distance < explosionRadius) {
                     const damageMultiplier = 0.5 * (1 - (distance / explosionRadius));
-                    const damageAmount = Math.ceil(30 * damageMultiplier);
+                    const damageAmount = Math.ceil(grenade.blastDamage * damageMultiplier);
                     this.player.takeDamage(damageAmount);
                 }
             }
@@ -457,21 +430,23 @@ export class CollisionSystem {
             let collidingObstacles = [];
             let totalMoveDirection = new THREE.Vector3();
             
-            for (const obstacle of this.obstacles) {
+            let detectionMultiplier = 1.8;
+            if (enemy.speed) {
+                detectionMultiplier += enemy.speed * 0.1;
+            }
+            
+            if (enemy.type === 'THIN') {
+                detectionMultiplier += 0.3;
+            }
+            
+            const detectionRadius = enemyRadius * detectionMultiplier;
+            
+            for (const obstacle of this.getObstaclesNear(enemyPos, detectionRadius)) {
                 if (obstacle.constructor.name === "Obstacle") continue;
                 
-                const obstacleBox = obstacle.getBoundingBox();
-                
-                let detectionMultiplier = 1.8;
-                if (enemy.speed) {
-                    detectionMultiplier += enemy.speed * 0.1;
-                }
-                
-                if (enemy.type === 'THIN') {
-                    detectionMultiplier += 0.3;
-                }
+                const obstacleBox = this.getObstacleBox(obstacle);
                 
-                const inflatedSphere = new THREE.Sphere(enemyPos, enemyRadius * detectionMultiplier);
+                const inflatedSphere = new THREE.Sphere(enemyPos, detectionRadius);
                 if (obstacleBox.intersectsSphere(inflatedSphere)) {
                     collidingObstacles.push(obstacle);
                     
@@ -515,7 +490,7 @@ export class CollisionSystem {
                     
                     let hasDirectCollision = false;
                     for (const obstacle of collidingObstacles) {
-                        const obstacleBox = obstacle.getBoundingBox();
+                        const obstacleBox = this.getObstacleBox(obstacle);
                         const enemySphere = new THREE.Sphere(enemyPos, enemyRadius);
                         
                         if (obstacleBox.intersectsSphere(enemySphere)) {
@@ -555,7 +530,7 @@ export class CollisionSystem {
                             }
                         }
                         
-                        enemy.lastMajorDirectionChange = Date.now();
+                        enemy.lastMajorDirectionChange = timeManager.now();
                         enemy.directionChangeCooldown = 500;
                     }
                 }
@@ -569,7 +544,7 @@ export class CollisionSystem {
             }
             
             // Enemy-to-enemy collision
-            this.enemies.forEach(otherEnemy => {
+            this.getEnemiesNear(enemyPos, enemyRadius).forEach(otherEnemy => {
                 if (otherEnemy === enemy || !otherEnemy.isActive) return;
                 
                 const otherPos = otherEnemy.getPosition();
@@ -589,7 +564,7 @@ export class CollisionSystem {
                     }
                     
                     if (enemy.direction) {
-                        const angle = Math.random() * Math.PI * 0.5 - Math.PI * 0.25;
+                        const angle = randomManager.gameplay.next() * Math.PI * 0.5 - Math.PI * 0.25;
                         const randomizedSeparation = new THREE.Vector3(
                             separationVector.x * Math.cos(angle) - separationVector.z * Math.sin(angle),
                             0,
@@ -646,10 +621,10 @@ export class CollisionSystem {
             }
             
             // Check obstacles
-            for (const obstacle of this.obstacles) {
+            for (const obstacle of this.getObstaclesNear(bulletPos, bulletRadius)) {
                 if (obstacle.constructor.name === "Obstacle") continue;
                 
-                const obstacleBox = obstacle.getBoundingBox();
+                const obstacleBox = this.getObstacleBox(obstacle);
                 const bulletSphere = new THREE.Sphere(bulletPos, bulletRadius);
                 
                 if (obstacleBox.intersectsSphere(bulletSphere)) {
@@ -701,6 +676,22 @@ export class CollisionSystem {
         });
     }
     
+    // Forget every tracked entity except the obstacles and the player, used on restart
+    reset() {
+        this.enemies = [];
+        this.bullets = [];
+        this.grenades = [];
+        this.ammoPickups = [];
+        this.energyPickups = [];
+        this.grenadePickups = [];
+        this.enemyBullets = [];
+        
+        if (this.player) {
+            this.lastValidPlayerPosition.copy(this.player.getPosition());
+            this.prevPlayerPosition.copy(this.player.getPosition());
+        }
+    }
+    
     cleanupInactiveObjects() {
         this.bullets = this.bullets.filter(bullet => bullet.isActive);
         this.grenades = this.grenades.filter(grenade => grenade.isActive);
@@ -712,10 +703,10 @@ export class CollisionSystem {
     }
     
     isPositionInsideObstacle(position, radius) {
-        for (const obstacle of this.obstacles) {
+        for (const obstacle of this.getObstaclesNear(position, radius)) {
             if (obstacle.constructor.name === "Obstacle") continue;
             
-            const obstacleBox = obstacle.getBoundingBox();
+            const obstacleBox = this.getObstacleBox(obstacle);
             const testSphere = new THREE.Sphere(position, radius);
             
             if (obstacleBox.intersectsSphere(testSphere)) {
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
 import { COLORS } from '../utils/constants.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { ObjectPool, POOL_OVERFLOW } from '../utils/object-pool.js';
 
 export class DecalManager {
     constructor(scene) {
@@ -51,6 +54,28 @@ export class DecalManager {
             surface: new THREE.PlaneGeometry(0.5, 0.5)
         };
         
+        // Materials for splats in other colors, one per color, created on first use
+        this.customMaterials = new Map();
+        
+        // Decal meshes are reused. The oldest decal is removed before the cap is reached,
+        // so the pool only drops a request if something else holds on to its meshes.
+        this.decalPool = new ObjectPool({
+            name: 'decals',
+            create: () => new THREE.Mesh(this.geometries.surface, this.sharedMaterials.bullet),
+            reset: (mesh, geometry, material) => {
+                mesh.geometry = geometry;
+                mesh.material = material;
+                mesh.position.set(0, 0, 0);
+                mesh.rotation.set(0, 0, 0);
+                mesh.scale.set(1, 1, 1);
+            },
+            // Paint on an enemy's shield is parented to the shield, not the scene
+            release: mesh => mesh.removeFromParent(),
+            initialSize: 20,
+            maxSize: this.maxDecals,
+            overflow: POOL_OVERFLOW.DROP
+        });
+        
         // Start auto-cleanup for magenta splats
         this.startAutoCleanup();
     }
@@ -89,12 +114,12 @@ export class DecalManager {
         
         // Add some random splatter details
         for (let i = 0; i < 8; i++) {
-            const radius = 15 + Math.random() * 20;
+            const radius = 15 + randomManager.cosmetic.next() * 20;
             
             // Calculate random position with controlled spread
             const spreadRadius = 150;
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * spreadRadius;
+            const angle = randomManager.cosmetic.next() * Math.PI * 2;
+            const distance = randomManager.cosmetic.next() * spreadRadius;
             
             const x = centerX + Math.cos(angle) * distance;
             const y = centerY + Math.sin(angle) * distance;
@@ -114,9 +139,9 @@ export class DecalManager {
         
         // Add some smaller octagons for texture
         for (let i = 0; i < 12; i++) {
-            const radius = 3 + Math.random() * 6;
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * 170;
+            const radius = 3 + randomManager.cosmetic.next() * 6;
+            const angle = randomManager.cosmetic.next() * Math.PI * 2;
+            const distance = randomManager.cosmetic.next() * 170;
             
             const x = centerX + Math.cos(angle) * distance;
             const y = centerY + Math.sin(angle) * distance;
@@ -143,20 +168,13 @@ export class DecalManager {
         } else if (color === COLORS.BULLET || color === null) { // Default magenta
             material = this.sharedMaterials.bullet;
         } else {
-            // Create a custom material with darkened color
-            material = new THREE.MeshBasicMaterial({
-                map: this.decalTexture,
-                transparent: true,
-                opacity: 0.8,
-                depthTest: true, 
-                depthWrite: false,
-                color: this.darkenColor(color),
-                side: THREE.DoubleSide
-            });
+            // Custom material with darkened color
+            material = this.getCustomMaterial(color);
         }
         
         // Use shared geometry and material
-        const decal = new THREE.Mesh(this.geometries.surface, material);
+        const decal = this.decalPool.acquire(this.geometries.surface, material);
+        if (!decal) return null;
         
         // Position at hit point
         decal.position.copy(position);
@@ -168,7 +186,7 @@ export class DecalManager {
         }
         
         // Add a random rotation around the normal axis
-        decal.rotateZ(Math.random() * Math.PI * 2);
+        decal.rotateZ(randomManager.cosmetic.next() * Math.PI * 2);
         
         // Add to scene
         this.scene.add(decal);
@@ -176,7 +194,7 @@ export class DecalManager {
         // Store in decals array with timestamp
         this.decals.push({
             mesh: decal,
-            timestamp: Date.now(),
+            timestamp: timeManager.now(),
             type: 'surface',
             isCustomColor: color !== null && color !== COLORS.BULLET && color !== 0x9B870C
         });
@@ -208,19 +226,12 @@ export class DecalManager {
         } else if (color === COLORS.BULLET || color === null) { // Default magenta
             material = this.sharedMaterials.bullet;
         } else {
-            // Create a custom material with darkened color
-            material = new THREE.MeshBasicMaterial({
-                map: this.decalTexture,
-                transparent: true,
-                opacity: 0.8,
-                depthTest: true, 
-                depthWrite: false,
-                color: this.darkenColor(color),
-                side: THREE.DoubleSide
-            });
+            // Custom material with darkened color
+            material = this.getCustomMaterial(color);
         }
         
-        const splat = new THREE.Mesh(geometry, material);
+        const splat = this.decalPool.acquire(geometry, material);
+        if (!splat) return null;
         
         // Scale to match requested size while using shared geometries
         const scale = size / (geometry === this.geometries.smallSplat ? 0.5 : 
@@ -235,7 +246,7 @@ export class DecalManager {
         splat.rotation.x = -Math.PI / 2;
         
         // Add a random rotation for variety
-        splat.rotation.z = Math.random() * Math.PI * 2;
+        splat.rotation.z = randomManager.cosmetic.next() * Math.PI * 2;
         
         // Add to scene
         this.scene.add(splat);
@@ -243,7 +254,7 @@ export class DecalManager {
         // Store in decals array with timestamp and color info
         this.decals.push({
             mesh: splat,
-            timestamp: Date.now(),
+            timestamp: timeManager.now(),
             type: 'ground',
             isCustomColor: color !== null && color !== COLORS.BULLET && color !== 0x9B870C
         });
@@ -251,6 +262,30 @@ export class DecalManager {
         return splat;
     }
     
+    getCustomMaterial(color) {
+        if (!this.customMaterials.has(color)) {
+            this.customMaterials.set(color, new THREE.MeshBasicMaterial({
+                map: this.decalTexture,
+                transparent: true,
+                opacity: 0.8,
+                depthTest: true, 
+                depthWrite: false,
+                color: this.darkenColor(color),
+                side: THREE.DoubleSide
+            }));
+        }
+        return this.customMaterials.get(color);
+    }
+    
+    // Take a decal off the scene and hand its mesh back to the pool
+    releaseDecal(decal) {
+        this.decalPool.release(decal.mesh);
+    }
+    
+    getStats() {
+        return this.decalPool.getStats();
+    }
+    
     // Remove the oldest decal immediately
     removeOldestDecal() {
         if (this.decals.length === 0) return;
@@ -269,13 +304,7 @@ export class DecalManager {
         // Remove the oldest decal
         const decal = this.decals[oldestIndex];
         if (decal && decal.mesh) {
-            this.scene.remove(decal.mesh);
-            
-            // Dispose custom materials
-            if (decal.isCustomColor && decal.mesh.material) {
-                decal.mesh.material.dispose();
-            }
-            
+            this.releaseDecal(decal);
             this.decals.splice(oldestIndex, 1);
         }
     }
@@ -294,12 +323,7 @@ export class DecalManager {
             for (let i = 0; i < numToRemove; i++) {
                 const decal = this.decals[i];
                 if (decal && decal.mesh) {
-                    this.scene.remove(decal.mesh);
-                    
-                    // Dispose custom materials
-                    if (decal.isCustomColor && decal.mesh.material) {
-                        decal.mesh.material.dispose();
-                    }
+                    this.releaseDecal(decal);
                 }
             }
             
@@ -308,19 +332,22 @@ export class DecalManager {
         }
     }
     
-    // Clean up all decals
-    cleanUp() {
+    // Remove every decal but keep the shared resources for reuse
+    clearDecals() {
         for (const decal of this.decals) {
             if (decal && decal.mesh) {
-                this.scene.remove(decal.mesh);
-                
-                // Dispose custom materials
-                if (decal.isCustomColor && decal.mesh.material) {
-                    decal.mesh.material.dispose();
-                }
+                this.releaseDecal(decal);
             }
         }
         this.decals = [];
+    }
+    
+    // Clean up all decals
+    cleanUp() {
+        this.clearDecals();
+        
+        // Stop the auto-cleanup timer, it would otherwise keep a headless run's process alive
+        clearInterval(this.autoCleanupInterval);
         
         // Dispose of shared resources
         for (const key in this.geometries) {
@@ -335,6 +362,10 @@ export class DecalManager {
             }
         }
         
+        this.customMaterials.forEach(material => material.dispose());
+        this.customMaterials.clear();
+        this.decalPool.dispose();
+        
         if (this.decalTexture) {
             this.decalTexture.dispose();
         }
@@ -342,8 +373,8 @@ export class DecalManager {
     
     // Auto-cleanup magenta splats every 500ms
     startAutoCleanup() {
-        setInterval(() => {
-            const now = Date.now();
+        this.autoCleanupInterval = setInterval(() => {
+            const now = timeManager.now();
             
             // Find magenta splats that are older than 10 seconds
             this.decals = this.decals.filter(decal => {
@@ -362,12 +393,7 @@ export class DecalManager {
                 // Check if it's time to remove this magenta splat (older than 10 seconds)
                 if (now - decal.timestamp > 10000) {
                     // Remove the mesh
-                    this.scene.remove(decal.mesh);
-                    
-                    // If it's a custom material, dispose it
-                    if (decal.isCustomColor && decal.mesh.material) {
-                        decal.mesh.material.dispose();
-                    }
+                    this.releaseDecal(decal);
                     
                     return false;
                 }
@@ -0,0 +1,141 @@
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+
+export const GAME_STATES = Object.freeze({
+    INTRO: 'intro',                 // Title screen, the world isn't built yet
+    PLAYING: 'playing',             // A wave is in progress
+    PAUSED: 'paused',               // Everything frozen, including the game clock
+    INTERMISSION: 'intermission',   // Wave cleared, waiting for the next one
+    GAMEOVER: 'gameover'            // Player died, the world stands still until a restart
+});
+
+// Which parts of the world advance in each state:
+//   clock       - the game clock ticks, so timers and effect animations keep running
+//   player      - movement, shooting and grenade throws
+//   spawning    - new enemies, pickups and bosses
+//   enemies     - enemy AI, enemy bullets and the wave-complete check
+//   projectiles - player bullets and grenades
+//   pickups     - pickup animations
+//   collisions  - all collision checks
+const STATE_SYSTEMS = {
+    [GAME_STATES.INTRO]: [],
+    [GAME_STATES.PLAYING]: ['clock', 'player', 'spawning', 'enemies', 'projectiles', 'pickups', 'collisions'],
+    [GAME_STATES.PAUSED]: [],
+    [GAME_STATES.INTERMISSION]: ['clock', 'player', 'enemies', 'projectiles', 'pickups', 'collisions'],
+    [GAME_STATES.GAMEOVER]: ['clock']
+};
+
+// Allowed transitions. Entering PLAYING from PLAYING is a restart.
+const TRANSITIONS = {
+    [GAME_STATES.INTRO]: [GAME_STATES.PLAYING],
+    [GAME_STATES.PLAYING]: [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.INTERMISSION, GAME_STATES.GAMEOVER],
+    [GAME_STATES.PAUSED]: [GAME_STATES.PLAYING, GAME_STATES.INTERMISSION],
+    [GAME_STATES.INTERMISSION]: [GAME_STATES.PLAYING, GAME_STATES.PAUSED, GAME_STATES.GAMEOVER],
+    [GAME_STATES.GAMEOVER]: [GAME_STATES.PLAYING]
+};
+
+/**
+ * GameStateMachine - The flow of a session: intro, playing, paused, intermission, game over
+ *
+ * Systems ask updates() whether they run in the current state. Features hook into the flow
+ * with onEnter/onExit, or listen for the stateChanged event on the event bus.
+ */
+export class GameStateMachine {
+    constructor() {
+        this.state = GAME_STATES.INTRO;
+        this.previousState = null;
+
+        // State -> array of handlers
+        this.enterHooks = new Map();
+        this.exitHooks = new Map();
+    }
+
+    /**
+     * @param {string} state - One of GAME_STATES
+     * @returns {boolean}
+     */
+    is(state) {
+        return this.state === state;
+    }
+
+    /**
+     * Whether a system runs in the current state, see STATE_SYSTEMS for the names
+     * @param {string} system
+     * @returns {boolean}
+     */
+    updates(system) {
+        return STATE_SYSTEMS[this.state].includes(system);
+    }
+
+    /**
+     * @param {string} state - One of GAME_STATES
+     * @returns {boolean}
+     */
+    canTransition(state) {
+        return TRANSITIONS[this.state].includes(state);
+    }
+
+    /**
+     * Leave the current state and enter another. Exit hooks run first, then enter hooks.
+     * @param {string} state - One of GAME_STATES
+     */
+    transition(state) {
+        if (!this.canTransition(state)) {
+            throw new Error(`Invalid game state transition ${this.state} -> ${state}`);
+        }
+
+        const from = this.state;
+        this.runHooks(this.exitHooks, from, state);
+
+        this.previousState = from;
+        this.state = state;
+        this.runHooks(this.enterHooks, state, from);
+
+        eventBus.emit(GAME_EVENTS.STATE_CHANGED, { from, to: state });
+    }
+
+    /**
+     * Call a handler whenever a state is entered
+     * @param {string} state - One of GAME_STATES
+     * @param {Function} handler - Called with the state we came from
+     * @returns {Function} - Call to remove the hook
+     */
+    onEnter(state, handler) {
+        return this.addHook(this.enterHooks, state, handler);
+    }
+
+    /**
+     * Call a handler whenever a state is left
+     * @param {string} state - One of GAME_STATES
+     * @param {Function} handler - Called with the state we are going to
+     * @returns {Function} - Call to remove the hook
+     */
+    onExit(state, handler) {
+        return this.addHook(this.exitHooks, state, handler);
+    }
+
+    addHook(hooks, state, handler) {
+        if (!STATE_SYSTEMS[state]) {
+            throw new Error(`Unknown game state "${state}"`);
+        }
+
+        if (!hooks.has(state)) {
+            hooks.set(state, []);
+        }
+        hooks.get(state).push(handler);
+
+        return () => {
+            const handlers = hooks.get(state);
+            const index = handlers.indexOf(handler);
+            if (index !== -1) {
+                handlers.splice(index, 1);
+            }
+        };
+    }
+
+    runHooks(hooks, state, otherState) {
+        const handlers = hooks.get(state);
+        if (!handlers) return;
+
+        handlers.slice().forEach(handler => handler(otherState));
+    }
+}
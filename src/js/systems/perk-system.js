@@ -0,0 +1,277 @@
+import * as THREE from 'three';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+
+// Perks offered per draft
+export const DRAFT_SIZE = 3;
+
+/**
+ * Perks drafted after each wave. Unlike shop upgrades they change how things behave.
+ * Picking a perk again adds a stack, up to `maxStacks`; maxed perks leave the draft pool.
+ * Per-stack values are multiplied by the perk's stack count.
+ */
+export const PERKS = Object.freeze({
+    // Bullets and rifle traces carry on through enemies they paint
+    PIERCING: Object.freeze({
+        id: 'PIERCING',
+        name: 'PIERCING',
+        description: 'SHOTS PASS THROUGH 1 MORE ENEMY',
+        maxStacks: 3,
+        piercePerStack: 1
+    }),
+
+    // Grenades scatter bomblets that go off a moment after the main blast
+    CLUSTER: Object.freeze({
+        id: 'CLUSTER',
+        name: 'CLUSTER BOMBS',
+        description: 'GRENADES SPLIT INTO 3 BOMBLETS',
+        maxStacks: 2,
+        bombletsPerStack: 3,
+        bombletRadius: 0.45,    // Of the parent grenade's blast radius
+        bombletFuse: 600,
+        bombletSpeed: 0.35      // Of a thrown grenade's speed
+    }),
+
+    // Killed enemies leave a puddle of paint that hurts the enemies standing in it
+    PAINT_POOLS: Object.freeze({
+        id: 'PAINT_POOLS',
+        name: 'TOXIC PAINT',
+        description: 'KILLS LEAVE PAINT POOLS THAT HURT ENEMIES',
+        maxStacks: 3,
+        radius: 1.5,
+        radiusPerStack: 0.5,
+        duration: 3000,
+        interval: 750,          // Time between damage ticks
+        damagePerStack: 1
+    }),
+
+    // Every pickup patches the player up too
+    FIELD_MEDIC: Object.freeze({
+        id: 'FIELD_MEDIC',
+        name: 'FIELD MEDIC',
+        description: 'PICKUPS HEAL 8 HEALTH',
+        maxStacks: 3,
+        healPerStack: 8
+    }),
+
+    // The player shrugs off their own grenades
+    FIREPROOF: Object.freeze({
+        id: 'FIREPROOF',
+        name: 'FIREPROOF',
+        description: 'YOUR GRENADES CAN\'T HURT YOU',
+        maxStacks: 1
+    })
+});
+
+/**
+ * PerkSystem - The perk draft between waves and the effects of the perks taken
+ *
+ * A draft opens when the intermission starts and closes when a perk is chosen or the next
+ * wave begins. Bullets and grenades get their perk stats when they are fired; kills, pickups
+ * and explosions are picked up from the event bus. Owned by the Simulation, one run long.
+ */
+export class PerkSystem {
+    constructor(simulation) {
+        this.simulation = simulation;
+
+        // Perk id -> stacks taken this run
+        this.stacks = {};
+
+        // Perk ids on offer, null while no draft is open
+        this.draft = null;
+
+        // Paint left behind by kills: { position, radius, damage, endTime, nextDamageTime }
+        this.paintPools = [];
+
+        this.reset();
+
+        eventBus.on(GAME_EVENTS.ENEMY_KILLED, ({ position, killedByPlayer }) => {
+            if (killedByPlayer && this.has('PAINT_POOLS')) {
+                this.createPaintPool(position);
+            }
+        });
+
+        eventBus.on(GAME_EVENTS.PICKUP_COLLECTED, () => {
+            if (this.has('FIELD_MEDIC')) {
+                this.simulation.player.heal(PERKS.FIELD_MEDIC.healPerStack * this.getStacks('FIELD_MEDIC'));
+            }
+        });
+
+        eventBus.on(GAME_EVENTS.GRENADE_EXPLODED, ({ grenade }) => {
+            if (grenade.clusterBomblets > 0) {
+                this.spawnBomblets(grenade);
+            }
+        });
+    }
+
+    reset() {
+        Object.keys(PERKS).forEach(id => {
+            this.stacks[id] = 0;
+        });
+        this.draft = null;
+        this.paintPools = [];
+    }
+
+    /**
+     * @param {string} id - Key in PERKS
+     * @returns {number}
+     */
+    getStacks(id) {
+        return this.stacks[id] || 0;
+    }
+
+    /**
+     * @param {string} id - Key in PERKS
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.getStacks(id) > 0;
+    }
+
+    /**
+     * Perks taken this run, in PERKS order
+     * @returns {Array<{perk: Object, stacks: number}>}
+     */
+    getTakenPerks() {
+        return Object.values(PERKS)
+            .filter(perk => this.has(perk.id))
+            .map(perk => ({ perk, stacks: this.getStacks(perk.id) }));
+    }
+
+    /**
+     * Open a draft of up to DRAFT_SIZE perks that can still stack. The pick comes from the
+     * gameplay stream, so a replay is offered the same perks.
+     */
+    offerDraft() {
+        const available = Object.values(PERKS)
+            .filter(perk => this.getStacks(perk.id) < perk.maxStacks)
+            .map(perk => perk.id);
+
+        // Partial Fisher-Yates shuffle, only the front of the list is needed
+        const count = Math.min(DRAFT_SIZE, available.length);
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(randomManager.gameplay.next() * (available.length - i));
+            [available[i], available[j]] = [available[j], available[i]];
+        }
+
+        this.draft = count > 0 ? available.slice(0, count) : null;
+    }
+
+    // Drop an untaken draft, e.g. when the next wave starts before a choice was made
+    closeDraft() {
+        this.draft = null;
+    }
+
+    /**
+     * Take a perk from the open draft
+     * @param {number} index - Position in the draft
+     * @returns {boolean} - Whether a perk was taken
+     */
+    choose(index) {
+        if (!this.draft || !this.draft[index]) return false;
+
+        const id = this.draft[index];
+        this.stacks[id]++;
+        this.draft = null;
+
+        eventBus.emit(GAME_EVENTS.PERK_CHOSEN, {
+            perk: id,
+            stacks: this.stacks[id]
+        });
+
+        return true;
+    }
+
+    /**
+     * Enemies a bullet fired now can pass through
+     * @returns {number}
+     */
+    getPierce() {
+        return PERKS.PIERCING.piercePerStack * this.getStacks('PIERCING');
+    }
+
+    /**
+     * Bomblets a grenade thrown now splits into
+     * @returns {number}
+     */
+    getClusterBomblets() {
+        return PERKS.CLUSTER.bombletsPerStack * this.getStacks('CLUSTER');
+    }
+
+    // Fan bomblets out from where a cluster grenade went off
+    spawnBomblets(grenade) {
+        const cluster = PERKS.CLUSTER;
+        const simulation = this.simulation;
+        const count = grenade.clusterBomblets;
+        const startAngle = randomManager.gameplay.next() * Math.PI * 2;
+
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (i / count) * Math.PI * 2;
+            const direction = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+
+            // Grenade.reset() lifts the start point half a unit off the ground
+            const position = grenade.position.clone();
+            position.y = 0;
+
+            const bomblet = simulation.spawnManager.getGrenade(position, direction);
+            bomblet.speed *= cluster.bombletSpeed;
+            bomblet.verticalVelocity *= 0.5;
+            bomblet.explodeAfter = cluster.bombletFuse;
+            bomblet.explosionRadius = grenade.explosionRadius * cluster.bombletRadius;
+            bomblet.hurtsPlayer = grenade.hurtsPlayer;
+
+            simulation.collisionSystem.addGrenade(bomblet);
+        }
+    }
+
+    createPaintPool(position) {
+        const perk = PERKS.PAINT_POOLS;
+        const stacks = this.getStacks('PAINT_POOLS');
+        const now = timeManager.now();
+        const pool = {
+            position: new THREE.Vector3(position.x, 0, position.z),
+            radius: perk.radius + perk.radiusPerStack * (stacks - 1),
+            damage: perk.damagePerStack * stacks,
+            endTime: now + perk.duration,
+            nextDamageTime: now + perk.interval
+        };
+        this.paintPools.push(pool);
+
+        const decalManager = this.simulation.decalManager;
+        if (decalManager) {
+            const splatPosition = pool.position.clone();
+            splatPosition.y = 0.03;
+            decalManager.createGroundSplat(splatPosition, pool.radius * 2, 0x66ff00);
+        }
+    }
+
+    /**
+     * Let paint pools hurt whoever stands in them and dry up the old ones
+     */
+    update() {
+        if (this.paintPools.length === 0) return;
+
+        const now = timeManager.now();
+        const collisionSystem = this.simulation.collisionSystem;
+
+        // Iterate a copy: kills made here leave new pools behind
+        this.paintPools.slice().forEach(pool => {
+            if (now < pool.nextDamageTime) return;
+            pool.nextDamageTime += PERKS.PAINT_POOLS.interval;
+
+            collisionSystem.getEnemiesNear(pool.position, pool.radius).forEach(enemy => {
+                if (!enemy.isActive || enemy.isDying) return;
+
+                const position = enemy.getPosition();
+                const dx = position.x - pool.position.x;
+                const dz = position.z - pool.position.z;
+                if (dx * dx + dz * dz < pool.radius * pool.radius) {
+                    enemy.takeDamage(pool.damage);
+                }
+            });
+        });
+
+        this.paintPools = this.paintPools.filter(pool => now < pool.endTime);
+    }
+}
@@ -1,4 +1,8 @@
 import * as THREE from 'three';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { ObjectPool, POOL_OVERFLOW } from '../utils/object-pool.js';
 
 export class PickupEffectManager {
     constructor(scene) {
@@ -14,6 +18,73 @@ export class PickupEffectManager {
             grenade: 0xff6600, // Orange
             energy: 0x00ff88  // Green
         };
+        
+        this.createPools();
+        
+        // Play the matching effect whenever the player collects something
+        this.unsubscribe = eventBus.on(GAME_EVENTS.PICKUP_COLLECTED, ({ position, type }) => {
+            this.createPickupEffect(position, type);
+        });
+    }
+    
+    // Rings, particles and lights are reused across effects. Sized for a few pickups in quick
+    // succession, anything beyond that is left out of the effect.
+    createPools() {
+        const removeFromScene = object => this.scene.remove(object);
+        const disposeMaterial = mesh => mesh.material.dispose();
+        
+        this.ringPool = new ObjectPool({
+            name: 'pickupRings',
+            create: () => new THREE.Mesh(this.ringGeometry, new THREE.MeshBasicMaterial({
+                transparent: true,
+                blending: THREE.AdditiveBlending,
+                side: THREE.DoubleSide
+            })),
+            reset: (ring, color) => {
+                ring.material.color.setHex(color);
+                ring.material.opacity = 0.8;
+            },
+            release: removeFromScene,
+            dispose: disposeMaterial,
+            initialSize: 2,
+            maxSize: 6,
+            overflow: POOL_OVERFLOW.DROP
+        });
+        
+        this.particlePool = new ObjectPool({
+            name: 'pickupParticles',
+            create: () => new THREE.Mesh(this.particleGeometry, new THREE.MeshBasicMaterial({
+                transparent: true
+            })),
+            reset: (particle, color) => {
+                particle.material.color.setHex(color);
+                particle.material.opacity = 0.9;
+                particle.rotation.set(0, 0, 0);
+                particle.scale.set(1, 1, 1);
+            },
+            release: removeFromScene,
+            dispose: disposeMaterial,
+            initialSize: 12,
+            maxSize: 36,
+            overflow: POOL_OVERFLOW.DROP
+        });
+        
+        this.lightPool = new ObjectPool({
+            name: 'pickupLights',
+            create: () => new THREE.PointLight(0xffffff, 3, 4),
+            reset: (light, color) => {
+                light.color.setHex(color);
+                light.intensity = 3;
+            },
+            release: removeFromScene,
+            initialSize: 2,
+            maxSize: 6,
+            overflow: POOL_OVERFLOW.DROP
+        });
+    }
+    
+    getStats() {
+        return [this.ringPool, this.particlePool, this.lightPool].map(pool => pool.getStats());
     }
     
     createPickupEffect(position, itemType) {
@@ -29,16 +100,10 @@ export class PickupEffectManager {
         this.createLightFlash(position, color);
     }
     
-    createRingEffect(position, color) {
-        const ringMaterial = new THREE.MeshBasicMaterial({
-            color: color,
-            transparent: true,
-            opacity: 0.8,
-            blending: THREE.AdditiveBlending,
-            side: THREE.DoubleSide
-        });
+    createRingEffect(position, color, radius = 2.1, duration = 400) {
+        const ring = this.ringPool.acquire(color);
+        if (!ring) return;
         
-        const ring = new THREE.Mesh(this.ringGeometry, ringMaterial);
         ring.position.copy(position);
         ring.position.y = 0.1; // Slightly above ground
         ring.rotation.x = -Math.PI / 2; // Lay flat on ground
@@ -47,27 +112,25 @@ export class PickupEffectManager {
         this.scene.add(ring);
         
         // Animate ring expansion and fade
-        const startTime = performance.now();
-        const duration = 400; // 400ms
+        const startTime = timeManager.now();
         
         const animateRing = () => {
-            const elapsed = performance.now() - startTime;
+            const elapsed = timeManager.now() - startTime;
             const progress = elapsed / duration;
             
             if (progress >= 1.0) {
-                this.scene.remove(ring);
-                ringMaterial.dispose();
+                this.ringPool.release(ring);
                 return;
             }
             
             // Expand ring
-            const scale = 0.1 + progress * 2.0; // Expand to 2.1 units
+            const scale = 0.1 + progress * (radius - 0.1);
             ring.scale.set(scale, scale, scale);
             
             // Fade out
-            ringMaterial.opacity = 0.8 * (1 - progress);
+            ring.material.opacity = 0.8 * (1 - progress);
             
-            requestAnimationFrame(animateRing);
+            timeManager.requestAnimationFrame(animateRing);
         };
         
         animateRing();
@@ -78,28 +141,24 @@ export class PickupEffectManager {
         const particles = [];
         
         for (let i = 0; i < particleCount; i++) {
-            const particleMaterial = new THREE.MeshBasicMaterial({
-                color: color,
-                transparent: true,
-                opacity: 0.9
-            });
+            const particle = this.particlePool.acquire(color);
+            if (!particle) break;
             
-            const particle = new THREE.Mesh(this.particleGeometry, particleMaterial);
             particle.position.copy(position);
             particle.position.y += 0.2; // Start slightly above the pickup
             
             // Random direction for particle movement
             const angle = (i / particleCount) * Math.PI * 2;
-            const speed = 0.03 + Math.random() * 0.02;
+            const speed = 0.03 + randomManager.cosmetic.next() * 0.02;
             
             particle.userData = {
                 velocity: new THREE.Vector3(
                     Math.cos(angle) * speed,
-                    Math.random() * 0.05 + 0.02, // Small upward velocity
+                    randomManager.cosmetic.next() * 0.05 + 0.02, // Small upward velocity
                     Math.sin(angle) * speed
                 ),
                 gravity: -0.002,
-                rotationSpeed: (Math.random() - 0.5) * 0.1
+                rotationSpeed: (randomManager.cosmetic.next() - 0.5) * 0.1
             };
             
             this.scene.add(particle);
@@ -107,19 +166,16 @@ export class PickupEffectManager {
         }
         
         // Animate particles
-        const startTime = performance.now();
+        const startTime = timeManager.now();
         const duration = 600; // 600ms
         
         const animateParticles = () => {
-            const elapsed = performance.now() - startTime;
+            const elapsed = timeManager.now() - startTime;
             const progress = elapsed / duration;
             
             if (progress >= 1.0) {
                 // Clean up particles
-                particles.forEach(particle => {
-                    this.scene.remove(particle);
-                    particle.material.dispose();
-                });
+                particles.forEach(particle => this.particlePool.release(particle));
                 return;
             }
             
@@ -141,29 +197,31 @@ export class PickupEffectManager {
                 particle.scale.set(scale, scale, scale);
             });
             
-            requestAnimationFrame(animateParticles);
+            timeManager.requestAnimationFrame(animateParticles);
         };
         
         animateParticles();
     }
     
     createLightFlash(position, color) {
-        const light = new THREE.PointLight(color, 3, 4);
+        const light = this.lightPool.acquire(color);
+        if (!light) return;
+        
         light.position.copy(position);
         light.position.y += 0.5;
         
         this.scene.add(light);
         
         // Quick flash and fade
-        const startTime = performance.now();
+        const startTime = timeManager.now();
         const duration = 300; // 300ms
         
         const animateLight = () => {
-            const elapsed = performance.now() - startTime;
+            const elapsed = timeManager.now() - startTime;
             const progress = elapsed / duration;
             
             if (progress >= 1.0) {
-                this.scene.remove(light);
+                this.lightPool.release(light);
                 return;
             }
             
@@ -174,13 +232,19 @@ export class PickupEffectManager {
                 light.intensity = 3 * (1 - (progress - 0.1) / 0.9); // Fade out
             }
             
-            requestAnimationFrame(animateLight);
+            timeManager.requestAnimationFrame(animateLight);
         };
         
         animateLight();
     }
     
     cleanup() {
+        this.unsubscribe();
+        
+        this.ringPool.dispose();
+        this.particlePool.dispose();
+        this.lightPool.dispose();
+        
         // Dispose shared geometries
         this.ringGeometry.dispose();
         this.particleGeometry.dispose();
@@ -0,0 +1,526 @@
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { SHOP_CONTINUE } from '../utils/input-handler.js';
+import { DIFFICULTIES } from '../utils/difficulty.js';
+
+// Replay file identification, bump the version whenever the header or frame layout changes
+// or the same inputs would play out differently (version 7: waves from waves.json)
+const REPLAY_FORMAT = 'pixelhell-replay';
+const REPLAY_VERSION = 7;
+
+// Input state packed into a single number per tick
+const KEY_FLAGS = {
+    up: 1,
+    down: 2,
+    left: 4,
+    right: 8,
+    shoot: 16,
+    grenade: 32,
+    nextWeapon: 256,
+    prevWeapon: 512,
+    reload: 16384,
+    dash: 32768,
+    bulletTime: 65536,
+    shockwave: 131072
+};
+const AIMED_GRENADE_FLAG = 64; // Right-click throw queued for this tick
+const CONTROLS_FLAG = 128; // Player controls enabled (off during the intro fall)
+
+// Weapon slot picked this tick, stored as slot + 1 so 0 means none (bits 10 to 13)
+const WEAPON_SLOT_SHIFT = 10;
+const WEAPON_SLOT_MASK = 0xf;
+
+// Upgrade shop action this tick (bits 18 to 21): 0 none, slot + 1 for a purchase, or continue
+const SHOP_ACTION_SHIFT = 18;
+const SHOP_ACTION_MASK = 0xf;
+const SHOP_ACTION_CONTINUE = 0xf;
+
+// Ticks simulated per rendered frame while fast-forwarding to a wave
+const SEEK_TICKS_PER_FRAME = 600;
+
+/**
+ * ReplayManager - Records the input of every simulation tick and plays it back
+ *
+ * The simulation is deterministic for a given seed and input stream, so a replay only stores
+ * the seed and difficulty plus one [count, flags, mouseX, mouseZ] entry per run of identical
+ * ticks. Playback restarts the run with the recorded seed and difficulty and feeds the stream back in place of live input.
+ */
+export class ReplayManager {
+    constructor(game) {
+        this.game = game;
+
+        this.recording = null;
+        this.playback = null;
+
+        this.createControls();
+    }
+
+    get isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Start recording a new run, ending any playback in progress
+     */
+    startRecording() {
+        this.stopPlayback();
+
+        this.recording = {
+            seed: randomManager.seed,
+            difficulty: this.game.difficulty.id,
+            ticks: 0,
+            frames: [],
+            waves: []
+        };
+    }
+
+    /**
+     * Append the live input of the current tick to the recording
+     */
+    recordTick() {
+        if (!this.recording) return;
+
+        const mouseWorld = this.game.inputHandler.mouseWorld;
+        const flags = this.packFlags();
+        const frames = this.recording.frames;
+        const last = frames[frames.length - 1];
+
+        // Run-length encode, most ticks repeat the previous one exactly
+        if (last && last[1] === flags && last[2] === mouseWorld.x && last[3] === mouseWorld.z) {
+            last[0]++;
+        } else {
+            frames.push([1, flags, mouseWorld.x, mouseWorld.z]);
+        }
+
+        // Remember where each wave starts so playback can scrub to it
+        const waves = this.recording.waves;
+        const waveNumber = this.game.spawnManager.waveNumber;
+        if (waves.length === 0 || waves[waves.length - 1].wave !== waveNumber) {
+            waves.push({ wave: waveNumber, tick: this.recording.ticks });
+        }
+
+        this.recording.ticks++;
+    }
+
+    packFlags() {
+        const keys = this.game.inputHandler.keys;
+        let flags = 0;
+
+        for (const key in KEY_FLAGS) {
+            if (keys[key]) flags |= KEY_FLAGS[key];
+        }
+        if (this.game.aimedGrenadeQueued) flags |= AIMED_GRENADE_FLAG;
+        if (this.game.player.controlsEnabled) flags |= CONTROLS_FLAG;
+
+        const weaponSlot = this.game.inputHandler.weaponSlot;
+        if (weaponSlot !== null) flags |= (weaponSlot + 1) << WEAPON_SLOT_SHIFT;
+
+        const shopAction = this.game.inputHandler.shopAction;
+        if (shopAction !== null) {
+            const code = shopAction === SHOP_CONTINUE ? SHOP_ACTION_CONTINUE : shopAction + 1;
+            flags |= code << SHOP_ACTION_SHIFT;
+        }
+
+        return flags;
+    }
+
+    /**
+     * Replace the live input with the next recorded tick
+     */
+    applyTick() {
+        const playback = this.playback;
+        const frame = playback.replay.frames[playback.frameIndex];
+        const flags = frame[1];
+        const inputHandler = this.game.inputHandler;
+
+        for (const key in KEY_FLAGS) {
+            inputHandler.keys[key] = (flags & KEY_FLAGS[key]) !== 0;
+        }
+        inputHandler.mouseWorld.set(frame[2], 0, frame[3]);
+        this.game.aimedGrenadeQueued = (flags & AIMED_GRENADE_FLAG) !== 0;
+        this.game.player.controlsEnabled = (flags & CONTROLS_FLAG) !== 0;
+
+        const weaponSlot = (flags >> WEAPON_SLOT_SHIFT) & WEAPON_SLOT_MASK;
+        inputHandler.weaponSlot = weaponSlot > 0 ? weaponSlot - 1 : null;
+
+        const shopAction = (flags >> SHOP_ACTION_SHIFT) & SHOP_ACTION_MASK;
+        if (shopAction === SHOP_ACTION_CONTINUE) {
+            inputHandler.shopAction = SHOP_CONTINUE;
+        } else {
+            inputHandler.shopAction = shopAction > 0 ? shopAction - 1 : null;
+        }
+
+        // Advance through the run-length encoded frames
+        playback.tick++;
+        playback.frameTick++;
+        if (playback.frameTick >= frame[0]) {
+            playback.frameIndex++;
+            playback.frameTick = 0;
+        }
+    }
+
+    /**
+     * Play a replay from the start through the real game loop
+     * @param {Object} replay - A validated replay
+     */
+    play(replay) {
+        // A fresh run with the recorded seed and difficulty; playback itself is not recorded
+        this.game.restart(replay.seed, replay.difficulty);
+        this.recording = null;
+
+        this.playback = {
+            replay,
+            tick: 0,
+            frameIndex: 0,
+            frameTick: 0,
+            paused: false,
+            ended: false,
+            speed: 1,
+            seekWave: null
+        };
+
+        this.buildWaveButtons(replay.waves);
+        this.playbackBar.style.display = 'flex';
+        this.updateControls();
+
+        this.game.log(`Playing replay, seed ${replay.seed}, ${replay.difficulty}, ${replay.ticks} ticks`);
+    }
+
+    stopPlayback() {
+        if (!this.playback) return;
+
+        if (this.playback.seekWave !== null) {
+            this.game.audioManager.setMuted(false);
+        }
+        this.playback = null;
+        this.playbackBar.style.display = 'none';
+    }
+
+    // Leave playback and go back to a live run
+    exitPlayback() {
+        this.game.restart();
+    }
+
+    /**
+     * How many simulation ticks to run this frame
+     * @param {number} steps - Ticks due at normal speed
+     * @returns {number} - Ticks to run
+     */
+    getStepCount(steps) {
+        if (this.playback.seekWave !== null) return SEEK_TICKS_PER_FRAME;
+        return steps * this.playback.speed;
+    }
+
+    /**
+     * Whether playback may run another tick, checked before every tick so a seek
+     * or the end of the recording stops the simulation exactly on time
+     * @returns {boolean}
+     */
+    canStep() {
+        const playback = this.playback;
+
+        if (playback.tick >= playback.replay.ticks) {
+            if (!playback.ended) {
+                playback.ended = true;
+                this.endSeek();
+                this.updateControls();
+            }
+            return false;
+        }
+
+        if (playback.seekWave !== null) {
+            if (this.game.spawnManager.waveNumber < playback.seekWave) return true;
+            this.endSeek();
+        }
+
+        return !playback.paused;
+    }
+
+    togglePlaybackPause() {
+        if (!this.playback || this.playback.ended) return;
+
+        this.playback.paused = !this.playback.paused;
+        this.updateControls();
+    }
+
+    toggleSpeed() {
+        if (!this.playback) return;
+
+        this.playback.speed = this.playback.speed === 1 ? 2 : 1;
+        this.updateControls();
+    }
+
+    /**
+     * Fast-forward to the start of a wave, rewinding to tick 0 first when the wave is behind us
+     * @param {number} wave - Wave number to stop at
+     */
+    seekToWave(wave) {
+        if (!this.playback) return;
+
+        if (wave <= this.game.spawnManager.waveNumber || this.playback.ended) {
+            const { replay, paused, speed } = this.playback;
+            this.play(replay);
+            this.playback.paused = paused;
+            this.playback.speed = speed;
+        }
+
+        this.playback.seekWave = wave;
+        this.game.audioManager.stopGunshot();
+        this.game.audioManager.setMuted(true);
+        this.updateControls();
+    }
+
+    endSeek() {
+        if (this.playback.seekWave === null) return;
+
+        this.playback.seekWave = null;
+        this.game.audioManager.setMuted(false);
+        this.updateControls();
+    }
+
+    /**
+     * Per-frame update: show the recorded aim and the playback position
+     */
+    update() {
+        if (!this.playback) return;
+
+        this.game.inputHandler.moveCrosshairTo(this.game.inputHandler.mouseWorld, this.game.camera);
+        this.statusText.textContent =
+            `WAVE ${this.game.spawnManager.waveNumber}  ` +
+            `${this.formatTime(this.playback.tick)} / ${this.formatTime(this.playback.replay.ticks)}`;
+    }
+
+    formatTime(ticks) {
+        const seconds = Math.floor(ticks / timeManager.targetFPS);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * The current run (or the replay being watched) in the file format
+     * @returns {Object}
+     */
+    serialize() {
+        const source = this.playback ? this.playback.replay : this.recording;
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: source.seed,
+            difficulty: source.difficulty,
+            tickRate: timeManager.targetFPS,
+            ticks: source.ticks,
+            waves: source.waves.map(wave => ({ ...wave })),
+            frames: source.frames.map(frame => frame.slice())
+        };
+    }
+
+    /**
+     * Check a parsed replay file
+     * @param {Object} data - Parsed JSON
+     * @returns {string|null} - What is wrong with it, or null when it can be played
+     */
+    validate(data) {
+        if (!data || data.format !== REPLAY_FORMAT) return 'Not a PixelHell replay';
+        if (data.version !== REPLAY_VERSION) return `Unsupported replay version ${data.version}`;
+        if (data.tickRate !== timeManager.targetFPS) {
+            return `Replay runs at ${data.tickRate} ticks per second, the game at ${timeManager.targetFPS}`;
+        }
+        if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 0xFFFFFFFF) return 'Invalid seed';
+        if (!Object.prototype.hasOwnProperty.call(DIFFICULTIES, data.difficulty)) {
+            return `Unknown difficulty ${data.difficulty}`;
+        }
+
+        if (!Array.isArray(data.frames) || data.frames.length === 0) return 'Replay has no input';
+        const badFrame = data.frames.findIndex(frame =>
+            !Array.isArray(frame) || frame.length !== 4 ||
+            !Number.isInteger(frame[0]) || frame[0] < 1 ||
+            !Number.isInteger(frame[1]) || frame[1] < 0 ||
+            !Number.isFinite(frame[2]) || !Number.isFinite(frame[3])
+        );
+        if (badFrame !== -1) return `Invalid input frame ${badFrame}`;
+
+        const ticks = data.frames.reduce((total, frame) => total + frame[0], 0);
+        if (data.ticks !== ticks) return `Replay says ${data.ticks} ticks but holds ${ticks}`;
+
+        if (!Array.isArray(data.waves) || !data.waves.every(wave =>
+            wave && Number.isInteger(wave.wave) && Number.isInteger(wave.tick))) {
+            return 'Invalid wave list';
+        }
+
+        return null;
+    }
+
+    download() {
+        if (!this.recording && !this.playback) return;
+
+        const data = this.serialize();
+        const lastWave = data.waves.length > 0 ? data.waves[data.waves.length - 1].wave : 1;
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pixelhell-${data.seed}-wave${lastWave}.json`;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async loadFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            this.showMessage('NOT A REPLAY FILE');
+            console.error('Error reading replay:', e);
+            return;
+        }
+
+        const error = this.validate(data);
+        if (error) {
+            this.showMessage('INVALID REPLAY');
+            console.error(`Invalid replay: ${error}`);
+            return;
+        }
+
+        this.play(data);
+    }
+
+    showMessage(text) {
+        this.messageText.textContent = text;
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            this.messageText.textContent = '';
+        }, 3000);
+    }
+
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.fontFamily = '"Press Start 2P", cursive';
+        button.style.fontSize = '10px';
+        button.style.padding = '8px 10px';
+        button.style.color = '#ffffff';
+        button.style.backgroundColor = '#000000';
+        button.style.border = '2px solid #ffffff';
+        button.style.cursor = 'pointer';
+        button.style.imageRendering = 'pixelated';
+
+        // Keep clicks away from the game: no shot from the window mousedown listener,
+        // and no focus, or the space bar would press the button while shooting
+        button.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+        });
+        button.addEventListener('click', onClick);
+
+        return button;
+    }
+
+    createControls() {
+        // Save / load, always available so a run can be saved from the game over screen
+        this.fileBar = document.createElement('div');
+        this.fileBar.style.position = 'absolute';
+        this.fileBar.style.top = '10px';
+        this.fileBar.style.left = '10px';
+        this.fileBar.style.display = 'flex';
+        this.fileBar.style.alignItems = 'center';
+        this.fileBar.style.gap = '8px';
+        this.fileBar.style.fontFamily = '"Press Start 2P", cursive';
+        this.fileBar.style.fontSize = '10px';
+        this.fileBar.style.color = '#ffffff';
+        this.fileBar.style.textShadow = '2px 2px 0 #000';
+        this.fileBar.style.zIndex = '1001';
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) this.loadFile(file);
+        });
+
+        this.messageText = document.createElement('div');
+
+        this.fileBar.appendChild(this.createButton('SAVE REPLAY', () => this.download()));
+        this.fileBar.appendChild(this.createButton('LOAD REPLAY', () => this.fileInput.click()));
+        this.fileBar.appendChild(this.fileInput);
+        this.fileBar.appendChild(this.messageText);
+        document.body.appendChild(this.fileBar);
+
+        // Playback controls, only shown while a replay is playing
+        this.playbackBar = document.createElement('div');
+        this.playbackBar.style.position = 'absolute';
+        this.playbackBar.style.top = '10px';
+        this.playbackBar.style.left = '50%';
+        this.playbackBar.style.transform = 'translateX(-50%)';
+        this.playbackBar.style.display = 'none';
+        this.playbackBar.style.flexDirection = 'column';
+        this.playbackBar.style.alignItems = 'center';
+        this.playbackBar.style.gap = '8px';
+        this.playbackBar.style.padding = '10px 15px';
+        this.playbackBar.style.border = '4px solid #ffffff';
+        this.playbackBar.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        this.playbackBar.style.fontFamily = '"Press Start 2P", cursive';
+        this.playbackBar.style.fontSize = '10px';
+        this.playbackBar.style.color = '#ffffff';
+        this.playbackBar.style.zIndex = '1001';
+
+        const topRow = document.createElement('div');
+        topRow.style.display = 'flex';
+        topRow.style.alignItems = 'center';
+        topRow.style.gap = '8px';
+
+        const label = document.createElement('div');
+        label.textContent = 'REPLAY';
+        label.style.color = '#ff3333';
+
+        this.statusText = document.createElement('div');
+        this.statusText.style.minWidth = '170px';
+
+        this.pauseButton = this.createButton('PAUSE', () => this.togglePlaybackPause());
+        this.speedButton = this.createButton('2X', () => this.toggleSpeed());
+
+        topRow.appendChild(label);
+        topRow.appendChild(this.statusText);
+        topRow.appendChild(this.pauseButton);
+        topRow.appendChild(this.speedButton);
+        topRow.appendChild(this.createButton('EXIT', () => this.exitPlayback()));
+
+        this.waveButtons = document.createElement('div');
+        this.waveButtons.style.display = 'flex';
+        this.waveButtons.style.flexWrap = 'wrap';
+        this.waveButtons.style.justifyContent = 'center';
+        this.waveButtons.style.gap = '4px';
+        this.waveButtons.style.maxWidth = '480px';
+
+        this.playbackBar.appendChild(topRow);
+        this.playbackBar.appendChild(this.waveButtons);
+        document.body.appendChild(this.playbackBar);
+    }
+
+    buildWaveButtons(waves) {
+        this.waveButtons.innerHTML = '';
+
+        waves.forEach(({ wave }) => {
+            const button = this.createButton(`W${wave}`, () => this.seekToWave(wave));
+            button.style.padding = '4px 6px';
+            this.waveButtons.appendChild(button);
+        });
+    }
+
+    updateControls() {
+        if (!this.playback) return;
+
+        if (this.playback.ended) {
+            this.pauseButton.textContent = 'END';
+        } else if (this.playback.seekWave !== null) {
+            this.pauseButton.textContent = 'SEEK';
+        } else {
+            this.pauseButton.textContent = this.playback.paused ? 'PLAY' : 'PAUSE';
+        }
+        this.speedButton.textContent = this.playback.speed === 1 ? '2X' : '1X';
+    }
+}
@@ -0,0 +1,109 @@
+import { timeManager } from '../utils/time-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+
+/**
+ * Points and combo tuning. Kill points are multiplied by the combo, bonuses are not.
+ */
+export const SCORING = Object.freeze({
+    // Points per kill by enemy type, types not listed score the REGULAR amount
+    KILL_POINTS: Object.freeze({
+        THIN: 100,
+        REGULAR: 150,
+        CHUBBY: 250,
+        EXPLODER: 200,
+        SHIELDED: 300,
+        SPLITTER: 200,
+        SPLITLING: 50,
+        SUPPORT: 250,
+        BOSS: 1000
+    }),
+    BOSS_BONUS: 5000,           // On top of the boss kill itself
+    SUMMONED_SHARE: 0.25,       // Of the kill points, for minions a boss summoned
+    WAVE_CLEAR_BONUS: 500,      // Times the number of the wave cleared
+    COMBO_WINDOW: 2500,         // Milliseconds a kill keeps the combo going
+    COMBO_STEP: 0.25,           // Multiplier gained per kill in a combo
+    MAX_MULTIPLIER: 5
+});
+
+/**
+ * ScoreSystem - Points for kills and cleared waves, with a combo multiplier
+ *
+ * Kills in quick succession build a combo that multiplies kill points. The combo ends when
+ * COMBO_WINDOW passes without a kill, and every hit the player takes halves it.
+ * Everything comes in through the event bus; owned by the Simulation, one run long.
+ */
+export class ScoreSystem {
+    constructor() {
+        this.score = 0;
+
+        // Kills in the current combo, the multiplier grows with it
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.lastKillTime = -Infinity;
+
+        this.reset();
+
+        eventBus.on(GAME_EVENTS.ENEMY_KILLED, ({ type, isBoss, killedByPlayer, summoned }) => {
+            if (!killedByPlayer) return;
+            this.registerKill(type, isBoss, summoned);
+        });
+
+        eventBus.on(GAME_EVENTS.PLAYER_DAMAGED, () => {
+            this.combo = Math.floor(this.combo / 2);
+        });
+
+        eventBus.on(GAME_EVENTS.WAVE_COMPLETED, ({ wave }) => {
+            this.score += SCORING.WAVE_CLEAR_BONUS * wave;
+        });
+    }
+
+    reset() {
+        this.score = 0;
+        this.combo = 0;
+        this.bestCombo = 0;
+        this.lastKillTime = -Infinity;
+    }
+
+    /**
+     * Whether the combo is still running, i.e. the last kill was recent enough
+     * @returns {boolean}
+     */
+    isComboActive() {
+        return this.combo > 0 && timeManager.now() - this.lastKillTime <= SCORING.COMBO_WINDOW;
+    }
+
+    /**
+     * Multiplier the next kill scores with, if it lands in time
+     * @returns {number}
+     */
+    getMultiplier() {
+        if (!this.isComboActive()) return 1;
+
+        return Math.min(SCORING.MAX_MULTIPLIER, 1 + SCORING.COMBO_STEP * this.combo);
+    }
+
+    /**
+     * @param {string} type - Enemy type
+     * @param {boolean} isBoss
+     * @param {boolean} [summoned] - Summoned by a boss, worth SUMMONED_SHARE of the points
+     * @returns {number} - Points scored
+     */
+    registerKill(type, isBoss, summoned = false) {
+        let basePoints = SCORING.KILL_POINTS[type] !== undefined ? SCORING.KILL_POINTS[type] : SCORING.KILL_POINTS.REGULAR;
+        if (summoned) {
+            basePoints *= SCORING.SUMMONED_SHARE;
+        }
+        const points = Math.round(basePoints * this.getMultiplier()) + (isBoss ? SCORING.BOSS_BONUS : 0);
+
+        // A kill after the window starts a fresh combo
+        if (!this.isComboActive()) {
+            this.combo = 0;
+        }
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.lastKillTime = timeManager.now();
+
+        this.score += points;
+        return points;
+    }
+}
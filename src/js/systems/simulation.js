@@ -0,0 +1,790 @@
+import * as THREE from 'three';
+import { Obstacle, Tree, Rock, FlowerPatch, Stump, SmallRocks } from '../entities/environment.js';
+import { Player } from '../entities/player.js';
+import { Enemy } from '../entities/enemy.js';
+import { BulletManager, InstantBullet } from '../entities/projectiles.js';
+import { OptimizedCollisionSystem } from './collision-system-optimized.js';
+import { SpawnManager } from './spawn-manager.js';
+import { DecalManager } from './decal-manager.js';
+import { PickupEffectManager } from './pickup-effect-manager.js';
+import { AbilitySystem } from './ability-system.js';
+import { UpgradeShop, UPGRADES } from './upgrade-shop.js';
+import { PerkSystem } from './perk-system.js';
+import { ScoreSystem } from './score-system.js';
+import { AchievementSystem } from './achievement-system.js';
+import { GameStateMachine, GAME_STATES } from './game-state-machine.js';
+import { SIZES, GAME } from '../utils/constants.js';
+import { SHOP_CONTINUE } from '../utils/input-handler.js';
+import { TextLabel } from '../utils/text-label.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager, RandomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { getDifficulty, DEFAULT_DIFFICULTY } from '../utils/difficulty.js';
+
+// Owns the game world and steps it one fixed tick at a time. Nothing in here renders,
+// reads devices or needs a browser, so the same code drives the page (Game in main.js)
+// and the headless runner used for automated tests.
+export class Simulation {
+    constructor() {
+        // Seed every run uses when set, instead of a fresh random one
+        this.pinnedSeed = null;
+        
+        // Difficulty picked on the intro screen, runs use it unless told otherwise (replays).
+        // `difficulty` is the preset of the run in progress.
+        this.selectedDifficulty = DEFAULT_DIFFICULTY;
+        this.difficulty = getDifficulty(DEFAULT_DIFFICULTY);
+        
+        // Enemies read this to thin out their effects
+        this.isLowPerformanceMode = false;
+        
+        // Silences the gameplay logging, for headless runs that print a report of their own
+        this.quiet = false;
+        
+        // Grid broadphase for collisions, off falls back to testing everything against everything
+        this.useCollisionGrid = true;
+        
+        // Track shooting state to detect when player stops shooting
+        this.wasShootingLastFrame = false;
+        
+        // Session flow, decides which systems update each tick
+        this.stateMachine = new GameStateMachine();
+        
+        // Game time between clearing a wave and the start of the next one. Long enough to
+        // shop for upgrades, the player can start the next wave early from the shop.
+        this.intermissionDuration = 15000;
+        this.intermissionEndTime = 0;
+        
+        this.stateMachine.onEnter(GAME_STATES.INTERMISSION, (from) => {
+            // Coming back from pause continues the countdown and the draft that were running
+            if (from !== GAME_STATES.PAUSED) {
+                this.intermissionEndTime = timeManager.now() + this.intermissionDuration;
+                this.perkSystem.offerDraft();
+            }
+            this.inputHandler.shopOpen = true;
+        });
+        
+        this.stateMachine.onExit(GAME_STATES.INTERMISSION, (to) => {
+            this.inputHandler.shopOpen = false;
+            
+            // A draft left open until the wave starts is lost
+            if (to !== GAME_STATES.PAUSED) {
+                this.perkSystem.closeDraft();
+            }
+        });
+        
+        this.stateMachine.onEnter(GAME_STATES.GAMEOVER, () => {
+            // The game over screen plays out at normal speed
+            this.abilitySystem.endBulletTime();
+            this.wasShootingLastFrame = false;
+            this.audioManager.stopGunshot();
+        });
+    }
+    
+    // Build the world. The input handler and audio manager must be set before calling this.
+    createSimulation() {
+        this.scene = new THREE.Scene();
+        this.difficulty = getDifficulty(this.selectedDifficulty);
+        
+        // Initialize systems
+        this.collisionSystem = new OptimizedCollisionSystem();
+        this.collisionSystem.setBroadphaseEnabled(this.useCollisionGrid);
+        this.decalManager = new DecalManager(this.scene);
+        this.pickupEffectManager = new PickupEffectManager(this.scene);
+        this.bulletManager = new BulletManager(this.scene);
+        this.bulletManager.setDecalManager(this.decalManager);
+        this.collisionSystem.setBulletManager(this.bulletManager);
+        
+        // Disable debug mode
+        this.debugMode = false;
+        
+        // Game objects collections
+        this.bullets = [];
+        this.obstacles = [];
+        this.trees = [];
+        
+        this.setupWorld();
+        
+        // Initialize main player
+        this.player = new Player(this.scene, this.audioManager);
+        this.player.damageTakenMultiplier = this.difficulty.damageTaken;
+        this.collisionSystem.setPlayer(this.player);
+        
+        // Move player away from the center
+        this.player.group.position.set(0, 0, 5);
+        this.player.position.copy(this.player.group.position);
+        
+        // Initialize spawn manager
+        this.createSpawnManager();
+        
+        // Dash, bullet time and shockwave, paid for with the player's energy
+        this.abilitySystem = new AbilitySystem(this);
+        
+        // Credits from kills, spent on upgrades during the intermission
+        this.upgradeShop = new UpgradeShop();
+        
+        // A pick-one-of-three perk draft after every wave
+        this.perkSystem = new PerkSystem(this);
+        
+        // Points for kills and cleared waves
+        this.scoreSystem = new ScoreSystem();
+        
+        // Unlocks kept across runs, fed by the event bus
+        this.achievementSystem = new AchievementSystem(this);
+        
+        // Seed the run and build the matching arena
+        this.seedRun();
+        
+        // Add grenade throw timestamp to prevent multiple calls, a full interval back so the
+        // first throw of the run isn't held up
+        this.grenadeThrowMinInterval = 1000; // Minimum 1 second between grenade throws
+        this.lastGrenadeThrowTime = -this.grenadeThrowMinInterval;
+        
+        // Right-click queues an aimed grenade throw for the next simulation step
+        this.aimedGrenadeQueued = false;
+        
+        // A cleared wave starts the intermission, a dead player ends the run
+        eventBus.on(GAME_EVENTS.WAVE_COMPLETED, () => {
+            if (this.stateMachine.canTransition(GAME_STATES.INTERMISSION)) {
+                this.stateMachine.transition(GAME_STATES.INTERMISSION);
+            }
+        });
+        eventBus.on(GAME_EVENTS.PLAYER_DIED, () => {
+            if (this.stateMachine.canTransition(GAME_STATES.GAMEOVER)) {
+                this.stateMachine.transition(GAME_STATES.GAMEOVER);
+            }
+        });
+    }
+    
+    setupWorld() {
+        // Create obstacles for cover (avoiding central obstacle)
+        this.createTrees();  // Trees are obstacles
+        // Rocks are built per run in seedRun(), their shapes come from the gameplay stream
+        
+        // Create decorative elements (not obstacles)
+        this.createGrass();  // Add grass patches
+        this.createFlowerPatches();
+        this.createStumps();
+    }
+    
+    log(...args) {
+        if (!this.quiet) {
+            console.log(...args);
+        }
+    }
+    
+    seedRun(seed = null) {
+        if (seed === null) {
+            seed = this.pinnedSeed !== null ? this.pinnedSeed : RandomManager.generateSeed();
+        }
+        randomManager.setSeed(seed);
+        this.log(`Run seed: ${seed}`);
+        
+        // Rebuild the rocks so the arena matches the seed
+        this.clearObstacles();
+        this.createRocks();
+        this.createSmallRocks();
+    }
+    
+    clearObstacles() {
+        this.obstacles.forEach(obstacle => {
+            this.scene.remove(obstacle.group);
+            obstacle.group.traverse((object) => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+        });
+        this.obstacles = [];
+        this.collisionSystem.clearObstacles();
+    }
+    
+    createTrees() {
+        // Create some trees around the arena
+        const treePositions = [
+            new THREE.Vector3(-12, 0, 12),
+            new THREE.Vector3(12, 0, -12),
+            new THREE.Vector3(-12, 0, -12),
+            new THREE.Vector3(12, 0, 12),
+            new THREE.Vector3(0, 0, 14),
+            new THREE.Vector3(14, 0, 0),
+            new THREE.Vector3(0, 0, -14),
+            new THREE.Vector3(-14, 0, 0)
+        ];
+        
+        treePositions.forEach(position => {
+            const tree = new Tree(this.scene, position);
+            this.trees.push(tree);
+            // Trees don't need collision since they're at the edge
+        });
+    }
+    
+    createRocks() {
+        // Create rock formations
+        const rockPositions = [
+            // Original rocks
+            new THREE.Vector3(-20, 0, 15),
+            new THREE.Vector3(18, 0, -18),
+            new THREE.Vector3(-15, 0, -20),
+            new THREE.Vector3(25, 0, 22),
+            new THREE.Vector3(-22, 0, 5),
+            new THREE.Vector3(5, 0, -25),
+            // Additional rocks for more population
+            new THREE.Vector3(15, 0, 25),
+            new THREE.Vector3(-25, 0, -10),
+            new THREE.Vector3(28, 0, 8),
+            new THREE.Vector3(-18, 0, 28),
+            new THREE.Vector3(12, 0, -22),
+            new THREE.Vector3(-8, 0, -28),
+            // Smaller clusters closer to center
+            new THREE.Vector3(10, 0, 12),
+            new THREE.Vector3(-12, 0, 8),
+            new THREE.Vector3(8, 0, -15),
+            new THREE.Vector3(-15, 0, -7)
+        ];
+        
+        rockPositions.forEach(position => {
+            const size = 0.8 + randomManager.gameplay.next() * 1.5; // Random size between 0.8 and 2.3
+            const rock = new Rock(this.scene, position, size);
+            // Add all rocks as obstacles, regardless of size
+            this.obstacles.push(rock);
+            this.collisionSystem.addObstacle(rock);
+        });
+    }
+    
+    createFlowerPatches() {
+        // Create flower patches (decorative, not obstacles)
+        const flowerPositions = [
+            new THREE.Vector3(-15, 0, 0),
+            new THREE.Vector3(12, 0, 8),
+            new THREE.Vector3(0, 0, -18),
+            new THREE.Vector3(-8, 0, 15),
+            new THREE.Vector3(20, 0, -5),
+            new THREE.Vector3(-18, 0, -18)
+        ];
+        
+        flowerPositions.forEach(position => {
+            const size = 1 + randomManager.cosmetic.next() * 1; // Random size between 1 and 2
+            const flowerPatch = new FlowerPatch(this.scene, position, size);
+            // Don't add to obstacles or collision system
+        });
+    }
+    
+    createStumps() {
+        // Create stumps (decorative, not obstacles)
+        const stumpPositions = [
+            new THREE.Vector3(-10, 0, -15),
+            new THREE.Vector3(15, 0, 12),
+            new THREE.Vector3(8, 0, -8),
+            new THREE.Vector3(-18, 0, 8),
+            new THREE.Vector3(25, 0, 0)
+        ];
+        
+        stumpPositions.forEach(position => {
+            const size = 1 + randomManager.cosmetic.next(); // Random size between 1 and 2
+            const stump = new Stump(this.scene, position, size);
+            // Don't add to obstacles or collision system
+        });
+    }
+    
+    createSmallRocks() {
+        // Create clusters of small rocks (decorative, not obstacles)
+        const smallRockPositions = [
+            new THREE.Vector3(5, 0, 18),
+            new THREE.Vector3(-22, 0, -5),
+            new THREE.Vector3(18, 0, -15),
+            new THREE.Vector3(-5, 0, 22),
+            new THREE.Vector3(12, 0, 22),
+            new THREE.Vector3(-15, 0, -12),
+            // Add a few more positions for better coverage
+            new THREE.Vector3(0, 0, -20),
+            new THREE.Vector3(-10, 0, 15),
+            new THREE.Vector3(20, 0, 0)
+        ];
+        
+        smallRockPositions.forEach(position => {
+            const size = 0.8 + randomManager.gameplay.next() * 0.7; // Random size between 0.8 and 1.5
+            const smallRocks = new SmallRocks(this.scene, position, size);
+            // Add small rocks as obstacles
+            this.obstacles.push(smallRocks);
+            this.collisionSystem.addObstacle(smallRocks);
+        });
+    }
+    
+    createGrass() {
+        // Create grass patches throughout the arena
+        const grassPositions = [
+            // Outer ring
+            new THREE.Vector3(-18, 0, 18),
+            new THREE.Vector3(0, 0, 20),
+            new THREE.Vector3(18, 0, 18),
+            new THREE.Vector3(20, 0, 0),
+            new THREE.Vector3(18, 0, -18),
+            new THREE.Vector3(0, 0, -20),
+            new THREE.Vector3(-18, 0, -18),
+            new THREE.Vector3(-20, 0, 0),
+            // Inner patches
+            new THREE.Vector3(-8, 0, 8),
+            new THREE.Vector3(8, 0, 8),
+            new THREE.Vector3(8, 0, -8),
+            new THREE.Vector3(-8, 0, -8),
+            // Random scattered patches
+            new THREE.Vector3(-12, 0, 4),
+            new THREE.Vector3(12, 0, -4),
+            new THREE.Vector3(4, 0, 12),
+            new THREE.Vector3(-4, 0, -12),
+            new THREE.Vector3(-15, 0, -10),
+            new THREE.Vector3(15, 0, 10),
+            new THREE.Vector3(10, 0, 15),
+            new THREE.Vector3(-10, 0, -15)
+        ];
+
+        grassPositions.forEach(position => {
+            const size = 1 + randomManager.cosmetic.next() * 0.5; // Random size between 1 and 1.5
+            const grass = new Obstacle(this.scene, position, size, size * 0.8, size);
+            // Don't add grass as obstacles (decorative only)
+        });
+    }
+    
+    createBullet() {
+        // Check if player has ammo
+        if (this.player.ammo <= 0) {
+            return null;
+        }
+        
+        // Create the bullet from player's position
+        const bulletPosition = this.player.getPosition().clone();
+        // Make the bullet start at the gun tip
+        bulletPosition.add(this.player.getDirection().multiplyScalar(1.2));
+        // Offset Y position to match approximate gun height
+        bulletPosition.y = SIZES.PLAYER / 2; // Half the player height
+        
+        // Create direction vector - ensure it's parallel to ground
+        const direction = this.player.getDirection().clone();
+        direction.y = 0; // Keep bullets traveling parallel to ground
+        direction.normalize(); // Re-normalize after changing y
+        
+        // Use BulletManager to create instanced bullets with a higher speed multiplier
+        const bullet = this.bulletManager.createBullet(bulletPosition, direction, 1.0);
+        
+        // Every bullet slot is in flight, hold the shot
+        if (!bullet) return null;
+        
+        // Add bullet to collision system
+        this.collisionSystem.addBullet(bullet);
+        
+        // Reduce player ammo
+        this.player.ammo--;
+        
+        // Play gunshot sound
+        this.audioManager.playGunShot();
+        
+        // Apply muzzle flash and recoil
+        this.player.createMuzzleFlash();
+        
+        return bullet;
+    }
+    
+    createGrenade() {
+        if (!this.player) return null;
+        
+        // Strict check for grenades
+        if (this.player.grenades <= 0) {
+            this.log("Cannot create grenade: no grenades left");
+            return null;
+        }
+        
+        // Get player position and direction
+        const position = this.player.getPosition().clone();
+        position.y = SIZES.PLAYER / 2; // Set grenade at player height
+        
+        // Get mouse target position for better aiming
+        const targetPosition = this.player.getMouseWorldPosition();
+        
+        // Calculate direction vector to target
+        let direction;
+        
+        // If we have a valid target position, aim at it
+        if (targetPosition && targetPosition.lengthSq() > 0) {
+            direction = new THREE.Vector3().subVectors(targetPosition, position).normalize();
+            
+            // Keep direction parallel to ground
+            direction.y = 0;
+            direction.normalize();
+        } else {
+            // Fallback to player facing direction
+            direction = new THREE.Vector3(
+                Math.sin(this.player.rotation),
+                0,
+                Math.cos(this.player.rotation)
+            );
+        }
+        
+        // Use the grenade pool from the spawn manager instead of creating a new grenade
+        const grenade = this.spawnManager.getGrenade(position, direction);
+        this.collisionSystem.addGrenade(grenade);
+        
+        return grenade;
+    }
+    
+    // Fire one shot of the weapon in hand: every pellet, the ammo it costs and its effects
+    fireWeapon() {
+        const player = this.player;
+        if (!player || player.isReloading) return false;
+        
+        const weapon = player.weapon;
+        if (player.ammo < weapon.ammoPerShot) return false;
+        
+        // Shots leave from the gun tip at approximate gun height
+        const startPosition = player.getPosition().clone();
+        startPosition.y = SIZES.PLAYER / 2; // Half player height
+        startPosition.add(player.getDirection().multiplyScalar(1.2));
+        
+        const aim = player.getDirection().clone();
+        const upAxis = new THREE.Vector3(0, 1, 0);
+        let fired = false;
+        
+        for (let i = 0; i < weapon.pellets; i++) {
+            const direction = aim.clone();
+            
+            // Spread decides what gets hit, so it comes from the gameplay stream
+            if (weapon.spread > 0) {
+                const angle = (randomManager.gameplay.next() - 0.5) * weapon.spread;
+                direction.applyAxisAngle(upAxis, angle);
+            }
+            
+            if (weapon.hitscan) {
+                new InstantBullet(this.scene, startPosition, direction, this.spawnManager.activeEnemies, {
+                    damage: weapon.damage * player.modifiers.damage,
+                    range: weapon.range,
+                    color: weapon.color,
+                    obstacles: this.obstacles,
+                    pierce: this.perkSystem.getPierce()
+                });
+                fired = true;
+                continue;
+            }
+            
+            const speedMultiplier = weapon.projectileSpeed / GAME.SPEEDS.BULLET;
+            const bullet = this.bulletManager.createBullet(startPosition, direction, speedMultiplier);
+            
+            // Every bullet slot is in flight, this pellet is lost
+            if (!bullet) continue;
+            
+            bullet.damage = weapon.damage * player.modifiers.damage;
+            bullet.maxTravelDistance = weapon.range;
+            bullet.color = weapon.color;
+            bullet.pierce = this.perkSystem.getPierce();
+            
+            this.collisionSystem.addBullet(bullet);
+            fired = true;
+        }
+        
+        if (!fired) return false;
+        
+        // Decrease ammo and play effects
+        player.ammo -= weapon.ammoPerShot;
+        player.playShootSound();
+        player.showMuzzleFlash();
+        
+        // Reload as soon as the magazine can't fire another shot
+        if (player.ammo < weapon.ammoPerShot) {
+            player.reload();
+        }
+        
+        return true;
+    }
+    
+    // Number keys pick a weapon slot, the mouse wheel cycles through them, r reloads
+    handleWeaponInput() {
+        const inputHandler = this.inputHandler;
+        const keys = inputHandler.keys;
+        
+        if (inputHandler.weaponSlot !== null) {
+            this.player.selectWeapon(inputHandler.weaponSlot);
+        } else if (keys.nextWeapon) {
+            this.player.cycleWeapon(1);
+        } else if (keys.prevWeapon) {
+            this.player.cycleWeapon(-1);
+        }
+        
+        inputHandler.weaponSlot = null;
+        keys.nextWeapon = false;
+        keys.prevWeapon = false;
+        
+        if (keys.reload && this.player.controlsEnabled) {
+            this.player.reload();
+        }
+    }
+    
+    // Shop keys and clicks pick a perk while the draft is open, then buy the upgrade in
+    // that slot. Enter starts the next wave early once the draft is done.
+    handleShopInput() {
+        const inputHandler = this.inputHandler;
+        const action = inputHandler.shopAction;
+        inputHandler.shopAction = null;
+        
+        if (action === null || !this.stateMachine.is(GAME_STATES.INTERMISSION)) return;
+        
+        if (this.perkSystem.draft) {
+            if (action !== SHOP_CONTINUE) {
+                this.perkSystem.choose(action);
+            }
+        } else if (action === SHOP_CONTINUE) {
+            this.intermissionEndTime = timeManager.now();
+        } else if (UPGRADES[action]) {
+            this.upgradeShop.buy(UPGRADES[action].id, this.player);
+        }
+    }
+    
+    // Advance the world by one fixed tick, reading this tick's input from the input handler
+    updateSimulation(delta) {
+        const states = this.stateMachine;
+        
+        this.handleShopInput();
+        
+        // The intermission runs out on the game clock, then the next wave starts
+        if (states.is(GAME_STATES.INTERMISSION) && timeManager.now() >= this.intermissionEndTime) {
+            states.transition(GAME_STATES.PLAYING);
+            this.spawnManager.startNextWave();
+        }
+        
+        // Update player
+        if (this.player && states.updates('player')) {
+            // Bullet time slows the world, not the player
+            const playerDelta = delta / timeManager.timeScale;
+            
+            this.handleWeaponInput();
+            this.abilitySystem.update(playerDelta);
+            this.player.update(playerDelta, this.inputHandler);
+            
+            // Track if player was shooting last frame
+            if (!this.wasShootingLastFrame && this.inputHandler.keys.shoot) {
+                this.wasShootingLastFrame = true;
+            } else if (this.wasShootingLastFrame && !this.inputHandler.keys.shoot) {
+                // Player just stopped shooting
+                this.wasShootingLastFrame = false;
+                // Stop gunshot sounds
+                this.audioManager.stopGunshot();
+            }
+            
+            // Handle shooting
+            if (this.inputHandler.keys.shoot) {
+                if (!this.player.isReloading) {
+                    const weapon = this.player.weapon;
+                    if (this.player.ammo >= weapon.ammoPerShot) {
+                        const timeNow = this.player.clock;
+                        // Each weapon sets its own cadence while the trigger is held, on the
+                        // player clock so bullet time doesn't slow it down
+                        const fireInterval = weapon.fireRate / this.player.modifiers.fireRate;
+                        if (timeNow - this.player.lastShotTime >= fireInterval) {
+                            this.fireWeapon();
+                            this.player.lastShotTime = timeNow;
+                        }
+                    }
+                }
+            }
+            
+            // Right-click throws toward the mouse, the g key throws in the facing direction
+            if (this.aimedGrenadeQueued) {
+                this.aimedGrenadeQueued = false;
+                this.throwGrenade(true);
+            } else if (this.inputHandler.keys.grenade) {
+                this.log("Keyboard grenade key detected");
+                this.throwGrenade(false);
+            }
+            
+            // Reset the grenade key regardless
+            this.inputHandler.keys.grenade = false;
+        }
+        
+        // Update enemies and spawner with delta time
+        if (states.updates('enemies')) {
+            this.spawnManager.update(this.player, delta, states.updates('spawning'));
+            this.perkSystem.update();
+        }
+        
+        if (states.updates('projectiles')) {
+            this.updateProjectiles(delta);
+        }
+        
+        if (states.updates('pickups')) {
+            this.updatePickups(delta);
+        }
+        
+        // Check collisions
+        if (states.updates('collisions')) {
+            this.collisionSystem.update();
+        }
+    }
+    
+    updateProjectiles(delta) {
+        // Update bullet manager
+        this.bulletManager.update(delta);
+        
+        // Update non-instanced projectiles (grenades and older bullets)
+        this.bullets.forEach(bullet => {
+            if (bullet.constructor.name !== 'OptimizedBullet' || !bullet.useInstance) {
+                bullet.update(delta);
+            }
+        });
+        
+        // Every grenade comes from the pool, which updates the active ones
+        this.spawnManager.updateGrenades(delta);
+    }
+    
+    updatePickups(delta) {
+        // Update ammo pickups (if they exist and have an update method)
+        if (this.spawnManager.ammoPickups) {
+            this.spawnManager.ammoPickups.forEach(ammoPack => {
+                if (ammoPack && typeof ammoPack.update === 'function') {
+                    ammoPack.update(delta);
+                }
+            });
+        }
+        
+        // Update grenade pickups
+        if (this.spawnManager.grenadePickups) {
+            this.spawnManager.grenadePickups.forEach(grenadePack => {
+                if (grenadePack && typeof grenadePack.update === 'function') {
+                    grenadePack.update(delta);
+                }
+            });
+        }
+        
+        // Update energy pickups
+        if (this.spawnManager.energyPickups) {
+            this.spawnManager.energyPickups.forEach(energyPack => {
+                if (energyPack && typeof energyPack.update === 'function') {
+                    energyPack.update(delta);
+                }
+            });
+        }
+    }
+    
+    throwGrenade(aimAtMouse) {
+        // Check for cooldown
+        const now = timeManager.now();
+        if (now - this.lastGrenadeThrowTime < this.grenadeThrowMinInterval) {
+            this.log("Grenade on cooldown, can't throw yet");
+            return;
+        }
+        
+        // Check if we have grenades left
+        if (this.player.grenades <= 0) {
+            this.log("No grenades left");
+            return;
+        }
+        
+        // Create the grenade at player height
+        const grenadePosition = this.player.getPosition().clone();
+        grenadePosition.y = SIZES.PLAYER / 2;
+        
+        // Use player's facing direction unless aiming at the mouse
+        let direction = this.player.getDirection();
+        
+        // Get mouse target position for better aiming
+        const targetPosition = aimAtMouse ? this.player.getMouseWorldPosition() : null;
+        
+        // If we have a valid target position, aim at it
+        if (targetPosition && targetPosition.lengthSq() > 0) {
+            direction = new THREE.Vector3().subVectors(targetPosition, grenadePosition).normalize();
+            
+            // Keep direction parallel to ground
+            direction.y = 0;
+            direction.normalize();
+        }
+        
+        // Decrease player's grenade count
+        this.player.grenades--;
+        
+        // Use the grenade pool from the spawn manager
+        const grenade = this.spawnManager.getGrenade(grenadePosition, direction);
+        grenade.explosionRadius = GAME.GRENADE_EXPLOSION_RADIUS * this.player.modifiers.explosionRadius;
+        grenade.clusterBomblets = this.perkSystem.getClusterBomblets();
+        grenade.hurtsPlayer = !this.perkSystem.has('FIREPROOF');
+        this.collisionSystem.addGrenade(grenade);
+        
+        this.log("Grenade thrown, remaining:", this.player.grenades);
+        
+        // Apply throw animation to player
+        this.player.body.scale.x = 1.2;
+        timeManager.setTimeout(() => {
+            this.player.body.scale.x = 1;
+        }, 100);
+        
+        // Update timestamps for player cooldown and interval protection
+        this.player.lastGrenadeTime = now;
+        this.lastGrenadeThrowTime = now;
+    }
+    
+    createSpawnManager() {
+        if (!this.player) return;
+        
+        // Create spawn manager
+        this.spawnManager = new SpawnManager(
+            this.scene,
+            this.player,
+            this.collisionSystem,
+            this.audioManager,
+            this.decalManager, // Pass decalManager to SpawnManager for enemy splats
+            this // Pass a reference to the game instance
+        );
+    }
+    
+    // Put the world back to the start of a run, reusing the scene, pools and systems.
+    // Pass a seed and a difficulty to replay a specific run.
+    resetSimulation(seed = null, difficulty = null) {
+        // Let pending timers and effect animations finish so nothing is left in the scene,
+        // then start the game clock over at normal speed
+        timeManager.drain();
+        timeManager.reset();
+        this.abilitySystem.reset();
+        this.upgradeShop.reset();
+        this.perkSystem.reset();
+        this.scoreSystem.reset();
+        this.achievementSystem.reset();
+        
+        // New seed (unless pinned or given) and a matching arena
+        this.seedRun(seed);
+        this.difficulty = getDifficulty(difficulty || this.selectedDifficulty);
+        
+        this.spawnManager.reset();
+        this.bulletManager.reset();
+        this.decalManager.clearDecals();
+        
+        // Deactivate any legacy bullets, the grenade pool was reset with the spawner
+        this.bullets.forEach(bullet => {
+            if (bullet && bullet.deactivate) {
+                bullet.deactivate();
+            }
+        });
+        this.bullets = [];
+        
+        this.player.reset();
+        this.player.damageTakenMultiplier = this.difficulty.damageTaken;
+        this.collisionSystem.reset();
+        
+        // Clear input and throw state
+        this.inputHandler.resetKeys();
+        this.aimedGrenadeQueued = false;
+        this.lastGrenadeThrowTime = -this.grenadeThrowMinInterval;
+        this.wasShootingLastFrame = false;
+        this.audioManager.stopGunshot();
+        
+        // Wave 1 starts right away, this also leaves pause or game over
+        this.stateMachine.transition(GAME_STATES.PLAYING);
+    }
+    
+    // Usage of every object pool (see ObjectPool.getStats), for headless reports
+    getPoolStats() {
+        return [
+            this.spawnManager.enemyPool.getStats(),
+            Enemy.getHitSplashStats(),
+            this.spawnManager.grenadePool.getStats(),
+            this.bulletManager.getStats(),
+            this.player.muzzleFlashPool.getStats(),
+            this.decalManager.getStats(),
+            ...this.pickupEffectManager.getStats(),
+            TextLabel.getPoolStats()
+        ];
+    }
+}
@@ -4,6 +4,11 @@ import { AmmoPack, EnergyPack } from '../entities/environment.js';
 import { GAME, COLORS } from '../utils/constants.js';
 import { TextLabel } from '../utils/text-label.js';
 import { GrenadePool } from '../entities/projectiles.js';
+import { timeManager } from '../utils/time-manager.js';
+import { randomManager } from '../utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+import { getWaveSettings } from '../utils/difficulty.js';
+import { waveTable } from '../utils/wave-definitions.js';
 
 export class SpawnManager {
     constructor(scene, player, collisionSystem, audioManager, decalManager, game) {
@@ -18,40 +23,112 @@ export class SpawnManager {
         this.lastSpawnTime = 0;
         this.spawnDelay = GAME.SPAWN_DELAY;
         this.enemyCount = 0;
-        this.maxEnemies = 8; // Starting with 8 enemies in wave 1
         this.enemyBullets = [];
         this.ammoPickups = [];
         this.energyPickups = [];
         this.grenadePickups = [];
         this.waveNumber = 1;
         this.activeEnemies = []; // Track active enemies for updates
-        this.enemySpeedMultiplier = 1.0; // Base speed multiplier for wave 1
-        this.enemyFireRateMultiplier = 1.0; // Base fire rate multiplier for wave 1
         this.enemiesSpawnedThisWave = 0; // Track how many enemies have been spawned in current wave
         this.waveComplete = false; // Flag to track if wave is complete
-        this.ammoPerPickup = 70; // Starting ammo per pickup for wave 1
+        
+        // Enemy mix, cadence, modifiers, pickups and boss rule for wave 1
+        this.applyWaveSettings();
         
         // Initialize object pools
         this.enemyPool = new EnemyPool(scene, this);
         this.grenadePool = new GrenadePool(scene, audioManager, decalManager);
         
         // Increase grenade pool size to handle more grenades when boss is around
-        this.grenadePool.poolSize = 10;
+        this.grenadePool.warmUp(10);
         
         // Add boss tracking
         this.bossSpawned = false;
         this.bossDefeated = true; // Start with no boss
         this.currentBoss = null; // Track the current boss instance
         this.hasSpawnedBossThisWave = false; // Track if we've already spawned a boss this wave
+        
+        // Last wave announced with a waveStarted event
+        this.announcedWave = 0;
+    }
+    
+    // The run's difficulty preset, chosen on the simulation
+    get difficulty() {
+        return this.game.difficulty;
+    }
+    
+    // Take this wave from the wave table (waves.json), scaled by the difficulty
+    applyWaveSettings() {
+        const wave = waveTable.getWave(this.waveNumber);
+        const settings = getWaveSettings(this.difficulty, wave, waveTable.getDefaultBoss());
+        
+        this.waveEnemies = settings.enemies;
+        this.enemiesLeftToSpawn = { ...settings.enemies }; // Type -> how many are still to come
+        this.maxEnemies = settings.maxEnemies;
+        this.spawnDelay = settings.spawnDelay;
+        this.enemySpeedMultiplier = settings.enemySpeedMultiplier;
+        this.enemyFireRateMultiplier = settings.enemyFireRateMultiplier;
+        this.ammoPerPickup = settings.ammoPerPickup;
+        this.pickupChance = settings.pickupChance;
+        this.pickupTable = settings.pickupTable;
+        this.bossRule = settings.boss; // Null when this wave has no boss
+    }
+    
+    // Pick a key of a type -> weight table with one gameplay draw, null if every weight is 0
+    pickWeighted(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total === 0) return null;
+        
+        let roll = randomManager.gameplay.next() * total;
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
     }
     
     setObstacles(obstacles) {
         this.obstacles = obstacles;
     }
     
-    update(player, dt) {
-        const now = Date.now();
+    // Pass allowSpawning = false to keep enemies moving without adding enemies, pickups or a boss
+    update(player, dt, allowSpawning = true) {
+        const now = timeManager.now();
+        
+        // Announce a new wave on its first tick, including wave 1 of every run
+        if (this.announcedWave !== this.waveNumber) {
+            this.announcedWave = this.waveNumber;
+            eventBus.emit(GAME_EVENTS.WAVE_STARTED, { wave: this.waveNumber, maxEnemies: this.maxEnemies });
+        }
         
+        if (allowSpawning) {
+            this.updateSpawning(player, now);
+        }
+        
+        // Update all active enemies with player position and delta time
+        this.updateEnemies(dt);
+        
+        // Update enemy bullets with delta time
+        this.updateEnemyBullets(dt);
+        
+        // Before the completion check: a boss whose threshold is the wave's last kill spawns
+        // in the tick that kill clears the field, and keeps the wave going until it's dead
+        if (allowSpawning) {
+            this.updateBossSpawn();
+        }
+        
+        // Check if wave is complete when all enemies are defeated. The game moves into
+        // its intermission state on this event and starts the next wave from there.
+        if (this.enemiesSpawnedThisWave >= this.maxEnemies && 
+            this.activeEnemies.length === 0 && 
+            !this.waveComplete) {
+            this.waveComplete = true;
+            eventBus.emit(GAME_EVENTS.WAVE_COMPLETED, { wave: this.waveNumber });
+        }
+    }
+    
+    updateSpawning(player, now) {
         // Check if player is out of ammo - spawn ammo pickups if needed
         if (player && player.isOutOfAmmo()) {
             // Check if there are any active ammo pickups
@@ -65,29 +142,30 @@ export class SpawnManager {
                 this.showAmmoHint();
             }
             // If few ammo pickups, increase chance of more spawning
-            else if (activeAmmoPickups < 3 && Math.random() < 0.05) {
+            else if (activeAmmoPickups < 3 && randomManager.gameplay.next() < 0.05) {
                 this.spawnAmmoPack();
             }
         }
         
-        // Check if it's time to spawn new enemies
+        // Check if it's time to spawn new enemies. With the enemy pool full the spawn waits for
+        // a kill to free a slot, and isn't counted until then.
         if (now - this.lastSpawnTime > this.spawnDelay && 
             this.enemiesSpawnedThisWave < this.maxEnemies && 
-            !this.waveComplete) {
+            !this.waveComplete &&
+            this.spawnEnemy()) {
             
-            this.spawnEnemy();
             this.lastSpawnTime = now;
             this.enemiesSpawnedThisWave++;
             
-            // Increase probability of pickups
-            if (Math.random() < 0.5) { // 50% chance of any pickup (increased from 30%)
-                const pickupType = Math.random();
+            // Chance of a pickup with each enemy, its type weighted by the wave's pickup table
+            if (randomManager.gameplay.next() < this.pickupChance) {
+                const pickupType = this.pickWeighted(this.pickupTable);
                 
-                if (pickupType < 0.4) { // 40% chance for ammo
+                if (pickupType === 'ammo') {
                     this.spawnAmmoPack();
-                } else if (pickupType < 0.8) { // 40% chance for energy
+                } else if (pickupType === 'energy') {
                     this.spawnEnergyPack();
-                } else { // 20% chance for grenade
+                } else if (pickupType === 'grenade') {
                     this.spawnGrenadePack();
                 }
             }
@@ -95,72 +173,49 @@ export class SpawnManager {
         
         // Ensure there are always some pickups available
         // If no ammo pickups, spawn one occasionally
-        if (this.ammoPickups.filter(a => a.isActive).length === 0 && Math.random() < 0.01) {
+        if (this.ammoPickups.filter(a => a.isActive).length === 0 && randomManager.gameplay.next() < 0.01) {
             this.spawnAmmoPack();
         }
         
         // If no grenade pickups, spawn one occasionally
-        if (this.grenadePickups.filter(g => g.isActive).length === 0 && Math.random() < 0.01) {
+        if (this.grenadePickups.filter(g => g.isActive).length === 0 && randomManager.gameplay.next() < 0.01) {
             this.spawnGrenadePack();
         }
-        
-        // Update all active enemies with player position and delta time
-        this.updateEnemies(dt);
-        
-        // Update enemy bullets with delta time
-        this.updateEnemyBullets(dt);
-        
-        // Check if wave is complete when all enemies are defeated
-        if (this.enemiesSpawnedThisWave >= this.maxEnemies && 
-            this.activeEnemies.length === 0 && 
-            !this.waveComplete) {
-            this.waveComplete = true;
-            
-            // Start next wave after a short delay
-            setTimeout(() => {
-                this.startNextWave();
-            }, 2000);
-        }
-        
-        // Check if we should spawn a boss (when 70% of the wave is defeated)
-        const enemiesDefeated = this.enemiesSpawnedThisWave - this.activeEnemies.length;
-        
-        // Hardcoded defeat thresholds for each wave
-        const defeatThresholds = {
-            1: -1,     // No boss in wave 1 (using -1 to ensure it never triggers)
-            2: -1,     // No boss in wave 2 (using -1 to ensure it never triggers)
-            3: 17,     // 70% of 24 enemies
-            4: 22,     // 70% of 32 enemies
-            5: 28,     // 70% of 40 enemies
-            6: 34,     // 70% of 48 enemies
-            7: 39,     // 70% of 56 enemies
-            8: 45,     // 70% of 64 enemies
-            9: 50,     // 70% of 72 enemies
-            10: 56     // 70% of 80 enemies
-        };
-        
-        // Get the threshold for current wave, default to 70% calculation for waves beyond 10
-        const defeatThreshold = this.waveNumber <= 10 ? 
-            defeatThresholds[this.waveNumber] : 
-            Math.floor(this.maxEnemies * 0.7);
+    }
+    
+    updateBossSpawn() {
+        // Check if we should spawn a boss (once the wave's boss rule is met)
+        const enemiesDefeated = this.getEnemiesDefeatedThisWave();
         
         // Only spawn boss if:
-        // 1. Wave is 3 or higher
+        // 1. This wave has a boss rule
         // 2. No boss is currently spawned or active
-        // 3. We've reached the defeat threshold
+        // 3. We've reached the rule's defeat threshold
         // 4. We haven't already spawned a boss this wave
-        // 5. We've spawned at least 50% of the wave's enemies
-        if (this.waveNumber >= 3 && 
+        // 5. We've spawned the rule's share of the wave's enemies
+        if (this.bossRule && 
             !this.bossSpawned && 
             !this.currentBoss && 
             this.bossDefeated && 
-            enemiesDefeated >= defeatThreshold && 
+            enemiesDefeated >= this.bossRule.threshold && 
             !this.hasSpawnedBossThisWave &&
-            this.enemiesSpawnedThisWave >= this.maxEnemies * 0.5) {
+            this.enemiesSpawnedThisWave >= this.bossRule.minSpawned) {
             this.spawnBoss();
         }
     }
     
+    // Wave enemies no longer on the field. Splitlings, the boss and its minions come on top of
+    // the wave's count, so they are left out: a splitter counts as defeated once it splits.
+    getEnemiesDefeatedThisWave() {
+        const waveEnemiesActive = this.activeEnemies.filter(enemy => this.isWaveEnemy(enemy)).length;
+        return this.enemiesSpawnedThisWave - waveEnemiesActive;
+    }
+    
+    // Whether an enemy is one of the wave's own, counted in enemyCount and maxEnemies
+    isWaveEnemy(enemy) {
+        return enemy.type !== 'SPLITLING' && enemy.type !== 'BOSS' && !enemy.summoned;
+    }
+    
     updateEnemies(dt) {
         // Use the enemy pool's update method instead
         this.activeEnemies = this.enemyPool.update(dt, this.player.getPosition());
@@ -188,22 +243,52 @@ export class SpawnManager {
         }
     }
     
+    // Returns the new enemy, or null when the enemy pool is full
     spawnEnemy() {
+        if (!this.enemyPool.hasFreeSlot()) return null;
+        
         // Get a random position at the edge of the arena
         const position = this.getRandomSpawnPosition(this.player);
         
-        // Choose a random enemy type based on probability
-        const typeRandom = Math.random();
-        let type = 'REGULAR';
-        
-        if (typeRandom < 0.2) {
-            type = 'CHUBBY';
-        } else if (typeRandom < 0.4) {
-            type = 'THIN';
+        // Draw from the enemies this wave still has to spawn, or from its whole mix
+        // once they're used up (the collision benchmark spawns past the wave's count)
+        let type = this.pickWeighted(this.enemiesLeftToSpawn);
+        if (type) {
+            this.enemiesLeftToSpawn[type]--;
+        } else {
+            type = this.pickWeighted(this.waveEnemies) || 'REGULAR';
         }
         
+        return this.addEnemy(position, type);
+    }
+    
+    // Splitlings aren't part of the wave's count, but the wave isn't complete while any are left.
+    // With the enemy pool full, children that don't fit are skipped.
+    spawnSplitlings(position) {
+        const count = GAME.SPLITTER_MIN_CHILDREN + (randomManager.gameplay.next() < 0.5 ? 0 : 1);
+        const halfSize = GAME.ARENA_SIZE / 2 - 1;
+        const startAngle = randomManager.gameplay.next() * Math.PI * 2;
+        
+        // Spread evenly around the death position, so they don't all land on top of each other
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (i / count) * Math.PI * 2;
+            const childPosition = new THREE.Vector3(
+                THREE.MathUtils.clamp(position.x + Math.cos(angle) * GAME.SPLITTER_CHILD_SPREAD, -halfSize, halfSize),
+                0,
+                THREE.MathUtils.clamp(position.z + Math.sin(angle) * GAME.SPLITTER_CHILD_SPREAD, -halfSize, halfSize)
+            );
+            if (!this.enemyPool.hasFreeSlot()) break;
+            this.addEnemy(childPosition, 'SPLITLING');
+        }
+    }
+    
+    // Take an enemy from the pool and give it this wave's modifiers. Pass summoned for
+    // a boss's minions. Returns null when the pool is full.
+    addEnemy(position, type, summoned = false) {
         // Use the enemy pool to get an enemy
         const enemy = this.enemyPool.getEnemy(position, type);
+        if (!enemy) return null;
+        enemy.summoned = summoned;
         
         // Apply wave speed multiplier to enemy
         if (enemy.speed) {
@@ -219,8 +304,10 @@ export class SpawnManager {
         // Add to collision system
         this.collisionSystem.addEnemy(enemy);
         
-        // Increment enemy count
-        this.enemyCount++;
+        // Wave enemies on the field, for the HUD
+        if (this.isWaveEnemy(enemy)) {
+            this.enemyCount++;
+        }
         
         return enemy;
     }
@@ -228,8 +315,8 @@ export class SpawnManager {
     spawnAmmoPack() {
         // Get a random position within the arena
         const halfSize = GAME.ARENA_SIZE / 2 - 1;
-        const x = (Math.random() * GAME.ARENA_SIZE - halfSize);
-        const z = (Math.random() * GAME.ARENA_SIZE - halfSize);
+        const x = (randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize);
+        const z = (randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize);
         const position = new THREE.Vector3(x, 0, z);
         
         // Make sure it's not too close to an obstacle
@@ -256,8 +343,8 @@ export class SpawnManager {
     spawnEnergyPack() {
         // Get a random position within the arena
         const halfSize = GAME.ARENA_SIZE / 2 - 1;
-        const x = (Math.random() * GAME.ARENA_SIZE - halfSize);
-        const z = (Math.random() * GAME.ARENA_SIZE - halfSize);
+        const x = (randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize);
+        const z = (randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize);
         const position = new THREE.Vector3(x, 0, z);
         
         // Make sure it's not too close to an obstacle
@@ -284,8 +371,8 @@ export class SpawnManager {
     spawnGrenadePack() {
         // Get a random position within the arena
         const halfSize = GAME.ARENA_SIZE / 2 - 1;
-        const x = (Math.random() * GAME.ARENA_SIZE - halfSize);
-        const z = (Math.random() * GAME.ARENA_SIZE - halfSize);
+        const x = (randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize);
+        const z = (randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize);
         const position = new THREE.Vector3(x, 0, z);
         
         // Make sure it's not too close to an obstacle
@@ -318,24 +405,24 @@ export class SpawnManager {
         let x, z;
         
         // Decide which edge to spawn on
-        const edge = Math.floor(Math.random() * 4);
+        const edge = Math.floor(randomManager.gameplay.next() * 4);
         
         switch (edge) {
             case 0: // Top edge
-                x = Math.random() * GAME.ARENA_SIZE - halfSize;
+                x = randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize;
                 z = -halfSize;
                 break;
             case 1: // Right edge
                 x = halfSize;
-                z = Math.random() * GAME.ARENA_SIZE - halfSize;
+                z = randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize;
                 break;
             case 2: // Bottom edge
-                x = Math.random() * GAME.ARENA_SIZE - halfSize;
+                x = randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize;
                 z = halfSize;
                 break;
             case 3: // Left edge
                 x = -halfSize;
-                z = Math.random() * GAME.ARENA_SIZE - halfSize;
+                z = randomManager.gameplay.next() * GAME.ARENA_SIZE - halfSize;
                 break;
         }
         
@@ -351,8 +438,10 @@ export class SpawnManager {
         return position;
     }
     
-    enemyDefeated() {
-        this.enemyCount--;
+    enemyDefeated(enemy) {
+        if (this.isWaveEnemy(enemy)) {
+            this.enemyCount--;
+        }
         
         // Check if any of the defeated enemies were a boss
         this.activeEnemies.forEach(enemy => {
@@ -370,7 +459,6 @@ export class SpawnManager {
         this.waveNumber++;
         this.enemyCount = 0;
         this.enemiesSpawnedThisWave = 0;
-        this.maxEnemies = this.waveNumber * 8; // Increase enemies per wave
         this.waveComplete = false;
         
         // Reset boss tracking for the new wave
@@ -379,22 +467,8 @@ export class SpawnManager {
         this.currentBoss = null;
         this.hasSpawnedBossThisWave = false; // Reset the boss spawn flag for new wave
         
-        // Increase enemy speed and fire rate for progressive difficulty
-        this.enemySpeedMultiplier = 1.0 + (this.waveNumber - 1) * 0.1; // 10% increase per wave
-        this.enemyFireRateMultiplier = 1.0 + (this.waveNumber - 1) * 0.05; // 5% increase per wave
-        
-        // Set ammo per pickup based on wave number to create increasing scarcity
-        if (this.waveNumber === 1) {
-            this.ammoPerPickup = 70;
-        } else if (this.waveNumber === 2) {
-            this.ammoPerPickup = 60;
-        } else if (this.waveNumber === 3) {
-            this.ammoPerPickup = 50;
-        } else if (this.waveNumber === 4) {
-            this.ammoPerPickup = 40;
-        } else {
-            this.ammoPerPickup = 30; // Wave 5 and beyond get 30 ammo
-        }
+        // The next wave's definition, scaled by the difficulty
+        this.applyWaveSettings();
         
         // Show message
         this.showWaveMessage();
@@ -446,7 +520,7 @@ export class SpawnManager {
         document.body.appendChild(ammoInfo);
         
         // Remove after 2.5 seconds
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             document.body.removeChild(waveMsg);
             document.body.removeChild(waveInfo);
             document.body.removeChild(ammoInfo);
@@ -475,7 +549,7 @@ export class SpawnManager {
         document.body.appendChild(hintMsg);
         
         // Remove after 2.5 seconds
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             if (hintMsg.parentNode) {
                 document.body.removeChild(hintMsg);
             }
@@ -487,50 +561,80 @@ export class SpawnManager {
         return this.grenadePool.getGrenade(position, direction);
     }
     
+    // Set off a blast where an exploder went off. It's a pooled grenade that explodes on the
+    // spot, so it looks, splats and hurts like one: enemies in range are blown away and the
+    // player takes damage, whatever the grenade perks say. Its kills go to whoever set the
+    // exploder off (see Enemy.die).
+    spawnBlast(position, radius, damage, exploder, blame) {
+        const blast = this.getGrenade(position, new THREE.Vector3(0, 0, 1));
+        blast.explosionRadius = radius;
+        blast.blastDamage = damage;
+        blast.detonatedBy = exploder;
+        blast.blame = blame;
+        this.collisionSystem.addGrenade(blast);
+        
+        blast.explode();
+        return blast;
+    }
+    
     // Update the grenade pool
     updateGrenades(dt) {
         this.grenadePool.update(dt);
     }
     
-    // Add cleanup method for memory management
-    cleanup() {
-        // Clean up object pools
-        if (this.enemyPool) this.enemyPool.cleanup();
-        if (this.grenadePool) this.grenadePool.cleanup();
+    // Put the spawner back to wave 1, reusing the enemy and grenade pools
+    reset() {
+        this.enemyPool.reset();
+        this.grenadePool.reset();
+        this.removePickupsAndBullets();
         
-        // Clean up pickups
-        this.ammoPickups.forEach(pickup => {
-            if (pickup.mesh) {
-                this.scene.remove(pickup.mesh);
-                pickup.mesh.geometry.dispose();
-                pickup.mesh.material.dispose();
-            }
-        });
+        // Wave state
+        this.lastSpawnTime = 0;
+        this.enemyCount = 0;
+        this.waveNumber = 1;
+        this.activeEnemies = this.enemyPool.activeEnemies;
+        this.enemiesSpawnedThisWave = 0;
+        this.waveComplete = false;
+        this.announcedWave = 0;
         
-        this.energyPickups.forEach(pickup => {
-            if (pickup.mesh) {
-                this.scene.remove(pickup.mesh);
-                pickup.mesh.geometry.dispose();
-                pickup.mesh.material.dispose();
-            }
+        // The run may have a different difficulty than the last one
+        this.applyWaveSettings();
+        
+        // Boss state
+        this.bossSpawned = false;
+        this.bossDefeated = true;
+        this.currentBoss = null;
+        this.hasSpawnedBossThisWave = false;
+    }
+    
+    removePickupsAndBullets() {
+        [...this.ammoPickups, ...this.energyPickups, ...this.grenadePickups].forEach(pickup => {
+            pickup.remove();
         });
         
-        this.grenadePickups.forEach(pickup => {
-            if (pickup.mesh) {
-                this.scene.remove(pickup.mesh);
-                pickup.mesh.geometry.dispose();
-                pickup.mesh.material.dispose();
+        this.enemyBullets.forEach(bullet => {
+            if (bullet.isActive) {
+                bullet.deactivate();
             }
         });
         
-        // Clear arrays
         this.ammoPickups = [];
         this.energyPickups = [];
         this.grenadePickups = [];
-        this.activeEnemies = [];
         this.enemyBullets = [];
     }
     
+    // Add cleanup method for memory management
+    cleanup() {
+        // Clean up object pools
+        if (this.enemyPool) this.enemyPool.cleanup();
+        if (this.grenadePool) this.grenadePool.cleanup();
+        
+        // Clean up pickups and bullets
+        this.removePickupsAndBullets();
+        this.activeEnemies = [];
+    }
+    
     spawnBoss() {
 
         this.bossSpawned = true;
@@ -548,6 +652,8 @@ export class SpawnManager {
         this.activeEnemies.push(boss);
         this.collisionSystem.addEnemy(boss);
         
+        eventBus.emit(GAME_EVENTS.BOSS_SPAWNED, { boss, wave: this.waveNumber, position: position.clone() });
+        
         // Show boss entrance message
         this.showBossEntranceMessage();
         
@@ -603,14 +709,14 @@ export class SpawnManager {
         document.body.appendChild(message);
         
         // Fade in
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             message.style.opacity = '1';
         }, 100);
         
         // Remove after a few seconds
-        setTimeout(() => {
+        timeManager.setTimeout(() => {
             message.style.opacity = '0';
-            setTimeout(() => {
+            timeManager.setTimeout(() => {
                 document.body.removeChild(message);
             }, 500);
         }, 3000);
@@ -621,14 +727,14 @@ export class SpawnManager {
         for (let i = 0; i < 3; i++) {
             // Random position close to where the boss was defeated
             const offset = new THREE.Vector3(
-                (Math.random() - 0.5) * 4,
+                (randomManager.gameplay.next() - 0.5) * 4,
                 0,
-                (Math.random() - 0.5) * 4
+                (randomManager.gameplay.next() - 0.5) * 4
             );
             const pickupPos = position.clone().add(offset);
             
             // Randomly choose pickup type
-            const pickupType = Math.floor(Math.random() * 3);
+            const pickupType = Math.floor(randomManager.gameplay.next() * 3);
             switch (pickupType) {
                 case 0:
                     this.spawnAmmoPack(pickupPos);
@@ -654,7 +760,7 @@ class GrenadePack {
         this.rotationSpeed = 0.05; // Faster rotation than other pickups
         this.bounceSpeed = 3;      // Faster bounce
         this.bounceHeight = 0.2;   // Lower bounce height
-        this.bounceTime = Math.random() * Math.PI * 2; // Random starting phase
+        this.bounceTime = randomManager.cosmetic.next() * Math.PI * 2; // Random starting phase
         this.grenadeAmount = 1;    // Add 1 grenade per pickup
         this.baseHeight = 0.3;     // Lower base height
         
@@ -702,7 +808,7 @@ class GrenadePack {
         this.scene.add(this.arrow);
         
         // Add text label with fixed position in screen space
-        this.label = new TextLabel(
+        this.label = TextLabel.acquire(
             this.scene,
             'BOMB',
             this.position,
@@ -746,6 +852,15 @@ class GrenadePack {
     pickup() {
         if (!this.isActive) return 0;
         
+        this.remove();
+        
+        return this.grenadeAmount;
+    }
+    
+    // Take the pack out of the scene without collecting it
+    remove() {
+        if (!this.isActive) return;
+        
         this.isActive = false;
         
         // Remove group and other objects
@@ -763,13 +878,9 @@ class GrenadePack {
         
         // Remove label
         if (this.label) {
-            this.label.remove();
+            this.label.release();
+            this.label = null;
         }
-        
-        // Play pickup sound
-        this.audioManager.playPickup('grenade');
-        
-        return this.grenadeAmount;
     }
     
     getPosition() {
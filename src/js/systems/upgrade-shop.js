@@ -0,0 +1,174 @@
+import { eventBus, GAME_EVENTS } from '../utils/event-bus.js';
+
+// Credits paid per kill by enemy type, types not listed pay the REGULAR amount
+export const CREDITS_PER_KILL = Object.freeze({
+    THIN: 8,
+    REGULAR: 10,
+    CHUBBY: 15,
+    EXPLODER: 12,
+    SHIELDED: 18,
+    SPLITTER: 12,
+    SPLITLING: 3,
+    SUPPORT: 15,
+    BOSS: 100
+});
+
+/**
+ * Upgrades for sale between waves, in shop slot order (key 1 buys the first one).
+ * A level costs `cost + level * costStep` and a run can buy up to `maxLevel` levels.
+ * `apply` changes the player for the rest of the run; projectile stats are read from
+ * player.modifiers whenever a shot or grenade is fired.
+ */
+export const UPGRADES = Object.freeze([
+    Object.freeze({
+        id: 'MAX_HEALTH',
+        name: 'MAX HEALTH',
+        description: '+20 HEALTH',
+        cost: 40,
+        costStep: 20,
+        maxLevel: 5,
+        apply: player => {
+            player.maxHealth += 20;
+            player.heal(20);
+        }
+    }),
+    Object.freeze({
+        id: 'MAX_GRENADES',
+        name: 'GRENADE BELT',
+        description: '+1 GRENADE SLOT',
+        cost: 60,
+        costStep: 40,
+        maxLevel: 3,
+        apply: player => {
+            player.maxGrenades += 1;
+            player.addGrenades(1);
+        }
+    }),
+    Object.freeze({
+        id: 'MOVE_SPEED',
+        name: 'SNEAKERS',
+        description: '+10% MOVE SPEED',
+        cost: 40,
+        costStep: 25,
+        maxLevel: 5,
+        apply: player => {
+            player.modifiers.moveSpeed += 0.1;
+        }
+    }),
+    Object.freeze({
+        id: 'FIRE_RATE',
+        name: 'TRIGGER',
+        description: '+12% FIRE RATE',
+        cost: 50,
+        costStep: 30,
+        maxLevel: 5,
+        apply: player => {
+            player.modifiers.fireRate += 0.12;
+        }
+    }),
+    Object.freeze({
+        id: 'DAMAGE',
+        name: 'HEAVY PAINT',
+        description: '+25% DAMAGE',
+        cost: 70,
+        costStep: 40,
+        maxLevel: 4,
+        apply: player => {
+            player.modifiers.damage += 0.25;
+        }
+    }),
+    Object.freeze({
+        id: 'EXPLOSION_RADIUS',
+        name: 'BIG BOOM',
+        description: '+15% BLAST RADIUS',
+        cost: 50,
+        costStep: 30,
+        maxLevel: 4,
+        apply: player => {
+            player.modifiers.explosionRadius += 0.15;
+        }
+    })
+]);
+
+/**
+ * UpgradeShop - Credits earned from kills and the upgrades bought with them
+ *
+ * Owned by the Simulation, which only lets purchases through during the intermission.
+ * Levels and credits last for one run.
+ */
+export class UpgradeShop {
+    constructor() {
+        // Upgrade id -> levels bought this run
+        this.levels = {};
+        this.credits = 0;
+
+        this.reset();
+
+        // A boss keeps summoning for as long as it lives, so its minions pay nothing
+        eventBus.on(GAME_EVENTS.ENEMY_KILLED, ({ type, killedByPlayer, summoned }) => {
+            if (!killedByPlayer || summoned) return;
+            this.credits += CREDITS_PER_KILL[type] !== undefined ? CREDITS_PER_KILL[type] : CREDITS_PER_KILL.REGULAR;
+        });
+    }
+
+    reset() {
+        UPGRADES.forEach(upgrade => {
+            this.levels[upgrade.id] = 0;
+        });
+        this.credits = 0;
+    }
+
+    /**
+     * @param {string} id - Upgrade id
+     * @returns {Object|undefined}
+     */
+    getUpgrade(id) {
+        return UPGRADES.find(upgrade => upgrade.id === id);
+    }
+
+    /**
+     * Price of the next level, or null once the upgrade is maxed out
+     * @param {string} id - Upgrade id
+     * @returns {number|null}
+     */
+    getCost(id) {
+        const upgrade = this.getUpgrade(id);
+        const level = this.levels[id];
+        if (!upgrade || level >= upgrade.maxLevel) return null;
+
+        return upgrade.cost + level * upgrade.costStep;
+    }
+
+    /**
+     * @param {string} id - Upgrade id
+     * @returns {boolean}
+     */
+    canBuy(id) {
+        const cost = this.getCost(id);
+        return cost !== null && this.credits >= cost;
+    }
+
+    /**
+     * Pay for the next level of an upgrade and apply it to the player
+     * @param {string} id - Upgrade id
+     * @param {Player} player
+     * @returns {boolean} - Whether it was bought
+     */
+    buy(id, player) {
+        if (!this.canBuy(id)) return false;
+
+        const cost = this.getCost(id);
+        this.credits -= cost;
+        this.levels[id]++;
+        this.getUpgrade(id).apply(player);
+
+        eventBus.emit(GAME_EVENTS.UPGRADE_PURCHASED, {
+            upgrade: id,
+            level: this.levels[id],
+            cost,
+            credits: this.credits
+        });
+
+        return true;
+    }
+}
@@ -0,0 +1,85 @@
+import { loadJSON, saveJSON } from './local-storage.js';
+
+/**
+ * AchievementStore - Unlocked achievements and the best progress towards locked ones,
+ * kept in localStorage across runs
+ *
+ * Stored as { unlocked: { id: date }, progress: { id: best } }.
+ */
+
+const STORAGE_KEY = 'pixelhell.achievements';
+
+export class AchievementStore {
+    constructor() {
+        // Loaded on first use, so importing this module never touches storage
+        this.data = null;
+    }
+
+    load() {
+        const saved = loadJSON(STORAGE_KEY, {});
+
+        this.data = {
+            unlocked: (saved && saved.unlocked) || {},
+            progress: (saved && saved.progress) || {}
+        };
+    }
+
+    save() {
+        saveJSON(STORAGE_KEY, this.data);
+    }
+
+    get stored() {
+        if (!this.data) this.load();
+        return this.data;
+    }
+
+    /**
+     * @param {string} id - Id in ACHIEVEMENTS
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return id in this.stored.unlocked;
+    }
+
+    /**
+     * @param {string} id - Id in ACHIEVEMENTS
+     * @returns {string|null} - ISO date it was unlocked on
+     */
+    getUnlockDate(id) {
+        return this.stored.unlocked[id] || null;
+    }
+
+    /**
+     * @param {string} id - Id in ACHIEVEMENTS
+     * @returns {number} - Best progress any run made
+     */
+    getProgress(id) {
+        return this.stored.progress[id] || 0;
+    }
+
+    /**
+     * Keep a run's progress if it beats the best so far
+     * @param {string} id - Id in ACHIEVEMENTS
+     * @param {number} progress
+     */
+    recordProgress(id, progress) {
+        if (progress <= this.getProgress(id)) return;
+
+        this.stored.progress[id] = progress;
+        this.save();
+    }
+
+    /**
+     * @param {string} id - Id in ACHIEVEMENTS
+     * @returns {boolean} - False if it was already unlocked
+     */
+    unlock(id) {
+        if (this.isUnlocked(id)) return false;
+
+        this.stored.unlocked[id] = new Date().toISOString().slice(0, 10);
+        this.save();
+        return true;
+    }
+}
+
+export const achievementStore = new AchievementStore();
@@ -0,0 +1,122 @@
+/**
+ * Boss attacks and the phases that pick from them
+ *
+ * A boss starts in the first phase and moves on as its health drops below each next phase's
+ * `fromHealth`. Every time its cooldown runs out it picks one attack from the phase's weighted
+ * list. The attacks themselves are carried out by Boss (enemy.js), one case per key below.
+ *
+ * @typedef {Object} BossPhase
+ * @property {string} name - Shown when the boss enters the phase
+ * @property {number} fromHealth - Share of the boss's max health the phase starts at, 0 to 1
+ * @property {number} speed - Multiplies the boss's speed
+ * @property {number} cooldown - Multiplies GAME.BOSS_SHOOTING_COOLDOWN, lower attacks more often
+ * @property {Object<string, number>} attacks - Key in BOSS_ATTACKS -> weight
+ */
+
+export const BOSS_ATTACKS = Object.freeze({
+    // One bullet straight at the player
+    SINGLE: Object.freeze({}),
+
+    // Bullets in every direction at once, one of them aimed at the player
+    RING: Object.freeze({ bullets: 12 }),
+
+    // Bullets fanned out around the player's direction, `spread` radians from edge to edge
+    FAN: Object.freeze({ bullets: 5, spread: Math.PI / 4 }),
+
+    // Bullets one after another, each aimed at where the player is then, give or take `inaccuracy`
+    BARRAGE: Object.freeze({ bullets: 8, interval: 150, inaccuracy: 0.25 }),
+
+    // The boss marks a lane on the ground for `telegraph` milliseconds, then charges down it.
+    // Running into the player does `damage`, once per charge.
+    CHARGE: Object.freeze({ telegraph: 900, speed: 16, duration: 700, width: 2, hitRadius: 1.5, damage: 25 }),
+
+    // Enemies of `type` appear around the boss, while fewer than `maxEnemies` are on the field
+    SUMMON: Object.freeze({ count: 3, type: 'THIN', distance: 2.5, maxEnemies: 20 })
+});
+
+/**
+ * Fill in defaults and check a phase
+ * @param {Object} definition - See BossPhase, speed and cooldown default to 1
+ * @returns {BossPhase} - Frozen
+ */
+export function defineBossPhase(definition) {
+    const phase = { speed: 1, cooldown: 1, ...definition };
+
+    if (!phase.name) {
+        throw new Error('Boss phase needs a name');
+    }
+    if (!(phase.fromHealth > 0 && phase.fromHealth <= 1)) {
+        throw new Error(`Boss phase ${phase.name} needs a fromHealth above 0, up to 1`);
+    }
+    if (!(phase.speed > 0) || !(phase.cooldown > 0)) {
+        throw new Error(`Boss phase ${phase.name} needs a positive speed and cooldown`);
+    }
+    const attacks = Object.entries(phase.attacks || {});
+    attacks.forEach(([attack, weight]) => {
+        if (!BOSS_ATTACKS[attack]) {
+            throw new Error(`Boss phase ${phase.name} has an unknown attack ${attack}`);
+        }
+        if (!(weight >= 0)) {
+            throw new Error(`Boss phase ${phase.name} needs a weight of at least 0 for ${attack}`);
+        }
+    });
+    if (!attacks.some(([, weight]) => weight > 0)) {
+        throw new Error(`Boss phase ${phase.name} needs at least one attack`);
+    }
+
+    return Object.freeze({ ...phase, attacks: Object.freeze({ ...phase.attacks }) });
+}
+
+/**
+ * Check that phases start at full health and follow each other down
+ * @param {Array<BossPhase>} phases
+ * @returns {Array<BossPhase>} - Frozen
+ */
+export function definePhaseTable(phases) {
+    if (phases.length === 0 || phases[0].fromHealth !== 1) {
+        throw new Error('The first boss phase must start at full health (fromHealth 1)');
+    }
+    phases.forEach((phase, index) => {
+        if (index > 0 && phase.fromHealth >= phases[index - 1].fromHealth) {
+            throw new Error(`Boss phase ${phase.name} must start below ${phases[index - 1].name}`);
+        }
+    });
+
+    return Object.freeze(phases.slice());
+}
+
+export const BOSS_PHASES = definePhaseTable([
+    defineBossPhase({
+        name: 'STALKING',
+        fromHealth: 1,
+        attacks: { SINGLE: 3, FAN: 1 }
+    }),
+
+    defineBossPhase({
+        name: 'ENRAGED',
+        fromHealth: 0.66,
+        speed: 1.15,
+        cooldown: 0.8,
+        attacks: { FAN: 2, RING: 2, CHARGE: 1, SUMMON: 1 }
+    }),
+
+    defineBossPhase({
+        name: 'FRENZY',
+        fromHealth: 0.33,
+        speed: 1.3,
+        cooldown: 0.65,
+        attacks: { RING: 2, BARRAGE: 2, CHARGE: 2, SUMMON: 1 }
+    })
+]);
+
+/**
+ * @param {number} healthShare - Health left over max health
+ * @returns {number} - Index in BOSS_PHASES of the last phase that share has reached
+ */
+export function getBossPhaseIndex(healthShare) {
+    let index = 0;
+    while (index + 1 < BOSS_PHASES.length && healthShare < BOSS_PHASES[index + 1].fromHealth) {
+        index++;
+    }
+    return index;
+}
@@ -5,9 +5,17 @@ export const COLORS = {
         CHUBBY: 0xff7700, // Orange
         THIN: 0x00ffff,   // Cyan instead of magenta
         BOSS: 0x880088,   // Purple for boss
+        EXPLODER: 0xccff00, // Acid yellow, hard to miss when it charges
+        SHIELDED: 0x3355ff, // Blue
+        SPLITTER: 0xff44aa, // Pink
+        SPLITLING: 0xff99cc, // Lighter pink, a splitter's children
+        SUPPORT: 0x00aa88, // Teal
     },
+    SUPPORT_BEAM: 0x66ffdd, // Light teal, the tether from a support enemy to the ally it heals
+    SHIELD: 0xaaaaaa,     // Light gray, so paint shows up on it
     BULLET: 0xff00ff,     // Bright magenta for paintballs
     BOSS_BULLET: 0xffaa00, // Orange-yellow for boss bullets
+    BOSS_CHARGE_WARNING: 0xff2222, // The lane a boss is about to charge down
     GRENADE: 0x000000,    // Black
     GUN: 0x8B4513,        // Brown
     GROUND: 0x222222,     // Dark gray (matches background)
@@ -28,7 +36,13 @@ export const SIZES = {
         CHUBBY: 0.5,
         THIN: 0.2,
         BOSS: 10.2,        // 4x size of regular enemy
+        EXPLODER: 0.35,
+        SHIELDED: 0.4,
+        SPLITTER: 0.45,
+        SPLITLING: 0.2,
+        SUPPORT: 0.3,
     },
+    SHIELD: { WIDTH: 1.1, HEIGHT: 1.0, DEPTH: 0.1 }, // Carried in front of shielded enemies
 };
 
 export const GAME = {
@@ -44,6 +58,11 @@ export const GAME = {
             CHUBBY: 3.42,         // Chubby enemies are 70% of regular speed
             THIN: 3.18,           // Thin enemies are 30% of regular speed
             BOSS: 2.5,            // Boss is slower but more powerful
+            EXPLODER: 5.0,        // Exploders rush, faster than anything else
+            SHIELDED: 2.8,        // The shield slows them down
+            SPLITTER: 3.0,
+            SPLITLING: 4.4,       // Small and quick, they scatter around the player
+            SUPPORT: 3.4,
         },
         BULLET: 40,              // Bullet travel speed 
         BOSS_BULLET: 50,         // Boss bullet travel speed (faster)
@@ -61,18 +80,44 @@ export const GAME = {
     MAX_HEALTH: 100,           // Maximum player health
     MAX_ENERGY: 100,           // Maximum player energy
     ENERGY_AMOUNT: 20,         // Energy per pickup
+    ENERGY_REGEN: 3,           // Energy regained per second
     SPAWN_DELAY: 2000,         // Milliseconds between enemy spawns
     STEP_FREQUENCY: 6,         // Steps per second
     GRENADE_THROW_STRENGTH: 0.6, // Vertical throw strength
     BOSS_HEALTH: 200,          // Boss has high health
+    BOSS_NAME: 'THE SPLATTERLORD', // Shown on the boss health bar
     BOSS_SHOOTING_COOLDOWN: 3000, // Boss shoots less frequently
     BOSS_BULLET_DAMAGE: 15,    // Boss bullet does more damage
+    GRENADE_BLAST_DAMAGE: 30,  // Player damage at the center of a grenade blast, halved by the falloff
+    EXPLODER_TRIGGER_DISTANCE: 2.5, // Exploders light their fuse this close to the player
+    EXPLODER_FUSE: 700,        // Milliseconds from lighting the fuse to the blast
+    EXPLODER_CHAIN_DELAY: 150, // Milliseconds before an exploder caught in a blast goes off too
+    EXPLODER_BLAST_RADIUS: 3.5,
+    EXPLODER_BLAST_DAMAGE: 50, // Like GRENADE_BLAST_DAMAGE, for exploder blasts
+    SHIELD_HITS: 8,            // Paint hits a shield soaks up before it breaks
+    SHIELD_BLOCK_ANGLE: Math.PI * 0.4, // Shots this far off the shield's facing are blocked
+    SPLITTER_MIN_CHILDREN: 2,  // A splitter bursts into this many splitlings or one more
+    SPLITTER_CHILD_SPREAD: 0.8, // Distance from the splitter's death position they appear at
+    SUPPORT_RANGE: 8,          // Support enemies tether to injured allies this close
+    SUPPORT_HEAL_RATE: 0.5,    // Health a tethered ally gets back per second
+    SUPPORT_RETARGET_INTERVAL: 500, // Milliseconds between looks for the most injured ally
+    SUPPORT_AURA_DURATION: 2000, // Milliseconds the aura lasts once the tether lets go
+    SUPPORT_AURA_SPEED: 1.3,   // Speed multiplier for allies in the aura
+    SUPPORT_AURA_FIRE_RATE: 1.5, // Fire rate multiplier for allies in the aura
 };
 
 export const SOUNDS = {
     GUNSHOT: {
         type: 'hihat',
-        options: { volume: -15 }
+        options: { volume: -15, pitch: 'A3', duration: 0.05 }
+    },
+    SHOTGUN: {
+        type: 'hihat',
+        options: { volume: -10, pitch: 'D3', duration: 0.12 }
+    },
+    RIFLE: {
+        type: 'hihat',
+        options: { volume: -12, pitch: 'E4', duration: 0.08 }
     },
     EXPLOSION: {
         type: 'tom',
@@ -101,5 +146,25 @@ export const SOUNDS = {
     DRY_FIRE: {
         type: 'click',
         options: { volume: -10 }
+    },
+    DASH: {
+        type: 'hihat',
+        options: { volume: -12 }
+    },
+    BULLET_TIME: {
+        type: 'tom',
+        options: { volume: -8 }
+    },
+    SHOCKWAVE: {
+        type: 'tom',
+        options: { volume: 0 }
+    },
+    BOSS_PHASE: {
+        type: 'tom',
+        options: { volume: 3 }
+    },
+    BOSS_CHARGE: {
+        type: 'hihat',
+        options: { volume: -5 }
     }
 }; 
\ No newline at end of file
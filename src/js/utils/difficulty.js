@@ -0,0 +1,163 @@
+import { GAME } from './constants.js';
+
+/**
+ * Difficulty presets, applied on top of the wave definitions (wave-definitions.js)
+ *
+ * The waves set the curves: enemies per wave, how fast they get and how scarce ammo becomes.
+ * A preset scales those curves and sets what the waves don't cover.
+ *
+ * @typedef {Object} DifficultyPreset
+ * @property {string} id - Key in DIFFICULTIES, stored with replays and high scores
+ * @property {string} name
+ * @property {string} description
+ * @property {number} enemyCount - Multiplies every wave's enemy counts
+ * @property {number} enemySpeed - Multiplies every wave's enemy speed modifier
+ * @property {number} enemyFireRate - Multiplies every wave's enemy fire rate modifier
+ * @property {number} ammoPerPickup - Multiplies the rounds in every ammo pack
+ * @property {number} pickupChance - Multiplies every wave's chance of a pickup per enemy
+ * @property {number} damageTaken - Multiplies all damage the player takes
+ * @property {number} bossHealth
+ * @property {number} bossTrigger - Multiplies the share of a wave to defeat before its boss comes
+ * @property {number|null} firstBossWave - Earliest wave with a boss. Waves from it on get the
+ *     default boss rule if they have none, earlier ones lose theirs. Null keeps the waves' own.
+ */
+
+/**
+ * Fill in NORMAL's values for anything a preset leaves out and check the result
+ * @param {string} id
+ * @param {Object} definition - See DifficultyPreset, name is required
+ * @returns {DifficultyPreset} - Frozen
+ */
+export function defineDifficulty(id, definition) {
+    const difficulty = { id, ...NORMAL_VALUES, ...definition };
+
+    if (!difficulty.name) {
+        throw new Error(`Difficulty ${id} needs a name`);
+    }
+    ['enemyCount', 'enemySpeed', 'enemyFireRate', 'ammoPerPickup', 'damageTaken', 'bossHealth', 'bossTrigger'].forEach(field => {
+        if (!(difficulty[field] > 0)) {
+            throw new Error(`Difficulty ${id} needs a positive ${field}`);
+        }
+    });
+    if (!(difficulty.pickupChance >= 0)) {
+        throw new Error(`Difficulty ${id} needs a pickupChance of at least 0`);
+    }
+
+    return Object.freeze(difficulty);
+}
+
+// The waves exactly as authored
+const NORMAL_VALUES = {
+    enemyCount: 1,
+    enemySpeed: 1,
+    enemyFireRate: 1,
+    ammoPerPickup: 1,
+    pickupChance: 1,
+    damageTaken: 1,
+    bossHealth: GAME.BOSS_HEALTH,
+    bossTrigger: 1,
+    firstBossWave: null
+};
+
+export const DIFFICULTIES = Object.freeze({
+    EASY: defineDifficulty('EASY', {
+        name: 'EASY',
+        description: 'FEWER, SLOWER ENEMIES AND PLENTY OF PICKUPS',
+        enemyCount: 0.75,
+        enemySpeed: 0.85,
+        enemyFireRate: 0.8,
+        ammoPerPickup: 1.25,
+        pickupChance: 1.3,
+        damageTaken: 0.6,
+        bossHealth: 150,
+        bossTrigger: 1.15,
+        firstBossWave: 4
+    }),
+
+    NORMAL: defineDifficulty('NORMAL', {
+        name: 'NORMAL',
+        description: 'THE WAY PIXELHELL WAS MEANT TO BE PLAYED'
+    }),
+
+    HARD: defineDifficulty('HARD', {
+        name: 'HARD',
+        description: 'BIGGER WAVES, HARDER HITS, LESS AMMO',
+        enemyCount: 1.25,
+        enemySpeed: 1.1,
+        enemyFireRate: 1.15,
+        ammoPerPickup: 0.8,
+        pickupChance: 0.8,
+        damageTaken: 1.3,
+        bossHealth: 260,
+        bossTrigger: 0.85
+    }),
+
+    NIGHTMARE: defineDifficulty('NIGHTMARE', {
+        name: 'NIGHTMARE',
+        description: 'BOSSES FROM WAVE 2. GOOD LUCK',
+        enemyCount: 1.5,
+        enemySpeed: 1.2,
+        enemyFireRate: 1.3,
+        ammoPerPickup: 0.65,
+        pickupChance: 0.6,
+        damageTaken: 1.6,
+        bossHealth: 350,
+        bossTrigger: 0.7,
+        firstBossWave: 2
+    })
+});
+
+export const DEFAULT_DIFFICULTY = 'NORMAL';
+
+/**
+ * @param {string} id - Key in DIFFICULTIES
+ * @returns {DifficultyPreset}
+ */
+export function getDifficulty(id) {
+    const difficulty = DIFFICULTIES[id];
+    if (!difficulty) {
+        throw new Error(`Unknown difficulty "${id}"`);
+    }
+    return difficulty;
+}
+
+/**
+ * What a wave plays like on a difficulty
+ * @param {DifficultyPreset} difficulty
+ * @param {WaveDefinition} wave
+ * @param {BossRule|null} defaultBoss - For waves the difficulty gives a boss they don't have
+ * @returns {{enemies: Object<string, number>, maxEnemies: number, spawnDelay: number,
+ *     enemySpeedMultiplier: number, enemyFireRateMultiplier: number, ammoPerPickup: number,
+ *     pickupChance: number, pickupTable: Object<string, number>,
+ *     boss: {threshold: number, minSpawned: number}|null}}
+ */
+export function getWaveSettings(difficulty, wave, defaultBoss) {
+    // Types the wave has keep at least one enemy
+    const enemies = {};
+    let maxEnemies = 0;
+    Object.entries(wave.enemies).forEach(([type, count]) => {
+        enemies[type] = count > 0 ? Math.max(1, Math.round(count * difficulty.enemyCount)) : 0;
+        maxEnemies += enemies[type];
+    });
+
+    let bossRule = wave.boss;
+    if (difficulty.firstBossWave !== null) {
+        bossRule = wave.number >= difficulty.firstBossWave ? (bossRule || defaultBoss) : null;
+    }
+
+    return {
+        enemies,
+        maxEnemies,
+        spawnDelay: wave.spawnInterval,
+        enemySpeedMultiplier: wave.modifiers.enemySpeed * difficulty.enemySpeed,
+        enemyFireRateMultiplier: wave.modifiers.enemyFireRate * difficulty.enemyFireRate,
+        ammoPerPickup: Math.max(1, Math.round(wave.pickups.ammoPerPickup * difficulty.ammoPerPickup)),
+        pickupChance: Math.min(1, wave.pickups.chance * difficulty.pickupChance),
+        pickupTable: wave.pickups.table,
+        // Enemies to defeat and to have spawned before the boss comes
+        boss: bossRule && {
+            threshold: Math.round(maxEnemies * Math.min(1, bossRule.afterDefeated * difficulty.bossTrigger)),
+            minSpawned: maxEnemies * bossRule.minSpawned
+        }
+    };
+}
@@ -0,0 +1,200 @@
+/**
+ * EventBus - Publish/subscribe hub for gameplay events
+ *
+ * Gameplay code emits what happened; HUD, audio, effects and stats subscribe instead of being
+ * called directly. Only the events listed in GAME_EVENTS exist - subscribing to or emitting
+ * anything else throws, so a typo fails loudly instead of silently never firing.
+ */
+
+/**
+ * Event names and their payloads
+ *
+ * @typedef {Object} EnemyKilledEvent
+ * @property {Object} enemy - The Enemy (or Boss) instance
+ * @property {string} type - Enemy type, e.g. 'REGULAR' or 'BOSS'
+ * @property {boolean} isBoss
+ * @property {THREE.Vector3} position - Where it died (a copy)
+ * @property {number} wave - Wave number at the time of death
+ * @property {Object|null} grenade - The thrown Grenade whose blast killed it, directly or through
+ *     a chain of exploders, null for any other death
+ * @property {boolean} killedByPlayer - False for an exploder that blew itself up next to the
+ *     player and for whatever its blast sets off, which earns no score, credits or perk effects.
+ *     Shot, caught in a blast or down a chain the player started, it's true.
+ * @property {boolean} summoned - Summoned by a boss: left out of the wave's count, worth less
+ *     score and no credits
+ *
+ * @typedef {Object} PlayerDamagedEvent
+ * @property {number} amount - Health actually lost
+ * @property {number} health - Health left
+ * @property {number} maxHealth
+ *
+ * @typedef {Object} PlayerDiedEvent
+ * @property {THREE.Vector3} position - Where the player died (a copy)
+ *
+ * @typedef {Object} PickupCollectedEvent
+ * @property {string} type - 'ammo', 'grenade' or 'energy'
+ * @property {number} amount - What the pickup was worth
+ * @property {THREE.Vector3} position - Where it was picked up (a copy)
+ *
+ * @typedef {Object} WaveStartedEvent
+ * @property {number} wave
+ * @property {number} maxEnemies - Enemies in this wave
+ *
+ * @typedef {Object} WaveCompletedEvent
+ * @property {number} wave
+ *
+ * @typedef {Object} BossSpawnedEvent
+ * @property {Object} boss - The Boss instance
+ * @property {number} wave
+ * @property {THREE.Vector3} position - Spawn point (a copy)
+ *
+ * @typedef {Object} BossPhaseChangedEvent
+ * @property {Object} boss - The Boss instance
+ * @property {number} phase - Phase entered, from 1 (see BOSS_PHASES in boss-phases.js)
+ * @property {string} name - The phase's name
+ *
+ * @typedef {Object} GrenadeExplodedEvent
+ * @property {Object} grenade - The Grenade instance, its `detonatedBy` is the exploder enemy
+ *     for exploder blasts and null for the player's grenades
+ * @property {THREE.Vector3} position - Blast center (a copy)
+ * @property {number} radius - Blast radius
+ *
+ * @typedef {Object} AbilityUsedEvent
+ * @property {string} ability - Key in ABILITIES (ability-system.js), e.g. 'DASH'
+ * @property {number} cost - Energy spent
+ * @property {number} energy - Energy left
+ * @property {THREE.Vector3} position - Player position (a copy)
+ *
+ * @typedef {Object} UpgradePurchasedEvent
+ * @property {string} upgrade - Id in UPGRADES (upgrade-shop.js), e.g. 'DAMAGE'
+ * @property {number} level - Level reached with this purchase
+ * @property {number} cost - Credits paid
+ * @property {number} credits - Credits left
+ *
+ * @typedef {Object} ReloadStartedEvent
+ * @property {string} weapon - Key in WEAPONS (weapons.js)
+ * @property {number} ammo - Rounds left in the magazine
+ * @property {number} reserveAmmo - Rounds left to load it from
+ *
+ * @typedef {Object} PerkChosenEvent
+ * @property {string} perk - Key in PERKS (perk-system.js), e.g. 'PIERCING'
+ * @property {number} stacks - Stacks of that perk after this pick
+ *
+ * @typedef {Object} AchievementUnlockedEvent
+ * @property {string} achievement - Id in ACHIEVEMENTS (achievement-system.js)
+ * @property {string} name - Display name
+ * @property {string} description
+ *
+ * @typedef {Object} StateChangedEvent
+ * @property {string} from - Previous GAME_STATES value
+ * @property {string} to - New GAME_STATES value
+ */
+export const GAME_EVENTS = Object.freeze({
+    ENEMY_KILLED: 'enemyKilled',
+    PLAYER_DAMAGED: 'playerDamaged',
+    PLAYER_DIED: 'playerDied',
+    PICKUP_COLLECTED: 'pickupCollected',
+    WAVE_STARTED: 'waveStarted',
+    WAVE_COMPLETED: 'waveCompleted',
+    BOSS_SPAWNED: 'bossSpawned',
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',
+    GRENADE_EXPLODED: 'grenadeExploded',
+    ABILITY_USED: 'abilityUsed',
+    UPGRADE_PURCHASED: 'upgradePurchased',
+    RELOAD_STARTED: 'reloadStarted',
+    PERK_CHOSEN: 'perkChosen',
+    ACHIEVEMENT_UNLOCKED: 'achievementUnlocked',
+    STATE_CHANGED: 'stateChanged'
+});
+
+const KNOWN_EVENTS = new Set(Object.values(GAME_EVENTS));
+
+export class EventBus {
+    constructor() {
+        // Event name -> array of handlers, in subscription order
+        this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(event, handler) {
+        this.checkEvent(event);
+
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe for the next emit only
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} - Call to unsubscribe before it fires
+     */
+    once(event, handler) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Remove a handler added with on()
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Function} handler
+     */
+    off(event, handler) {
+        const handlers = this.handlers.get(event);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify every subscriber. A throwing handler is logged and doesn't stop the others.
+     * @param {string} event - One of GAME_EVENTS
+     * @param {Object} payload - See the typedefs above
+     */
+    emit(event, payload) {
+        this.checkEvent(event);
+
+        const handlers = this.handlers.get(event);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers can unsubscribe while we iterate
+        handlers.slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Error in ${event} handler:`, e);
+            }
+        });
+    }
+
+    /**
+     * Drop every subscription, e.g. before building a fresh simulation in the same process
+     */
+    clear() {
+        this.handlers.clear();
+    }
+
+    checkEvent(event) {
+        if (!KNOWN_EVENTS.has(event)) {
+            throw new Error(`Unknown game event "${event}"`);
+        }
+    }
+}
+
+// Create a singleton instance for use throughout the game
+export const eventBus = new EventBus();
@@ -0,0 +1,89 @@
+import { loadJSON, saveJSON } from './local-storage.js';
+
+/**
+ * HighScoreTable - The local top 10, kept in localStorage
+ *
+ * Entries are { name, score, wave, seed, difficulty, date }, best first.
+ */
+
+const STORAGE_KEY = 'pixelhell.highScores';
+
+export const MAX_HIGH_SCORES = 10;
+export const MAX_NAME_LENGTH = 10;
+
+export class HighScoreTable {
+    constructor() {
+        // Loaded on first use, so importing this module never touches storage
+        this.entries = null;
+    }
+
+    load() {
+        const saved = loadJSON(STORAGE_KEY, []);
+
+        this.entries = Array.isArray(saved)
+            ? saved
+                .filter(entry => entry && typeof entry.name === 'string' && Number.isFinite(entry.score))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_HIGH_SCORES)
+            : [];
+    }
+
+    save() {
+        saveJSON(STORAGE_KEY, this.entries);
+    }
+
+    /**
+     * @returns {Array<Object>} - Best first, at most MAX_HIGH_SCORES
+     */
+    getEntries() {
+        if (!this.entries) this.load();
+        return this.entries.slice();
+    }
+
+    /**
+     * Whether a score would make the table
+     * @param {number} score
+     * @returns {boolean}
+     */
+    qualifies(score) {
+        const entries = this.getEntries();
+        if (score <= 0) return false;
+
+        return entries.length < MAX_HIGH_SCORES || score > entries[entries.length - 1].score;
+    }
+
+    /**
+     * Add a finished run and save the table
+     * @param {Object} run
+     * @param {string} run.name - Trimmed, upper-cased and cut to MAX_NAME_LENGTH
+     * @param {number} run.score
+     * @param {number} run.wave - Wave reached
+     * @param {number} run.seed - Run seed, to play it again with ?seed=
+     * @param {string} run.difficulty - Key in DIFFICULTIES
+     * @returns {number} - Position in the table (0-based), -1 if it didn't make it
+     */
+    add(run) {
+        if (!this.qualifies(run.score)) return -1;
+
+        const entry = {
+            name: (run.name || '').trim().toUpperCase().slice(0, MAX_NAME_LENGTH) || 'PLAYER',
+            score: run.score,
+            wave: run.wave,
+            seed: run.seed,
+            difficulty: run.difficulty,
+            date: new Date().toISOString().slice(0, 10)
+        };
+
+        // Ties go below the older entries
+        let index = this.entries.findIndex(existing => run.score > existing.score);
+        if (index === -1) index = this.entries.length;
+
+        this.entries.splice(index, 0, entry);
+        this.entries.length = Math.min(this.entries.length, MAX_HIGH_SCORES);
+        this.save();
+
+        return index;
+    }
+}
+
+export const highScoreTable = new HighScoreTable();
@@ -1,3 +1,8 @@
+import * as THREE from 'three';
+
+// shopAction value for starting the next wave instead of buying
+export const SHOP_CONTINUE = 'continue';
+
 export class InputHandler {
     constructor() {
         this.keys = {
@@ -7,7 +12,27 @@ export class InputHandler {
             right: false,
             shoot: false,
             grenade: false,
+            nextWeapon: false,
+            prevWeapon: false,
+            reload: false,
+            dash: false,
+            bulletTime: false,
+            shockwave: false,
         };
+        
+        // Weapon slot picked with a number key (0-based), consumed by the next simulation tick
+        this.weaponSlot = null;
+        
+        // The simulation opens the upgrade shop between waves. Meanwhile number keys pick a
+        // perk or shop slot instead of a weapon, and Enter continues to the next wave.
+        this.shopOpen = false;
+        
+        // Perk or shop slot (0-based) or SHOP_CONTINUE, consumed by the next simulation tick
+        this.shopAction = null;
+        
+        // One weapon switch per wheel gesture, trackpads send a burst of wheel events
+        this.lastWheelTime = 0;
+        this.wheelMinInterval = 150;
 
         this.mouse = {
             x: 0,
@@ -15,6 +40,14 @@ export class InputHandler {
             isDown: false
         };
         
+        // Ground point under the mouse, refreshed once per simulation tick so every system
+        // in that tick aims at the same spot regardless of how the camera moves between frames
+        this.mouseWorld = new THREE.Vector3();
+        this.mouseRaycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.mouseNDC = new THREE.Vector2();
+        this.mouseIntersection = new THREE.Vector3();
+        
         // Add debounce mechanism
         this.rightClickDebounce = false;
         this.rightClickDebounceTime = 800;
@@ -29,12 +62,15 @@ export class InputHandler {
     }
 
     setupKeyListeners() {
+        // Letters arrive in upper case while Shift (dash) is held
+        const normalizeKey = (key) => key.length === 1 ? key.toLowerCase() : key;
+
         window.addEventListener('keydown', (e) => {
-            this.updateKey(e.key, true);
+            this.updateKey(normalizeKey(e.key), true);
         });
 
         window.addEventListener('keyup', (e) => {
-            this.updateKey(e.key, false);
+            this.updateKey(normalizeKey(e.key), false);
         });
     }
 
@@ -74,6 +110,19 @@ export class InputHandler {
             }
         });
 
+        // Mouse wheel cycles weapons
+        window.addEventListener('wheel', (e) => {
+            const now = performance.now();
+            if (e.deltaY === 0 || now - this.lastWheelTime < this.wheelMinInterval) return;
+            
+            this.lastWheelTime = now;
+            if (e.deltaY > 0) {
+                this.keys.nextWeapon = true;
+            } else {
+                this.keys.prevWeapon = true;
+            }
+        });
+
         // Prevent context menu on right click
         window.addEventListener('contextmenu', (e) => {
             e.preventDefault();
@@ -104,9 +153,75 @@ export class InputHandler {
             case 'g':
                 this.keys.grenade = isPressed;
                 break;
+            case 'r':
+                this.keys.reload = isPressed;
+                break;
+            case 'Shift':
+                this.keys.dash = isPressed;
+                break;
+            case 'q':
+                this.keys.bulletTime = isPressed;
+                break;
+            case 'e':
+                this.keys.shockwave = isPressed;
+                break;
+            case 'Enter':
+                if (isPressed && this.shopOpen) {
+                    this.shopAction = SHOP_CONTINUE;
+                }
+                break;
+            case '1':
+            case '2':
+            case '3':
+            case '4':
+            case '5':
+            case '6':
+            case '7':
+            case '8':
+            case '9':
+                if (isPressed && this.shopOpen) {
+                    this.shopAction = Number(key) - 1;
+                } else if (isPressed) {
+                    this.weaponSlot = Number(key) - 1;
+                }
+                break;
+        }
+    }
+    
+    // Release every key, used when input focus is lost (pause, window blur)
+    resetKeys() {
+        Object.keys(this.keys).forEach(key => {
+            this.keys[key] = false;
+        });
+        this.mouse.isDown = false;
+        this.weaponSlot = null;
+        this.shopAction = null;
+    }
+    
+    // Project the mouse onto the ground plane through the current camera
+    updateMouseWorld(camera) {
+        this.mouseNDC.set(this.mouse.x, this.mouse.y);
+        this.mouseRaycaster.setFromCamera(this.mouseNDC, camera);
+        
+        if (this.mouseRaycaster.ray.intersectPlane(this.groundPlane, this.mouseIntersection)) {
+            // Rounded to centimetres, which keeps replay files small and means a recording
+            // stores exactly the value the live run aimed at. Adding 0 folds -0 into 0,
+            // as JSON would on the way through a file.
+            const round = (value) => Math.round(value * 100) / 100 + 0;
+            this.mouseWorld.set(round(this.mouseIntersection.x), 0, round(this.mouseIntersection.z));
         }
     }
     
+    // Move the crosshair over a world point, used when the aim comes from a replay instead of the mouse
+    moveCrosshairTo(worldPoint, camera) {
+        if (!this.crosshair) return;
+        
+        const projected = worldPoint.clone().project(camera);
+        this.crosshair.style.left = `${(projected.x + 1) / 2 * window.innerWidth}px`;
+        this.crosshair.style.top = `${(1 - projected.y) / 2 * window.innerHeight}px`;
+        this.crosshair.style.display = 'block';
+    }
+    
     // Update crosshair rotation to point in firing direction
     updateCrosshairRotation(playerRotation) {
         if (this.crosshair && playerRotation !== undefined) {
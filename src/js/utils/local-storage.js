@@ -0,0 +1,49 @@
+/**
+ * Small JSON wrappers around localStorage
+ *
+ * Storage can be missing (Node, headless runs), disabled or full (private windows). Reads
+ * then return the fallback and writes do nothing, so callers keep working for the page's
+ * lifetime without checking first.
+ */
+
+function getStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (e) {
+        // Some browsers throw just for looking at localStorage when it's disabled
+        return null;
+    }
+}
+
+/**
+ * @param {string} key
+ * @param {*} fallback - Returned when nothing readable is stored
+ * @returns {*}
+ */
+export function loadJSON(key, fallback = null) {
+    const storage = getStorage();
+    if (!storage) return fallback;
+
+    try {
+        const value = JSON.parse(storage.getItem(key));
+        return value === null ? fallback : value;
+    } catch (e) {
+        console.warn(`Ignoring unreadable "${key}" in localStorage:`, e);
+        return fallback;
+    }
+}
+
+/**
+ * @param {string} key
+ * @param {*} value - Anything JSON.stringify takes
+ */
+export function saveJSON(key, value) {
+    const storage = getStorage();
+    if (!storage) return;
+
+    try {
+        storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save "${key}" to localStorage:`, e);
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * ObjectPool - Reuses short-lived game objects instead of allocating them every time
+ *
+ * A pool creates idle objects up front (warm-up), hands them out with acquire() and takes them
+ * back with release(). Once maxSize objects exist, the overflow policy decides what acquire()
+ * does. Stats are kept per pool so the HUD and headless runs can report them.
+ */
+
+/**
+ * What acquire() does when every object is in use and the pool is at its size cap
+ */
+export const POOL_OVERFLOW = Object.freeze({
+    DROP: 'drop',                       // Return null, the caller skips whatever it was going to do
+    RECYCLE_OLDEST: 'recycleOldest',    // Force-release the longest-held object and hand it out again
+    ALLOCATE: 'allocate'                // Create a throwaway object that isn't kept after release
+});
+
+const OVERFLOW_POLICIES = new Set(Object.values(POOL_OVERFLOW));
+
+export class ObjectPool {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Shown in stats
+     * @param {Function} options.create - Returns a new idle object
+     * @param {Function} [options.reset] - (object, ...acquireArgs) Makes an object ready for use, on every acquire
+     * @param {Function} [options.release] - (object) Puts an object back to rest, on every release
+     * @param {Function} [options.dispose] - (object) Frees an object's resources when it leaves the pool for good
+     * @param {number} [options.initialSize] - Objects created right away
+     * @param {number} [options.maxSize] - Objects the pool keeps at most
+     * @param {string} [options.overflow] - One of POOL_OVERFLOW
+     */
+    constructor(options) {
+        if (typeof options.create !== 'function') {
+            throw new Error(`Object pool "${options.name}" needs a create function`);
+        }
+
+        const overflow = options.overflow || POOL_OVERFLOW.DROP;
+        if (!OVERFLOW_POLICIES.has(overflow)) {
+            throw new Error(`Unknown overflow policy "${overflow}" for object pool "${options.name}"`);
+        }
+
+        this.name = options.name || 'pool';
+        this.createObject = options.create;
+        this.resetObject = options.reset || null;
+        this.releaseObject = options.release || null;
+        this.disposeObject = options.dispose || null;
+        this.maxSize = options.maxSize !== undefined ? options.maxSize : Infinity;
+        this.overflow = overflow;
+
+        // Every object the pool owns, and the idle ones in the order they were released.
+        // Handing out the longest-idle object first keeps reuse order predictable for replays.
+        this.objects = new Set();
+        this.free = [];
+
+        // Objects in use, oldest first. Mutated in place so callers can hold on to the array.
+        this.active = [];
+
+        this.stats = {
+            created: 0,
+            acquired: 0,
+            released: 0,
+            recycled: 0,
+            dropped: 0,
+            allocated: 0,
+            peakActive: 0
+        };
+
+        if (options.initialSize) {
+            this.warmUp(options.initialSize);
+        }
+    }
+
+    /**
+     * Total objects owned by the pool, in use or idle
+     * @returns {number}
+     */
+    get size() {
+        return this.objects.size;
+    }
+
+    /**
+     * Create idle objects until the pool holds at least this many
+     * @param {number} count
+     */
+    warmUp(count) {
+        const target = Math.min(count, this.maxSize);
+        while (this.objects.size < target) {
+            this.free.push(this.createOwned());
+        }
+    }
+
+    /**
+     * Whether acquire() can hand out an object without recycling, allocating or dropping
+     * @returns {boolean}
+     */
+    hasRoom() {
+        return this.free.length > 0 || this.objects.size < this.maxSize;
+    }
+
+    /**
+     * Take an object out of the pool
+     * @param {...*} args - Passed on to the reset function
+     * @returns {Object|null} - null when the pool is exhausted and drops requests
+     */
+    acquire(...args) {
+        let object;
+
+        if (this.free.length > 0) {
+            object = this.free.shift();
+        } else if (this.objects.size < this.maxSize) {
+            object = this.createOwned();
+        } else if (this.overflow === POOL_OVERFLOW.RECYCLE_OLDEST && this.findOldestOwned()) {
+            object = this.findOldestOwned();
+            this.release(object);
+            this.free.splice(this.free.indexOf(object), 1);
+            this.stats.recycled++;
+        } else if (this.overflow === POOL_OVERFLOW.ALLOCATE) {
+            // Not added to this.objects, so release() lets it go instead of keeping it
+            object = this.createObject();
+            this.stats.allocated++;
+        } else {
+            this.stats.dropped++;
+            return null;
+        }
+
+        this.active.push(object);
+        this.stats.acquired++;
+        this.stats.peakActive = Math.max(this.stats.peakActive, this.active.length);
+
+        if (this.resetObject) {
+            this.resetObject(object, ...args);
+        }
+
+        return object;
+    }
+
+    /**
+     * Return an object to the pool. Objects the pool didn't create are only dropped from
+     * the active list, so foreign objects can share it.
+     * @param {Object} object
+     * @returns {boolean} - Whether the object was in use
+     */
+    release(object) {
+        const index = this.active.indexOf(object);
+        if (index === -1) return false;
+
+        this.active.splice(index, 1);
+        this.stats.released++;
+
+        if (this.releaseObject) {
+            this.releaseObject(object);
+        }
+
+        if (this.objects.has(object)) {
+            this.free.push(object);
+        } else if (this.disposeObject) {
+            this.disposeObject(object);
+        }
+
+        return true;
+    }
+
+    /**
+     * Return every object in use
+     */
+    releaseAll() {
+        while (this.active.length > 0) {
+            this.release(this.active[0]);
+        }
+    }
+
+    /**
+     * @returns {Object} - Counters since the pool was created, plus the current occupancy
+     */
+    getStats() {
+        return {
+            name: this.name,
+            size: this.objects.size,
+            maxSize: this.maxSize,
+            active: this.active.length,
+            free: this.free.length,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Release and dispose everything. The pool can be warmed up and used again afterwards.
+     */
+    dispose() {
+        this.releaseAll();
+
+        if (this.disposeObject) {
+            this.objects.forEach(object => this.disposeObject(object));
+        }
+
+        this.objects.clear();
+        this.free = [];
+    }
+
+    findOldestOwned() {
+        return this.active.find(object => this.objects.has(object));
+    }
+
+    createOwned() {
+        const object = this.createObject();
+        this.objects.add(object);
+        this.stats.created++;
+        return object;
+    }
+}
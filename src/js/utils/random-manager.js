@@ -0,0 +1,83 @@
+/**
+ * SeededRandom - Small deterministic pseudo random number generator (mulberry32)
+ *
+ * The same seed always produces the same sequence, which is what makes a run reproducible.
+ */
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32 bit unsigned integer seed
+     */
+    setSeed(seed) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Drop-in replacement for Math.random()
+     * @returns {number} - A number in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * RandomManager - Owns the run seed and the random streams derived from it
+ *
+ * Anything that can change the outcome of a run (spawns, pickups, enemy aim, obstacle shapes)
+ * must draw from the gameplay stream. Purely visual or audio variation draws from the cosmetic
+ * stream, so effects that only run at some frame rates or quality settings never shift the
+ * gameplay sequence.
+ */
+export class RandomManager {
+    constructor() {
+        this.gameplay = new SeededRandom();
+        this.cosmetic = new SeededRandom();
+        this.setSeed(RandomManager.generateSeed());
+    }
+
+    /**
+     * Create a fresh seed for a new run
+     * @returns {number} - A random 32 bit unsigned integer
+     */
+    static generateSeed() {
+        // The only place Math.random is still used - picking a seed is meant to be unpredictable
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Reseed both streams
+     * @param {number} seed - The run seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.gameplay.setSeed(this.seed);
+        // Offset the cosmetic stream so it doesn't mirror the gameplay one
+        this.cosmetic.setSeed(this.seed ^ 0x9E3779B9);
+    }
+
+    /**
+     * Read a seed from the page URL, e.g. ?seed=12345
+     * @returns {number|null} - The seed, or null when missing or invalid
+     */
+    getSeedFromURL() {
+        if (typeof window === 'undefined' || !window.location) return null;
+
+        const value = new URLSearchParams(window.location.search).get('seed');
+        if (value === null || !/^\d+$/.test(value.trim())) return null;
+
+        const seed = Number(value.trim());
+        return seed <= 0xFFFFFFFF ? seed : null;
+    }
+}
+
+// Create a singleton instance for use throughout the game
+export const randomManager = new RandomManager();
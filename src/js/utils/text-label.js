@@ -1,37 +1,39 @@
 import * as THREE from 'three';
+import { ObjectPool, POOL_OVERFLOW } from './object-pool.js';
 
 export class TextLabel {
+    /**
+     * Labels for short-lived things like pickups should come from TextLabel.acquire() instead,
+     * which reuses their DOM elements. A label created without a scene stays hidden until show().
+     */
     constructor(scene, text, position, options = {}) {
-        this.scene = scene;
-        this.text = text;
-        this.position = position.clone();
-        
-        // Default options
-        this.options = {
-            offset: options.offset || new THREE.Vector3(0, 2, 0),
-            color: options.color || '#ffffff',
-            fontSize: options.fontSize || 1,
-            opacity: 0.5 // 50% opacity
-        };
-        
         this.createLabel();
         
-        // Make sure we update on every animation frame
-        this.setupAnimationLoop();
+        if (scene) {
+            this.show(scene, text, position, options);
+        }
+    }
+    
+    /**
+     * Take a label from the shared pool and show it, see show() for the arguments
+     * @returns {TextLabel} - Hand it back with release()
+     */
+    static acquire(scene, text, position, options = {}) {
+        return labelPool.acquire(scene, text, position, options);
+    }
+    
+    static getPoolStats() {
+        return labelPool.getStats();
     }
     
     createLabel() {
         // Create a div element for the label
         const div = document.createElement('div');
         div.className = 'text-label';
-        div.textContent = this.text;
         div.style.position = 'absolute';
-        div.style.color = this.options.color;
-        div.style.fontSize = `${this.options.fontSize}px`;
         div.style.fontFamily = '"Press Start 2P", cursive';
         div.style.fontWeight = 'bold';
         div.style.textAlign = 'center';
-        div.style.opacity = this.options.opacity;
         div.style.userSelect = 'none';
         div.style.pointerEvents = 'none'; // Make it non-interactive
         div.style.textShadow = '1px 1px 2px rgba(0,0,0,0.8)'; // Better shadow for pixel font
@@ -42,17 +44,8 @@ export class TextLabel {
         // Store the div element
         this.element = div;
         
-        // Add to document
-        document.body.appendChild(this.element);
-        
         // Create a helper object3D for position tracking
         this.object3D = new THREE.Object3D();
-        this.object3D.position.copy(this.position);
-        this.object3D.position.add(this.options.offset);
-        this.scene.add(this.object3D);
-        
-        // Initial update to position the label
-        this.updatePosition();
         
         // Ensure we load the font if not already loaded
         if (!document.getElementById('pixelfont-link')) {
@@ -64,6 +57,45 @@ export class TextLabel {
         }
     }
     
+    /**
+     * Put the label on screen with new text and options
+     * @param {THREE.Scene} scene
+     * @param {string} text
+     * @param {THREE.Vector3} position - World position the label follows
+     * @param {Object} [options] - offset, color and fontSize
+     */
+    show(scene, text, position, options = {}) {
+        this.scene = scene;
+        this.text = text;
+        this.position = position.clone();
+        
+        // Default options
+        this.options = {
+            offset: options.offset || new THREE.Vector3(0, 2, 0),
+            color: options.color || '#ffffff',
+            fontSize: options.fontSize || 1,
+            opacity: 0.5 // 50% opacity
+        };
+        
+        this.element.textContent = this.text;
+        this.element.style.color = this.options.color;
+        this.element.style.fontSize = `${this.options.fontSize}px`;
+        this.element.style.opacity = this.options.opacity;
+        
+        // Add to document
+        document.body.appendChild(this.element);
+        
+        this.object3D.position.copy(this.position);
+        this.object3D.position.add(this.options.offset);
+        this.scene.add(this.object3D);
+        
+        // Initial update to position the label
+        this.updatePosition();
+        
+        // Make sure we update on every animation frame
+        this.setupAnimationLoop();
+    }
+    
     setupAnimationLoop() {
         // We need to ensure we update every frame
         const animate = () => {
@@ -130,6 +162,7 @@ export class TextLabel {
         // Cancel the animation frame
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
         }
         
         if (this.element && this.element.parentNode) {
@@ -140,4 +173,21 @@ export class TextLabel {
             this.scene.remove(this.object3D);
         }
     }
-} 
\ No newline at end of file
+    
+    // Take the label off screen and return it to the pool it came from
+    release() {
+        if (!labelPool.release(this)) {
+            this.remove();
+        }
+    }
+}
+
+// Labels shared by every pickup. Created on first use, the DOM may not exist yet at import time.
+const labelPool = new ObjectPool({
+    name: 'textLabels',
+    create: () => new TextLabel(),
+    reset: (label, scene, text, position, options) => label.show(scene, text, position, options),
+    release: label => label.remove(),
+    maxSize: 16,
+    overflow: POOL_OVERFLOW.ALLOCATE
+});
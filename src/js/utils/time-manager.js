@@ -23,6 +23,18 @@ export class TimeManager {
         
         // The last time getDeltaTime was called
         this.lastTime = performance.now() / 1000;
+        
+        // Game clock in seconds - only advances when a fixed simulation step runs
+        this.elapsedTime = 0;
+        
+        // Number of fixed simulation steps taken since the last reset
+        this.tickCount = 0;
+        
+        // Timers and per-step callbacks that run on the game clock, so they freeze while paused
+        this.timers = [];
+        this.frameCallbacks = [];
+        this.runningFrameCallbacks = [];
+        this.nextCallbackId = 1;
     }
     
     /**
@@ -50,6 +62,18 @@ export class TimeManager {
         return this.getDeltaTime(rawDeltaTime);
     }
     
+    /**
+     * Get the unscaled, capped real time since the last frame for feeding the fixed step accumulator
+     * @returns {number} - The frame delta time in seconds
+     */
+    getFrameDeltaTime() {
+        const currentTime = performance.now() / 1000;
+        const rawDeltaTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
+        
+        return Math.min(rawDeltaTime, this.maxDeltaTime);
+    }
+    
     /**
      * Get the fixed delta time for operations that need fixed time step simulation
      * @returns {number} - The fixed delta time
@@ -70,6 +94,125 @@ export class TimeManager {
         return steps;
     }
     
+    /**
+     * Advance the game clock by one fixed step
+     * @returns {number} - The scaled delta time the simulation should use for this step
+     */
+    step() {
+        const dt = this.getFixedDeltaTime();
+        this.elapsedTime += dt;
+        this.tickCount++;
+        
+        this.runTimers();
+        this.runFrameCallbacks();
+        
+        return dt;
+    }
+    
+    /**
+     * Current game time in milliseconds. Use this instead of Date.now() for gameplay
+     * cooldowns so they follow timeScale and only advance while the simulation runs.
+     * @returns {number} - The game time in milliseconds
+     */
+    now() {
+        return this.elapsedTime * 1000;
+    }
+    
+    /**
+     * Game clock version of window.setTimeout - the delay is measured in game time
+     * @param {Function} callback - Function to call once the delay has passed
+     * @param {number} delay - Delay in milliseconds of game time
+     * @returns {number} - Timer id for clearTimeout
+     */
+    setTimeout(callback, delay = 0) {
+        const id = this.nextCallbackId++;
+        this.timers.push({ id, callback, time: this.now() + delay });
+        return id;
+    }
+    
+    /**
+     * Cancel a timer created with setTimeout
+     * @param {number} id - The timer id
+     */
+    clearTimeout(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+    
+    /**
+     * Game clock version of window.requestAnimationFrame - the callback runs on the next
+     * simulation step, so effect loops stop while the simulation is paused
+     * @param {Function} callback - Function to call on the next step
+     * @returns {number} - Callback id for cancelAnimationFrame
+     */
+    requestAnimationFrame(callback) {
+        const id = this.nextCallbackId++;
+        this.frameCallbacks.push({ id, callback });
+        return id;
+    }
+    
+    /**
+     * Cancel a callback created with requestAnimationFrame
+     * @param {number} id - The callback id
+     */
+    cancelAnimationFrame(id) {
+        // Also check the batch currently running, an earlier callback may cancel a later one
+        [...this.frameCallbacks, ...this.runningFrameCallbacks].forEach(frame => {
+            if (frame.id === id) frame.cancelled = true;
+        });
+        this.frameCallbacks = this.frameCallbacks.filter(frame => frame.id !== id);
+    }
+    
+    /**
+     * Fire every timer that is due, in the order they were scheduled to fire
+     */
+    runTimers() {
+        const now = this.now();
+        // Timers scheduled by a callback wait for the next step, even with a zero delay
+        const lastId = this.nextCallbackId;
+        
+        while (true) {
+            let next = null;
+            for (const timer of this.timers) {
+                if (timer.time <= now && timer.id < lastId && (!next || timer.time < next.time)) {
+                    next = timer;
+                }
+            }
+            if (!next) break;
+            
+            // Remove before calling so a callback can't fire twice or clear itself
+            this.timers.splice(this.timers.indexOf(next), 1);
+            next.callback();
+        }
+    }
+    
+    /**
+     * Run the callbacks requested during the previous step. Callbacks requested while
+     * running are queued for the next step.
+     */
+    runFrameCallbacks() {
+        this.runningFrameCallbacks = this.frameCallbacks;
+        this.frameCallbacks = [];
+        this.runningFrameCallbacks.forEach(frame => {
+            if (!frame.cancelled) frame.callback(this.now());
+        });
+        this.runningFrameCallbacks = [];
+    }
+    
+    /**
+     * Run the game clock forward, without simulating, until every pending timer and
+     * effect callback has finished. Used before a restart so no effect is left half done.
+     * @param {number} maxTime - Upper bound in milliseconds of game time to drain
+     */
+    drain(maxTime = 10000) {
+        const endTime = this.now() + maxTime;
+        
+        while ((this.timers.length > 0 || this.frameCallbacks.length > 0) && this.now() < endTime) {
+            this.elapsedTime += this.fixedDeltaTime;
+            this.runTimers();
+            this.runFrameCallbacks();
+        }
+    }
+    
     /**
      * Set the time scale factor
      * @param {number} scale - The time scale factor (1.0 = normal, 0.5 = half speed, 2.0 = double speed)
@@ -80,10 +223,14 @@ export class TimeManager {
     }
     
     /**
-     * Reset the accumulator and time tracking
+     * Reset the accumulator, game clock and time tracking
      */
     reset() {
         this.accumulator = 0;
+        this.elapsedTime = 0;
+        this.tickCount = 0;
+        this.timers = [];
+        this.frameCallbacks = [];
         this.lastTime = performance.now() / 1000;
     }
 }
@@ -0,0 +1,277 @@
+import wavesData from '../data/waves.json' with { type: 'json' };
+
+/**
+ * Wave definitions, authored in src/js/data/waves.json
+ *
+ * The file has three parts:
+ * - `defaults`: every field a wave can set, used wherever a wave leaves one out
+ * - `waves`: the authored waves in order, wave 1 first
+ * - `endless`: how waves past the authored list are generated
+ *
+ * @typedef {Object} WaveDefinition
+ * @property {number} number - Wave number, from 1
+ * @property {Object<string, number>} enemies - Enemy type -> how many the wave spawns
+ * @property {number} spawnInterval - Milliseconds between enemy spawns
+ * @property {BossRule|null} boss - When the wave's boss shows up, null for no boss
+ * @property {PickupRule} pickups
+ * @property {{enemySpeed: number, enemyFireRate: number}} modifiers - Multiply every enemy's speed and fire rate
+ * @property {boolean} generated - Made by the endless generator rather than authored
+ *
+ * @typedef {Object} BossRule
+ * @property {number} afterDefeated - Share of the wave's enemies to defeat first, 0 to 1
+ * @property {number} minSpawned - Share of the wave's enemies that must have spawned, 0 to 1
+ *
+ * @typedef {Object} PickupRule
+ * @property {number} chance - Chance of a pickup spawning with each enemy, 0 to 1
+ * @property {number} ammoPerPickup - Rounds in each ammo pack
+ * @property {Object<string, number>} table - Pickup type -> weight, see PICKUP_TYPES
+ *
+ * @typedef {Object} EndlessRule
+ * @property {number} enemiesPerWave - A generated wave has this many enemies times its number
+ * @property {Object<string, number>} typeShares - Enemy type -> share of those enemies
+ * @property {number} enemySpeedPerWave - Added to the speed modifier every wave, from 1 in wave 1
+ * @property {number} enemyFireRatePerWave - Added to the fire rate modifier every wave, from 1 in wave 1
+ */
+
+// Enemy types a wave can list. The boss comes through the boss rule instead,
+// splitlings only from splitters.
+export const WAVE_ENEMY_TYPES = ['REGULAR', 'THIN', 'CHUBBY', 'EXPLODER', 'SHIELDED', 'SPLITTER', 'SUPPORT'];
+
+export const PICKUP_TYPES = ['ammo', 'energy', 'grenade'];
+
+const WAVE_FIELDS = ['enemies', 'spawnInterval', 'boss', 'pickups', 'modifiers'];
+const BOSS_FIELDS = ['afterDefeated', 'minSpawned'];
+const PICKUP_FIELDS = ['chance', 'ammoPerPickup', 'table'];
+const MODIFIER_FIELDS = ['enemySpeed', 'enemyFireRate'];
+const ENDLESS_FIELDS = ['enemiesPerWave', 'typeShares', 'enemySpeedPerWave', 'enemyFireRatePerWave'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isShare = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Check parsed wave data against the format above
+ * @param {Object} data - Parsed waves.json
+ * @returns {Array<string>} - One message per problem, each starting with where it is. Empty when valid.
+ */
+export function validateWaveDefinitions(data) {
+    const errors = [];
+    const error = (path, message) => errors.push(`${path}: ${message}`);
+
+    // Typos in field names would otherwise be ignored silently
+    const checkFields = (object, allowed, path) => {
+        Object.keys(object).forEach(key => {
+            if (!allowed.includes(key)) error(`${path}.${key}`, `unknown field, expected one of ${allowed.join(', ')}`);
+        });
+    };
+
+    const checkWeights = (weights, allowed, what, path) => {
+        if (!isObject(weights)) {
+            error(path, `must be an object of ${what} -> number`);
+            return;
+        }
+        Object.entries(weights).forEach(([key, value]) => {
+            if (!allowed.includes(key)) error(`${path}.${key}`, `unknown ${what}, expected one of ${allowed.join(', ')}`);
+            if (typeof value !== 'number' || !(value >= 0)) error(`${path}.${key}`, 'must be a number of at least 0');
+        });
+        if (!Object.values(weights).some(value => value > 0)) error(path, `needs at least one ${what} above 0`);
+    };
+
+    // `complete` requires every field, for the defaults every wave falls back on
+    const checkWave = (wave, path, complete) => {
+        if (!isObject(wave)) {
+            error(path, 'must be an object');
+            return;
+        }
+        checkFields(wave, complete ? WAVE_FIELDS.slice(1) : WAVE_FIELDS, path);
+
+        const required = (field) => {
+            if (wave[field] !== undefined) return true;
+            if (complete) error(`${path}.${field}`, 'is required');
+            return false;
+        };
+
+        if (!complete) {
+            if (!isObject(wave.enemies)) {
+                error(`${path}.enemies`, 'is required, an object of enemy type -> count');
+            } else {
+                Object.entries(wave.enemies).forEach(([type, count]) => {
+                    if (!WAVE_ENEMY_TYPES.includes(type)) {
+                        error(`${path}.enemies.${type}`, `unknown enemy type, expected one of ${WAVE_ENEMY_TYPES.join(', ')}`);
+                    }
+                    if (!Number.isInteger(count) || count < 0) error(`${path}.enemies.${type}`, 'must be a whole number of at least 0');
+                });
+                if (!Object.values(wave.enemies).some(count => count > 0)) error(`${path}.enemies`, 'needs at least one enemy');
+            }
+        }
+
+        if (required('spawnInterval') && !isPositive(wave.spawnInterval)) {
+            error(`${path}.spawnInterval`, 'must be a number of milliseconds above 0');
+        }
+
+        if (required('boss') && wave.boss !== null) {
+            if (!isObject(wave.boss)) {
+                error(`${path}.boss`, 'must be an object or null for no boss');
+            } else {
+                checkFields(wave.boss, BOSS_FIELDS, `${path}.boss`);
+                if (!isShare(wave.boss.afterDefeated)) error(`${path}.boss.afterDefeated`, 'must be a share from 0 to 1');
+                if (wave.boss.minSpawned !== undefined && !isShare(wave.boss.minSpawned)) {
+                    error(`${path}.boss.minSpawned`, 'must be a share from 0 to 1');
+                }
+            }
+        }
+
+        if (required('pickups')) {
+            const pickups = wave.pickups;
+            if (!isObject(pickups)) {
+                error(`${path}.pickups`, 'must be an object');
+            } else {
+                checkFields(pickups, PICKUP_FIELDS, `${path}.pickups`);
+                if (complete && PICKUP_FIELDS.some(field => pickups[field] === undefined)) {
+                    error(`${path}.pickups`, `needs ${PICKUP_FIELDS.join(', ')}`);
+                }
+                if (pickups.chance !== undefined && !isShare(pickups.chance)) {
+                    error(`${path}.pickups.chance`, 'must be a share from 0 to 1');
+                }
+                if (pickups.ammoPerPickup !== undefined && (!Number.isInteger(pickups.ammoPerPickup) || pickups.ammoPerPickup < 1)) {
+                    error(`${path}.pickups.ammoPerPickup`, 'must be a whole number above 0');
+                }
+                if (pickups.table !== undefined) {
+                    checkWeights(pickups.table, PICKUP_TYPES, 'pickup type', `${path}.pickups.table`);
+                }
+            }
+        }
+
+        if (required('modifiers')) {
+            const modifiers = wave.modifiers;
+            if (!isObject(modifiers)) {
+                error(`${path}.modifiers`, 'must be an object');
+            } else {
+                checkFields(modifiers, MODIFIER_FIELDS, `${path}.modifiers`);
+                MODIFIER_FIELDS.forEach(field => {
+                    if (modifiers[field] === undefined) {
+                        if (complete) error(`${path}.modifiers.${field}`, 'is required');
+                    } else if (!isPositive(modifiers[field])) {
+                        error(`${path}.modifiers.${field}`, 'must be a number above 0');
+                    }
+                });
+            }
+        }
+    };
+
+    if (!isObject(data)) {
+        return ['waves file: must be an object with defaults, waves and endless'];
+    }
+    checkFields(data, ['defaults', 'waves', 'endless'], 'waves file');
+
+    checkWave(data.defaults, 'defaults', true);
+
+    if (!Array.isArray(data.waves) || data.waves.length === 0) {
+        error('waves', 'must be a list with at least one wave');
+    } else {
+        data.waves.forEach((wave, index) => checkWave(wave, `waves[${index}]`, false));
+    }
+
+    const endless = data.endless;
+    if (!isObject(endless)) {
+        error('endless', 'must be an object');
+    } else {
+        checkFields(endless, ENDLESS_FIELDS, 'endless');
+        if (!isPositive(endless.enemiesPerWave)) error('endless.enemiesPerWave', 'must be a number above 0');
+        checkWeights(endless.typeShares, WAVE_ENEMY_TYPES, 'enemy type', 'endless.typeShares');
+        ['enemySpeedPerWave', 'enemyFireRatePerWave'].forEach(field => {
+            if (typeof endless[field] !== 'number' || !(endless[field] >= 0)) error(`endless.${field}`, 'must be a number of at least 0');
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * WaveTable - The authored waves plus endless ones generated after them
+ */
+export class WaveTable {
+    /**
+     * @param {Object} data - Parsed wave data, see the format above
+     * @throws {Error} - Listing every problem validateWaveDefinitions() finds
+     */
+    constructor(data) {
+        const errors = validateWaveDefinitions(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid wave definitions:\n  ${errors.join('\n  ')}`);
+        }
+
+        this.defaults = data.defaults;
+        this.endless = data.endless;
+
+        // Wave number - 1 -> WaveDefinition, authored ones up front, generated ones added as reached
+        this.waves = data.waves.map((wave, index) => this.createWave(index + 1, wave, false));
+    }
+
+    /**
+     * @param {number} number - Wave number, from 1
+     * @returns {WaveDefinition}
+     */
+    getWave(number) {
+        for (let next = this.waves.length + 1; next <= number; next++) {
+            this.waves.push(this.generateWave(next));
+        }
+        return this.waves[number - 1];
+    }
+
+    // Fill in the defaults for anything the wave leaves out
+    createWave(number, wave, generated) {
+        const defaults = this.defaults;
+
+        return Object.freeze({
+            number,
+            enemies: Object.freeze({ ...wave.enemies }),
+            spawnInterval: wave.spawnInterval !== undefined ? wave.spawnInterval : defaults.spawnInterval,
+            boss: wave.boss !== undefined ? wave.boss && Object.freeze({ minSpawned: 0, ...wave.boss }) : this.getDefaultBoss(),
+            pickups: Object.freeze({
+                ...defaults.pickups,
+                ...wave.pickups,
+                table: Object.freeze({ ...((wave.pickups && wave.pickups.table) || defaults.pickups.table) })
+            }),
+            modifiers: Object.freeze({ ...defaults.modifiers, ...wave.modifiers }),
+            generated
+        });
+    }
+
+    /**
+     * The boss rule waves get when they don't set their own
+     * @returns {BossRule|null}
+     */
+    getDefaultBoss() {
+        const boss = this.defaults.boss;
+        return boss && Object.freeze({ minSpawned: 0, ...boss });
+    }
+
+    // An endless wave: enemies split by share, speed and fire rate climbing steadily
+    generateWave(number) {
+        const endless = this.endless;
+        const total = Math.round(number * endless.enemiesPerWave);
+        const totalShare = Object.values(endless.typeShares).reduce((sum, share) => sum + share, 0);
+
+        // Round every type but the most common one, which takes whatever is left so the total adds up
+        const types = Object.keys(endless.typeShares).sort((a, b) => endless.typeShares[b] - endless.typeShares[a]);
+        const enemies = {};
+        let assigned = 0;
+        types.slice(1).forEach(type => {
+            enemies[type] = Math.round(total * endless.typeShares[type] / totalShare);
+            assigned += enemies[type];
+        });
+        enemies[types[0]] = Math.max(0, total - assigned);
+
+        return this.createWave(number, {
+            enemies,
+            modifiers: {
+                enemySpeed: 1 + (number - 1) * endless.enemySpeedPerWave,
+                enemyFireRate: 1 + (number - 1) * endless.enemyFireRatePerWave
+            }
+        }, true);
+    }
+}
+
+// Loaded once, a broken waves.json fails here with every problem listed
+export const waveTable = new WaveTable(wavesData);
@@ -0,0 +1,138 @@
+import { COLORS, GAME } from './constants.js';
+
+/**
+ * Weapons - Data definitions for everything the player can fire
+ *
+ * A weapon is a plain object; defineWeapon() fills in the defaults below and rejects
+ * definitions the simulation couldn't fire. Adding a weapon means adding an entry here
+ * and listing it in STARTING_WEAPONS (or handing it to Player.giveWeapon()).
+ *
+ * @typedef {Object} WeaponDefinition
+ * @property {string} id - Key in WEAPONS
+ * @property {string} name - Shown on the HUD
+ * @property {number} fireRate - Milliseconds between shots while the trigger is held
+ * @property {number} spread - Cone width in radians each pellet is scattered across, 0 for dead-on
+ * @property {number} pellets - Projectiles (or traces) per shot
+ * @property {number} projectileSpeed - Units per second, ignored for hitscan weapons
+ * @property {number} damage - Paint hits per pellet, an enemy pops after 3 (bosses take it off their health)
+ * @property {number} range - Units a pellet travels (or traces) before it's gone
+ * @property {string} ammoType - Key in AMMO_TYPES
+ * @property {number} ammoPerShot - Rounds used per shot, however many pellets it has
+ * @property {number} magazineSize - Rounds loaded at once, reloading refills them from the reserve
+ * @property {number} reloadTime - Milliseconds a reload takes
+ * @property {boolean} hitscan - Trace instantly (InstantBullet) instead of firing a projectile
+ * @property {string} sound - Key in SOUNDS, played through AudioManager.playGunshot()
+ * @property {number} recoil - Backward push on the player per shot
+ * @property {number} color - Paint color of the trace and splats
+ */
+
+const WEAPON_DEFAULTS = {
+    spread: 0,
+    pellets: 1,
+    projectileSpeed: GAME.SPEEDS.BULLET,
+    damage: 1,
+    range: GAME.BULLET_MAX_DISTANCE,
+    ammoPerShot: 1,
+    reloadTime: GAME.RELOAD_TIME,
+    hitscan: false,
+    sound: 'GUNSHOT',
+    recoil: 0.2,
+    color: COLORS.BULLET
+};
+
+/**
+ * Reserve ammo is tracked per type, so weapons sharing a type share rounds.
+ * A run starts with `start` rounds of each type, magazines are loaded from them first.
+ * `max` caps the reserve, ammo packs top it up by each type's share of the pack.
+ */
+export const AMMO_TYPES = Object.freeze({
+    paint: { start: GAME.AMMO_COUNT, max: GAME.MAX_AMMO, pickupShare: 1 },
+    shells: { start: 16, max: 32, pickupShare: 0.2 },
+    slugs: { start: 10, max: 24, pickupShare: 0.15 }
+});
+
+/**
+ * Fill in defaults and check a weapon definition
+ * @param {string} id
+ * @param {Object} definition - See WeaponDefinition, name, fireRate, ammoType and magazineSize are required
+ * @returns {WeaponDefinition} - Frozen
+ */
+export function defineWeapon(id, definition) {
+    const weapon = { id, ...WEAPON_DEFAULTS, ...definition };
+
+    if (typeof weapon.name !== 'string' || weapon.name.length === 0) {
+        throw new Error(`Weapon ${id} needs a name`);
+    }
+    if (!(weapon.fireRate > 0)) {
+        throw new Error(`Weapon ${id} needs a positive fireRate`);
+    }
+    if (!AMMO_TYPES[weapon.ammoType]) {
+        throw new Error(`Weapon ${id} uses unknown ammo type "${weapon.ammoType}"`);
+    }
+    if (!Number.isInteger(weapon.magazineSize) || weapon.magazineSize < weapon.ammoPerShot) {
+        throw new Error(`Weapon ${id} needs a magazine that holds at least one shot`);
+    }
+    if (!Number.isInteger(weapon.pellets) || weapon.pellets < 1) {
+        throw new Error(`Weapon ${id} needs at least one pellet per shot`);
+    }
+    if (!weapon.hitscan && !(weapon.projectileSpeed > 0)) {
+        throw new Error(`Weapon ${id} fires projectiles and needs a positive projectileSpeed`);
+    }
+
+    return Object.freeze(weapon);
+}
+
+export const WEAPONS = Object.freeze({
+    // The original paintball gun: a stream of fast single shots
+    PAINTBALL_SMG: defineWeapon('PAINTBALL_SMG', {
+        name: 'SMG',
+        fireRate: 50,
+        ammoType: 'paint',
+        magazineSize: 30
+    }),
+
+    // A slow, wide burst of short-lived pellets that shreds anything up close
+    SHOTGUN: defineWeapon('SHOTGUN', {
+        name: 'SHOTGUN',
+        fireRate: 700,
+        spread: 0.35,
+        pellets: 7,
+        projectileSpeed: 34,
+        range: 16,
+        ammoType: 'shells',
+        magazineSize: 4,
+        reloadTime: GAME.RELOAD_TIME * 1.4,
+        sound: 'SHOTGUN',
+        recoil: 0.6
+    }),
+
+    // Instant long-range traces, one hit pops a regular enemy
+    RIFLE: defineWeapon('RIFLE', {
+        name: 'RIFLE',
+        fireRate: 600,
+        damage: 3,
+        range: 60,
+        ammoType: 'slugs',
+        magazineSize: 5,
+        reloadTime: GAME.RELOAD_TIME * 1.2,
+        hitscan: true,
+        sound: 'RIFLE',
+        recoil: 0.45,
+        color: 0x00ffff
+    })
+});
+
+// Weapon slots the player starts with, slot 1 first
+export const STARTING_WEAPONS = ['PAINTBALL_SMG', 'SHOTGUN', 'RIFLE'];
+
+/**
+ * Fresh ammo counts for a new run, before any magazine is loaded
+ * @returns {Object} - Ammo type -> rounds
+ */
+export function createStartingAmmo() {
+    const ammo = {};
+    for (const type in AMMO_TYPES) {
+        ammo[type] = AMMO_TYPES[type].start;
+    }
+    return ammo;
+}
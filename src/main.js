@@ -3,19 +3,24 @@ import * as Tone from 'tone';
 import Stats from 'stats.js';
 import { InputHandler } from './js/utils/input-handler.js';
 import { AudioManager } from './js/audio/audio-manager.js';
-import { Player } from './js/entities/player.js';
-import { Ground, Obstacle, Tree, Rock, FlowerPatch, Stump, SmallRocks } from './js/entities/environment.js';
-import { Bullet, Grenade, OptimizedBullet, BulletManager } from './js/entities/projectiles.js';
-import { CollisionSystem } from './js/systems/collision-system.js';
-import { SpawnManager } from './js/systems/spawn-manager.js';
-import { DecalManager } from './js/systems/decal-manager.js';
-import { PickupEffectManager } from './js/systems/pickup-effect-manager.js';
-import { GAME, SIZES } from './js/utils/constants.js';
+import { Simulation } from './js/systems/simulation.js';
+import { ReplayManager } from './js/systems/replay-manager.js';
+import { GAME_STATES } from './js/systems/game-state-machine.js';
+import { ABILITIES } from './js/systems/ability-system.js';
 import { timeManager } from './js/utils/time-manager.js';
+import { randomManager } from './js/utils/random-manager.js';
+import { eventBus, GAME_EVENTS } from './js/utils/event-bus.js';
 import { IntroScreen } from './js/screens/intro-screen.js';
+import { ShopScreen } from './js/screens/shop-screen.js';
+import { HighScoreScreen } from './js/screens/high-score-screen.js';
+import { AchievementToast } from './js/screens/achievement-toast.js';
+import { BossHealthBar } from './js/screens/boss-health-bar.js';
 
-class Game {
+// The browser game: renders the simulation, reads the mouse and keyboard and runs the HUD
+class Game extends Simulation {
     constructor() {
+        super();
+        
         // Add stats.js
         this.stats = new Stats();
         this.stats.showPanel(0); // 0: fps, 1: ms, 2: mb, 3+: custom
@@ -27,23 +32,30 @@ class Game {
         this.stats.dom.style.right = '0px';
         this.stats.dom.style.left = 'auto';
         
+        // Extra panel (click the stats to cycle) with the time spent in collision checks
+        this.collisionPanel = this.stats.addPanel(new Stats.Panel('COLL MS', '#ff8', '#221'));
+        
         // Performance optimization variables
         this.fpsHistory = [];
         this.fpsHistoryMaxLength = 30; // Keep track of ~0.5 second of frames
         this.lowFpsThreshold = 40;
-        this.isLowPerformanceMode = false;
         this.lastFrameTime = performance.now(); // Track frame times for FPS calculation
         this.lastFpsLogTime = 0; // For throttling FPS logging
         
-        // Track shooting state to detect when player stops shooting
-        this.wasShootingLastFrame = false;
-        
         // Add intro screen styles
         IntroScreen.addStyles();
         
-        // Create and show intro screen
+        // Create and show intro screen, the world is built when it hands over to PLAYING
         this.introScreen = new IntroScreen();
-        this.introScreen.setStartCallback(() => this.initialize());
+        this.stateMachine.onEnter(GAME_STATES.PLAYING, (from) => {
+            if (from === GAME_STATES.INTRO) {
+                this.initialize();
+            }
+        });
+        this.introScreen.setStartCallback((difficulty) => {
+            this.selectedDifficulty = difficulty;
+            this.stateMachine.transition(GAME_STATES.PLAYING);
+        });
         this.introScreen.startTyping();
         
         this.cameraTarget = new THREE.Vector3(); // Add camera target position
@@ -51,7 +63,6 @@ class Game {
     }
     
     initialize() {
-        this.scene = new THREE.Scene();
         // Use perspective camera with moderate field of view (like 50mm lens)
         this.camera = new THREE.PerspectiveCamera(
             40,  // ~40-degree FOV similar to 50mm lens
@@ -76,40 +87,23 @@ class Game {
         // Initialize systems
         this.inputHandler = new InputHandler();
         this.audioManager = new AudioManager();
-        this.collisionSystem = new CollisionSystem();
-        this.decalManager = new DecalManager(this.scene);
-        this.pickupEffectManager = new PickupEffectManager(this.scene);
-        this.bulletManager = new BulletManager(this.scene);
-        this.bulletManager.setDecalManager(this.decalManager);
-        this.collisionSystem.setBulletManager(this.bulletManager);
-        this.collisionSystem.setPickupEffectManager(this.pickupEffectManager);
-        
-        // Disable debug mode
-        this.debugMode = false;
-        
-        // Game objects collections
-        this.bullets = [];
-        this.grenades = [];
-        this.obstacles = [];
-        this.trees = [];
+        
+        // Build the world, a ?seed= URL parameter makes every run use that seed
+        // and ?collision=brute starts without the collision grid
+        this.pinnedSeed = randomManager.getSeedFromURL();
+        this.useCollisionGrid = new URLSearchParams(window.location.search).get('collision') !== 'brute';
+        this.createSimulation();
+        this.player.setRestartCallback(() => this.restart());
         
         // Create HUD
         this.createHUD();
         
         this.setupCamera();
         this.setupLights();
-        this.setupWorld();
-        
-        // Initialize main player
-        this.player = new Player(this.scene, this.audioManager);
-        this.collisionSystem.setPlayer(this.player);
-        
-        // Move player away from the center
-        this.player.group.position.set(0, 0, 5);
-        this.player.position.copy(this.player.group.position);
         
-        // Initialize spawn manager
-        this.createSpawnManager();
+        // Record every run so it can be saved and played back
+        this.replayManager = new ReplayManager(this);
+        this.replayManager.startRecording();
         
         // Setup resize handler
         window.addEventListener('resize', this.onWindowResize.bind(this));
@@ -119,81 +113,82 @@ class Game {
             if (e.key === 'f' || e.key === 'F') {
                 this.toggleStats();
             }
+            
+            // b switches between grid and brute-force collisions, for comparing timings
+            if (e.key === 'b' || e.key === 'B') {
+                this.toggleCollisionGrid();
+            }
+            
+            // Escape toggles pause
+            if (e.key === 'Escape') {
+                this.togglePause();
+            }
+        });
+        
+        // Pause automatically when the window loses focus
+        this.createPauseScreen();
+        this.stateMachine.onEnter(GAME_STATES.PAUSED, () => {
+            // Drop held keys so nothing fires on resume
+            this.inputHandler.resetKeys();
+            this.audioManager.pause();
+            
+            this.updatePausePerkList();
+            this.pauseScreen.style.display = 'flex';
+            console.log("Game paused");
+        });
+        this.stateMachine.onExit(GAME_STATES.PAUSED, () => {
+            this.audioManager.resume();
+            
+            this.pauseScreen.style.display = 'none';
+            console.log("Game resumed");
+        });
+        window.addEventListener('blur', () => this.pause());
+        
+        // Upgrade shop between waves, its clicks go through the input handler like the number keys
+        this.shopScreen = new ShopScreen((action) => {
+            this.inputHandler.shopAction = action;
+        });
+        this.stateMachine.onEnter(GAME_STATES.INTERMISSION, () => this.shopScreen.show());
+        this.stateMachine.onExit(GAME_STATES.INTERMISSION, () => this.shopScreen.hide());
+        
+        // Final score and the local top 10 on game over, replays can't enter the table
+        this.highScoreScreen = new HighScoreScreen();
+        this.stateMachine.onEnter(GAME_STATES.GAMEOVER, () => {
+            this.highScoreScreen.show({
+                score: this.scoreSystem.score,
+                wave: this.spawnManager.waveNumber,
+                seed: randomManager.seed,
+                difficulty: this.difficulty.id,
+                canSubmit: !this.replayManager.isPlaying
+            });
+        });
+        this.stateMachine.onExit(GAME_STATES.GAMEOVER, () => this.highScoreScreen.hide());
+        
+        // Announce achievements as they unlock
+        this.achievementToast = new AchievementToast();
+        eventBus.on(GAME_EVENTS.ACHIEVEMENT_UNLOCKED, (achievement) => this.achievementToast.show(achievement));
+        
+        // Boss health across the top of the screen from the boss's arrival to its death
+        this.bossHealthBar = new BossHealthBar();
+        eventBus.on(GAME_EVENTS.BOSS_SPAWNED, ({ boss }) => this.bossHealthBar.show(boss));
+        eventBus.on(GAME_EVENTS.ENEMY_KILLED, ({ isBoss }) => {
+            if (isBoss) this.bossHealthBar.defeat();
         });
         
         // Add a debounce flag for right-click
         this.rightClickDebounce = false;
         this.rightClickDebounceTime = 800; // Increase to 800ms to better handle double-clicks
         
-        // Add grenade throw timestamp to prevent multiple calls
-        this.lastGrenadeThrowTime = 0;
-        this.grenadeThrowMinInterval = 1000; // Minimum 1 second between grenade throws
-        
-        // Add direct right-click event listener to ensure grenades are thrown
+        // Right-click queues an aimed grenade throw for the next simulation step
         window.addEventListener('contextmenu', (e) => {
             e.preventDefault(); // Prevent the context menu
             
             // Debug log
             console.log("Right-click detected, attempting to throw grenade");
             
-            // Check for cooldown
-            const now = Date.now();
-            if (now - this.lastGrenadeThrowTime < this.grenadeThrowMinInterval) {
-                console.log("Grenade on cooldown, can't throw yet");
-                return;
-            }
-            
-            // Check if player exists and has grenades
-            if (!this.player || this.player.grenades <= 0) {
-                console.log("No player or no grenades left");
-                return;
+            if (this.stateMachine.updates('player')) {
+                this.aimedGrenadeQueued = true;
             }
-            
-            console.log("Player has grenades, throwing now!");
-            
-            // Create the grenade directly
-            const grenadePosition = this.player.getPosition().clone();
-            grenadePosition.y = SIZES.PLAYER / 2; // Set grenade at player height
-            
-            // Get mouse target position for better aiming
-            const targetPosition = this.player.getMouseWorldPosition();
-            
-            // Calculate direction vector to target
-            let direction;
-            
-            // If we have a valid target position, aim at it
-            if (targetPosition && targetPosition.lengthSq() > 0) {
-                direction = new THREE.Vector3().subVectors(targetPosition, grenadePosition).normalize();
-                
-                // Keep direction parallel to ground
-                direction.y = 0;
-                direction.normalize();
-            } else {
-                // Fallback to player facing direction
-                direction = this.player.getDirection();
-            }
-            
-            // Decrease player's grenade count
-            this.player.grenades--;
-            
-            // Use the grenade pool from the spawn manager
-            const grenade = this.spawnManager.getGrenade(grenadePosition, direction);
-            this.grenades.push(grenade);
-            this.collisionSystem.addGrenade(grenade);
-            
-            console.log("Grenade thrown, remaining:", this.player.grenades);
-            
-            // Apply throw animation to player
-            this.player.body.scale.x = 1.2;
-            setTimeout(() => {
-                this.player.body.scale.x = 1;
-            }, 100);
-            
-            // Update timestamp for player cooldown
-            this.player.lastGrenadeTime = Date.now();
-            
-            // Update timestamp for interval protection
-            this.lastGrenadeThrowTime = Date.now();
         });
         
         // Start the game loop
@@ -260,6 +255,77 @@ class Game {
         healthContainer.appendChild(healthLabel);
         healthContainer.appendChild(healthBarContainer);
         
+        // Score display, with the combo multiplier while a combo runs
+        const scoreContainer = document.createElement('div');
+        scoreContainer.style.display = 'flex';
+        scoreContainer.style.flexDirection = 'column';
+        scoreContainer.style.alignItems = 'center';
+        scoreContainer.style.minWidth = '150px';
+        
+        const scoreLabel = document.createElement('div');
+        scoreLabel.innerHTML = 'SCORE';
+        scoreLabel.style.marginBottom = '8px';
+        
+        const scoreText = document.createElement('div');
+        scoreText.innerHTML = '0';
+        scoreText.style.fontSize = '16px';
+        
+        const comboText = document.createElement('div');
+        comboText.style.fontSize = '10px';
+        comboText.style.marginTop = '6px';
+        comboText.style.color = '#ffcc00';
+        comboText.style.visibility = 'hidden';
+        comboText.innerHTML = 'x1';
+        
+        scoreContainer.appendChild(scoreLabel);
+        scoreContainer.appendChild(scoreText);
+        scoreContainer.appendChild(comboText);
+        
+        // Energy display, with the abilities it pays for underneath
+        const energyContainer = document.createElement('div');
+        energyContainer.style.display = 'flex';
+        energyContainer.style.flexDirection = 'column';
+        energyContainer.style.alignItems = 'center';
+        energyContainer.style.minWidth = '150px';
+        
+        const energyLabel = document.createElement('div');
+        energyLabel.innerHTML = 'ENERGY';
+        energyLabel.style.marginBottom = '8px';
+        
+        const energyBarContainer = document.createElement('div');
+        energyBarContainer.style.width = '100%';
+        energyBarContainer.style.height = '12px';
+        energyBarContainer.style.backgroundColor = '#333333';
+        energyBarContainer.style.border = '2px solid #ffffff';
+        energyBarContainer.style.padding = '2px';
+        energyBarContainer.style.imageRendering = 'pixelated';
+        
+        const energyBar = document.createElement('div');
+        energyBar.style.height = '100%';
+        energyBar.style.backgroundColor = '#22ff22';
+        energyBar.style.width = '100%';
+        energyBar.style.transition = 'width 0.1s';
+        
+        const abilityRow = document.createElement('div');
+        abilityRow.style.display = 'flex';
+        abilityRow.style.gap = '8px';
+        abilityRow.style.marginTop = '6px';
+        abilityRow.style.fontSize = '8px';
+        
+        // Lit when the ability can be used right now
+        const abilityLabels = {};
+        Object.values(ABILITIES).forEach(ability => {
+            const label = document.createElement('div');
+            label.innerText = ability.name;
+            abilityRow.appendChild(label);
+            abilityLabels[ability.id] = label;
+        });
+        
+        energyBarContainer.appendChild(energyBar);
+        energyContainer.appendChild(energyLabel);
+        energyContainer.appendChild(energyBarContainer);
+        energyContainer.appendChild(abilityRow);
+        
         // Ammo display with pixel art style
         const ammoContainer = document.createElement('div');
         ammoContainer.style.display = 'flex';
@@ -272,7 +338,7 @@ class Game {
         ammoLabel.style.marginBottom = '8px';
         
         const ammoText = document.createElement('div');
-        ammoText.innerHTML = '30';
+        ammoText.innerHTML = '30 / 60';
         ammoText.style.fontSize = '16px';
         
         ammoContainer.appendChild(ammoLabel);
@@ -294,15 +360,9 @@ class Game {
         grenadeCount.style.gap = '8px';
         grenadeCount.style.justifyContent = 'center';
         
-        // Add pixel art style grenade indicators
+        // Pixel art style grenade indicators, one per slot (updateHUD adds bought ones)
         for (let i = 0; i < 3; i++) {
-            const grenade = document.createElement('div');
-            grenade.style.width = '12px';
-            grenade.style.height = '12px';
-            grenade.style.backgroundColor = '#ff5500';
-            grenade.style.border = '2px solid #ffffff';
-            grenade.style.imageRendering = 'pixelated';
-            grenadeCount.appendChild(grenade);
+            grenadeCount.appendChild(this.createGrenadeIndicator());
         }
         
         grenadeContainer.appendChild(grenadeLabel);
@@ -323,11 +383,21 @@ class Game {
         enemyText.innerText = 'ENEMIES: 0/8';
         enemyText.style.fontSize = '10px';
         
+        // Credits for the upgrade shop
+        const creditText = document.createElement('div');
+        creditText.innerText = 'CREDITS: 0';
+        creditText.style.fontSize = '10px';
+        creditText.style.marginTop = '6px';
+        creditText.style.color = '#ffcc00';
+        
         waveContainer.appendChild(waveText);
         waveContainer.appendChild(enemyText);
+        waveContainer.appendChild(creditText);
         
         // Add all elements to panel
         hudPanel.appendChild(healthContainer);
+        hudPanel.appendChild(scoreContainer);
+        hudPanel.appendChild(energyContainer);
         hudPanel.appendChild(ammoContainer);
         hudPanel.appendChild(grenadeContainer);
         hudPanel.appendChild(waveContainer);
@@ -341,23 +411,48 @@ class Game {
         // Store references
         this.hudContainer = hudContainer;
         this.healthBar = healthBar;
+        this.energyBar = energyBar;
+        this.scoreText = scoreText;
+        this.comboText = comboText;
+        this.abilityLabels = abilityLabels;
+        this.ammoLabel = ammoLabel;
         this.ammoText = ammoText;
         this.grenadeCount = grenadeCount;
         this.waveText = waveText;
         this.enemyText = enemyText;
+        this.creditText = creditText;
+        
+        // Flash the health bar briefly on every hit
+        this.lastHitFlashTime = -Infinity;
+        eventBus.on(GAME_EVENTS.PLAYER_DAMAGED, () => {
+            this.lastHitFlashTime = timeManager.now();
+        });
         
         // Initial update
         this.updateHUD();
     }
     
+    createGrenadeIndicator() {
+        const grenade = document.createElement('div');
+        grenade.style.width = '12px';
+        grenade.style.height = '12px';
+        grenade.style.backgroundColor = '#ff5500';
+        grenade.style.border = '2px solid #ffffff';
+        grenade.style.imageRendering = 'pixelated';
+        return grenade;
+    }
+    
     updateHUD() {
         if (this.player) {
             // Update health bar
             const healthPercent = (this.player.currentHealth / this.player.maxHealth) * 100;
             this.healthBar.style.width = `${healthPercent}%`;
             
-            // Change health bar color based on health level
-            if (healthPercent < 20) {
+            // Change health bar color based on health level, white right after a hit
+            if (timeManager.now() - this.lastHitFlashTime < 120) {
+                this.healthBar.style.backgroundColor = '#ffffff';
+                this.healthBar.style.boxShadow = '0 0 12px #ffffff';
+            } else if (healthPercent < 20) {
                 this.healthBar.style.backgroundColor = '#ff0000';  // Bright red when low
                 this.healthBar.style.boxShadow = '0 0 8px #ff0000';  // Stronger glow when low
             } else if (healthPercent < 50) {
@@ -368,11 +463,25 @@ class Game {
                 this.healthBar.style.boxShadow = '0 0 5px #ff5555';
             }
             
+            // Update energy bar, cyan while bullet time runs
+            const energyPercent = (this.player.energy / this.player.maxEnergy) * 100;
+            this.energyBar.style.width = `${energyPercent}%`;
+            const energyColor = this.abilitySystem.isBulletTimeActive ? '#00ffff' : '#22ff22';
+            this.energyBar.style.backgroundColor = energyColor;
+            this.energyBar.style.boxShadow = `0 0 5px ${energyColor}`;
+            
+            Object.keys(this.abilityLabels).forEach(id => {
+                this.abilityLabels[id].style.opacity = this.abilitySystem.canActivate(id) ? '1' : '0.35';
+            });
+            
+            // Weapon in hand, with the number key that selects it
+            this.ammoLabel.textContent = `${this.player.weaponIndex + 1} ${this.player.weapon.name}`;
+            
             // Update ammo display
             if (this.player.isReloading) {
                 this.ammoText.textContent = 'RELOADING';
                 this.ammoText.style.color = '#ffcc00';  // Yellow during reload
-            } else if (this.player.ammo <= 0) {
+            } else if (this.player.isOutOfAmmo()) {
                 this.ammoText.textContent = 'NO AMMO';
                 this.ammoText.style.color = '#ff3333';  // Red when out of ammo
                 this.ammoText.style.textShadow = '0 0 8px rgba(255, 0, 0, 0.8)';  // Red glow
@@ -384,7 +493,7 @@ class Game {
                     
                     // Add pulse animation
                     const pulseAmmoIcon = () => {
-                        if (this.player.ammo > 0) {
+                        if (!this.player.isOutOfAmmo()) {
                             // Stop pulsing once player has ammo
                             this._ammoIconPulsing = false;
                             ammoIcon.style.animation = '';
@@ -410,9 +519,10 @@ class Game {
                     this._ammoIconInterval = setInterval(pulseAmmoIcon, 1000);
                 }
             } else {
-                this.ammoText.textContent = `${this.player.ammo}`;
-                // Change color based on ammo amount
-                if (this.player.ammo <= 5) {
+                // Magazine / reserve
+                this.ammoText.textContent = `${this.player.ammo} / ${this.player.reserveAmmo}`;
+                // Change color when the magazine is running low
+                if (this.player.ammo <= this.player.weapon.magazineSize / 4) {
                     this.ammoText.style.color = '#ff3333';  // Red when low
                     this.ammoText.style.textShadow = '0 0 8px rgba(255, 0, 0, 0.8)';  // Red glow
                 } else {
@@ -433,7 +543,13 @@ class Game {
                 }
             }
             
-            // Update grenade display
+            // Update grenade display, with an indicator per slot the player can fill
+            while (this.grenadeCount.children.length < this.player.maxGrenades) {
+                this.grenadeCount.appendChild(this.createGrenadeIndicator());
+            }
+            while (this.grenadeCount.children.length > this.player.maxGrenades) {
+                this.grenadeCount.lastChild.remove();
+            }
             const grenades = this.grenadeCount.children;
             for (let i = 0; i < grenades.length; i++) {
                 if (i < this.player.grenades) {
@@ -451,6 +567,28 @@ class Game {
             this.waveText.innerText = `WAVE ${this.spawnManager.waveNumber}`;
             this.enemyText.innerText = `ENEMIES: ${this.spawnManager.enemyCount}/${this.spawnManager.maxEnemies}`;
         }
+        
+        if (this.scoreSystem) {
+            this.scoreText.textContent = this.scoreSystem.score;
+            
+            const comboActive = this.scoreSystem.isComboActive();
+            this.comboText.style.visibility = comboActive ? 'visible' : 'hidden';
+            if (comboActive) {
+                this.comboText.textContent = `COMBO x${this.scoreSystem.getMultiplier().toFixed(2).replace(/\.?0+$/, '')}`;
+            }
+        }
+        
+        if (this.upgradeShop) {
+            this.creditText.innerText = `CREDITS: ${this.upgradeShop.credits}`;
+            
+            if (this.shopScreen && this.shopScreen.isVisible) {
+                this.shopScreen.update(this.upgradeShop, this.perkSystem, this.intermissionEndTime - timeManager.now());
+            }
+        }
+        
+        if (this.bossHealthBar) {
+            this.bossHealthBar.update();
+        }
     }
     
     setupCamera() {
@@ -487,269 +625,6 @@ class Game {
         this.renderer.setClearColor(0x222222);
     }
     
-    setupWorld() {
-        // Create obstacles for cover (avoiding central obstacle)
-        this.createTrees();  // Trees are obstacles
-        this.createRocks();  // Large rocks are obstacles
-        
-        // Create decorative elements (not obstacles)
-        this.createGrass();  // Add grass patches
-        this.createFlowerPatches();
-        this.createStumps();
-        this.createSmallRocks();
-    }
-    
-    createTrees() {
-        // Create some trees around the arena
-        const treePositions = [
-            new THREE.Vector3(-12, 0, 12),
-            new THREE.Vector3(12, 0, -12),
-            new THREE.Vector3(-12, 0, -12),
-            new THREE.Vector3(12, 0, 12),
-            new THREE.Vector3(0, 0, 14),
-            new THREE.Vector3(14, 0, 0),
-            new THREE.Vector3(0, 0, -14),
-            new THREE.Vector3(-14, 0, 0)
-        ];
-        
-        treePositions.forEach(position => {
-            const tree = new Tree(this.scene, position);
-            this.trees.push(tree);
-            // Trees don't need collision since they're at the edge
-        });
-    }
-    
-    createRocks() {
-        // Create rock formations
-        const rockPositions = [
-            // Original rocks
-            new THREE.Vector3(-20, 0, 15),
-            new THREE.Vector3(18, 0, -18),
-            new THREE.Vector3(-15, 0, -20),
-            new THREE.Vector3(25, 0, 22),
-            new THREE.Vector3(-22, 0, 5),
-            new THREE.Vector3(5, 0, -25),
-            // Additional rocks for more population
-            new THREE.Vector3(15, 0, 25),
-            new THREE.Vector3(-25, 0, -10),
-            new THREE.Vector3(28, 0, 8),
-            new THREE.Vector3(-18, 0, 28),
-            new THREE.Vector3(12, 0, -22),
-            new THREE.Vector3(-8, 0, -28),
-            // Smaller clusters closer to center
-            new THREE.Vector3(10, 0, 12),
-            new THREE.Vector3(-12, 0, 8),
-            new THREE.Vector3(8, 0, -15),
-            new THREE.Vector3(-15, 0, -7)
-        ];
-        
-        rockPositions.forEach(position => {
-            const size = 0.8 + Math.random() * 1.5; // Random size between 0.8 and 2.3
-            const rock = new Rock(this.scene, position, size);
-            // Add all rocks as obstacles, regardless of size
-            this.obstacles.push(rock);
-            this.collisionSystem.addObstacle(rock);
-        });
-    }
-    
-    createFlowerPatches() {
-        // Create flower patches (decorative, not obstacles)
-        const flowerPositions = [
-            new THREE.Vector3(-15, 0, 0),
-            new THREE.Vector3(12, 0, 8),
-            new THREE.Vector3(0, 0, -18),
-            new THREE.Vector3(-8, 0, 15),
-            new THREE.Vector3(20, 0, -5),
-            new THREE.Vector3(-18, 0, -18)
-        ];
-        
-        flowerPositions.forEach(position => {
-            const size = 1 + Math.random() * 1; // Random size between 1 and 2
-            const flowerPatch = new FlowerPatch(this.scene, position, size);
-            // Don't add to obstacles or collision system
-        });
-    }
-    
-    createStumps() {
-        // Create stumps (decorative, not obstacles)
-        const stumpPositions = [
-            new THREE.Vector3(-10, 0, -15),
-            new THREE.Vector3(15, 0, 12),
-            new THREE.Vector3(8, 0, -8),
-            new THREE.Vector3(-18, 0, 8),
-            new THREE.Vector3(25, 0, 0)
-        ];
-        
-        stumpPositions.forEach(position => {
-            const size = 1 + Math.random(); // Random size between 1 and 2
-            const stump = new Stump(this.scene, position, size);
-            // Don't add to obstacles or collision system
-        });
-    }
-    
-    createSmallRocks() {
-        // Create clusters of small rocks (decorative, not obstacles)
-        const smallRockPositions = [
-            new THREE.Vector3(5, 0, 18),
-            new THREE.Vector3(-22, 0, -5),
-            new THREE.Vector3(18, 0, -15),
-            new THREE.Vector3(-5, 0, 22),
-            new THREE.Vector3(12, 0, 22),
-            new THREE.Vector3(-15, 0, -12),
-            // Add a few more positions for better coverage
-            new THREE.Vector3(0, 0, -20),
-            new THREE.Vector3(-10, 0, 15),
-            new THREE.Vector3(20, 0, 0)
-        ];
-        
-        smallRockPositions.forEach(position => {
-            const size = 0.8 + Math.random() * 0.7; // Random size between 0.8 and 1.5
-            const smallRocks = new SmallRocks(this.scene, position, size);
-            // Add small rocks as obstacles
-            this.obstacles.push(smallRocks);
-            this.collisionSystem.addObstacle(smallRocks);
-        });
-    }
-    
-    createGrass() {
-        // Create grass patches throughout the arena
-        const grassPositions = [
-            // Outer ring
-            new THREE.Vector3(-18, 0, 18),
-            new THREE.Vector3(0, 0, 20),
-            new THREE.Vector3(18, 0, 18),
-            new THREE.Vector3(20, 0, 0),
-            new THREE.Vector3(18, 0, -18),
-            new THREE.Vector3(0, 0, -20),
-            new THREE.Vector3(-18, 0, -18),
-            new THREE.Vector3(-20, 0, 0),
-            // Inner patches
-            new THREE.Vector3(-8, 0, 8),
-            new THREE.Vector3(8, 0, 8),
-            new THREE.Vector3(8, 0, -8),
-            new THREE.Vector3(-8, 0, -8),
-            // Random scattered patches
-            new THREE.Vector3(-12, 0, 4),
-            new THREE.Vector3(12, 0, -4),
-            new THREE.Vector3(4, 0, 12),
-            new THREE.Vector3(-4, 0, -12),
-            new THREE.Vector3(-15, 0, -10),
-            new THREE.Vector3(15, 0, 10),
-            new THREE.Vector3(10, 0, 15),
-            new THREE.Vector3(-10, 0, -15)
-        ];
-
-        grassPositions.forEach(position => {
-            const size = 1 + Math.random() * 0.5; // Random size between 1 and 1.5
-            const grass = new Obstacle(this.scene, position, size, size * 0.8, size);
-            // Don't add grass as obstacles (decorative only)
-        });
-    }
-    
-    createBullet() {
-        // Check if player has ammo
-        if (this.player.ammo <= 0) {
-            return null;
-        }
-        
-        // Create the bullet from player's position
-        const bulletPosition = this.player.getPosition().clone();
-        // Make the bullet start at the gun tip
-        bulletPosition.add(this.player.getDirection().multiplyScalar(1.2));
-        // Offset Y position to match approximate gun height
-        bulletPosition.y = SIZES.PLAYER / 2; // Half the player height
-        
-        // Create direction vector - ensure it's parallel to ground
-        const direction = this.player.getDirection().clone();
-        direction.y = 0; // Keep bullets traveling parallel to ground
-        direction.normalize(); // Re-normalize after changing y
-        
-        // Use BulletManager to create instanced bullets with a higher speed multiplier
-        const bullet = this.bulletManager.createBullet(bulletPosition, direction, 1.0);
-        
-        // Add bullet to collision system
-        this.collisionSystem.addBullet(bullet);
-        
-        // Reduce player ammo
-        this.player.ammo--;
-        
-        // Play gunshot sound
-        this.audioManager.playGunShot();
-        
-        // Apply muzzle flash and recoil
-        this.player.createMuzzleFlash();
-        
-        return bullet;
-    }
-    
-    createGrenade() {
-        if (!this.player) return null;
-        
-        // Strict check for grenades
-        if (this.player.grenades <= 0) {
-            console.log("Cannot create grenade: no grenades left");
-            return null;
-        }
-        
-        // Get player position and direction
-        const position = this.player.getPosition().clone();
-        position.y = SIZES.PLAYER / 2; // Set grenade at player height
-        
-        // Get mouse target position for better aiming
-        const targetPosition = this.player.getMouseWorldPosition();
-        
-        // Calculate direction vector to target
-        let direction;
-        
-        // If we have a valid target position, aim at it
-        if (targetPosition && targetPosition.lengthSq() > 0) {
-            direction = new THREE.Vector3().subVectors(targetPosition, position).normalize();
-            
-            // Keep direction parallel to ground
-            direction.y = 0;
-            direction.normalize();
-        } else {
-            // Fallback to player facing direction
-            direction = new THREE.Vector3(
-                Math.sin(this.player.rotation),
-                0,
-                Math.cos(this.player.rotation)
-            );
-        }
-        
-        // Use the grenade pool from the spawn manager instead of creating a new grenade
-        const grenade = this.spawnManager.getGrenade(position, direction);
-        this.grenades.push(grenade);
-        this.collisionSystem.addGrenade(grenade);
-        
-        return grenade;
-    }
-    
-    machineGunFire() {
-        if (!this.player || this.player.isReloading || this.player.ammo <= 0) return false;
-        
-        // Create a single bullet with precise aim
-        const startPosition = this.player.getPosition().clone();
-        // Offset position to match approximate gun height
-        startPosition.y = SIZES.PLAYER / 2; // Half player height
-        startPosition.add(this.player.getDirection().multiplyScalar(1.2));
-        
-        const direction = this.player.getDirection().clone();
-        
-        // Create the bullet using the bullet manager with higher speed multiplier
-        const bullet = this.bulletManager.createBullet(startPosition, direction, 1.0);
-        
-        // Add bullet to collision system
-        this.collisionSystem.addBullet(bullet);
-        
-        // Decrease ammo and play effects
-        this.player.ammo--;
-        this.player.playShootSound();
-        this.player.showMuzzleFlash();
-        
-        return true;
-    }
-    
     onWindowResize() {
         // Update perspective camera aspect ratio
         this.camera.aspect = window.innerWidth / window.innerHeight;
@@ -797,152 +672,42 @@ class Game {
         // Begin stats measurement
         this.stats.begin();
         
-        // Get delta time from the TimeManager
-        const delta = timeManager.getAutoDeltatime();
+        // Real time since the last frame, fed into the fixed step accumulator
+        const frameDelta = timeManager.getFrameDeltaTime();
         
         // Monitor FPS and adjust quality if needed
         this.monitorPerformance();
         
-        // Update player
-        if (this.player) {
-            this.player.update(delta, this.inputHandler, this.raycaster, this.camera);
-            
-            // Update crosshair rotation to point in firing direction
-            this.inputHandler.updateCrosshairRotation(this.player.rotation);
+        // Step the simulation at a fixed rate, independent of the display frame rate.
+        // While paused the game clock stands still, which also freezes every timer and effect.
+        if (this.stateMachine.updates('clock')) {
+            let steps = timeManager.updateFixedTimeStep(frameDelta);
             
-            // Track if player was shooting last frame
-            if (!this.wasShootingLastFrame && this.inputHandler.keys.shoot) {
-                this.wasShootingLastFrame = true;
-            } else if (this.wasShootingLastFrame && !this.inputHandler.keys.shoot) {
-                // Player just stopped shooting
-                this.wasShootingLastFrame = false;
-                // Stop gunshot sounds
-                this.audioManager.stopGunshot();
+            // Replay playback can hold, double or fast-forward the simulation
+            if (this.replayManager.isPlaying) {
+                steps = this.replayManager.getStepCount(steps);
             }
             
-            // Handle shooting
-            if (this.inputHandler.keys.shoot) {
-                if (!this.player.isReloading) {
-                    if (this.player.ammo > 0) {
-                        const timeNow = Date.now();
-                        // Add machine gun fire rate control - fire every 50ms for rapid rate
-                        if (timeNow - this.player.lastShotTime >= 50) {  // 50ms = about 20 rounds per second
-                            this.machineGunFire(); // Fire a single bullet
-                            this.player.lastShotTime = timeNow;
-                        }
-                    }
-                }
-            }
-            
-            // Handle grenade throwing - now only used for keyboard grenade throwing (g key)
-            if (this.inputHandler.keys.grenade) {
-                console.log("Keyboard grenade key detected");
-                
-                // Check for cooldown
-                const now = Date.now();
-                if (now - this.lastGrenadeThrowTime < this.grenadeThrowMinInterval) {
-                    console.log("Grenade on cooldown, can't throw yet");
-                    this.inputHandler.keys.grenade = false;
-                    return;
-                }
-                
-                // Check if we have grenades left
-                if (this.player.grenades > 0) {
-                    console.log("Player has grenades, throwing via keyboard");
-                    
-                    // Create the grenade
-                    const grenadePosition = this.player.getPosition().clone();
-                    grenadePosition.y = SIZES.PLAYER / 2;
-                    
-                    // Use player's facing direction
-                    const direction = this.player.getDirection();
-                    
-                    // Decrease player's grenade count
-                    this.player.grenades--;
-                    
-                    // Use the grenade pool
-                    const grenade = this.spawnManager.getGrenade(grenadePosition, direction);
-                    this.grenades.push(grenade);
-                    this.collisionSystem.addGrenade(grenade);
-                    
-                    console.log("Grenade thrown via keyboard, remaining:", this.player.grenades);
-                    
-                    // Apply throw animation
-                    this.player.body.scale.x = 1.2;
-                    setTimeout(() => {
-                        this.player.body.scale.x = 1;
-                    }, 100);
-                    
-                    // Update timestamps
-                    this.player.lastGrenadeTime = now;
-                    this.lastGrenadeThrowTime = now;
-                }
-                
-                // Reset the grenade key regardless
-                this.inputHandler.keys.grenade = false;
+            for (let i = 0; i < steps; i++) {
+                if (this.replayManager.isPlaying && !this.replayManager.canStep()) break;
+                this.updateSimulation(timeManager.step());
             }
         }
         
-        // Update enemies and spawner with delta time
-        this.spawnManager.update(this.player, delta);
-        
-        // Update bullet manager
-        this.bulletManager.update(delta);
-        
-        // Update non-instanced projectiles (grenades and older bullets)
-        this.bullets.forEach(bullet => {
-            if (bullet.constructor.name !== 'OptimizedBullet' || !bullet.useInstance) {
-                bullet.update(delta);
-            }
-        });
-        
-        // Update grenades using the pool system
-        this.spawnManager.updateGrenades(delta);
-        
-        // Update any legacy grenades that weren't created with the pool
-        this.grenades.forEach(grenade => {
-            // Skip grenades managed by the pool
-            if (grenade.isActive) {
-                grenade.update(delta);
-            }
-        });
-        
-        // Update pickups
-        // Update ammo pickups (if they exist and have an update method)
-        if (this.spawnManager.ammoPickups) {
-            this.spawnManager.ammoPickups.forEach(ammoPack => {
-                if (ammoPack && typeof ammoPack.update === 'function') {
-                    ammoPack.update(delta);
-                }
-            });
-        }
-        
-        // Update grenade pickups
-        if (this.spawnManager.grenadePickups) {
-            this.spawnManager.grenadePickups.forEach(grenadePack => {
-                if (grenadePack && typeof grenadePack.update === 'function') {
-                    grenadePack.update(delta);
-                }
-            });
-        }
-        
-        // Update energy pickups
-        if (this.spawnManager.energyPickups) {
-            this.spawnManager.energyPickups.forEach(energyPack => {
-                if (energyPack && typeof energyPack.update === 'function') {
-                    energyPack.update(delta);
-                }
-            });
+        // Update crosshair rotation to point in firing direction
+        if (this.player) {
+            this.inputHandler.updateCrosshairRotation(this.player.rotation);
         }
         
-        // Check collisions
-        this.collisionSystem.update();
-        
         // Update camera only if not disabled for test
         if (!this.disableCameraUpdate) {
             this.updateCamera();
         }
         
+        this.replayManager.update();
+        
+        this.collisionPanel.update(this.collisionSystem.lastUpdateMs, 20);
+        
         // Update HUD
         this.updateHUD();
         
@@ -953,18 +718,119 @@ class Game {
         this.stats.end();
     }
     
-    createSpawnManager() {
-        if (!this.player) return;
+    updateSimulation(delta) {
+        // Input for this tick comes from the recording during playback, otherwise it is
+        // sampled live and recorded
+        if (this.replayManager.isPlaying) {
+            this.replayManager.applyTick();
+        } else {
+            this.inputHandler.updateMouseWorld(this.camera);
+            this.replayManager.recordTick();
+        }
         
-        // Create spawn manager
-        this.spawnManager = new SpawnManager(
-            this.scene,
-            this.player,
-            this.collisionSystem,
-            this.audioManager,
-            this.decalManager, // Pass decalManager to SpawnManager for enemy splats
-            this // Pass a reference to the game instance
-        );
+        super.updateSimulation(delta);
+    }
+    
+    createPauseScreen() {
+        this.pauseScreen = document.createElement('div');
+        this.pauseScreen.style.position = 'fixed';
+        this.pauseScreen.style.top = '0';
+        this.pauseScreen.style.left = '0';
+        this.pauseScreen.style.width = '100%';
+        this.pauseScreen.style.height = '100%';
+        this.pauseScreen.style.display = 'none';
+        this.pauseScreen.style.flexDirection = 'column';
+        this.pauseScreen.style.alignItems = 'center';
+        this.pauseScreen.style.justifyContent = 'center';
+        this.pauseScreen.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        this.pauseScreen.style.fontFamily = '"Press Start 2P", cursive';
+        this.pauseScreen.style.color = '#ffffff';
+        this.pauseScreen.style.zIndex = '1000';
+        
+        const pauseTitle = document.createElement('div');
+        pauseTitle.textContent = 'PAUSED';
+        pauseTitle.style.fontSize = '48px';
+        pauseTitle.style.textShadow = '2px 2px 4px black';
+        pauseTitle.style.marginBottom = '30px';
+        this.pauseScreen.appendChild(pauseTitle);
+        
+        const pauseHint = document.createElement('div');
+        pauseHint.textContent = 'PRESS ESC TO RESUME';
+        pauseHint.style.fontSize = '14px';
+        pauseHint.style.textShadow = '2px 2px 0 #000';
+        this.pauseScreen.appendChild(pauseHint);
+        
+        // Perks taken this run, filled in on every pause
+        this.pausePerkList = document.createElement('div');
+        this.pausePerkList.style.marginTop = '40px';
+        this.pausePerkList.style.fontSize = '10px';
+        this.pausePerkList.style.lineHeight = '20px';
+        this.pausePerkList.style.textAlign = 'center';
+        this.pausePerkList.style.textShadow = '2px 2px 0 #000';
+        this.pauseScreen.appendChild(this.pausePerkList);
+        
+        document.body.appendChild(this.pauseScreen);
+    }
+    
+    updatePausePerkList() {
+        const list = this.pausePerkList;
+        list.innerHTML = '';
+        
+        const taken = this.perkSystem.getTakenPerks();
+        const title = document.createElement('div');
+        title.textContent = taken.length > 0 ? 'PERKS' : 'NO PERKS YET';
+        title.style.color = '#ffcc00';
+        title.style.marginBottom = '10px';
+        list.appendChild(title);
+        
+        taken.forEach(({ perk, stacks }) => {
+            const line = document.createElement('div');
+            line.textContent = stacks > 1 ? `${perk.name} x${stacks}` : perk.name;
+            list.appendChild(line);
+        });
+    }
+    
+    get isPaused() {
+        return this.stateMachine.is(GAME_STATES.PAUSED);
+    }
+    
+    pause() {
+        // Only a wave or an intermission can be paused, not the intro or game over
+        if (!this.stateMachine.canTransition(GAME_STATES.PAUSED)) return;
+        
+        this.stateMachine.transition(GAME_STATES.PAUSED);
+    }
+    
+    resume() {
+        if (!this.isPaused) return;
+        
+        // Back to the wave or intermission we paused
+        this.stateMachine.transition(this.stateMachine.previousState);
+    }
+    
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+    
+    // Start a new run in place, reusing the renderer, scene, pools and audio context.
+    // Pass a seed to replay a specific run.
+    restart(seed = null, difficulty = null) {
+        console.log("Restarting game");
+        
+        // Also leaves pause or game over
+        this.resetSimulation(seed, difficulty);
+        
+        // Every run starts recording, a replay switches to playback right after the restart
+        this.replayManager.startRecording();
+        
+        // The clock restarts at zero, so an old hit time would read as a fresh one
+        this.lastHitFlashTime = -Infinity;
+        this.bossHealthBar.hide();
+        this.updateHUD();
     }
     
     cleanup() {
@@ -980,14 +846,6 @@ class Game {
             this.bulletManager.cleanUp();
         }
         
-        // Clean up any remaining grenades not in the pool
-        this.grenades.forEach(grenade => {
-            if (grenade && grenade.deactivate) {
-                grenade.deactivate(true);
-            }
-        });
-        this.grenades = [];
-        
         // Clean up bullets
         this.bullets.forEach(bullet => {
             if (bullet && bullet.deactivate) {
@@ -998,7 +856,7 @@ class Game {
         
         // Clean up decals
         if (this.decalManager) {
-            this.decalManager.cleanup();
+            this.decalManager.cleanUp();
         }
         
         // Clean up pickup effects
@@ -1049,6 +907,12 @@ class Game {
         }
     }
     
+    toggleCollisionGrid() {
+        this.useCollisionGrid = !this.useCollisionGrid;
+        this.collisionSystem.setBroadphaseEnabled(this.useCollisionGrid);
+        console.log(`Collision broadphase: ${this.useCollisionGrid ? 'grid' : 'brute force'}`);
+    }
+    
     toggleStats() {
         // Toggle stats visibility
         if (this.stats.dom.style.display === 'none') {